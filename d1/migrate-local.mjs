@@ -0,0 +1,74 @@
+// d1/migrate-local.mjs
+//
+// Runs the stats DB migrations (functions/_lib/migrations/) against a local SQLite file, e.g. a
+// copy of the D1 database exported with `wrangler d1 export`, to test a migration before applying
+// it in production via POST /api/v1/admin/schema.
+//
+// Usage (Node 22.5+, uses the built-in node:sqlite):
+//   node d1/migrate-local.mjs <db-file> [--status] [--to <version>]
+//
+// --status   only print the schema status
+// --to N     stop after migration N
+
+import { DatabaseSync } from "node:sqlite";
+import { getSchemaStatus, runMigrations } from "../functions/_lib/schemaMigrations.js";
+
+// Just enough of the D1 binding API for the migration runner.
+function d1FromSqlite(sqlite) {
+  const statement = (sql, params = []) => ({
+    bind: (...values) => statement(sql, values),
+    first: async () => sqlite.prepare(sql).get(...params) ?? null,
+    all: async () => ({ results: sqlite.prepare(sql).all(...params), success: true }),
+    run: async () => {
+      const r = sqlite.prepare(sql).run(...params);
+      return { success: true, meta: { changes: Number(r.changes), last_row_id: Number(r.lastInsertRowid) } };
+    },
+  });
+
+  return {
+    prepare: (sql) => statement(sql),
+    // D1 runs a batch as one transaction.
+    async batch(statements) {
+      sqlite.exec("BEGIN");
+      try {
+        const out = [];
+        for (const s of statements) out.push(await s.run());
+        sqlite.exec("COMMIT");
+        return out;
+      } catch (e) {
+        sqlite.exec("ROLLBACK");
+        throw e;
+      }
+    },
+  };
+}
+
+function parseArgs(argv) {
+  const args = { file: "", statusOnly: false, toVersion: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--status") args.statusOnly = true;
+    else if (a === "--to") args.toVersion = Number.parseInt(argv[++i], 10);
+    else if (!args.file) args.file = a;
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.file || (args.toVersion !== null && !Number.isFinite(args.toVersion))) {
+  console.error("Usage: node d1/migrate-local.mjs <db-file> [--status] [--to <version>]");
+  process.exit(2);
+}
+
+const sqlite = new DatabaseSync(args.file);
+const db = d1FromSqlite(sqlite);
+
+try {
+  const result = args.statusOnly
+    ? await getSchemaStatus(db)
+    : await runMigrations(db, { toVersion: args.toVersion, appliedBy: "migrate-local" });
+  console.log(JSON.stringify(result, null, 2));
+  if (result.ok === false) process.exitCode = 1;
+} finally {
+  sqlite.close();
+}
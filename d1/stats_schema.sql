@@ -2,6 +2,12 @@
 --
 -- Create a D1 database (suggested binding name: VF_D1_STATS) and apply this schema.
 --
+-- This file is a readable snapshot of the LATEST schema. Changes are made as numbered migrations
+-- in functions/_lib/migrations/ (mirrored here); existing DBs are upgraded with
+-- POST /api/v1/admin/schema, or locally with `node d1/migrate-local.mjs <db-file>`.
+-- A DB created from this file should be baselined the same way (every migration is idempotent),
+-- so schema_migrations records it as current.
+--
 -- Notes:
 -- - Times are stored as UTC milliseconds since epoch.
 -- - competition_uuid is client-generated (GUID) and provides idempotency.
@@ -23,6 +29,8 @@ CREATE TABLE IF NOT EXISTS competitions (
   map_name TEXT,
   map_version INTEGER,
   map_hash_sha256 TEXT,
+  -- Legacy string track ids from older clients.
+  map_key TEXT,
 
   vehicle_type TEXT,
   game_mode TEXT,
@@ -38,12 +46,28 @@ CREATE TABLE IF NOT EXISTS competitions (
   client_version TEXT,
   unity_version TEXT,
 
+  -- Plausibility checks (see functions/_lib/competitionChecks.js).
+  -- Quarantined races are kept but excluded from stats until a streamer approves them.
+  quarantined INTEGER NOT NULL DEFAULT 0,
+  quarantine_reasons TEXT,
+  approved_at_ms INTEGER,
+  approved_by_user_id TEXT,
+
+  -- Voided races (e.g. streamer test runs) are kept but excluded from stats until un-voided.
+  voided INTEGER NOT NULL DEFAULT 0,
+  voided_at_ms INTEGER,
+  voided_by_user_id TEXT,
+  void_reason TEXT,
+
   created_at_ms INTEGER NOT NULL,
   updated_at_ms INTEGER NOT NULL
 );
 
 CREATE INDEX IF NOT EXISTS idx_competitions_streamer ON competitions(streamer_user_id, started_at_ms);
 CREATE INDEX IF NOT EXISTS idx_competitions_season ON competitions(season_id, started_at_ms);
+CREATE INDEX IF NOT EXISTS idx_competitions_quarantined ON competitions(streamer_user_id, quarantined, started_at_ms);
+-- Track records / personal bests are looked up per map version.
+CREATE INDEX IF NOT EXISTS idx_competitions_map ON competitions(map_id, map_hash_sha256, started_at_ms);
 
 -- ---------------------------------------------------------------------------
 -- Cloud Maps (Tracks)
@@ -62,7 +86,11 @@ CREATE TABLE IF NOT EXISTS vf_maps (
   created_at_ms INTEGER NOT NULL,
   updated_at_ms INTEGER NOT NULL,
   source TEXT NOT NULL DEFAULT 'community',
-  deleted INTEGER NOT NULL DEFAULT 0
+  deleted INTEGER NOT NULL DEFAULT 0,
+  -- Cached typical finish time (see functions/_lib/mapFinishTime.js); NULL until recomputed.
+  finish_time_ms INTEGER,
+  thumb_png BLOB,
+  image_png BLOB
 );
 
 -- Unique names for ACTIVE maps only (case-insensitive).
@@ -92,6 +120,8 @@ CREATE TABLE IF NOT EXISTS competition_results (
   distance_m REAL,
   progress01 REAL,
 
+  is_bot INTEGER NOT NULL DEFAULT 0,
+
   created_at_ms INTEGER NOT NULL,
   updated_at_ms INTEGER NOT NULL,
 
@@ -101,6 +131,332 @@ CREATE TABLE IF NOT EXISTS competition_results (
 
 CREATE INDEX IF NOT EXISTS idx_results_competition ON competition_results(competition_id, finish_position);
 CREATE INDEX IF NOT EXISTS idx_results_viewer ON competition_results(viewer_user_id, competition_id);
+CREATE INDEX IF NOT EXISTS idx_results_viewer_login ON competition_results(LOWER(viewer_login));
+
+-- Checkpoint / lap splits per result row (optional; older clients send none).
+-- elapsed_ms is cumulative from race start; sector_ms is the time since the previous split of the same kind.
+CREATE TABLE IF NOT EXISTS competition_result_splits (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  competition_result_id INTEGER NOT NULL,
+  split_kind TEXT NOT NULL DEFAULT 'checkpoint',
+  split_index INTEGER NOT NULL,
+
+  elapsed_ms INTEGER NOT NULL,
+  sector_ms INTEGER,
+
+  created_at_ms INTEGER NOT NULL,
+
+  FOREIGN KEY (competition_result_id) REFERENCES competition_results(id) ON DELETE CASCADE,
+  UNIQUE (competition_result_id, split_kind, split_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_splits_kind_index ON competition_result_splits(split_kind, split_index, sector_ms);
+
+-- ---------------------------------------------------------------------------
+-- Users, seasons, streamer roles
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS vf_users (
+  user_id TEXT PRIMARY KEY,
+  login TEXT,
+  display_name TEXT,
+  profile_image_url TEXT,
+  last_seen_at_ms INTEGER,
+  created_at_ms INTEGER NOT NULL,
+  updated_at_ms INTEGER NOT NULL,
+  -- Follower / sub status reported by the game (see functions/api/v1/users/support-status.js).
+  is_follower INTEGER NOT NULL DEFAULT 0,
+  sub_tier INTEGER NOT NULL DEFAULT 0,
+  support_updated_at_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_vf_users_login ON vf_users(login);
+
+CREATE TABLE IF NOT EXISTS vf_seasons (
+  season_id TEXT PRIMARY KEY,
+  name TEXT,
+  description TEXT,
+  start_at_ms INTEGER,
+  end_at_ms INTEGER,
+  created_at_ms INTEGER NOT NULL,
+  updated_at_ms INTEGER NOT NULL,
+  updated_by_login TEXT,
+  updated_by_user_id TEXT
+);
+
+-- Championship points per season (see functions/_lib/seasonPoints.js); seasons without a row
+-- use the default F1-style table.
+-- points_json: points by finish position, e.g. [25,18,15,12,10,8,6,4,2,1].
+-- dnf_points: points for a non-finish (0, or negative as a penalty).
+-- scale_by_field_size: 1 = points x min(1, field size / reference_field_size).
+CREATE TABLE IF NOT EXISTS vf_season_points (
+  season_id TEXT PRIMARY KEY,
+  points_json TEXT NOT NULL,
+  dnf_points REAL NOT NULL DEFAULT 0,
+  scale_by_field_size INTEGER NOT NULL DEFAULT 0,
+  reference_field_size INTEGER NOT NULL DEFAULT 10,
+  created_at_ms INTEGER NOT NULL,
+  updated_at_ms INTEGER NOT NULL,
+  updated_by_login TEXT,
+  updated_by_user_id TEXT
+);
+
+-- Frozen end-of-season championship standings (see functions/_lib/seasonFinals.js).
+-- Written once by POST /api/v1/seasons/{id}/final; the triggers make both tables append-only.
+-- award: 'champion' (rank 1), 'top10' or 'participant'.
+-- (Migration 0015 also seeds the "Season Champion" / "Season Top 10" / "Season Participant" achievements.)
+CREATE TABLE IF NOT EXISTS season_finals (
+  season_id TEXT PRIMARY KEY,
+  name TEXT,
+  start_at_ms INTEGER,
+  end_at_ms INTEGER,
+  points_table_json TEXT NOT NULL,
+  viewer_count INTEGER NOT NULL DEFAULT 0,
+  races_count INTEGER NOT NULL DEFAULT 0,
+  champion_user_id TEXT,
+  finalized_at_ms INTEGER NOT NULL,
+  finalized_by_login TEXT,
+  finalized_by_user_id TEXT
+);
+
+CREATE TABLE IF NOT EXISTS season_final_standings (
+  season_id TEXT NOT NULL,
+  viewer_user_id TEXT NOT NULL,
+  rank INTEGER NOT NULL,
+  award TEXT NOT NULL,
+  points REAL NOT NULL DEFAULT 0,
+  competitions INTEGER NOT NULL DEFAULT 0,
+  wins INTEGER NOT NULL DEFAULT 0,
+  seconds INTEGER NOT NULL DEFAULT 0,
+  thirds INTEGER NOT NULL DEFAULT 0,
+  finished_count INTEGER NOT NULL DEFAULT 0,
+  dnf_count INTEGER NOT NULL DEFAULT 0,
+  best_finish_pos INTEGER,
+  avg_finish_pos REAL,
+  best_time_ms INTEGER,
+  avg_time_ms REAL,
+  viewer_login TEXT,
+  viewer_display_name TEXT,
+  viewer_profile_image_url TEXT,
+  PRIMARY KEY (season_id, viewer_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_final_standings_rank ON season_final_standings(season_id, rank);
+CREATE INDEX IF NOT EXISTS idx_season_final_standings_viewer ON season_final_standings(viewer_user_id, rank);
+
+CREATE TRIGGER IF NOT EXISTS trg_season_finals_no_update BEFORE UPDATE ON season_finals
+BEGIN
+  SELECT RAISE(ABORT, 'season_finals is an immutable archive');
+END;
+CREATE TRIGGER IF NOT EXISTS trg_season_finals_no_delete BEFORE DELETE ON season_finals
+BEGIN
+  SELECT RAISE(ABORT, 'season_finals is an immutable archive');
+END;
+CREATE TRIGGER IF NOT EXISTS trg_season_final_standings_no_update BEFORE UPDATE ON season_final_standings
+BEGIN
+  SELECT RAISE(ABORT, 'season_final_standings is an immutable archive');
+END;
+CREATE TRIGGER IF NOT EXISTS trg_season_final_standings_no_delete BEFORE DELETE ON season_final_standings
+BEGIN
+  SELECT RAISE(ABORT, 'season_final_standings is an immutable archive');
+END;
+
+-- Which streamers each viewer has raced for / been seen by.
+CREATE TABLE IF NOT EXISTS vf_user_streamers (
+  user_id TEXT NOT NULL,
+  streamer_user_id TEXT NOT NULL,
+  streamer_login TEXT,
+  first_seen_at_ms INTEGER,
+  last_seen_at_ms INTEGER,
+  created_at_ms INTEGER NOT NULL,
+  updated_at_ms INTEGER NOT NULL,
+  PRIMARY KEY (user_id, streamer_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vf_user_streamers_streamer ON vf_user_streamers(streamer_user_id, last_seen_at_ms);
+
+-- Custom roles, unique per streamer.
+CREATE TABLE IF NOT EXISTS vf_streamer_roles (
+  streamer_user_id TEXT NOT NULL,
+  role_id TEXT NOT NULL,
+  role_name TEXT NOT NULL,
+  created_at_ms INTEGER NOT NULL,
+  updated_at_ms INTEGER NOT NULL,
+  PRIMARY KEY (streamer_user_id, role_id)
+);
+
+CREATE TABLE IF NOT EXISTS vf_streamer_role_users (
+  streamer_user_id TEXT NOT NULL,
+  role_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  created_at_ms INTEGER NOT NULL,
+  updated_at_ms INTEGER NOT NULL,
+  PRIMARY KEY (streamer_user_id, role_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vf_streamer_role_users_user ON vf_streamer_role_users(streamer_user_id, user_id);
+
+-- Twitch roles (VIPs, mods, ...) cached from Helix by /api/v1/streamer/twitch-roles/sync.
+CREATE TABLE IF NOT EXISTS vf_streamer_twitch_roles (
+  streamer_user_id TEXT NOT NULL,
+  role_id TEXT NOT NULL,
+  role_name TEXT NOT NULL,
+  last_synced_at_ms INTEGER,
+  created_at_ms INTEGER NOT NULL,
+  updated_at_ms INTEGER NOT NULL,
+  PRIMARY KEY (streamer_user_id, role_id)
+);
+
+CREATE TABLE IF NOT EXISTS vf_streamer_twitch_role_users (
+  streamer_user_id TEXT NOT NULL,
+  role_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  created_at_ms INTEGER NOT NULL,
+  updated_at_ms INTEGER NOT NULL,
+  PRIMARY KEY (streamer_user_id, role_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vf_streamer_twitch_role_users_user ON vf_streamer_twitch_role_users(streamer_user_id, user_id);
+
+-- ---------------------------------------------------------------------------
+-- Default vehicles
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS vf_viewer_default_vehicles (
+  viewer_user_id TEXT NOT NULL,
+  competition_type TEXT NOT NULL,
+  vehicle_id TEXT NOT NULL,
+  updated_at_ms INTEGER NOT NULL,
+  client_updated_at_unix INTEGER,
+  PRIMARY KEY (viewer_user_id, competition_type)
+);
+
+CREATE TABLE IF NOT EXISTS vf_game_default_vehicles (
+  competition_type TEXT PRIMARY KEY,
+  vehicle_id TEXT NOT NULL,
+  updated_at_ms INTEGER NOT NULL,
+  updated_by_login TEXT
+);
+
+-- ---------------------------------------------------------------------------
+-- Skill rating (pairwise Elo over finish order; see functions/_lib/ratings.js)
+-- ---------------------------------------------------------------------------
+
+-- scope: 'all' (every race) or a vehicle type ('ground', 'space', ...).
+CREATE TABLE IF NOT EXISTS viewer_ratings (
+  viewer_user_id TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  rating REAL NOT NULL,
+  peak_rating REAL NOT NULL,
+  races INTEGER NOT NULL DEFAULT 0,
+  last_competition_id INTEGER,
+  updated_at_ms INTEGER NOT NULL,
+  PRIMARY KEY (viewer_user_id, scope)
+);
+
+CREATE INDEX IF NOT EXISTS idx_viewer_ratings_scope ON viewer_ratings(scope, rating DESC);
+
+-- One row per viewer per rated competition per scope.
+CREATE TABLE IF NOT EXISTS viewer_rating_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  viewer_user_id TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  competition_id INTEGER NOT NULL,
+  rating_before REAL NOT NULL,
+  rating_after REAL NOT NULL,
+  delta REAL NOT NULL,
+  field_size INTEGER NOT NULL,
+  created_at_ms INTEGER NOT NULL,
+  FOREIGN KEY (competition_id) REFERENCES competitions(id) ON DELETE CASCADE,
+  UNIQUE (viewer_user_id, scope, competition_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_viewer ON viewer_rating_history(viewer_user_id, scope, created_at_ms);
+CREATE INDEX IF NOT EXISTS idx_rating_history_competition ON viewer_rating_history(competition_id);
+
+-- ---------------------------------------------------------------------------
+-- Materialized viewer aggregates (see functions/_lib/viewerAggregates.js)
+-- ---------------------------------------------------------------------------
+
+-- One row per viewer per scope. scope_key = JSON [seasonId, streamerUserId, mapId, vehicleType],
+-- each part possibly "*" (any). positions_json / times_json hold the raw distribution the
+-- percentile columns are derived from.
+CREATE TABLE IF NOT EXISTS viewer_stat_aggregates (
+  scope_key TEXT NOT NULL,
+  viewer_user_id TEXT NOT NULL,
+  viewer_login TEXT,
+  viewer_display_name TEXT,
+  viewer_profile_image_url TEXT,
+  is_bot INTEGER NOT NULL DEFAULT 0,
+  competitions INTEGER NOT NULL DEFAULT 0,
+  finished_count INTEGER NOT NULL DEFAULT 0,
+  firsts INTEGER NOT NULL DEFAULT 0,
+  seconds INTEGER NOT NULL DEFAULT 0,
+  thirds INTEGER NOT NULL DEFAULT 0,
+  best_finish_pos INTEGER,
+  worst_finish_pos INTEGER,
+  avg_finish_pos REAL,
+  p10_finish_pos INTEGER,
+  p25_finish_pos INTEGER,
+  median_finish_pos INTEGER,
+  p75_finish_pos INTEGER,
+  p90_finish_pos INTEGER,
+  best_time_ms INTEGER,
+  worst_time_ms INTEGER,
+  avg_time_ms REAL,
+  p10_time_ms INTEGER,
+  p25_time_ms INTEGER,
+  median_time_ms INTEGER,
+  p75_time_ms INTEGER,
+  p90_time_ms INTEGER,
+  positions_json TEXT NOT NULL DEFAULT '{}',
+  times_json TEXT NOT NULL DEFAULT '[]',
+  updated_at_ms INTEGER NOT NULL,
+  PRIMARY KEY (scope_key, viewer_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_viewer_stat_aggregates_viewer ON viewer_stat_aggregates(viewer_user_id);
+
+-- What each competition currently contributes to viewer_stat_aggregates (for idempotent re-syncs).
+CREATE TABLE IF NOT EXISTS viewer_aggregate_applied (
+  competition_id INTEGER PRIMARY KEY,
+  contributions_json TEXT NOT NULL,
+  applied_at_ms INTEGER NOT NULL
+);
+
+-- Small key/value flags (e.g. viewer_aggregates_ready).
+CREATE TABLE IF NOT EXISTS stats_meta (
+  key TEXT PRIMARY KEY,
+  value TEXT,
+  updated_at_ms INTEGER NOT NULL
+);
+
+-- Frozen standings per aggregate scope (see functions/_lib/leaderboardSnapshots.js).
+-- kind: 'daily' (period = UTC date) or 'season_end' (period = season id).
+CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  scope_key TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  period TEXT NOT NULL,
+  viewer_count INTEGER NOT NULL DEFAULT 0,
+  taken_at_ms INTEGER NOT NULL,
+  UNIQUE (scope_key, kind, period)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_snapshots_scope ON leaderboard_snapshots(scope_key, kind, taken_at_ms);
+
+CREATE TABLE IF NOT EXISTS leaderboard_snapshot_ranks (
+  snapshot_id INTEGER NOT NULL,
+  viewer_user_id TEXT NOT NULL,
+  rank INTEGER NOT NULL,
+  wins INTEGER NOT NULL DEFAULT 0,
+  competitions INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (snapshot_id, viewer_user_id),
+  FOREIGN KEY (snapshot_id) REFERENCES leaderboard_snapshots(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_snapshot_ranks_viewer ON leaderboard_snapshot_ranks(viewer_user_id, snapshot_id);
 
 -- ---------------------------------------------------------------------------
 -- Achievements (MVP)
@@ -125,12 +481,30 @@ CREATE TABLE IF NOT EXISTS viewer_achievements (
   unlocked_at_ms INTEGER NOT NULL,
   source TEXT,
   source_ref TEXT,
+  tier INTEGER NOT NULL DEFAULT 0, -- 1..n for tiered achievements, 0 otherwise
   FOREIGN KEY (achievement_id) REFERENCES achievements(id) ON DELETE CASCADE,
-  UNIQUE (viewer_user_id, achievement_id)
+  UNIQUE (viewer_user_id, achievement_id, tier)
 );
 
 CREATE INDEX IF NOT EXISTS idx_viewer_achievements_viewer ON viewer_achievements(viewer_user_id, unlocked_at_ms DESC);
 CREATE INDEX IF NOT EXISTS idx_viewer_achievements_achievement ON viewer_achievements(achievement_id, unlocked_at_ms DESC);
+CREATE INDEX IF NOT EXISTS idx_viewer_achievements_source ON viewer_achievements(source_ref);
+
+-- Unlocks revoked because the race they were earned in was voided.
+-- Kept verbatim so un-voiding can restore the original unlock (timestamp + source).
+-- revoked_for identifies the operation, e.g. 'void:123' (competition id).
+CREATE TABLE IF NOT EXISTS viewer_achievement_revocations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  revoked_for TEXT NOT NULL,
+  viewer_user_id TEXT NOT NULL,
+  achievement_id INTEGER NOT NULL,
+  unlocked_at_ms INTEGER NOT NULL,
+  source TEXT,
+  source_ref TEXT,
+  revoked_at_ms INTEGER NOT NULL,
+  tier INTEGER NOT NULL DEFAULT 0,
+  UNIQUE (revoked_for, viewer_user_id, achievement_id, tier)
+);
 
 CREATE TABLE IF NOT EXISTS viewer_actions (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -143,3 +517,14 @@ CREATE TABLE IF NOT EXISTS viewer_actions (
 );
 
 CREATE INDEX IF NOT EXISTS idx_viewer_actions_viewer_key ON viewer_actions(viewer_user_id, action_key);
+
+-- ---------------------------------------------------------------------------
+-- Schema version (see functions/_lib/schemaMigrations.js)
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at_ms INTEGER NOT NULL,
+  applied_by TEXT
+);
@@ -16,9 +16,39 @@
 // - finished: count of rows with status='FINISHED'
 // - dnf: count of rows where status!='FINISHED'
 // - defaultVehicleSets: count of viewer_actions rows (action_key='default_vehicle_set')
+// - podiums: FINISHED in positions 1-3
+// - championships / seasonTop10 / seasons: finalized seasons won / finished in the top 10 / raced in
+//   (season_final_standings, see _lib/seasonFinals.js)
+// - winStreak / podiumStreak / finishStreak / bestWinStreak / daysActiveStreak: consecutive results
+//   in time order (see _lib/viewerStreaks.js). Example ("win 3 in a row"): bestWinStreak>=3
+//   A void re-check judges the current streaks as of the race that unlocked them.
+//
+// Race metrics (races / finished / wins / podiums / dnf) can be scoped to a subset of races:
+//     metric[key=value,...] op number
+//   Example: wins[type=space]>=5, races[map=12]>=10, finished[season=current]>=20, podiums[mode=Race]>=3
+// Scope keys: type (vehicle type), map (map id), season (season id, or "current" for the active
+// season) and mode (game mode). Values are matched case-insensitively; several keys must all match.
+//
+// Clauses combine with all(...), any(...), not(...), parentheses and and / or / not
+// (see parseAchievementCriteria); separate lines are AND-ed:
+//     any(all(wins[type=ground]>=1, wins[type=resort]>=1, wins[type=space]>=1), podiums>=50)
+// Progress of an any(...) group is its best branch.
+//
+// Tiered achievements list ordered tiers, each with its own criteria, instead of one criteria:
+//     tier Bronze: wins>=10
+//     tier Silver: wins>=50
+//     tier Gold: wins>=200
+// Every tier reached is its own viewer_achievements row (column tier, 1..n; 0 for plain
+// achievements, migration 0016). A tier only unlocks once the tiers below it have.
+//
+// Quarantined competitions never count toward metrics (see _lib/competitionStatus.js).
 //
 // NOTE: This is intended to run inside Cloudflare Pages Functions.
 
+import { countedCompetitionSql } from "./competitionStatus.js";
+import { SCHEMA, schemaAtLeast } from "./schemaMigrations.js";
+import { CURRENT_STREAK_METRICS, STREAK_METRICS, loadViewerStreaks } from "./viewerStreaks.js";
+
 function toStr(v) {
   return String(v ?? "").trim();
 }
@@ -45,52 +75,376 @@ function placeholders(n) {
 // Criteria parsing / evaluation
 // ------------------------------
 
-export function parseAchievementCriteria(criteriaRaw) {
-  const text = toStr(criteriaRaw);
-  if (!text) {
-    return { ok: false, error: "criteria_required", message: "Criteria is required." };
-  }
+// Per-result conditions of the metrics that can be scoped (columns of loadViewerStats' rows).
+const RACE_METRICS = {
+  races: "1 = 1",
+  finished: "status = 'FINISHED'",
+  wins: "status = 'FINISHED' AND finish_position = 1",
+  podiums: "status = 'FINISHED' AND finish_position BETWEEN 1 AND 3",
+  dnf: "status != 'FINISHED'",
+};
 
-  const parts = text
-    .replace(/\r/g, "")
-    .split(/\n|;/g)
+// Normalized names of the streak metrics (loaded only when a criteria references one).
+const STREAK_METRIC_KEYS = new Set(STREAK_METRICS.map((m) => m.toLowerCase()));
+
+function needsStreaks(clauses) {
+  return clauses.some((c) => STREAK_METRIC_KEYS.has(normalizeMetricName(c?.metric)));
+}
+
+// Metrics that only change when a season is finalized (see _lib/seasonFinals.js).
+export const SEASON_METRICS = ["championships", "seasonTop10", "seasons"];
+
+const SCOPE_KEY_ALIASES = {
+  type: "type",
+  vehicletype: "type",
+  vehicle: "type",
+  map: "map",
+  mapid: "map",
+  track: "map",
+  season: "season",
+  seasonid: "season",
+  mode: "mode",
+  gamemode: "mode",
+};
+
+// "type=space, map=12" -> { map: "12", type: "space" } (keys sorted, values lowercased).
+function parseMetricScope(text) {
+  const scope = {};
+  const parts = toStr(text)
+    .split(",")
     .map((x) => x.trim())
     .filter(Boolean);
 
-  const re = /^([a-zA-Z_][a-zA-Z0-9_\.:-]*)\s*(>=|<=|==|!=|>|<|=)\s*(-?\d+(?:\.\d+)?)$/;
+  for (const part of parts) {
+    const eq = part.indexOf("=");
+    const key = SCOPE_KEY_ALIASES[toStr(eq > 0 ? part.slice(0, eq) : part).toLowerCase()];
+    const value = eq > 0 ? toStr(part.slice(eq + 1)).toLowerCase() : "";
 
-  const clauses = [];
-  for (const line of parts) {
-    if (line.startsWith("#") || line.startsWith("//")) continue;
-
-    const m = line.match(re);
-    if (!m) {
+    if (!key) {
       return {
         ok: false,
         error: "invalid_criteria",
-        message: `Invalid criteria line: "${line}". Expected format like wins>=1`,
+        message: `Unknown scope "${part}". Use type=, map=, season= or mode=.`,
       };
     }
+    if (!value) {
+      return { ok: false, error: "invalid_criteria", message: `Scope "${key}" needs a value, e.g. ${key}=...` };
+    }
+    if (scope[key] !== undefined) {
+      return { ok: false, error: "invalid_criteria", message: `Scope "${key}" is given twice.` };
+    }
+    if (key === "map" && !/^[1-9][0-9]*$/.test(value)) {
+      return { ok: false, error: "invalid_criteria", message: `map= takes a map id, got "${value}".` };
+    }
+    scope[key] = value;
+  }
+
+  const keys = Object.keys(scope).sort();
+  if (!keys.length) {
+    return { ok: false, error: "invalid_criteria", message: "Empty scope []. Remove it or add e.g. type=space." };
+  }
+  return { ok: true, scope: Object.fromEntries(keys.map((k) => [k, scope[k]])) };
+}
+
+function scopeSuffix(scope) {
+  const entries = Object.entries(scope || {});
+  return entries.length ? `[${entries.map(([k, v]) => `${k}=${v}`).join(",")}]` : "";
+}
+
+// Where a clause's value lives in the metrics object: "wins", "wins[type=space]", "action:...".
+function clauseMetricKey(clause) {
+  return normalizeMetricName(clause?.metric) + scopeSuffix(clause?.scope);
+}
+
+const COMPARISON_RE = /^([a-zA-Z_][a-zA-Z0-9_\.:-]*)\s*(?:\[([^\]]*)\])?\s*(>=|<=|==|!=|>|<|=)\s*(-?\d+(?:\.\d+)?)/;
+const MAX_CRITERIA_DEPTH = 8;
+const NEGATED_OPS = { ">=": "<", ">": "<=", "<=": ">", "<": ">=", "==": "!=", "!=": "==" };
+
+class CriteriaError extends Error {}
+
+function criteriaError(message) {
+  return new CriteriaError(message);
+}
+
+// One comparison (metric[scope] op number) -> leaf clause { metric, op, value, scope }.
+function comparisonClause(m) {
+  const metric = toStr(m[1]).toLowerCase();
+  const op = m[3] === "=" ? "==" : m[3];
+  const value = Number(m[4]);
+
+  if (!metric) throw criteriaError("Criteria metric is missing.");
+  if (!Number.isFinite(value)) throw criteriaError(`Criteria value is not a number: ${m[4]}`);
+
+  let scope = null;
+  if (m[2] !== undefined) {
+    if (!RACE_METRICS[normalizeMetricName(metric)]) {
+      throw criteriaError(`"${m[1]}" can't be scoped. Scopes apply to ${Object.keys(RACE_METRICS).join(", ")}.`);
+    }
+    const parsedScope = parseMetricScope(m[2]);
+    if (!parsedScope.ok) throw criteriaError(parsedScope.message);
+    scope = parsedScope.scope;
+  }
+
+  return { metric, op, value, scope };
+}
+
+// Tokens: { t: "clause", clause } | { t: "fn", name } (any( / all( / not() | { t: "word", word } (and / or / not)
+// | { t: "(" } | { t: ")" } | { t: "," } | { t: "sep" } (newline / ';' outside parentheses).
+function tokenizeCriteria(text) {
+  const tokens = [];
+  let depth = 0;
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    const rest = text.slice(i);
+
+    if (ch === "\n" || ch === ";") {
+      // Inside parentheses a group may span lines; ';' still separates its items.
+      if (depth === 0) tokens.push({ t: "sep" });
+      else if (ch === ";") tokens.push({ t: "," });
+      i += 1;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    if (ch === "(" || ch === ")" || ch === ",") {
+      if (ch === "(") depth += 1;
+      if (ch === ")") depth = Math.max(0, depth - 1);
+      tokens.push({ t: ch });
+      i += 1;
+      continue;
+    }
 
-    const metric = toStr(m[1]).toLowerCase();
-    const op = m[2] === "=" ? "==" : m[2];
-    const value = Number(m[3]);
+    const cmp = rest.match(COMPARISON_RE);
+    if (cmp) {
+      tokens.push({ t: "clause", clause: comparisonClause(cmp) });
+      i += cmp[0].length;
+      continue;
+    }
 
-    if (!metric) {
-      return { ok: false, error: "invalid_criteria", message: "Criteria metric is missing." };
+    const word = rest.match(/^([a-zA-Z]+)\s*(\()?/);
+    const w = word ? word[1].toLowerCase() : "";
+    if (word && word[2] && (w === "any" || w === "all" || w === "not")) {
+      tokens.push({ t: "fn", name: w });
+      tokens.push({ t: "(" });
+      depth += 1;
+      i += word[0].length;
+      continue;
     }
-    if (!Number.isFinite(value)) {
-      return { ok: false, error: "invalid_criteria", message: `Criteria value is not a number: ${m[3]}` };
+    if (word && (w === "and" || w === "or" || w === "not")) {
+      tokens.push({ t: "word", word: w });
+      i += word[1].length;
+      continue;
     }
 
-    clauses.push({ metric, op, value });
+    const snippet = rest.split("\n")[0].slice(0, 40);
+    throw criteriaError(`Invalid criteria near "${snippet}". Expected format like wins>=1 or wins[type=space]>=5`);
   }
 
-  if (!clauses.length) {
-    return { ok: false, error: "invalid_criteria", message: "Criteria contains no valid clauses." };
+  return tokens;
+}
+
+// Recursive descent over the tokens. Precedence: not > and > or; items of a list
+// (lines at the top level, comma-separated inside all( / any( / parentheses) are AND-ed.
+function parseCriteriaTokens(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isWord = (w) => peek()?.t === "word" && peek().word === w;
+
+  function list(depth, endToken) {
+    const items = [];
+    const sep = endToken ? "," : "sep";
+    for (;;) {
+      while (peek()?.t === sep) pos += 1;
+      if (!peek() || peek().t === endToken) break;
+      items.push(orExpr(depth));
+      const next = peek();
+      if (!endToken && next?.t === ")") throw criteriaError("Unmatched closing parenthesis.");
+      if (next && next.t !== sep && next.t !== endToken) {
+        throw criteriaError(endToken ? "Expected , or ) between group items." : "Expected a new line or ; between clauses.");
+      }
+    }
+    if (endToken) {
+      if (peek()?.t !== endToken) throw criteriaError("Missing closing parenthesis.");
+      pos += 1;
+    }
+    return items;
   }
 
-  return { ok: true, clauses };
+  function orExpr(depth) {
+    const items = [andExpr(depth)];
+    while (isWord("or")) {
+      pos += 1;
+      items.push(andExpr(depth));
+    }
+    return items.length === 1 ? items[0] : { group: "any", children: items };
+  }
+
+  function andExpr(depth) {
+    const items = [unary(depth)];
+    while (isWord("and")) {
+      pos += 1;
+      items.push(unary(depth));
+    }
+    return items.length === 1 ? items[0] : { group: "all", children: items };
+  }
+
+  // Every group and every prefix `not` is one level.
+  function unary(depth) {
+    if (depth >= MAX_CRITERIA_DEPTH) throw criteriaError(`Criteria nests deeper than ${MAX_CRITERIA_DEPTH} levels.`);
+    if (isWord("not")) {
+      pos += 1;
+      return { group: "not", children: [unary(depth + 1)] };
+    }
+    return primary(depth);
+  }
+
+  function primary(depth) {
+    const tok = peek();
+    if (!tok) throw criteriaError("Criteria ends unexpectedly.");
+
+    if (tok.t === "clause") {
+      pos += 1;
+      return tok.clause;
+    }
+
+    if (tok.t === "fn" || tok.t === "(") {
+      const name = tok.t === "fn" ? tok.name : "all";
+      pos += tok.t === "fn" ? 2 : 1;
+      const items = list(depth + 1, ")");
+      if (!items.length) throw criteriaError(`${tok.t === "fn" ? `${name}()` : "()"} needs at least one clause.`);
+      if (name === "not") {
+        if (items.length !== 1) throw criteriaError("not() takes exactly one clause or group.");
+        return { group: "not", children: items };
+      }
+      return items.length === 1 ? items[0] : { group: name, children: items };
+    }
+
+    throw criteriaError(`Unexpected "${tok.t === "word" ? tok.word : tok.t}" in criteria.`);
+  }
+
+  const items = list(0, null);
+  return items;
+}
+
+// Pushes not() down to the clauses (De Morgan; comparisons flip their operator), so the tree
+// only has all / any groups and leaves.
+function negationNormalForm(node, negate = false) {
+  if (!node?.group) {
+    return negate ? { ...node, op: NEGATED_OPS[node.op] || node.op } : node;
+  }
+  if (node.group === "not") return negationNormalForm(node.children[0], !negate);
+  const group = negate ? (node.group === "all" ? "any" : "all") : node.group;
+  return { group, children: node.children.map((c) => negationNormalForm(c, negate)) };
+}
+
+function criteriaLeaves(node, out = []) {
+  if (!node?.group) out.push(node);
+  else for (const c of node.children) criteriaLeaves(c, out);
+  return out;
+}
+
+// Criteria text (comments already removed) -> tree. Throws CriteriaError.
+function parseCriteriaTree(body) {
+  const items = parseCriteriaTokens(tokenizeCriteria(body));
+  if (!items.length) throw criteriaError("Criteria contains no valid clauses.");
+  return negationNormalForm(items.length === 1 ? items[0] : { group: "all", children: items });
+}
+
+// "tier Name:" at the start of a line or after ';'.
+const TIER_RE = /(?:^|[\n;])[ \t]*tier[ \t]+([^:\n;]+?)[ \t]*:/gi;
+const MAX_TIERS = 10;
+const MAX_TIER_NAME_LENGTH = 40;
+
+// Tiered criteria -> [{ tier, name, tree, clauses }], tier 1 first. Throws CriteriaError.
+function parseCriteriaTiers(body) {
+  const heads = [...body.matchAll(TIER_RE)];
+  if (heads.length > MAX_TIERS) throw criteriaError(`An achievement can have at most ${MAX_TIERS} tiers.`);
+
+  const seen = new Set();
+  return heads.map((head, i) => {
+    const name = toStr(head[1]);
+    if (name.length > MAX_TIER_NAME_LENGTH) {
+      throw criteriaError(`Tier names can be at most ${MAX_TIER_NAME_LENGTH} characters.`);
+    }
+    if (seen.has(name.toLowerCase())) throw criteriaError(`Tier "${name}" is defined twice.`);
+    seen.add(name.toLowerCase());
+
+    const text = body.slice(head.index + head[0].length, i + 1 < heads.length ? heads[i + 1].index : body.length);
+    if (!text.trim()) throw criteriaError(`Tier "${name}" has no criteria.`);
+
+    let tree;
+    try {
+      tree = parseCriteriaTree(text);
+    } catch (e) {
+      if (e instanceof CriteriaError) throw criteriaError(`Tier "${name}": ${e.message}`);
+      throw e;
+    }
+    return { tier: i + 1, name, tree, clauses: criteriaLeaves(tree) };
+  });
+}
+
+/**
+ * Parses achievement criteria into a tree: a leaf clause { metric, op, value, scope } or a group
+ * { group: "all" | "any", children }. Top-level lines / ';' are AND-ed; inside them
+ * all(...), any(...), not(...), parentheses and the and / or / not keywords combine clauses:
+ *
+ *   any(all(wins[type=ground]>=1, wins[type=resort]>=1, wins[type=space]>=1), podiums>=50)
+ *   (wins>=10 or podiums>=25) and not(dnf>=20)
+ *
+ * Groups and `not` nest at most MAX_CRITERIA_DEPTH levels deep.
+ * not() is folded into the tree (not(dnf>=20) becomes dnf<20). Returns { ok: true, tree, clauses,
+ * tiers } where `clauses` lists every leaf, or { ok: false, error, message }.
+ *
+ * Criteria starting with "tier" define ordered tiers instead, each with its own criteria:
+ *
+ *   tier Bronze: wins>=10
+ *   tier Silver: wins>=50
+ *   tier Gold: wins>=200
+ *
+ * `tiers` is then [{ tier: 1.., name, tree, clauses }] (null for a plain achievement), `tree` is
+ * tier 1's and `clauses` covers every tier.
+ */
+export function parseAchievementCriteria(criteriaRaw) {
+  const text = toStr(criteriaRaw);
+  if (!text) {
+    return { ok: false, error: "criteria_required", message: "Criteria is required." };
+  }
+
+  // Comment lines are dropped before tokenizing.
+  const body = text
+    .replace(/\r/g, "")
+    .split("\n")
+    .filter((line) => !line.trim().startsWith("#") && !line.trim().startsWith("//"))
+    .join("\n");
+
+  try {
+    if (/^\s*tier\s/i.test(body)) {
+      const tiers = parseCriteriaTiers(body);
+      return { ok: true, tree: tiers[0].tree, clauses: tiers.flatMap((t) => t.clauses), tiers };
+    }
+
+    const tree = parseCriteriaTree(body);
+    return { ok: true, tree, clauses: criteriaLeaves(tree), tiers: null };
+  } catch (e) {
+    if (e instanceof CriteriaError) return { ok: false, error: "invalid_criteria", message: e.message };
+    throw e;
+  }
+}
+
+// The unlockable steps of a parsed achievement: its tiers, or the achievement itself as tier 0.
+function criteriaTiers(parsed) {
+  return parsed.tiers || [{ tier: 0, name: "", tree: parsed.tree }];
+}
+
+/** Tier names by tier number ([, "Bronze", "Silver", ...]), or null for a plain achievement. */
+export function achievementTierNames(criteriaRaw) {
+  const parsed = parseAchievementCriteria(criteriaRaw);
+  if (!parsed.ok || !parsed.tiers) return null;
+  return ["", ...parsed.tiers.map((t) => t.name)];
 }
 
 function normalizeMetricName(name) {
@@ -118,6 +472,30 @@ function normalizeMetricName(name) {
     dnf: "dnf",
     dnfs: "dnf",
 
+    podium: "podiums",
+    podiums: "podiums",
+    top3: "podiums",
+
+    champion: "championships",
+    championships: "championships",
+    seasonchampion: "championships",
+    seasonchampionships: "championships",
+    top10: "seasontop10",
+    seasontop10: "seasontop10",
+    seasontop10s: "seasontop10",
+    seasons: "seasons",
+    seasonsplayed: "seasons",
+
+    winstreak: "winstreak",
+    currentwinstreak: "winstreak",
+    bestwinstreak: "bestwinstreak",
+    longestwinstreak: "bestwinstreak",
+    podiumstreak: "podiumstreak",
+    finishstreak: "finishstreak",
+    daysactivestreak: "daysactivestreak",
+    daystreak: "daysactivestreak",
+    activedaysstreak: "daysactivestreak",
+
     defaultvehicleset: "action:default_vehicle_set",
     defaultvehiclesets: "action:default_vehicle_set",
     website_default_vehicle_set: "action:default_vehicle_set",
@@ -146,28 +524,34 @@ function compareOp(left, op, right) {
   }
 }
 
-export function evaluateAchievementCriteria(clauses, metrics) {
-  const m = metrics || {};
-  const actions = m.actions || {};
-
-  for (const c of Array.isArray(clauses) ? clauses : []) {
-    const raw = normalizeMetricName(c?.metric);
-    const op = toStr(c?.op);
-    const target = Number(c?.value);
+// Current value of a leaf clause's metric.
+function clauseCurrentValue(clause, metrics) {
+  const key = clauseMetricKey(clause);
+  if (key.startsWith("action:")) {
+    return Number(metrics?.actions?.[key.slice("action:".length)] || 0) || 0;
+  }
+  return Number(metrics?.[key] || 0) || 0;
+}
 
-    let left = 0;
+/**
+ * `criteria` is a parsed tree (parseAchievementCriteria().tree) or a list of clauses (AND-ed).
+ */
+export function evaluateAchievementCriteria(criteria, metrics) {
+  const m = metrics || {};
 
-    if (raw.startsWith("action:")) {
-      const key = raw.slice("action:".length);
-      left = Number(actions?.[key] || 0) || 0;
-    } else {
-      left = Number(m?.[raw] || 0) || 0;
-    }
+  if (Array.isArray(criteria)) return criteria.every((c) => evaluateAchievementCriteria(c, m));
+  if (!criteria) return true;
 
-    if (!compareOp(left, op, target)) return false;
+  switch (criteria.group) {
+    case "all":
+      return criteria.children.every((c) => evaluateAchievementCriteria(c, m));
+    case "any":
+      return criteria.children.some((c) => evaluateAchievementCriteria(c, m));
+    case "not":
+      return !evaluateAchievementCriteria(criteria.children[0], m);
+    default:
+      return compareOp(clauseCurrentValue(criteria, m), toStr(criteria.op), Number(criteria.value));
   }
-
-  return true;
 }
 
 // ------------------------------
@@ -230,20 +614,122 @@ export async function recordViewerAction(env, viewerUserId, actionKey) {
   return { ok: true, viewerUserId: uid, actionKey: key, atMs: nowMs };
 }
 
-async function loadViewerStats(env, viewerUserIds) {
+// D1 id of the season running now (for season=current scopes), or "" when there is none.
+async function loadCurrentSeasonId(db) {
+  if (!(await schemaAtLeast(db, SCHEMA.usersAndSeasons))) return "";
+  const now = Date.now();
+  const row = await db
+    .prepare("SELECT season_id FROM vf_seasons WHERE start_at_ms <= ? AND end_at_ms >= ? ORDER BY start_at_ms DESC LIMIT 1")
+    .bind(now, now)
+    .first();
+  return toStr(row?.season_id).toLowerCase();
+}
+
+// SQL condition (on competitions c) for one parsed scope.
+function scopeConditionSql(scope, currentSeasonId) {
+  const where = [];
+  const params = [];
+  if (scope.map !== undefined) {
+    where.push("c.map_id = ?");
+    params.push(Number(scope.map));
+  }
+  if (scope.mode !== undefined) {
+    where.push("LOWER(TRIM(COALESCE(c.game_mode, ''))) = ?");
+    params.push(scope.mode);
+  }
+  if (scope.season !== undefined) {
+    const seasonId = scope.season === "current" ? currentSeasonId : scope.season;
+    if (!seasonId) return { sql: "0", params: [] };
+    where.push("LOWER(COALESCE(c.season_id, '')) = ?");
+    params.push(seasonId);
+  }
+  if (scope.type !== undefined) {
+    where.push("LOWER(TRIM(COALESCE(c.vehicle_type, ''))) = ?");
+    params.push(scope.type);
+  }
+  return { sql: where.join(" AND "), params };
+}
+
+// Scoped race metrics: one pass over the viewers' results, one column per distinct
+// (metric, scope) referenced by `scopedClauses`. Fills metrics[clauseMetricKey(clause)].
+async function loadScopedViewerStats(env, ids, scopedClauses, map) {
+  const db = env.VF_D1_STATS;
+  const scopes = new Map(); // scopeSuffix -> { flag, scope }
+  const columns = new Map(); // metric key -> { col, metric, flag }
+
+  for (const c of scopedClauses) {
+    const metric = normalizeMetricName(c?.metric);
+    if (!RACE_METRICS[metric] || !c?.scope) continue;
+    const suffix = scopeSuffix(c.scope);
+    if (!scopes.has(suffix)) scopes.set(suffix, { flag: `s${scopes.size}`, scope: c.scope });
+    const key = metric + suffix;
+    if (!columns.has(key)) columns.set(key, { col: `m${columns.size}`, metric, flag: scopes.get(suffix).flag });
+  }
+  if (!columns.size) return;
+
+  const currentSeasonId = [...scopes.values()].some((x) => x.scope.season === "current")
+    ? await loadCurrentSeasonId(db)
+    : "";
+
+  const flagSql = [];
+  const flagParams = [];
+  for (const { flag, scope } of scopes.values()) {
+    const cond = scopeConditionSql(scope, currentSeasonId);
+    flagSql.push(`CASE WHEN ${cond.sql} THEN 1 ELSE 0 END AS ${flag}`);
+    flagParams.push(...cond.params);
+  }
+
+  const counted = await countedCompetitionSql(db, "c");
+  const sql = `
+    WITH scoped_rows AS (
+      SELECT
+        r.viewer_user_id,
+        r.status,
+        r.finish_position,
+        ${flagSql.join(",\n        ")}
+      FROM competition_results r
+      JOIN competitions c ON c.id = r.competition_id ${counted ? `AND ${counted}` : ""}
+      WHERE r.viewer_user_id IN (${placeholders(ids.length)})
+    )
+    SELECT
+      viewer_user_id AS viewerUserId,
+      ${[...columns.values()]
+        .map(({ col, metric, flag }) => `SUM(CASE WHEN ${flag} = 1 AND ${RACE_METRICS[metric]} THEN 1 ELSE 0 END) AS ${col}`)
+        .join(",\n      ")}
+    FROM scoped_rows
+    GROUP BY viewer_user_id
+  `;
+
+  const res = await db.prepare(sql).bind(...flagParams, ...ids).all();
+  const rowsByViewer = new Map();
+  for (const r of Array.isArray(res?.results) ? res.results : []) rowsByViewer.set(toStr(r?.viewerUserId), r);
+
+  for (const [uid, s] of map) {
+    const r = rowsByViewer.get(uid);
+    for (const [key, { col }] of columns) s[key] = Number(r?.[col] || 0) || 0;
+  }
+}
+
+// streaksAsOf: { startedAtMs, competitionId } to take the current streaks as of that race.
+async function loadViewerStats(env, viewerUserIds, { scopedClauses = [], streaks = false, streaksAsOf = null } = {}) {
   const ids = uniqStrings(viewerUserIds);
   if (!ids.length) return new Map();
 
+  const counted = await countedCompetitionSql(env.VF_D1_STATS, "c");
+  const countedJoin = counted ? `JOIN competitions c ON c.id = r.competition_id AND ${counted}` : "";
+
   const sql = `
     SELECT
-      viewer_user_id AS viewerUserId,
+      r.viewer_user_id AS viewerUserId,
       COUNT(*) AS races,
-      SUM(CASE WHEN status = 'FINISHED' THEN 1 ELSE 0 END) AS finished,
-      SUM(CASE WHEN status = 'FINISHED' AND finish_position = 1 THEN 1 ELSE 0 END) AS wins,
-      SUM(CASE WHEN status != 'FINISHED' THEN 1 ELSE 0 END) AS dnf
-    FROM competition_results
-    WHERE viewer_user_id IN (${placeholders(ids.length)})
-    GROUP BY viewer_user_id
+      SUM(CASE WHEN r.status = 'FINISHED' THEN 1 ELSE 0 END) AS finished,
+      SUM(CASE WHEN r.status = 'FINISHED' AND r.finish_position = 1 THEN 1 ELSE 0 END) AS wins,
+      SUM(CASE WHEN r.status = 'FINISHED' AND r.finish_position BETWEEN 1 AND 3 THEN 1 ELSE 0 END) AS podiums,
+      SUM(CASE WHEN r.status != 'FINISHED' THEN 1 ELSE 0 END) AS dnf
+    FROM competition_results r
+    ${countedJoin}
+    WHERE r.viewer_user_id IN (${placeholders(ids.length)})
+    GROUP BY r.viewer_user_id
   `;
 
   const res = await env.VF_D1_STATS.prepare(sql).bind(...ids).all();
@@ -256,6 +742,7 @@ async function loadViewerStats(env, viewerUserIds) {
       races: Number(r?.races || 0) || 0,
       finished: Number(r?.finished || 0) || 0,
       wins: Number(r?.wins || 0) || 0,
+      podiums: Number(r?.podiums || 0) || 0,
       dnf: Number(r?.dnf || 0) || 0,
       actions: {},
     });
@@ -264,7 +751,42 @@ async function loadViewerStats(env, viewerUserIds) {
   // Ensure every id has a row
   for (const uid of ids) {
     if (!map.has(uid)) {
-      map.set(uid, { races: 0, finished: 0, wins: 0, dnf: 0, actions: {} });
+      map.set(uid, { races: 0, finished: 0, wins: 0, podiums: 0, dnf: 0, actions: {} });
+    }
+  }
+
+  if (scopedClauses.length) await loadScopedViewerStats(env, ids, scopedClauses, map);
+
+  if (streaks) {
+    const streakMap = await loadViewerStreaks(env.VF_D1_STATS, ids);
+    const asOfMap = streaksAsOf ? await loadViewerStreaks(env.VF_D1_STATS, ids, { asOf: streaksAsOf }) : null;
+    for (const [uid, s] of map) {
+      for (const [name, value] of Object.entries(streakMap.get(uid) || {})) s[name.toLowerCase()] = value;
+      for (const name of asOfMap ? CURRENT_STREAK_METRICS : []) s[name.toLowerCase()] = asOfMap.get(uid)?.[name] || 0;
+    }
+  }
+
+  // Season results come from the frozen archive, so they never change once awarded.
+  if (await schemaAtLeast(env.VF_D1_STATS, SCHEMA.seasonFinals)) {
+    const seasonRes = await env.VF_D1_STATS.prepare(
+      `SELECT
+         viewer_user_id AS viewerUserId,
+         SUM(CASE WHEN rank = 1 THEN 1 ELSE 0 END) AS championships,
+         SUM(CASE WHEN rank <= 10 THEN 1 ELSE 0 END) AS seasontop10,
+         COUNT(*) AS seasons
+       FROM season_final_standings
+       WHERE viewer_user_id IN (${placeholders(ids.length)})
+       GROUP BY viewer_user_id`,
+    )
+      .bind(...ids)
+      .all();
+
+    for (const r of Array.isArray(seasonRes?.results) ? seasonRes.results : []) {
+      const s = map.get(toStr(r?.viewerUserId));
+      if (!s) continue;
+      s.championships = Number(r?.championships || 0) || 0;
+      s.seasontop10 = Number(r?.seasontop10 || 0) || 0;
+      s.seasons = Number(r?.seasons || 0) || 0;
     }
   }
 
@@ -298,14 +820,19 @@ async function loadViewerActions(env, viewerUserIds, actionKeys) {
   return map;
 }
 
-async function loadExistingUnlocks(env, viewerUserIds, achievementIds) {
+// viewer_achievements.tier arrives with migration 0016; until then only plain achievements unlock.
+async function hasTierColumn(env) {
+  return schemaAtLeast(env.VF_D1_STATS, SCHEMA.achievementTiers);
+}
+
+async function loadExistingUnlocks(env, viewerUserIds, achievementIds, { hasTiers = false } = {}) {
   const ids = uniqStrings(viewerUserIds);
   const ach = (Array.isArray(achievementIds) ? achievementIds : []).map((x) => Number(x) || 0).filter((x) => x > 0);
 
   if (!ids.length || !ach.length) return new Set();
 
   const sql = `
-    SELECT viewer_user_id AS viewerUserId, achievement_id AS achievementId
+    SELECT viewer_user_id AS viewerUserId, achievement_id AS achievementId, ${hasTiers ? "tier" : "0"} AS tier
     FROM viewer_achievements
     WHERE viewer_user_id IN (${placeholders(ids.length)})
       AND achievement_id IN (${placeholders(ach.length)})
@@ -318,7 +845,7 @@ async function loadExistingUnlocks(env, viewerUserIds, achievementIds) {
     const uid = toStr(r?.viewerUserId);
     const aid = Number(r?.achievementId || 0) || 0;
     if (!uid || !aid) continue;
-    set.add(`${uid}::${aid}`);
+    set.add(`${uid}::${aid}::${Number(r?.tier || 0) || 0}`);
   }
 
   return set;
@@ -328,9 +855,17 @@ async function loadExistingUnlocks(env, viewerUserIds, achievementIds) {
 // Main entry: award
 // ------------------------------
 
+/**
+ * Unlocks every achievement (tier) the viewers have earned and don't have yet.
+ * metrics: only evaluate achievements whose criteria use one of these metrics (e.g. SEASON_METRICS).
+ * sourceRefs: per-viewer source_ref (Map viewerUserId -> ref) for viewers whose unlocking race
+ * differs (batch replays); everyone else gets sourceRef.
+ */
 export async function awardAchievementsForViewers(env, viewerUserIds, {
   source = "",
   sourceRef = "",
+  sourceRefs = null,
+  metrics = null,
 } = {}) {
   if (!env?.VF_D1_STATS) return [];
 
@@ -347,13 +882,19 @@ export async function awardAchievementsForViewers(env, viewerUserIds, {
 
   if (!achievements.length) return [];
 
-  // Parse criteria and collect required action keys.
+  const hasTiers = await hasTierColumn(env);
+  const onlyMetrics = metrics ? new Set(metrics.map(normalizeMetricName)) : null;
+
+  // Parse criteria and collect required action keys + scoped metrics.
   const compiled = [];
   const actionKeys = new Set();
+  const scopedClauses = [];
 
   for (const a of achievements) {
     const parsed = parseAchievementCriteria(a?.criteria);
     if (!parsed.ok) continue;
+    if (parsed.tiers && !hasTiers) continue;
+    if (onlyMetrics && !parsed.clauses.some((c) => onlyMetrics.has(normalizeMetricName(c?.metric)))) continue;
 
     // collect action keys in criteria
     for (const c of parsed.clauses) {
@@ -362,6 +903,7 @@ export async function awardAchievementsForViewers(env, viewerUserIds, {
         const key = m.slice("action:".length);
         if (key) actionKeys.add(key);
       }
+      if (c.scope) scopedClauses.push(c);
     }
 
     compiled.push({
@@ -370,6 +912,7 @@ export async function awardAchievementsForViewers(env, viewerUserIds, {
       description: toStr(a?.description),
       criteria: toStr(a?.criteria),
       clauses: parsed.clauses,
+      tiers: criteriaTiers(parsed),
     });
   }
 
@@ -378,7 +921,10 @@ export async function awardAchievementsForViewers(env, viewerUserIds, {
   const achievementIds = compiled.map((a) => a.id);
 
   // Load stats + actions
-  const statsMap = await loadViewerStats(env, viewerIds);
+  const statsMap = await loadViewerStats(env, viewerIds, {
+    scopedClauses,
+    streaks: needsStreaks(compiled.flatMap((a) => a.clauses)),
+  });
   const actMap = await loadViewerActions(env, viewerIds, Array.from(actionKeys));
 
   for (const uid of viewerIds) {
@@ -388,7 +934,7 @@ export async function awardAchievementsForViewers(env, viewerUserIds, {
   }
 
   // Existing unlocks (avoid re-inserting)
-  const existing = await loadExistingUnlocks(env, viewerIds, achievementIds);
+  const existing = await loadExistingUnlocks(env, viewerIds, achievementIds, { hasTiers });
 
   const nowMs = Date.now();
   const unlocked = [];
@@ -397,35 +943,45 @@ export async function awardAchievementsForViewers(env, viewerUserIds, {
   // (Using INSERT OR IGNORE for safety; meta.changes tells us if the insert happened.)
   for (const uid of viewerIds) {
     const metrics = statsMap.get(uid) || { races: 0, finished: 0, wins: 0, dnf: 0, actions: {} };
+    const ref = toStr(sourceRefs?.get(uid) ?? sourceRef);
 
     for (const a of compiled) {
       if (!a?.id) continue;
 
-      const key = `${uid}::${a.id}`;
-      if (existing.has(key)) continue;
-
-      const ok = evaluateAchievementCriteria(a.clauses, metrics);
-      if (!ok) continue;
-
-      const res = await env.VF_D1_STATS.prepare(
-        `INSERT OR IGNORE INTO viewer_achievements
-           (viewer_user_id, achievement_id, unlocked_at_ms, source, source_ref)
-         VALUES (?, ?, ?, ?, ?)`,
-      )
-        .bind(uid, a.id, nowMs, toStr(source), toStr(sourceRef))
-        .run();
-
-      const changes = Number(res?.meta?.changes || 0) || 0;
-      if (changes > 0) {
-        unlocked.push({
-          viewerUserId: uid,
-          achievementId: a.id,
-          achievementName: a.name,
-          unlockedAtMs: nowMs,
-        });
-
-        // Avoid duplicate inserts in this run.
-        existing.add(key);
+      // Tiers unlock in order: stop at the first one that isn't earned yet.
+      for (const t of a.tiers) {
+        const key = `${uid}::${a.id}::${t.tier}`;
+        if (existing.has(key)) continue;
+
+        const ok = evaluateAchievementCriteria(t.tree, metrics);
+        if (!ok) break;
+
+        const stmt = t.tier
+          ? env.VF_D1_STATS.prepare(
+              `INSERT OR IGNORE INTO viewer_achievements
+                 (viewer_user_id, achievement_id, unlocked_at_ms, source, source_ref, tier)
+               VALUES (?, ?, ?, ?, ?, ?)`,
+            ).bind(uid, a.id, nowMs, toStr(source), ref, t.tier)
+          : env.VF_D1_STATS.prepare(
+              `INSERT OR IGNORE INTO viewer_achievements
+                 (viewer_user_id, achievement_id, unlocked_at_ms, source, source_ref)
+               VALUES (?, ?, ?, ?, ?)`,
+            ).bind(uid, a.id, nowMs, toStr(source), ref);
+        const res = await stmt.run();
+
+        const changes = Number(res?.meta?.changes || 0) || 0;
+        if (changes > 0) {
+          unlocked.push({
+            viewerUserId: uid,
+            achievementId: a.id,
+            achievementName: a.name,
+            ...(t.tier ? { tier: t.tier, tierName: t.name } : {}),
+            unlockedAtMs: nowMs,
+          });
+
+          // Avoid duplicate inserts in this run.
+          existing.add(key);
+        }
       }
     }
   }
@@ -433,6 +989,203 @@ export async function awardAchievementsForViewers(env, viewerUserIds, {
   return unlocked;
 }
 
+// ------------------------------
+// Revoke / restore (voided competitions)
+// ------------------------------
+
+/**
+ * Re-evaluates the unlocks attributed to one race (viewer_achievements.source_ref) against the
+ * viewers' CURRENT metrics and revokes the ones that are no longer earned. A tier is checked
+ * against its own criteria; losing it also revokes the higher tiers of that achievement.
+ * Current streaks (winStreak, ...) are taken as of that race instead: a streak lost in later races
+ * was still earned.
+ *
+ * Revoked rows are archived in viewer_achievement_revocations under `revokedFor` so
+ * restoreRevokedAchievements() can put them back unchanged. Without that table nothing is revoked.
+ */
+export async function revokeUnearnedAchievements(env, sourceRef, { revokedFor = "" } = {}) {
+  const db = env?.VF_D1_STATS;
+  const ref = toStr(sourceRef);
+  const key = toStr(revokedFor);
+  if (!db || !ref || !key) return { ok: false, skipped: true, reason: "missing_input", revoked: [] };
+
+  if (!(await schemaAtLeast(db, SCHEMA.competitionVoid))) {
+    return { ok: false, skipped: true, reason: "no_revocations_table", revoked: [] };
+  }
+
+  const hasTiers = await hasTierColumn(env);
+  const tierCol = hasTiers ? "tier" : "0";
+
+  const unlockRows = await db
+    .prepare(
+      `SELECT viewer_user_id, achievement_id, ${tierCol} AS tier, unlocked_at_ms, source, source_ref
+       FROM viewer_achievements
+       WHERE source_ref = ?`,
+    )
+    .bind(ref)
+    .all();
+  const unlocks = Array.isArray(unlockRows?.results) ? unlockRows.results : [];
+  if (!unlocks.length) return { ok: true, revoked: [] };
+
+  // Only active achievements are re-checked; disabled ones keep their historical unlocks.
+  const byId = new Map();
+  const actionKeys = new Set();
+  const scopedClauses = [];
+  for (const a of await listActiveAchievements(env)) {
+    const parsed = parseAchievementCriteria(a?.criteria);
+    if (!parsed.ok) continue;
+    for (const c of parsed.clauses) {
+      const m = normalizeMetricName(c?.metric);
+      if (m.startsWith("action:")) actionKeys.add(m.slice("action:".length));
+      if (c.scope) scopedClauses.push(c);
+    }
+    byId.set(Number(a?.id || 0) || 0, {
+      name: toStr(a?.name),
+      clauses: parsed.clauses,
+      tiers: new Map(criteriaTiers(parsed).map((t) => [t.tier, t])),
+    });
+  }
+
+  // source_ref is the competition id (see ingestCompetition).
+  const race = /^[0-9]+$/.test(ref)
+    ? await db.prepare("SELECT id, started_at_ms FROM competitions WHERE id = ? LIMIT 1").bind(Number(ref)).first()
+    : null;
+
+  const viewerIds = uniqStrings(unlocks.map((u) => u?.viewer_user_id));
+  const statsMap = await loadViewerStats(env, viewerIds, {
+    scopedClauses,
+    streaks: needsStreaks([...byId.values()].flatMap((a) => a.clauses)),
+    streaksAsOf: race ? { startedAtMs: Number(race.started_at_ms || 0) || 0, competitionId: Number(race.id) } : null,
+  });
+  const actMap = await loadViewerActions(env, viewerIds, Array.from(actionKeys));
+
+  const nowMs = Date.now();
+  const revoked = [];
+  const statements = [];
+  const seen = new Set();
+
+  const revoke = (u, a) => {
+    const uid = toStr(u?.viewer_user_id);
+    const aid = Number(u?.achievement_id || 0) || 0;
+    const tier = Number(u?.tier || 0) || 0;
+    const unlockKey = `${uid}::${aid}::${tier}`;
+    if (seen.has(unlockKey)) return;
+    seen.add(unlockKey);
+
+    statements.push(
+      hasTiers
+        ? db.prepare(
+            `INSERT OR REPLACE INTO viewer_achievement_revocations
+               (revoked_for, viewer_user_id, achievement_id, tier, unlocked_at_ms, source, source_ref, revoked_at_ms)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          ).bind(key, uid, aid, tier, Number(u?.unlocked_at_ms || 0) || nowMs, toStr(u?.source), toStr(u?.source_ref), nowMs)
+        : db.prepare(
+            `INSERT OR REPLACE INTO viewer_achievement_revocations
+               (revoked_for, viewer_user_id, achievement_id, unlocked_at_ms, source, source_ref, revoked_at_ms)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          ).bind(key, uid, aid, Number(u?.unlocked_at_ms || 0) || nowMs, toStr(u?.source), toStr(u?.source_ref), nowMs),
+      db
+        .prepare(`DELETE FROM viewer_achievements WHERE viewer_user_id = ? AND achievement_id = ? AND ${tierCol} = ?`)
+        .bind(uid, aid, tier),
+    );
+    revoked.push({
+      viewerUserId: uid,
+      achievementId: aid,
+      achievementName: a.name,
+      ...(tier ? { tier, tierName: a.tiers.get(tier)?.name || "" } : {}),
+    });
+  };
+
+  for (const u of unlocks) {
+    const uid = toStr(u?.viewer_user_id);
+    const aid = Number(u?.achievement_id || 0) || 0;
+    const tier = Number(u?.tier || 0) || 0;
+    const a = byId.get(aid);
+    const t = a?.tiers.get(tier);
+    if (!uid || !t) continue;
+
+    const metrics = statsMap.get(uid) || { races: 0, finished: 0, wins: 0, dnf: 0, actions: {} };
+    metrics.actions = actMap.get(uid) || {};
+    if (evaluateAchievementCriteria(t.tree, metrics)) continue;
+
+    revoke(u, a);
+
+    // Tiers are ordered, so the ones above a lost tier go with it (whichever race unlocked them).
+    if (tier) {
+      const above = await db
+        .prepare(
+          `SELECT viewer_user_id, achievement_id, tier, unlocked_at_ms, source, source_ref
+           FROM viewer_achievements
+           WHERE viewer_user_id = ? AND achievement_id = ? AND tier > ?`,
+        )
+        .bind(uid, aid, tier)
+        .all();
+      for (const h of Array.isArray(above?.results) ? above.results : []) revoke(h, a);
+    }
+  }
+
+  if (statements.length) await db.batch(statements);
+  return { ok: true, revoked };
+}
+
+/**
+ * Puts back every unlock archived under `revokedFor` (original timestamp + source).
+ * If the viewer re-earned the achievement in the meantime, the earlier unlock wins.
+ */
+export async function restoreRevokedAchievements(env, revokedFor) {
+  const db = env?.VF_D1_STATS;
+  const key = toStr(revokedFor);
+  if (!db || !key) return { ok: false, skipped: true, reason: "missing_input", restored: [] };
+
+  if (!(await schemaAtLeast(db, SCHEMA.competitionVoid))) {
+    return { ok: false, skipped: true, reason: "no_revocations_table", restored: [] };
+  }
+
+  const hasTiers = await hasTierColumn(env);
+
+  const rs = await db
+    .prepare(
+      `SELECT viewer_user_id, achievement_id, ${hasTiers ? "tier" : "0"} AS tier, unlocked_at_ms, source, source_ref
+       FROM viewer_achievement_revocations
+       WHERE revoked_for = ?`,
+    )
+    .bind(key)
+    .all();
+  const rows = Array.isArray(rs?.results) ? rs.results : [];
+
+  const statements = rows.map((r) =>
+    db.prepare(
+      `INSERT INTO viewer_achievements (viewer_user_id, achievement_id, unlocked_at_ms, source, source_ref${hasTiers ? ", tier" : ""})
+       VALUES (?, ?, ?, ?, ?${hasTiers ? ", ?" : ""})
+       ON CONFLICT(viewer_user_id, achievement_id${hasTiers ? ", tier" : ""}) DO UPDATE SET
+         unlocked_at_ms = excluded.unlocked_at_ms,
+         source = excluded.source,
+         source_ref = excluded.source_ref
+       WHERE excluded.unlocked_at_ms < viewer_achievements.unlocked_at_ms`,
+    ).bind(
+      toStr(r?.viewer_user_id),
+      Number(r?.achievement_id || 0) || 0,
+      Number(r?.unlocked_at_ms || 0) || 0,
+      toStr(r?.source),
+      toStr(r?.source_ref),
+      ...(hasTiers ? [Number(r?.tier || 0) || 0] : []),
+    ),
+  );
+  statements.push(db.prepare("DELETE FROM viewer_achievement_revocations WHERE revoked_for = ?").bind(key));
+
+  await db.batch(statements);
+
+  return {
+    ok: true,
+    restored: rows.map((r) => ({
+      viewerUserId: toStr(r?.viewer_user_id),
+      achievementId: Number(r?.achievement_id || 0) || 0,
+      ...(Number(r?.tier || 0) ? { tier: Number(r.tier) } : {}),
+      unlockedAtMs: Number(r?.unlocked_at_ms || 0) || 0,
+    })),
+  };
+}
+
 // ------------------------------
 // Progress (for website UI)
 // ------------------------------
@@ -491,10 +1244,120 @@ function clauseProgress01(currentRaw, opRaw, targetRaw) {
   }
 }
 
-function metricLabel(normalizedMetric) {
+// Display names for the maps / seasons that scopes refer to (by id).
+async function loadScopeNames(env, scopedClauses) {
+  const db = env.VF_D1_STATS;
+  const mapIds = uniqStrings(scopedClauses.map((c) => c?.scope?.map));
+  const seasonIds = uniqStrings(scopedClauses.map((c) => c?.scope?.season).filter((x) => x !== "current"));
+  const names = { maps: new Map(), seasons: new Map() };
+
+  if (mapIds.length && (await schemaAtLeast(db, SCHEMA.cloudMaps))) {
+    const rs = await db
+      .prepare(`SELECT id, name FROM vf_maps WHERE id IN (${placeholders(mapIds.length)})`)
+      .bind(...mapIds.map(Number))
+      .all();
+    for (const r of Array.isArray(rs?.results) ? rs.results : []) {
+      if (toStr(r?.name)) names.maps.set(String(r.id), toStr(r.name));
+    }
+  }
+
+  if (seasonIds.length && (await schemaAtLeast(db, SCHEMA.usersAndSeasons))) {
+    const rs = await db
+      .prepare(`SELECT season_id, name FROM vf_seasons WHERE LOWER(season_id) IN (${placeholders(seasonIds.length)})`)
+      .bind(...seasonIds)
+      .all();
+    for (const r of Array.isArray(rs?.results) ? rs.results : []) {
+      if (toStr(r?.name)) names.seasons.set(toStr(r.season_id).toLowerCase(), toStr(r.name));
+    }
+  }
+
+  return names;
+}
+
+function capitalize(s) {
+  return s ? s.charAt(0).toUpperCase() + s.slice(1) : s;
+}
+
+// "Space vehicles, Neon Loop, this season, Race mode"
+function scopeLabel(scope, names) {
+  const parts = [];
+  if (scope.type !== undefined) parts.push(`${capitalize(scope.type)} vehicles`);
+  if (scope.map !== undefined) parts.push(names?.maps?.get(scope.map) || `map #${scope.map}`);
+  if (scope.season !== undefined) {
+    parts.push(scope.season === "current" ? "this season" : names?.seasons?.get(scope.season) || `season ${scope.season}`);
+  }
+  if (scope.mode !== undefined) parts.push(`${capitalize(scope.mode)} mode`);
+  return parts.join(", ");
+}
+
+/**
+ * Progress of one criteria node for the achievements page:
+ * - clause      { metric, metricLabel, scope, op, target, current, satisfied, progress01 }
+ * - any(...)    the best branch's fields (highest progress01) + group: "any" and branches
+ * - all(...)    group: "all", current / target = parts satisfied / parts, progress01 = their
+ *               average, requirements = the parts
+ */
+function criteriaRequirement(node, metrics, scopeNames) {
+  if (node.group === "any") {
+    const branches = node.children.map((c) => criteriaRequirement(c, metrics, scopeNames));
+    const best = branches.reduce((a, b) => (b.progress01 > a.progress01 ? b : a));
+    return {
+      group: "any",
+      metric: best.metric,
+      metricLabel: best.metricLabel,
+      scope: best.scope,
+      op: best.op,
+      target: best.target,
+      current: best.current,
+      satisfied: branches.some((b) => b.satisfied),
+      progress01: best.progress01,
+      branches,
+    };
+  }
+
+  if (node.group === "all") {
+    const parts = node.children.map((c) => criteriaRequirement(c, metrics, scopeNames));
+    const satisfied = parts.filter((p) => p.satisfied).length;
+    return {
+      group: "all",
+      metric: parts.map((p) => p.metric).join(" + "),
+      metricLabel: `All of: ${parts.map((p) => p.metricLabel).join(", ")}`,
+      scope: null,
+      op: ">=",
+      target: parts.length,
+      current: satisfied,
+      satisfied: satisfied === parts.length,
+      progress01: clamp01(parts.reduce((sum, p) => sum + p.progress01, 0) / parts.length),
+      requirements: parts,
+    };
+  }
+
+  const metric = normalizeMetricName(node.metric);
+  const current = clauseCurrentValue(node, metrics);
+  const target = Number(node.value || 0) || 0;
+  const op = toStr(node.op);
+  return {
+    metric: clauseMetricKey(node),
+    metricLabel: metricLabel(metric, node.scope, scopeNames),
+    scope: node.scope,
+    op,
+    target,
+    current,
+    satisfied: compareOp(current, op, target),
+    progress01: clauseProgress01(current, op, target),
+  };
+}
+
+function metricLabel(normalizedMetric, scope = null, names = null) {
   const m = toStr(normalizedMetric);
   if (!m) return "";
 
+  if (scope) {
+    const base = metricLabel(m);
+    const where = scopeLabel(scope, names);
+    return where ? `${base} (${where})` : base;
+  }
+
   if (m.startsWith("action:")) {
     const key = m.slice("action:".length);
 
@@ -521,17 +1384,37 @@ function metricLabel(normalizedMetric) {
       return "Finished";
     case "dnf":
       return "DNF";
+    case "podiums":
+      return "Podiums";
+    case "championships":
+      return "Season championships";
+    case "seasontop10":
+      return "Season top 10 finishes";
+    case "seasons":
+      return "Seasons played";
+    case "winstreak":
+      return "Win streak";
+    case "podiumstreak":
+      return "Podium streak";
+    case "finishstreak":
+      return "Finish streak";
+    case "bestwinstreak":
+      return "Best win streak";
+    case "daysactivestreak":
+      return "Days active in a row";
     default:
       return m;
   }
 }
 
+// "achievementId:tier" -> unlocked_at_ms
 async function loadUnlockMap(env, viewerUserId) {
   const uid = toStr(viewerUserId);
   if (!uid) return new Map();
 
+  const hasTiers = await hasTierColumn(env);
   const res = await env.VF_D1_STATS.prepare(
-    `SELECT achievement_id AS achievementId, unlocked_at_ms AS unlockedAtMs
+    `SELECT achievement_id AS achievementId, ${hasTiers ? "tier" : "0"} AS tier, unlocked_at_ms AS unlockedAtMs
      FROM viewer_achievements
      WHERE viewer_user_id = ?`,
   )
@@ -542,7 +1425,7 @@ async function loadUnlockMap(env, viewerUserId) {
   for (const r of Array.isArray(res?.results) ? res.results : []) {
     const aid = Number(r?.achievementId || 0) || 0;
     const ts = Number(r?.unlockedAtMs || 0) || 0;
-    if (aid > 0 && ts > 0) map.set(aid, ts);
+    if (aid > 0 && ts > 0) map.set(`${aid}:${Number(r?.tier || 0) || 0}`, ts);
   }
   return map;
 }
@@ -550,7 +1433,10 @@ async function loadUnlockMap(env, viewerUserId) {
 /**
  * Returns all active achievements + completion + progress for a single viewer.
  *
- * Response format is tailored for the website Achievements page.
+ * Response format is tailored for the website Achievements page. Tiered achievements also carry
+ * tiers [{ tier, name, unlockedAtMs }], currentTier (0 = none yet), currentTierName and
+ * nextTier { tier, name } (null once the top tier is reached); their requirements / progress
+ * are for the next tier.
  */
 export async function getAchievementProgressForViewer(env, viewerUserId) {
   if (!env?.VF_D1_STATS) {
@@ -575,27 +1461,25 @@ export async function getAchievementProgressForViewer(env, viewerUserId) {
     };
   }
 
-  // Parse + compile criteria; collect action keys so we only query what we need.
+  // Parse + compile criteria; collect action keys + scoped metrics so we only query what we need.
   const compiled = [];
   const actionKeys = new Set();
+  const scopedClauses = [];
+  const allClauses = [];
 
   for (const a of Array.isArray(achievements) ? achievements : []) {
     const parsed = parseAchievementCriteria(a?.criteria);
     if (!parsed.ok) continue;
 
-    const clauses = parsed.clauses.map((c) => {
+    allClauses.push(...parsed.clauses);
+    for (const c of parsed.clauses) {
       const metric = normalizeMetricName(c?.metric);
       if (metric.startsWith("action:")) {
         const key = metric.slice("action:".length);
         if (key) actionKeys.add(key);
       }
-      return {
-        metricRaw: toStr(c?.metric),
-        metric,
-        op: toStr(c?.op),
-        target: Number(c?.value || 0) || 0,
-      };
-    });
+      if (c.scope) scopedClauses.push(c);
+    }
 
     compiled.push({
       id: Number(a?.id || 0) || 0,
@@ -603,13 +1487,15 @@ export async function getAchievementProgressForViewer(env, viewerUserId) {
       description: toStr(a?.description),
       hidden: Number(a?.hidden || 0) || 0,
       criteria: toStr(a?.criteria),
-      clauses,
+      tree: parsed.tree,
+      tiers: parsed.tiers,
     });
   }
 
   // Viewer metrics
-  const statsMap = await loadViewerStats(env, [uid]);
+  const statsMap = await loadViewerStats(env, [uid], { scopedClauses, streaks: needsStreaks(allClauses) });
   const actMap = await loadViewerActions(env, [uid], Array.from(actionKeys));
+  const scopeNames = scopedClauses.length ? await loadScopeNames(env, scopedClauses) : null;
 
   const metrics = statsMap.get(uid) || { races: 0, finished: 0, wins: 0, dnf: 0, actions: {} };
   metrics.actions = actMap.get(uid) || {};
@@ -622,47 +1508,39 @@ export async function getAchievementProgressForViewer(env, viewerUserId) {
   for (const a of compiled) {
     if (!a?.id) continue;
 
-    const unlockedAtMs = unlockMap.get(a.id) || 0;
-
-    // Hidden achievements are not shown to the viewer until they are unlocked.
-    if (a.hidden && unlockedAtMs <= 0) continue;
-
-    const eligibleNow = evaluateAchievementCriteria(
-      a.clauses.map((x) => ({ metric: x.metricRaw, op: x.op, value: x.target })),
-      metrics,
-    );
-
-    const reqs = [];
-    let hasAnyProgress = false;
-    let sumProgress = 0;
-    let satisfiedCount = 0;
-
-    for (const c of a.clauses) {
-      let current = 0;
-      if (c.metric.startsWith("action:")) {
-        const key = c.metric.slice("action:".length);
-        current = Number(metrics?.actions?.[key] || 0) || 0;
-      } else {
-        current = Number(metrics?.[c.metric] || 0) || 0;
-      }
+    // Tiered: progress is toward the next tier (the top tier once it's reached) and the
+    // achievement counts as unlocked when the top tier is.
+    let tierInfo = null;
+    let tree = a.tree;
+    let unlockedAtMs = unlockMap.get(`${a.id}:0`) || 0;
+
+    if (a.tiers) {
+      const tiers = a.tiers.map((t) => ({ tier: t.tier, name: t.name, unlockedAtMs: unlockMap.get(`${a.id}:${t.tier}`) || 0 }));
+      let currentTier = 0;
+      while (currentTier < tiers.length && tiers[currentTier].unlockedAtMs > 0) currentTier += 1;
+      const next = tiers[currentTier] || null;
+
+      tree = a.tiers[Math.min(currentTier, tiers.length - 1)].tree;
+      unlockedAtMs = next ? 0 : tiers[tiers.length - 1].unlockedAtMs;
+      tierInfo = {
+        tiers,
+        currentTier,
+        currentTierName: currentTier ? tiers[currentTier - 1].name : "",
+        nextTier: next ? { tier: next.tier, name: next.name } : null,
+      };
+    }
 
-      const satisfied = compareOp(current, c.op, c.target);
-      const p01 = clauseProgress01(current, c.op, c.target);
+    // Hidden achievements are not shown to the viewer until they are unlocked (any tier).
+    if (a.hidden && unlockedAtMs <= 0 && !tierInfo?.currentTier) continue;
 
-      if (p01 > 0) hasAnyProgress = true;
-      sumProgress += p01;
-      if (satisfied) satisfiedCount += 1;
+    const eligibleNow = evaluateAchievementCriteria(tree, metrics);
 
-      reqs.push({
-        metric: c.metric,
-        metricLabel: metricLabel(c.metric),
-        op: c.op,
-        target: c.target,
-        current,
-        satisfied,
-        progress01: p01,
-      });
-    }
+    // One requirement per top-level item (line); groups carry their parts.
+    const items = tree.group === "all" ? tree.children : [tree];
+    const reqs = items.map((node) => criteriaRequirement(node, metrics, scopeNames));
+    const hasAnyProgress = reqs.some((r) => r.progress01 > 0) || !!tierInfo?.currentTier;
+    const sumProgress = reqs.reduce((sum, r) => sum + r.progress01, 0);
+    const satisfiedCount = reqs.filter((r) => r.satisfied).length;
 
     const avgProgress = reqs.length ? sumProgress / reqs.length : 0;
     const overallProgress01 = unlockedAtMs > 0 ? 1 : eligibleNow ? 1 : clamp01(avgProgress);
@@ -679,6 +1557,7 @@ export async function getAchievementProgressForViewer(env, viewerUserId) {
       requirementsSatisfied: satisfiedCount,
       requirementsTotal: reqs.length,
       requirements: reqs,
+      ...(tierInfo || {}),
     });
   }
 
@@ -689,7 +1568,16 @@ export async function getAchievementProgressForViewer(env, viewerUserId) {
       races: Number(metrics?.races || 0) || 0,
       finished: Number(metrics?.finished || 0) || 0,
       wins: Number(metrics?.wins || 0) || 0,
+      podiums: Number(metrics?.podiums || 0) || 0,
       dnf: Number(metrics?.dnf || 0) || 0,
+      championships: Number(metrics?.championships || 0) || 0,
+      seasonTop10: Number(metrics?.seasontop10 || 0) || 0,
+      seasons: Number(metrics?.seasons || 0) || 0,
+      winStreak: Number(metrics?.winstreak || 0) || 0,
+      podiumStreak: Number(metrics?.podiumstreak || 0) || 0,
+      finishStreak: Number(metrics?.finishstreak || 0) || 0,
+      bestWinStreak: Number(metrics?.bestwinstreak || 0) || 0,
+      daysActiveStreak: Number(metrics?.daysactivestreak || 0) || 0,
       actions: metrics?.actions || {},
     },
     achievements: out,
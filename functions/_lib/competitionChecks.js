@@ -0,0 +1,114 @@
+// functions/_lib/competitionChecks.js
+//
+// Server-side plausibility checks for submitted competitions.
+//
+// A competition that fails any check is stored as usual but QUARANTINED: it is excluded from
+// leaderboards, achievements and map baselines until the streamer approves it
+// (POST /api/v1/streamer/competitions/{competitionUuid}/approve).
+//
+// Checks only look at the raw payload (+ the map's cached finish time), so they are cheap and
+// deterministic. Each failure becomes a reason object stored as JSON in competitions.quarantine_reasons.
+
+// A FINISHED time below this fraction of the map's average winning time is implausible.
+export const MIN_FINISH_TIME_RATIO = 0.5;
+
+// Clock slack between Unity's race timer and the competition start/end timestamps.
+export const RACE_DURATION_GRACE_MS = 5_000;
+
+// Keep the stored reasons list small; the first few are enough to review a race.
+const MAX_REASONS = 25;
+
+function toStr(v) {
+  return String(v ?? "").trim();
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function resultId(r) {
+  return toStr(r?.userId) || toStr(r?.login);
+}
+
+/**
+ * Runs every check against one competition payload.
+ *
+ * @param {object} input
+ * @param {number} input.startedAtMs
+ * @param {number} input.endedAtMs
+ * @param {Array<object>} input.results  raw result objects as sent by Unity
+ * @param {number} [input.baselineFinishTimeMs]  vf_maps.finish_time_ms for the same map definition (0 = unknown)
+ * @returns {{ quarantined: boolean, reasons: Array<{ code: string, message: string, viewerUserId?: string }> }}
+ */
+export function checkCompetitionPlausibility({ startedAtMs, endedAtMs, results, baselineFinishTimeMs = 0 } = {}) {
+  const reasons = [];
+  const add = (code, message, viewerUserId = "") => {
+    if (reasons.length >= MAX_REASONS) return;
+    reasons.push(viewerUserId ? { code, message, viewerUserId } : { code, message });
+  };
+
+  // endedAtMs >= startedAtMs is already enforced by submit validation.
+  const started = Number(startedAtMs) || 0;
+  const ended = Number(endedAtMs) || 0;
+  const durationMs = started > 0 && ended >= started ? ended - started : null;
+
+  const baseline = Number(baselineFinishTimeMs) || 0;
+  const minPlausibleMs = baseline > 0 ? Math.round(baseline * MIN_FINISH_TIME_RATIO) : 0;
+
+  const positions = new Map(); // finish position -> first viewer id
+
+  for (const r of Array.isArray(results) ? results : []) {
+    if (!r) continue;
+    const uid = resultId(r);
+    if (!uid) continue;
+
+    const finished = toStr(r?.status).toUpperCase() === "FINISHED";
+    const timeMs = numOrNull(r?.timeMs);
+
+    const progress = numOrNull(r?.progress01);
+    if (r?.progress01 !== undefined && r?.progress01 !== null && (progress === null || progress < 0 || progress > 1.001)) {
+      add("invalid_progress", `progress01 ${toStr(r.progress01)} is outside 0..1.`, uid);
+    }
+
+    if (!finished) continue;
+
+    if (timeMs === null || timeMs <= 0) {
+      add("finished_without_time", "FINISHED result has no finish time.", uid);
+    } else {
+      if (minPlausibleMs > 0 && timeMs < minPlausibleMs) {
+        add(
+          "finish_time_below_baseline",
+          `Finish time ${Math.trunc(timeMs)}ms is below ${Math.round(MIN_FINISH_TIME_RATIO * 100)}% of the map's ${baseline}ms baseline.`,
+          uid,
+        );
+      }
+      if (durationMs !== null && timeMs > durationMs + RACE_DURATION_GRACE_MS) {
+        add("finish_after_race_end", `Finish time ${Math.trunc(timeMs)}ms is longer than the race (${durationMs}ms).`, uid);
+      }
+    }
+
+    const pos = numOrNull(r?.position);
+    if (pos !== null && pos > 0) {
+      const p = Math.trunc(pos);
+      if (positions.has(p)) {
+        add("duplicate_finish_position", `Finish position ${p} is shared with ${positions.get(p)}.`, uid);
+      } else {
+        positions.set(p, uid);
+      }
+    }
+  }
+
+  return { quarantined: reasons.length > 0, reasons };
+}
+
+export function parseQuarantineReasons(raw) {
+  if (!raw) return [];
+  try {
+    const v = JSON.parse(String(raw));
+    return Array.isArray(v) ? v : [];
+  } catch {
+    return [];
+  }
+}
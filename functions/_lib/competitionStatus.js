@@ -0,0 +1,57 @@
+// functions/_lib/competitionStatus.js
+//
+// Which competitions count toward stats (leaderboards, achievements, map baselines, ...).
+//
+// A stored competition can be held back without deleting it:
+// - quarantined: failed a plausibility check on submit; counts again once a streamer approves it
+// - voided:      removed by the streamer (e.g. a test race); counts again if un-voided
+//
+// The status columns come with migrations 7 and 9, so on older DBs the filter degrades to
+// "everything counts".
+//
+// Bot results never count for viewers (achievements, ratings, records): botFilterSql() drops them.
+
+import { toStr } from "./dbUtil.js";
+import { SCHEMA, getSchemaVersion } from "./schemaMigrations.js";
+
+export async function getCompetitionStatusColumns(db) {
+  const version = await getSchemaVersion(db);
+  return { quarantined: version >= SCHEMA.quarantine, voided: version >= SCHEMA.competitionVoid };
+}
+
+/**
+ * SQL condition (no leading AND) that keeps only counted competitions, or "" when the DB
+ * has no status columns yet. `alias` is the competitions table alias used by the caller.
+ * Listing endpoints can opt back in to quarantined / voided races.
+ */
+export async function countedCompetitionSql(db, alias = "c", { includeQuarantined = false, includeVoided = false } = {}) {
+  const a = /^[A-Za-z_][A-Za-z0-9_]*$/.test(String(alias || "")) ? alias : "c";
+  const cols = await getCompetitionStatusColumns(db);
+
+  const parts = [];
+  if (cols.quarantined && !includeQuarantined) parts.push(`COALESCE(${a}.quarantined, 0) = 0`);
+  if (cols.voided && !includeVoided) parts.push(`COALESCE(${a}.voided, 0) = 0`);
+  return parts.join(" AND ");
+}
+
+/**
+ * SQL condition (with leading AND) that drops bot results. `alias` is the competition_results
+ * alias ("" for none). Before migration 6 bots are recognized by their id prefixes.
+ */
+export async function botFilterSql(db, alias = "r") {
+  const a = /^[A-Za-z_][A-Za-z0-9_]*$/.test(String(alias || "")) ? `${alias}.` : "";
+  if ((await getSchemaVersion(db)) >= SCHEMA.botFlags) return `AND COALESCE(${a}is_bot, 0) = 0`;
+  return `AND LOWER(${a}viewer_user_id) NOT LIKE 'bot:%'
+          AND LOWER(${a}viewer_user_id) NOT LIKE 'bot_%'
+          AND LOWER(${a}viewer_user_id) NOT LIKE 'racer %'`;
+}
+
+/** Real (non-bot) viewers of one competition. */
+export async function realViewerIds(db, competitionId) {
+  const rs = await db
+    .prepare(`SELECT viewer_user_id FROM competition_results WHERE competition_id = ? ${await botFilterSql(db, "")}`)
+    .bind(competitionId)
+    .all();
+
+  return (Array.isArray(rs?.results) ? rs.results : []).map((r) => toStr(r?.viewer_user_id)).filter(Boolean);
+}
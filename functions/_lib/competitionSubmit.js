@@ -0,0 +1,869 @@
+// functions/_lib/competitionSubmit.js
+// Competition ingest shared by:
+// - POST /api/v1/competitions/submit        (one competition)
+// - POST /api/v1/competitions/batch         (offline replay; many competitions)
+//
+// Storage:
+// - Competitions + results are persisted to D1 (env.VF_D1_STATS).
+// - Seasons are resolved from D1 (v0.6+) or KV (legacy) and stored alongside the competition.
+// - Implausible races are stored but quarantined until approved (see competitionChecks.js).
+// - Races of a finalized season are rejected (409 season_finalized, see seasonFinals.js).
+// - competition_uuid is client-generated, so re-sending a competition is an idempotent update.
+
+import { listAllJsonRecords } from "./kv.js";
+import { awardAchievementsForViewers } from "./achievements.js";
+import { checkCompetitionPlausibility } from "./competitionChecks.js";
+import { recomputeAndUpdateMapFinishTimeMs } from "./mapFinishTime.js";
+import { rateCompetition, ratedOutcome } from "./ratings.js";
+import { SCHEMA, getSchemaVersion } from "./schemaMigrations.js";
+import { isSeasonFinalized } from "./seasonFinals.js";
+import { detectCompetitionRecords } from "./trackRecords.js";
+import { syncCompetitionAggregates } from "./viewerAggregates.js";
+import { isoFromMs, toBool, toBoolInt } from "./dbUtil.js";
+import { v, validateBody, validationErrorBody } from "./validation.js";
+
+function nowMs() {
+  return Date.now();
+}
+
+function toStr(v) {
+  return String(v ?? "").trim();
+}
+
+function toLower(v) {
+  return toStr(v).toLowerCase();
+}
+
+function toInt(v, { min = undefined, max = undefined, fallback = 0 } = {}) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return fallback;
+  let x = Math.trunc(n);
+  if (min !== undefined && x < min) x = min;
+  if (max !== undefined && x > max) x = max;
+  return x;
+}
+
+function toFloat(v, { min = undefined, max = undefined, fallback = 0 } = {}) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return fallback;
+  let x = n;
+  if (min !== undefined && x < min) x = min;
+  if (max !== undefined && x > max) x = max;
+  return x;
+}
+
+function isNonEmpty(s) {
+  return !!toStr(s);
+}
+
+function parseIsoMs(iso) {
+  const t = Date.parse(String(iso || ""));
+  return Number.isFinite(t) ? t : NaN;
+}
+
+function normalizeIso(iso) {
+  const t = parseIsoMs(iso);
+  if (!Number.isFinite(t)) return "";
+  return new Date(t).toISOString();
+}
+
+let _seasonCache = {
+  fetchedAtMs: 0,
+  seasons: [],
+};
+
+async function loadSeasonsCached(env) {
+  const ttlMs = 60_000;
+  const now = nowMs();
+
+  if (_seasonCache.seasons.length > 0 && now - _seasonCache.fetchedAtMs < ttlMs) {
+    return _seasonCache.seasons;
+  }
+
+  // Prefer D1 (v0.6+)
+  try {
+    const db = env?.VF_D1_STATS;
+    if (db) {
+      const rs = await db
+        .prepare("SELECT season_id, start_at_ms, end_at_ms, name FROM vf_seasons")
+        .all();
+
+      const seasons = (Array.isArray(rs?.results) ? rs.results : [])
+        .map((r) => ({
+          seasonId: toStr(r?.season_id).toLowerCase(),
+          startAt: isoFromMs(r?.start_at_ms),
+          endAt: isoFromMs(r?.end_at_ms),
+          name: toStr(r?.name),
+        }))
+        .filter((s) => s.seasonId && s.startAt && s.endAt);
+
+      _seasonCache = { fetchedAtMs: now, seasons };
+      return seasons;
+    }
+  } catch {
+    // fall back to KV
+  }
+
+  // Legacy KV fallback
+  if (!env?.VF_KV_SEASONS) {
+    _seasonCache = { fetchedAtMs: now, seasons: [] };
+    return [];
+  }
+
+  const raw = await listAllJsonRecords(env.VF_KV_SEASONS).catch(() => []);
+
+  // raw entries are the season objects (viewerfrenzy-web kv helper returns values only)
+  const seasons = (Array.isArray(raw) ? raw : [])
+    .filter(Boolean)
+    .map((s) => ({
+      seasonId: toStr(s?.seasonId).toLowerCase(),
+      startAt: normalizeIso(s?.startAt),
+      endAt: normalizeIso(s?.endAt),
+      name: toStr(s?.name),
+    }))
+    .filter((s) => s.seasonId && s.startAt && s.endAt);
+
+  _seasonCache = { fetchedAtMs: now, seasons };
+  return seasons;
+}
+
+function resolveSeasonId(seasons, startedAtMs) {
+  if (!Number.isFinite(startedAtMs) || startedAtMs <= 0) return null;
+
+  for (const s of Array.isArray(seasons) ? seasons : []) {
+    const startMs = Date.parse(s.startAt);
+    const endMs = Date.parse(s.endAt);
+    if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) continue;
+
+    // inclusive range
+    if (startedAtMs >= startMs && startedAtMs <= endMs) {
+      return s.seasonId;
+    }
+  }
+
+  return null;
+}
+
+function clampResults(results, max = 400) {
+  const arr = Array.isArray(results) ? results : [];
+  if (arr.length <= max) return arr;
+  return arr.slice(0, max);
+}
+
+// Optional per-result checkpoint/lap splits.
+// Accepts either plain numbers (cumulative ms from race start, in checkpoint order) or objects:
+//   { index?: 0, kind?: "checkpoint" | "lap", elapsedMs | timeMs: 12345 }
+// Returns rows with sector_ms derived from the previous split of the same kind.
+function parseSplits(raw, max = 200) {
+  const arr = Array.isArray(raw) ? raw.slice(0, max) : [];
+  const byKind = new Map();
+
+  arr.forEach((s, i) => {
+    const obj = s !== null && typeof s === "object" ? s : { elapsedMs: s };
+    const kind = toLower(obj?.kind) === "lap" ? "lap" : "checkpoint";
+    const elapsedMs = toInt(obj?.elapsedMs ?? obj?.timeMs, { min: 0, max: 86_400_000, fallback: -1 });
+    if (elapsedMs <= 0) return;
+
+    if (!byKind.has(kind)) byKind.set(kind, []);
+    const list = byKind.get(kind);
+    const index = toInt(obj?.index, { min: 0, max: 10_000, fallback: list.length });
+    list.push({ kind, index, elapsedMs, order: i });
+  });
+
+  const out = [];
+  for (const list of byKind.values()) {
+    list.sort((a, b) => a.index - b.index || a.order - b.order);
+
+    let prevElapsed = 0;
+    const seen = new Set();
+    for (const s of list) {
+      if (seen.has(s.index)) continue;
+      seen.add(s.index);
+
+      const sectorMs = s.elapsedMs >= prevElapsed ? s.elapsedMs - prevElapsed : null;
+      out.push({ kind: s.kind, index: s.index, elapsedMs: s.elapsedMs, sectorMs });
+      prevElapsed = s.elapsedMs;
+    }
+  }
+
+  return out;
+}
+
+function chunkArray(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+// Parsed in coerce mode and with lenient ranges (values are clamped / truncated on write) so older
+// client builds keep working: they send numbers and booleans as strings, fractional positions and
+// free-form track versions.
+const RESULT_SCHEMA = v.object({
+  userId: v.string(),
+  login: v.string(),
+  displayName: v.string(),
+  profileImageUrl: v.string(),
+  isBot: v.bool(),
+  position: v.number(),
+  status: v.string(),
+  timeMs: v.number(),
+  vehicleId: v.string(),
+  distanceM: v.number(),
+  progress01: v.number(),
+  splits: v.array(v.any()),
+});
+
+const SUBMIT_SCHEMA = v.object(
+  {
+    competition: v.object(
+      {
+        competitionUuid: v.string({ required: true, maxLength: 128 }),
+        startedAtMs: v.number({ required: true, min: 1 }),
+        endedAtMs: v.number({ required: true, min: 1 }),
+        trackId: v.string(),
+        trackName: v.string(),
+        trackVersion: v.string(),
+        trackHashSha256: v.string(),
+        vehicleType: v.string(),
+        gameMode: v.string(),
+        raceSeed: v.number(),
+        trackLengthM: v.number(),
+        clientVersion: v.string(),
+        unityVersion: v.string(),
+      },
+      {
+        required: true,
+        check: (c, addError) => {
+          if (c.endedAtMs < c.startedAtMs) addError("endedAtMs", "before_start", "Must not be before startedAtMs.");
+        },
+      },
+    ),
+    results: v.array(RESULT_SCHEMA),
+  },
+  { required: true },
+);
+
+// The single error code /submit answered with before field-level validation.
+const SUBMIT_LEGACY_ERRORS = {
+  "": "competition_uuid_required",
+  competition: "competition_uuid_required",
+  "competition.competitionUuid": "competition_uuid_required",
+  "competition.startedAtMs": "started_at_required",
+  "competition.endedAtMs": "ended_at_invalid",
+};
+
+/**
+ * Validates + stores one competition payload ({ competition, results }) for a streamer.
+ *
+ * Returns { ok: false, status, body } for a rejected payload, or
+ * { ok: true, created, countedViewerIds, startedAtMs, data } where `data` is the submit response
+ * and `countedViewerIds` are the real viewers whose achievements this race can affect.
+ * Unlocks are attributed to this race (source_ref = competition id). Pass awardAchievements=false
+ * to award later (the batch endpoint awards once for all items).
+ */
+export async function ingestCompetition(env, payload, { streamer, awardAchievements = true } = {}) {
+  const parsed = validateBody(SUBMIT_SCHEMA, payload, { coerce: true });
+  if (!parsed.ok) return { ok: false, status: 400, body: validationErrorBody(parsed.errors, SUBMIT_LEGACY_ERRORS) };
+
+  // The core upsert needs the stats tables (migration 1); later schema features are optional.
+  const schemaVersion = await getSchemaVersion(env.VF_D1_STATS);
+  if (schemaVersion < SCHEMA.statsCore) {
+    return {
+      ok: false,
+      status: 503,
+      body: { error: "db_not_initialized", message: "Run the schema migrations first (POST /api/v1/admin/schema)." },
+    };
+  }
+
+  const competition = parsed.value.competition;
+  const resultsRaw = clampResults(parsed.value.results, 600);
+
+  const competitionUuid = competition.competitionUuid;
+  const startedAtMs = competition.startedAtMs;
+  const endedAtMs = competition.endedAtMs;
+
+  const vehicleType = toStr(competition?.vehicleType) || "";
+  const gameMode = toStr(competition?.gameMode) || "";
+
+  const trackIdRaw = toStr(competition?.trackId);
+  // Track IDs are now auto-increment integers in vf_maps.
+  // Older clients may still send legacy string IDs; keep those in `map_key`.
+  const trackIdInt = (() => {
+    if (!trackIdRaw) return null;
+    const s = String(trackIdRaw).trim();
+    if (!s) return null;
+    if (!/^[0-9]+$/.test(s)) return null;
+    const n = parseInt(s, 10);
+    return Number.isFinite(n) ? n : null;
+  })();
+  const trackKey = trackIdRaw && trackIdInt === null ? trackIdRaw : null;
+  const trackName = toStr(competition?.trackName);
+  const trackVersion = toInt(competition?.trackVersion, { min: 0, max: 9999, fallback: 0 });
+  const trackHashSha256 = toStr(competition?.trackHashSha256);
+
+  const raceSeed = toInt(competition?.raceSeed, { min: 0, max: 2_000_000_000, fallback: 0 });
+  const trackLengthM = toFloat(competition?.trackLengthM, { min: 0, max: 1_000_000, fallback: 0 });
+
+  const clientVersion = toStr(competition?.clientVersion);
+  const unityVersion = toStr(competition?.unityVersion);
+
+  // Winner (best-effort): first FINISHED with position 1.
+  let winnerUserId = null;
+  for (const r of resultsRaw) {
+    if (!r) continue;
+    const status = toStr(r.status).toUpperCase();
+    const pos = toInt(r.position, { min: 1, max: 10_000, fallback: 0 });
+    if (status === "FINISHED" && pos === 1) {
+      const uid = toStr(r.userId) || toStr(r.login);
+      if (uid) {
+        winnerUserId = uid;
+        break;
+      }
+    }
+  }
+
+  const seasons = await loadSeasonsCached(env);
+  const seasonId = resolveSeasonId(seasons, startedAtMs);
+
+  const streamerUserId = toStr(streamer?.userId);
+  const streamerLogin = toStr(streamer?.login);
+
+  if (!streamerUserId) {
+    return { ok: false, status: 401, body: { error: "auth_missing_user_id" } };
+  }
+
+  // Finalized seasons are archived: no new races in them, and re-sends can't rewrite theirs.
+  const existing = await env.VF_D1_STATS
+    .prepare("SELECT season_id FROM competitions WHERE competition_uuid = ? LIMIT 1")
+    .bind(competitionUuid)
+    .first();
+  for (const sid of new Set([seasonId, toStr(existing?.season_id)])) {
+    if (sid && (await isSeasonFinalized(env.VF_D1_STATS, sid))) {
+      return {
+        ok: false,
+        status: 409,
+        body: { error: "season_finalized", message: `Season ${sid} is finalized; its races can no longer be submitted or changed.` },
+      };
+    }
+  }
+
+  const createdAtMs = nowMs();
+  const updatedAtMs = createdAtMs;
+
+  // 1) Upsert competition
+  // competitions.map_key and competition_results.is_bot come with migration 6.
+  const hasBotFlags = schemaVersion >= SCHEMA.botFlags;
+
+  const upsertCompetitionSql = `
+    INSERT INTO competitions (
+      competition_uuid,
+      streamer_user_id,
+      streamer_login,
+      season_id,
+      map_id,${hasBotFlags ? "\n      map_key," : ""}
+      map_name,
+      map_version,
+      map_hash_sha256,
+      vehicle_type,
+      game_mode,
+      race_seed,
+      track_length_m,
+      started_at_ms,
+      ended_at_ms,
+      winner_user_id,
+      client_version,
+      unity_version,
+      created_at_ms,
+      updated_at_ms
+    ) VALUES (
+      ?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?${hasBotFlags ? ",?" : ""}
+    )
+    ON CONFLICT(competition_uuid) DO UPDATE SET
+      streamer_user_id=excluded.streamer_user_id,
+      streamer_login=excluded.streamer_login,
+      season_id=excluded.season_id,
+      map_id=excluded.map_id,${hasBotFlags ? "\n      map_key=excluded.map_key," : ""}
+      map_name=excluded.map_name,
+      map_version=excluded.map_version,
+      map_hash_sha256=excluded.map_hash_sha256,
+      vehicle_type=excluded.vehicle_type,
+      game_mode=excluded.game_mode,
+      race_seed=excluded.race_seed,
+      track_length_m=excluded.track_length_m,
+      started_at_ms=excluded.started_at_ms,
+      ended_at_ms=excluded.ended_at_ms,
+      winner_user_id=excluded.winner_user_id,
+      client_version=excluded.client_version,
+      unity_version=excluded.unity_version,
+      updated_at_ms=excluded.updated_at_ms
+  `;
+
+  const bindArgs = [
+    competitionUuid,
+    streamerUserId,
+    streamerLogin,
+    seasonId,
+    trackIdInt,
+    ...(hasBotFlags ? [trackKey] : []),
+    trackName,
+    trackVersion,
+    trackHashSha256,
+    vehicleType,
+    gameMode,
+    raceSeed,
+    trackLengthM,
+    Math.trunc(startedAtMs),
+    Math.trunc(endedAtMs),
+    winnerUserId,
+    clientVersion,
+    unityVersion,
+    createdAtMs,
+    updatedAtMs,
+  ];
+
+  // Inserted vs. idempotent update (same competition_uuid sent again).
+  const existingRow = await env.VF_D1_STATS
+    .prepare("SELECT id FROM competitions WHERE competition_uuid = ?")
+    .bind(competitionUuid)
+    .first();
+
+  await env.VF_D1_STATS.prepare(upsertCompetitionSql).bind(...bindArgs).run();
+
+  const compRow = await env.VF_D1_STATS
+    .prepare("SELECT id FROM competitions WHERE competition_uuid = ?")
+    .bind(competitionUuid)
+    .first();
+
+  const competitionId = compRow?.id;
+  if (!competitionId) {
+    return {
+      ok: false,
+      status: 500,
+      body: { error: "db_error", message: "Failed to read competition id after upsert." },
+    };
+  }
+
+  // Plausibility checks: implausible races are stored but quarantined (excluded from stats)
+  // until the streamer approves them. An approval sticks across idempotent re-submits.
+  let baselineFinishTimeMs = 0;
+  try {
+    if (trackIdInt !== null && trackIdInt > 0) {
+      const mapRow = await env.VF_D1_STATS
+        .prepare("SELECT finish_time_ms, map_hash_sha256 FROM vf_maps WHERE id = ? LIMIT 1")
+        .bind(trackIdInt)
+        .first();
+      // Only compare against the baseline of the same map definition.
+      const mapHash = toStr(mapRow?.map_hash_sha256);
+      if (!trackHashSha256 || !mapHash || mapHash === trackHashSha256) {
+        baselineFinishTimeMs = Number(mapRow?.finish_time_ms || 0) || 0;
+      }
+    }
+  } catch {
+    baselineFinishTimeMs = 0;
+  }
+
+  const plausibility = checkCompetitionPlausibility({
+    startedAtMs,
+    endedAtMs,
+    results: resultsRaw,
+    baselineFinishTimeMs,
+  });
+
+  // Best-effort: if the flag can't be stored, treat the race as the checks say (an implausible
+  // race then just skips the awards below). Before migration 7 nothing is quarantined.
+  let quarantined = false;
+  if (schemaVersion >= SCHEMA.quarantine) {
+    quarantined = plausibility.quarantined;
+    try {
+      await env.VF_D1_STATS
+        .prepare(
+          `UPDATE competitions
+           SET quarantined = CASE WHEN approved_at_ms IS NOT NULL THEN 0 ELSE ? END,
+               quarantine_reasons = ?
+           WHERE id = ?`,
+        )
+        .bind(
+          plausibility.quarantined ? 1 : 0,
+          plausibility.reasons.length ? JSON.stringify(plausibility.reasons) : null,
+          competitionId,
+        )
+        .run();
+
+      const qRow = await env.VF_D1_STATS
+        .prepare("SELECT quarantined FROM competitions WHERE id = ?")
+        .bind(competitionId)
+        .first();
+      quarantined = toBool(qRow?.quarantined);
+    } catch {
+      // Ignore failures to avoid breaking competition submissions.
+    }
+  }
+
+  // A re-submit may change the results of an already-rated race (see rateCompetition).
+  let previousOutcome = null;
+  if (existingRow) {
+    try {
+      previousOutcome = await ratedOutcome(env, competitionId);
+    } catch {
+      previousOutcome = null;
+    }
+  }
+
+  // 2) Upsert results
+  const upsertResultSql = `
+      INSERT INTO competition_results (
+        competition_id,
+        viewer_user_id,
+        viewer_login,
+        viewer_display_name,
+        viewer_profile_image_url,${hasBotFlags ? "\n        is_bot," : ""}
+        finish_position,
+        status,
+        finish_time_ms,
+        vehicle_id,
+        distance_m,
+        progress01,
+        created_at_ms,
+        updated_at_ms
+      ) VALUES (
+        ?,?,?,?,?,?,?,?,?,?,?,?,?${hasBotFlags ? ",?" : ""}
+      )
+      ON CONFLICT(competition_id, viewer_user_id) DO UPDATE SET
+        viewer_login=excluded.viewer_login,
+        viewer_display_name=excluded.viewer_display_name,
+        viewer_profile_image_url=excluded.viewer_profile_image_url,${hasBotFlags ? "\n        is_bot=excluded.is_bot," : ""}
+        finish_position=excluded.finish_position,
+        status=excluded.status,
+        finish_time_ms=excluded.finish_time_ms,
+        vehicle_id=excluded.vehicle_id,
+        distance_m=excluded.distance_m,
+        progress01=excluded.progress01,
+        updated_at_ms=excluded.updated_at_ms
+    `;
+
+  // Splits are stored from migration 8 on.
+  const hasSplits = schemaVersion >= SCHEMA.resultSplits;
+
+  const statements = [];
+  const viewerIds = new Set();
+  const viewerProfiles = new Map();
+  const splitsByViewer = new Map();
+
+  // v0.20+: keep a materialized viewer->streamer join table so streamers can see
+  // who has joined their competitions.
+
+  for (const r of resultsRaw) {
+    if (!r) continue;
+
+    const viewerUserId = toStr(r?.userId) || toStr(r?.login);
+    if (!viewerUserId) continue;
+
+    const viewerLogin = toLower(r?.login);
+
+    // --- Bot detection -----------------------------------------------------
+    // Prefer an explicit boolean from the client.
+    // Fallbacks exist for older client builds so you can deploy server+DB first.
+    let isBot = toBool(r?.isBot);
+    if (!isBot) {
+      const uid = viewerUserId;
+      // New convention (recommended): "bot:0001" etc.
+      if (/^bot[:_]/i.test(uid)) isBot = true;
+      // Legacy convention: empty login + "Racer 1" display/user id.
+      if (!viewerLogin && /^racer\s+\d+$/i.test(uid)) isBot = true;
+    }
+
+    const displayName = toStr(r?.displayName);
+    const profileImageUrl = toStr(r?.profileImageUrl);
+
+    // Only real viewers should earn achievements.
+    if (!isBot) {
+      viewerIds.add(viewerUserId);
+      // Also track this viewer so we can upsert their user record and streamer link.
+      // Skip adding the streamer to their own viewer list.
+      if (viewerUserId !== streamerUserId) {
+        viewerProfiles.set(viewerUserId, {
+          userId: viewerUserId,
+          login: viewerLogin,
+          displayName,
+          profileImageUrl,
+        });
+      }
+    }
+
+    const finishPosition = toInt(r?.position, { min: 1, max: 10_000, fallback: 9999 });
+
+    const statusRaw = toStr(r?.status).toUpperCase();
+    const status = statusRaw === "FINISHED" ? "FINISHED" : "DNF";
+
+    const timeMsRaw = Number(r?.timeMs);
+    const finishTimeMs = status === "FINISHED" && Number.isFinite(timeMsRaw) && timeMsRaw > 0 ? Math.trunc(timeMsRaw) : null;
+
+    const vehicleId = toStr(r?.vehicleId);
+
+    const distanceM = toFloat(r?.distanceM, { min: 0, max: 1_000_000, fallback: 0 });
+    const progress01 = toFloat(r?.progress01, { min: 0, max: 1, fallback: 0 });
+
+    const isBotInt = toBoolInt(isBot);
+
+    const splits = hasSplits ? parseSplits(r?.splits) : [];
+    if (splits.length) splitsByViewer.set(viewerUserId, splits);
+
+    statements.push(
+      env.VF_D1_STATS.prepare(upsertResultSql).bind(
+        competitionId,
+        viewerUserId,
+        viewerLogin,
+        displayName,
+        profileImageUrl,
+        ...(hasBotFlags ? [isBotInt] : []),
+        finishPosition,
+        status,
+        finishTimeMs,
+        vehicleId,
+        distanceM,
+        progress01,
+        createdAtMs,
+        updatedAtMs,
+      ),
+    );
+  }
+
+  // Avoid massive single-batch requests.
+  const BATCH_SIZE = 100;
+  for (const chunk of chunkArray(statements, BATCH_SIZE)) {
+    // D1 returns an array of results; ignore it for MVP.
+    await env.VF_D1_STATS.batch(chunk);
+  }
+
+  // Checkpoint/lap splits (best-effort).
+  // A re-submit of the same competition replaces the splits of every result that carries them.
+  let splitsWritten = 0;
+  if (splitsByViewer.size > 0) {
+    try {
+      const idRows = await env.VF_D1_STATS
+        .prepare("SELECT id, viewer_user_id FROM competition_results WHERE competition_id = ?")
+        .bind(competitionId)
+        .all();
+
+      const splitStatements = [];
+      for (const row of Array.isArray(idRows?.results) ? idRows.results : []) {
+        const splits = splitsByViewer.get(toStr(row?.viewer_user_id));
+        if (!splits) continue;
+
+        splitStatements.push(
+          env.VF_D1_STATS.prepare("DELETE FROM competition_result_splits WHERE competition_result_id = ?").bind(row.id),
+        );
+
+        for (const sp of splits) {
+          splitStatements.push(
+            env.VF_D1_STATS.prepare(
+              `INSERT INTO competition_result_splits (
+                competition_result_id,
+                split_kind,
+                split_index,
+                elapsed_ms,
+                sector_ms,
+                created_at_ms
+              ) VALUES (?,?,?,?,?,?)`,
+            ).bind(row.id, sp.kind, sp.index, sp.elapsedMs, sp.sectorMs, createdAtMs),
+          );
+          splitsWritten += 1;
+        }
+      }
+
+      for (const chunk of chunkArray(splitStatements, BATCH_SIZE)) {
+        await env.VF_D1_STATS.batch(chunk);
+      }
+    } catch {
+      // Ignore failures to avoid breaking competition submissions.
+      splitsWritten = 0;
+    }
+  }
+
+  // Best-effort: upsert viewer identities + viewer->streamer link table.
+  // This powers the new Streamer -> Users page on ViewerFrenzy.com.
+  try {
+    const extraStatements = [];
+
+    const upsertUserSql = `
+      INSERT INTO vf_users (
+        user_id,
+        login,
+        display_name,
+        profile_image_url,
+        last_seen_at_ms,
+        created_at_ms,
+        updated_at_ms
+      ) VALUES (
+        ?,?,?,?,?,?,?
+      )
+      ON CONFLICT(user_id) DO UPDATE SET
+        login=excluded.login,
+        display_name=excluded.display_name,
+        profile_image_url=excluded.profile_image_url,
+        last_seen_at_ms=MAX(vf_users.last_seen_at_ms, excluded.last_seen_at_ms),
+        updated_at_ms=excluded.updated_at_ms
+    `;
+
+    for (const v of viewerProfiles.values()) {
+      extraStatements.push(
+        env.VF_D1_STATS.prepare(upsertUserSql).bind(
+          toStr(v?.userId),
+          toLower(v?.login),
+          toStr(v?.displayName),
+          toStr(v?.profileImageUrl),
+          updatedAtMs,
+          updatedAtMs,
+          updatedAtMs,
+        ),
+      );
+    }
+
+    const upsertLinkSql = `
+      INSERT INTO vf_user_streamers (
+        user_id,
+        streamer_user_id,
+        streamer_login,
+        first_seen_at_ms,
+        last_seen_at_ms,
+        created_at_ms,
+        updated_at_ms
+      ) VALUES (
+        ?,?,?,?,?,?,?
+      )
+      ON CONFLICT(user_id, streamer_user_id) DO UPDATE SET
+        streamer_login=excluded.streamer_login,
+        last_seen_at_ms=MAX(vf_user_streamers.last_seen_at_ms, excluded.last_seen_at_ms),
+        updated_at_ms=excluded.updated_at_ms
+    `;
+
+    for (const v of viewerProfiles.values()) {
+      extraStatements.push(
+        env.VF_D1_STATS.prepare(upsertLinkSql).bind(
+          toStr(v?.userId),
+          streamerUserId,
+          streamerLogin,
+          updatedAtMs,
+          updatedAtMs,
+          updatedAtMs,
+          updatedAtMs,
+        ),
+      );
+    }
+
+    // Avoid massive single-batch requests.
+    for (const chunk of chunkArray(extraStatements, BATCH_SIZE)) {
+      await env.VF_D1_STATS.batch(chunk);
+    }
+  } catch {
+    // Ignore failures to avoid breaking competition submissions.
+  }
+
+  // Skill ratings (best-effort). Skips already-rated races; a re-submit with different results is
+  // re-rated, and one that gets the race quarantined takes its rating back out.
+  let ratingChanges = [];
+  try {
+    const r = await rateCompetition(env, competitionId, { previousOutcome });
+    ratingChanges = r?.changes || [];
+  } catch {
+    ratingChanges = [];
+  }
+
+  // Materialized leaderboard aggregates (best-effort; a rebuild repairs any drift).
+  try {
+    await syncCompetitionAggregates(env.VF_D1_STATS, competitionId);
+  } catch {
+    // Ignore failures to avoid breaking competition submissions.
+  }
+
+  // Track record / personal best flags so Unity can celebrate them on stream (best-effort).
+  let records = { newTrackRecord: false, trackRecord: null, previousTrackRecordMs: null, newPersonalBests: [] };
+  try {
+    records = await detectCompetitionRecords(env.VF_D1_STATS, competitionId);
+  } catch {
+    // Ignore failures to avoid breaking competition submissions.
+  }
+
+  // Award achievements (best-effort). This is intentionally after results are written.
+  // Quarantined races are awarded on approval instead; batch callers award once for all items.
+  const countedViewerIds = quarantined ? [] : Array.from(viewerIds);
+  let achievementsUnlocked = [];
+  if (awardAchievements && countedViewerIds.length) {
+    try {
+      achievementsUnlocked = await awardAchievementsForViewers(env, countedViewerIds, {
+        source: "competition",
+        sourceRef: String(competitionId || competitionUuid || ""),
+      });
+    } catch {
+      achievementsUnlocked = [];
+    }
+  }
+
+  // Map finish time cache info (vf_maps.finish_time_ms). This is returned so the Unity client can update its
+  // local map cache immediately after a submit (without requiring a re-login/sync).
+  let finishTimeMs = 0;
+  let mapUpdatedAtMs = 0;
+  let finishTimeRecomputed = false;
+  let finishTimeSampleCount = 0;
+  let finishTimeUsedBots = false;
+
+  // Update cached map finish time on vf_maps (best-effort).
+  // This allows Unity clients to display "Avg Finish Time" from the local map cache.
+  try {
+    if (trackIdInt !== null && trackIdInt > 0) {
+      const r = await recomputeAndUpdateMapFinishTimeMs(env.VF_D1_STATS, trackIdInt);
+      if (r && r.ok) {
+        finishTimeRecomputed = true;
+        finishTimeSampleCount = Number(r.sampleCount || 0) || 0;
+        finishTimeUsedBots = !!r.usedBots;
+      }
+
+      // Read the authoritative cached value from vf_maps (even if the recompute returned ok:false).
+      const row = await env.VF_D1_STATS
+        .prepare("SELECT finish_time_ms, updated_at_ms FROM vf_maps WHERE id = ? LIMIT 1")
+        .bind(trackIdInt)
+        .first();
+
+      finishTimeMs = Number(row?.finish_time_ms || 0) || 0;
+      mapUpdatedAtMs = Number(row?.updated_at_ms || 0) || 0;
+    }
+  } catch {
+    // Ignore failures to avoid breaking competition submissions.
+  }
+
+  const data = {
+    ok: true,
+    competitionUuid,
+    seasonId,
+    competitionId,
+
+    // Map finish time cache info (vf_maps.finish_time_ms)
+    trackId: trackIdRaw || "",
+    mapId: trackIdInt || 0,
+    finishTimeMs,
+    mapUpdatedAtMs,
+    finishTimeRecomputed,
+    finishTimeSampleCount,
+    finishTimeUsedBots,
+
+    resultsReceived: resultsRaw.length,
+    resultsWritten: statements.length,
+    splitsWritten,
+
+    // Plausibility checks (quarantined races don't count until approved)
+    quarantined,
+    quarantineReasons: plausibility.reasons,
+
+    ratingChanges,
+
+    // Records on this map version (quarantined races never set records)
+    newTrackRecord: records.newTrackRecord,
+    trackRecord: records.trackRecord,
+    previousTrackRecordMs: records.previousTrackRecordMs,
+    newPersonalBests: records.newPersonalBests,
+
+    achievementsUnlocked,
+  };
+
+  return { ok: true, created: !existingRow, countedViewerIds, startedAtMs: Math.trunc(startedAtMs), data };
+}
@@ -0,0 +1,94 @@
+// functions/_lib/export.js
+//
+// Streams stats exports as CSV or NDJSON (one JSON object per line).
+//
+// Rows are pulled from D1 one batch at a time as the client reads, so an export of the whole
+// table never has to fit in memory. The first batch is fetched before the Response is built:
+// if the DB isn't there the caller still gets a normal JSON error instead of a broken download.
+
+import { buildCorsHeaders } from "./cors.js";
+
+export const EXPORT_FORMATS = ["csv", "ndjson"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+// Text starting with = + - @ is a formula to spreadsheet apps (CSV injection): prefix it with '
+// so it opens as text. Numbers are left alone (negative points stay numeric).
+export function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  let s = String(v);
+  if (typeof v === "string" && /^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(",")}\r\n`;
+}
+
+function pick(row, columns) {
+  const out = {};
+  for (const c of columns) out[c] = row?.[c] ?? null;
+  return out;
+}
+
+// e.g. "viewerfrenzy-leaderboard-20261018-1405.csv" (UTC)
+export function exportFilename(name, format, now = new Date()) {
+  const stamp = now.toISOString().slice(0, 16).replace(/[-:]/g, "").replace("T", "-");
+  return `viewerfrenzy-${name}-${stamp}.${format}`;
+}
+
+/**
+ * Builds a streaming export Response.
+ *
+ * - columns: output keys, in order (CSV header row / NDJSON object keys)
+ * - fetchBatch(cursor): async, returns { rows, cursor } — cursor null (or no rows) ends the export.
+ *   Called with cursor = null first.
+ *
+ * Throws if the first batch fails.
+ */
+export async function exportResponse(request, { format, name, columns, fetchBatch }) {
+  const encoder = new TextEncoder();
+  // Each pull() writes the batch fetched by the previous one, then fetches the next.
+  let pending = await fetchBatch(null);
+  let wroteHeader = false;
+
+  const stream = new ReadableStream({
+    async pull(controller) {
+      try {
+        const batch = pending;
+
+        let text = "";
+        if (format === "csv" && !wroteHeader) {
+          text += csvLine(columns);
+          wroteHeader = true;
+        }
+        const rows = Array.isArray(batch?.rows) ? batch.rows : [];
+        for (const row of rows) {
+          text += format === "csv" ? csvLine(columns.map((c) => row?.[c])) : `${JSON.stringify(pick(row, columns))}\n`;
+        }
+        if (text) controller.enqueue(encoder.encode(text));
+
+        if (!rows.length || batch?.cursor === null || batch?.cursor === undefined) {
+          controller.close();
+          return;
+        }
+        pending = await fetchBatch(batch.cursor);
+      } catch (e) {
+        controller.error(e);
+      }
+    },
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      "Content-Type": CONTENT_TYPES[format] || CONTENT_TYPES.csv,
+      "Content-Disposition": `attachment; filename="${exportFilename(name, format)}"`,
+      "Cache-Control": "no-store",
+      ...buildCorsHeaders(request),
+    },
+  });
+}
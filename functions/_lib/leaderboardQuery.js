@@ -0,0 +1,542 @@
+// functions/_lib/leaderboardQuery.js
+//
+// SQL for the per-viewer leaderboard, shared by stats/leaderboard.js (paged JSON) and the
+// stats/export/* endpoints (full CSV / NDJSON streams), so both see the same filters and sort.
+//
+// Two sources:
+// - "aggregates": one indexed read of viewer_stat_aggregates (see _lib/viewerAggregates.js). Used
+//   when the filters map onto a materialized scope (season / streamer / map / vehicle type /
+//   viewer) and the aggregates have been rebuilt at least once.
+// - "raw": recomputes everything from competitions + competition_results. Needed for the free-text
+//   searches and time ranges, which no precomputed scope can answer; ?source=raw forces it.
+//
+// mode=championship ranks one season by championship points (the season's points table, see
+// _lib/seasonPoints.js) instead of wins. Points are scored per result, so it always runs raw.
+
+import { toBool } from "./dbUtil.js";
+import { countedCompetitionSql } from "./competitionStatus.js";
+import { SCHEMA, schemaAtLeast } from "./schemaMigrations.js";
+import { resolveTimeRange } from "./timeRange.js";
+import { championshipCteSql, loadSeasonPointsTable } from "./seasonPoints.js";
+import { leaderboardScopeKey, scopeMapId, viewerAggregatesReady } from "./viewerAggregates.js";
+
+function normStr(v) {
+  return String(v ?? "").trim();
+}
+
+function normSearch(v) {
+  const s = normStr(v).toLowerCase();
+  if (!s) return "";
+  // Limit length to keep LIKE queries reasonable.
+  return s.slice(0, 80);
+}
+
+function buildWhereAndParams(
+  url,
+  { includeBots = false, hasBotFlag = false, countedSql = "", fromMs = null, toMs = null } = {},
+) {
+  const where = [];
+  const params = [];
+
+  // Quarantined races don't count (see _lib/competitionStatus.js).
+  if (countedSql) where.push(countedSql);
+
+  const seasonId = normStr(url.searchParams.get("seasonId"));
+  const streamerId = normStr(url.searchParams.get("streamerId"));
+  const mapId = normStr(url.searchParams.get("mapId"));
+  const vehicleType = normStr(url.searchParams.get("vehicleType"));
+  const viewerId = normStr(url.searchParams.get("viewerId"));
+
+  if (seasonId && seasonId.toUpperCase() !== "ALL") {
+    where.push("c.season_id = ?");
+    params.push(seasonId);
+  }
+
+  if (streamerId && streamerId.toUpperCase() !== "ALL") {
+    where.push("c.streamer_user_id = ?");
+    params.push(streamerId);
+  }
+
+  if (mapId && mapId.toUpperCase() !== "ALL") {
+    where.push("c.map_id = ?");
+    params.push(scopeMapId(mapId));
+  }
+
+  // Vehicle type / mode (ground | resort | space)
+  if (vehicleType && vehicleType.toUpperCase() !== "ALL") {
+    where.push("LOWER(TRIM(COALESCE(c.vehicle_type,''))) = ?");
+    params.push(vehicleType.toLowerCase());
+  }
+
+  // One viewer's row (profile pages); uses idx_results_viewer.
+  if (viewerId) {
+    where.push("r.viewer_user_id = ?");
+    params.push(viewerId);
+  }
+
+  if (fromMs !== null) {
+    where.push("c.started_at_ms >= ?");
+    params.push(fromMs);
+  }
+
+  if (toMs !== null) {
+    where.push("c.started_at_ms <= ?");
+    params.push(toMs);
+  }
+
+  const streamerSearch = normSearch(url.searchParams.get("streamerSearch"));
+  if (streamerSearch) {
+    where.push(
+      "(LOWER(COALESCE(c.streamer_login,'')) LIKE ? OR LOWER(COALESCE(c.streamer_user_id,'')) LIKE ?)",
+    );
+    params.push(`%${streamerSearch}%`, `%${streamerSearch}%`);
+  }
+
+  const viewerSearch = normSearch(url.searchParams.get("viewerSearch"));
+  if (viewerSearch) {
+    where.push(
+      "(LOWER(COALESCE(r.viewer_login,'')) LIKE ? OR LOWER(COALESCE(r.viewer_display_name,'')) LIKE ? OR LOWER(COALESCE(r.viewer_user_id,'')) LIKE ?)",
+    );
+    params.push(`%${viewerSearch}%`, `%${viewerSearch}%`, `%${viewerSearch}%`);
+  }
+
+  const mapSearch = normSearch(url.searchParams.get("mapSearch"));
+  if (mapSearch) {
+    where.push(
+      "(LOWER(COALESCE(CAST(c.map_id AS TEXT),'')) LIKE ? OR LOWER(COALESCE(c.map_name,'')) LIKE ?)",
+    );
+    params.push(`%${mapSearch}%`, `%${mapSearch}%`);
+  }
+
+  // Bots are excluded by default.
+  // If the DB hasn't been upgraded yet (no is_bot column), we simply can't filter.
+  if (!includeBots && hasBotFlag) {
+    // Older rows can have NULL in is_bot (before the column existed / before backfill).
+    // Treat NULL as non-bot.
+    where.push("COALESCE(r.is_bot, 0) = 0");
+  }
+
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  return { whereSql, params };
+}
+
+export const LEADERBOARD_MODES = ["wins", "championship"];
+
+function buildOrderBy(sortBy, sortDir, { aggregated = false, championship = false } = {}) {
+  const dir = String(sortDir || "desc").toLowerCase() === "asc" ? "ASC" : "DESC";
+  const key = String(sortBy || "wins").trim();
+  // viewer_stat_aggregates has every column under the same name, on a single table.
+  const pa = aggregated ? "vb" : "pa";
+  const pq = aggregated ? "vb" : "pq";
+  const tb = aggregated ? "vb" : "tb";
+  const tq = aggregated ? "vb" : "tq";
+
+  // Allowlisted sort keys -> SQL expressions.
+  // NOTE: Do NOT place user input directly into SQL.
+  const map = {
+    viewer: "LOWER(COALESCE(vb.viewer_display_name, vb.viewer_login, vb.viewer_user_id))",
+    competitions: "vb.competitions",
+    wins: "vb.firsts",
+    firsts: "vb.firsts",
+    seconds: "vb.seconds",
+    thirds: "vb.thirds",
+    bestFinishPos: `${pa}.best_finish_pos`,
+    worstFinishPos: `${pa}.worst_finish_pos`,
+    avgFinishPos: `${pa}.avg_finish_pos`,
+    medianFinishPos: `${pq}.median_finish_pos`,
+    p10FinishPos: `${pq}.p10_finish_pos`,
+    p25FinishPos: `${pq}.p25_finish_pos`,
+    p75FinishPos: `${pq}.p75_finish_pos`,
+    p90FinishPos: `${pq}.p90_finish_pos`,
+    finishedCount: "vb.finished_count",
+    dnfCount: "(vb.competitions - vb.finished_count)",
+
+    bestTimeMs: `${tb}.best_time_ms`,
+    worstTimeMs: `${tb}.worst_time_ms`,
+    avgTimeMs: `${tb}.avg_time_ms`,
+    medianTimeMs: `${tq}.median_time_ms`,
+    p10TimeMs: `${tq}.p10_time_ms`,
+    p25TimeMs: `${tq}.p25_time_ms`,
+    p75TimeMs: `${tq}.p75_time_ms`,
+    p90TimeMs: `${tq}.p90_time_ms`,
+
+    rating: "vr.rating",
+  };
+  if (championship) map.points = "cp.points";
+
+  const expr = map[key] || (championship ? map.points : map.wins);
+
+  // Nulls last for expressions that can be null (primarily time stats).
+  const nullSensitive =
+    key.toLowerCase().includes("time") ||
+    key.toLowerCase().includes("median") ||
+    key.toLowerCase().includes("p10") ||
+    key.toLowerCase().includes("p25") ||
+    key.toLowerCase().includes("p75") ||
+    key.toLowerCase().includes("p90") ||
+    key === "rating";
+
+  if (nullSensitive) {
+    return `ORDER BY (CASE WHEN ${expr} IS NULL THEN 1 ELSE 0 END) ASC, ${expr} ${dir}, LOWER(COALESCE(vb.viewer_login, vb.viewer_user_id)) ASC`;
+  }
+
+  // Points ties go to countback: more wins, then more 2nds, then more 3rds.
+  const countback = expr === map.points ? ", vb.firsts DESC, vb.seconds DESC, vb.thirds DESC" : "";
+  return `ORDER BY ${expr} ${dir}${countback}, LOWER(COALESCE(vb.viewer_login, vb.viewer_user_id)) ASC`;
+}
+
+// Filters no materialized scope can answer.
+const RAW_ONLY_PARAMS = ["streamerSearch", "viewerSearch", "mapSearch"];
+
+function scopeKeyFromUrl(url) {
+  return leaderboardScopeKey({
+    seasonId: url.searchParams.get("seasonId"),
+    streamerId: url.searchParams.get("streamerId"),
+    mapId: url.searchParams.get("mapId"),
+    vehicleType: url.searchParams.get("vehicleType"),
+  });
+}
+
+function aggregateWhereAndParams(url, { includeBots = false } = {}) {
+  const where = ["vb.scope_key = ?"];
+  const params = [scopeKeyFromUrl(url)];
+
+  const viewerId = normStr(url.searchParams.get("viewerId"));
+  if (viewerId) {
+    where.push("vb.viewer_user_id = ?");
+    params.push(viewerId);
+  }
+
+  if (!includeBots) where.push("vb.is_bot = 0");
+
+  return { whereSql: `WHERE ${where.join(" AND ")}`, params };
+}
+
+/**
+ * Reads the leaderboard filters from the request URL.
+ *
+ * allowAggregates: callers that go through leaderboardCountSql / leaderboardDataQuery can be
+ * served from viewer_stat_aggregates; callers that join competition_results themselves can't.
+ *
+ * Returns { ok: true, mode, pointsTable, source, scopeKey, whereSql, params, timeRange } or
+ * { ok: false, status, body } (error response). scopeKey is the aggregate / snapshot scope the filters
+ * describe, null when a time window is set or in championship mode (snapshots rank by wins).
+ * pointsTable is the season's points table in championship mode, else null.
+ * Pass the whole result to leaderboardCountSql / leaderboardDataQuery.
+ */
+export async function resolveLeaderboardFilters(db, url, { allowAggregates = false } = {}) {
+  const mode = normStr(url.searchParams.get("mode")).toLowerCase() || "wins";
+  if (!LEADERBOARD_MODES.includes(mode)) {
+    return {
+      ok: false,
+      status: 400,
+      body: { error: "invalid_mode", message: `mode must be one of: ${LEADERBOARD_MODES.join(", ")}.` },
+    };
+  }
+
+  let pointsTable = null;
+  if (mode === "championship") {
+    const seasonId = normStr(url.searchParams.get("seasonId"));
+    if (!seasonId || seasonId.toUpperCase() === "ALL") {
+      return {
+        ok: false,
+        status: 400,
+        body: { error: "season_required", message: "mode=championship needs a seasonId." },
+      };
+    }
+    try {
+      pointsTable = await loadSeasonPointsTable(db, seasonId);
+    } catch (e) {
+      return {
+        ok: false,
+        status: 500,
+        body: { error: "db_query_failed", message: "Failed to load the season points table.", details: String(e?.message || e) },
+      };
+    }
+  }
+
+  let timeRange;
+  try {
+    timeRange = await resolveTimeRange(db, url.searchParams, { streamerId: url.searchParams.get("streamerId") });
+  } catch (e) {
+    return {
+      ok: false,
+      status: 500,
+      body: { error: "db_query_failed", message: "Failed to resolve the stream window.", details: String(e?.message || e) },
+    };
+  }
+  if (!timeRange.ok) {
+    return { ok: false, status: 400, body: { error: timeRange.error, message: timeRange.message } };
+  }
+
+  const includeBots = toBool(url.searchParams.get("showBots"));
+  const scopeKey =
+    mode === "wins" && timeRange.fromMs === null && timeRange.toMs === null ? scopeKeyFromUrl(url) : null;
+
+  const wantsRaw =
+    mode === "championship" ||
+    normStr(url.searchParams.get("source")).toLowerCase() === "raw" ||
+    timeRange.fromMs !== null ||
+    timeRange.toMs !== null ||
+    RAW_ONLY_PARAMS.some((k) => normSearch(url.searchParams.get(k)));
+  if (allowAggregates && !wantsRaw && (await viewerAggregatesReady(db))) {
+    return {
+      ok: true,
+      mode,
+      pointsTable,
+      source: "aggregates",
+      scopeKey,
+      ...aggregateWhereAndParams(url, { includeBots }),
+      timeRange,
+    };
+  }
+
+  const hasBotFlag = await schemaAtLeast(db, SCHEMA.botFlags);
+  const countedSql = await countedCompetitionSql(db, "c");
+  const { whereSql, params } = buildWhereAndParams(url, {
+    includeBots,
+    hasBotFlag,
+    countedSql,
+    fromMs: timeRange.fromMs,
+    toMs: timeRange.toMs,
+  });
+  return { ok: true, mode, pointsTable, source: "raw", scopeKey, whereSql, params, timeRange };
+}
+
+// One row per (competition, viewer) that passes the filters.
+export function filteredCteSql(whereSql) {
+  return `
+    WITH filtered AS (
+      SELECT
+        c.id AS competition_id,
+        c.season_id,
+        c.streamer_user_id,
+        c.streamer_login,
+        c.map_id,
+        c.map_name,
+        r.viewer_user_id,
+        r.viewer_login,
+        r.viewer_display_name,
+        r.viewer_profile_image_url,
+        r.finish_position AS position,
+        r.status,
+        r.finish_time_ms
+      FROM competitions c
+      JOIN competition_results r ON r.competition_id = c.id
+      ${whereSql}
+    )
+  `;
+}
+
+export function leaderboardCountSql({ source, whereSql }) {
+  if (source === "aggregates") {
+    return `SELECT COUNT(*) AS totalItems FROM viewer_stat_aggregates vb ${whereSql};`;
+  }
+  return `${filteredCteSql(whereSql)}
+    SELECT COUNT(DISTINCT viewer_user_id) AS totalItems
+    FROM filtered;
+  `;
+}
+
+/**
+ * Per-viewer aggregate query, sorted by sortBy / sortDir. `filters` is the resolveLeaderboardFilters
+ * result. The SQL ends in LIMIT ? OFFSET ?; bind as (...params, ...extraParams, limit, offset).
+ * Championship mode adds a `points` column (and sortBy=points, the default there).
+ */
+export async function leaderboardDataQuery(db, url, { source, whereSql, mode = "wins", pointsTable = null }) {
+  const championship = mode === "championship" && !!pointsTable;
+  const sortBy = normStr(url.searchParams.get("sortBy")) || (championship ? "points" : "wins");
+  const sortDir = normStr(url.searchParams.get("sortDir")) || "desc";
+  const aggregated = source === "aggregates";
+  const orderBySql = buildOrderBy(sortBy, sortDir, { aggregated, championship });
+
+  // Ratings are per scope: the vehicleType filter, or "all" when not filtering by type.
+  const vehicleTypeRaw = normStr(url.searchParams.get("vehicleType")).toLowerCase();
+  const ratingScope = vehicleTypeRaw && vehicleTypeRaw !== "all" ? vehicleTypeRaw : "all";
+  const hasRatings = await schemaAtLeast(db, SCHEMA.viewerRatings);
+  const ratingJoinSql = hasRatings
+    ? "LEFT JOIN viewer_ratings vr ON vr.viewer_user_id = vb.viewer_user_id AND vr.scope = ?"
+    : "LEFT JOIN (SELECT NULL AS viewer_user_id, NULL AS rating, NULL AS races) vr ON 1 = 0";
+  const ratingParams = hasRatings ? [ratingScope] : [];
+
+  // The rating join comes after WHERE in the raw query, so its "?" is bound after the filter
+  // params; keep the same order here.
+  if (aggregated) {
+    const sql = `
+      WITH vb AS (
+        SELECT * FROM viewer_stat_aggregates vb
+        ${whereSql}
+      )
+      SELECT
+        vb.viewer_user_id AS viewerUserId,
+        vb.viewer_login AS viewerLogin,
+        vb.viewer_display_name AS viewerDisplayName,
+        vb.viewer_profile_image_url AS viewerProfileImageUrl,
+
+        vb.competitions AS competitions,
+        vb.firsts AS wins,
+        vb.firsts AS firsts,
+        vb.seconds AS seconds,
+        vb.thirds AS thirds,
+
+        vb.best_finish_pos AS bestFinishPos,
+        vb.worst_finish_pos AS worstFinishPos,
+        vb.avg_finish_pos AS avgFinishPos,
+        vb.median_finish_pos AS medianFinishPos,
+        vb.p10_finish_pos AS p10FinishPos,
+        vb.p25_finish_pos AS p25FinishPos,
+        vb.p75_finish_pos AS p75FinishPos,
+        vb.p90_finish_pos AS p90FinishPos,
+
+        vb.finished_count AS finishedCount,
+        (vb.competitions - vb.finished_count) AS dnfCount,
+
+        vb.best_time_ms AS bestTimeMs,
+        vb.worst_time_ms AS worstTimeMs,
+        vb.avg_time_ms AS avgTimeMs,
+        vb.median_time_ms AS medianTimeMs,
+        vb.p10_time_ms AS p10TimeMs,
+        vb.p25_time_ms AS p25TimeMs,
+        vb.p75_time_ms AS p75TimeMs,
+        vb.p90_time_ms AS p90TimeMs,
+
+        vr.rating AS rating,
+        vr.races AS ratedRaces
+      FROM vb
+      ${ratingJoinSql}
+      ${orderBySql}
+      LIMIT ? OFFSET ?;
+    `;
+    return { sql, extraParams: ratingParams, sortBy, sortDir: sortDir.toLowerCase() === "asc" ? "asc" : "desc" };
+  }
+
+  const champ = championship ? championshipCteSql(pointsTable) : { sql: "", params: [] };
+
+  const sql = `${filteredCteSql(whereSql)}
+    , viewer_base AS (
+      SELECT
+        viewer_user_id,
+        MAX(viewer_login) AS viewer_login,
+        MAX(viewer_display_name) AS viewer_display_name,
+        MAX(viewer_profile_image_url) AS viewer_profile_image_url,
+        COUNT(*) AS competitions,
+	        SUM(CASE WHEN status = 'FINISHED' THEN 1 ELSE 0 END) AS finished_count,
+	        SUM(CASE WHEN status = 'FINISHED' AND position = 1 THEN 1 ELSE 0 END) AS firsts,
+	        SUM(CASE WHEN status = 'FINISHED' AND position = 2 THEN 1 ELSE 0 END) AS seconds,
+	        SUM(CASE WHEN status = 'FINISHED' AND position = 3 THEN 1 ELSE 0 END) AS thirds
+      FROM filtered
+      GROUP BY viewer_user_id
+	    ), pos_only AS (
+	      SELECT
+	        viewer_user_id,
+	        position
+	      FROM filtered
+	      WHERE status = 'FINISHED' AND position IS NOT NULL
+	    ), pos_agg AS (
+	      SELECT
+	        viewer_user_id,
+	        MIN(position) AS best_finish_pos,
+	        MAX(position) AS worst_finish_pos,
+	        AVG(position) AS avg_finish_pos
+	      FROM pos_only
+	      GROUP BY viewer_user_id
+	    ), pos_ranked AS (
+      SELECT
+        viewer_user_id,
+        position,
+        COUNT(*) OVER (PARTITION BY viewer_user_id) AS n,
+        ROW_NUMBER() OVER (PARTITION BY viewer_user_id ORDER BY position ASC) AS rn
+	      FROM pos_only
+    ), pos_quant AS (
+      SELECT
+        viewer_user_id,
+        MAX(CASE WHEN rn = CAST((0.10 * n + 0.999999) AS INT) THEN position END) AS p10_finish_pos,
+        MAX(CASE WHEN rn = CAST((0.25 * n + 0.999999) AS INT) THEN position END) AS p25_finish_pos,
+        MAX(CASE WHEN rn = CAST((0.50 * n + 0.999999) AS INT) THEN position END) AS median_finish_pos,
+        MAX(CASE WHEN rn = CAST((0.75 * n + 0.999999) AS INT) THEN position END) AS p75_finish_pos,
+        MAX(CASE WHEN rn = CAST((0.90 * n + 0.999999) AS INT) THEN position END) AS p90_finish_pos
+      FROM pos_ranked
+      GROUP BY viewer_user_id
+	    ), time_base AS (
+	      SELECT
+	        viewer_user_id,
+	        MIN(finish_time_ms) AS best_time_ms,
+	        MAX(finish_time_ms) AS worst_time_ms,
+	        AVG(finish_time_ms) AS avg_time_ms
+	      FROM filtered
+	      WHERE status = 'FINISHED' AND finish_time_ms IS NOT NULL
+	      GROUP BY viewer_user_id
+    ), time_ranked AS (
+      SELECT
+        viewer_user_id,
+        finish_time_ms AS time_ms,
+        COUNT(*) OVER (PARTITION BY viewer_user_id) AS n,
+        ROW_NUMBER() OVER (PARTITION BY viewer_user_id ORDER BY finish_time_ms ASC) AS rn
+      FROM filtered
+      WHERE status = 'FINISHED' AND finish_time_ms IS NOT NULL
+    ), time_quant AS (
+      SELECT
+        viewer_user_id,
+        MAX(CASE WHEN rn = CAST((0.10 * n + 0.999999) AS INT) THEN time_ms END) AS p10_time_ms,
+        MAX(CASE WHEN rn = CAST((0.25 * n + 0.999999) AS INT) THEN time_ms END) AS p25_time_ms,
+        MAX(CASE WHEN rn = CAST((0.50 * n + 0.999999) AS INT) THEN time_ms END) AS median_time_ms,
+        MAX(CASE WHEN rn = CAST((0.75 * n + 0.999999) AS INT) THEN time_ms END) AS p75_time_ms,
+        MAX(CASE WHEN rn = CAST((0.90 * n + 0.999999) AS INT) THEN time_ms END) AS p90_time_ms
+      FROM time_ranked
+      GROUP BY viewer_user_id
+    )
+    ${champ.sql}
+    SELECT
+      vb.viewer_user_id AS viewerUserId,
+      vb.viewer_login AS viewerLogin,
+      vb.viewer_display_name AS viewerDisplayName,
+      vb.viewer_profile_image_url AS viewerProfileImageUrl,
+
+      vb.competitions AS competitions,
+      vb.firsts AS wins,
+      vb.firsts AS firsts,
+      vb.seconds AS seconds,
+      vb.thirds AS thirds,
+
+	      pa.best_finish_pos AS bestFinishPos,
+	      pa.worst_finish_pos AS worstFinishPos,
+	      pa.avg_finish_pos AS avgFinishPos,
+      pq.median_finish_pos AS medianFinishPos,
+      pq.p10_finish_pos AS p10FinishPos,
+      pq.p25_finish_pos AS p25FinishPos,
+      pq.p75_finish_pos AS p75FinishPos,
+      pq.p90_finish_pos AS p90FinishPos,
+
+	      vb.finished_count AS finishedCount,
+	      (vb.competitions - vb.finished_count) AS dnfCount,
+
+      tb.best_time_ms AS bestTimeMs,
+      tb.worst_time_ms AS worstTimeMs,
+      tb.avg_time_ms AS avgTimeMs,
+      tq.median_time_ms AS medianTimeMs,
+      tq.p10_time_ms AS p10TimeMs,
+      tq.p25_time_ms AS p25TimeMs,
+      tq.p75_time_ms AS p75TimeMs,
+      tq.p90_time_ms AS p90TimeMs,
+
+      vr.rating AS rating,
+      vr.races AS ratedRaces
+      ${championship ? ", ROUND(COALESCE(cp.points, 0), 2) AS points" : ""}
+	    FROM viewer_base vb
+	    LEFT JOIN pos_agg pa ON pa.viewer_user_id = vb.viewer_user_id
+	    LEFT JOIN pos_quant pq ON pq.viewer_user_id = vb.viewer_user_id
+    LEFT JOIN time_base tb ON tb.viewer_user_id = vb.viewer_user_id
+    LEFT JOIN time_quant tq ON tq.viewer_user_id = vb.viewer_user_id
+    ${championship ? "LEFT JOIN champ cp ON cp.viewer_user_id = vb.viewer_user_id" : ""}
+    ${ratingJoinSql}
+    ${orderBySql}
+    LIMIT ? OFFSET ?;
+  `;
+
+  return {
+    sql,
+    extraParams: [...champ.params, ...ratingParams],
+    sortBy,
+    sortDir: sortDir.toLowerCase() === "asc" ? "asc" : "desc",
+  };
+}
@@ -0,0 +1,254 @@
+// functions/_lib/leaderboardSnapshots.js
+//
+// Leaderboard rank history.
+//
+// A snapshot freezes the standings of one leaderboard scope (the viewer_stat_aggregates scope key:
+// season / streamer / map / vehicle type, see _lib/viewerAggregates.js) at a point in time:
+//
+//   daily       once per UTC day
+//   season_end  once, on the first pass after the season's end_at_ms (ended seasons get no more
+//               dailies)
+//
+// Snapshots are only taken of the headline boards that have standings: each season and "all
+// seasons", per vehicle type and overall, across all streamers and maps. Other boards have no
+// history, so they show no movement arrows. The daily pass runs once per UTC day, started by the
+// first leaderboard read of the day (ensureDailySnapshots, in the background; a stats_meta claim
+// keeps isolates from running it twice), and can be run by hand with
+// POST /api/v1/admin/leaderboard-snapshots.
+//
+// Standings are the default leaderboard order (wins desc, then login), bots excluded. Comparing a
+// viewer's current standing with the latest daily snapshot from before today gives the movement
+// arrows ("since yesterday"); the list of snapshots gives the "rank over time" series.
+
+import { toStr } from "./dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "./schemaMigrations.js";
+import { ANY_SCOPE, viewerAggregatesReady } from "./viewerAggregates.js";
+
+export const SNAPSHOT_KINDS = ["daily", "season_end"];
+
+// Must match the leaderboard's default sort (leaderboardQuery.js buildOrderBy, sortBy=wins).
+function standingOrderSql(alias) {
+  return `${alias}.firsts DESC, LOWER(COALESCE(${alias}.viewer_login, ${alias}.viewer_user_id)) ASC`;
+}
+
+// viewer ids per statement; D1 allows 100 bound parameters.
+const VIEWER_CHUNK = 90;
+
+// stats_meta key holding the UTC day of the last daily pass.
+const DAILY_PASS_KEY = "leaderboard_snapshots_day";
+
+// UTC day this isolate last saw the daily pass done (saves the claim query on every read).
+let __passDay = "";
+
+export function utcDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+export async function hasSnapshotTables(db) {
+  return schemaAtLeast(db, SCHEMA.leaderboardSnapshots);
+}
+
+function parseScopeKey(scopeKey) {
+  try {
+    const parts = JSON.parse(String(scopeKey || ""));
+    if (!Array.isArray(parts) || parts.length !== 4) return null;
+    const [seasonId, streamerId, mapId, vehicleType] = parts.map(toStr);
+    return { seasonId, streamerId, mapId, vehicleType };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Freezes the current standings of a scope. Idempotent per (scope, kind, period): returns
+ * { taken: false } when that snapshot already exists, or when the scope has no standings.
+ */
+export async function takeLeaderboardSnapshot(db, scopeKey, { kind = "daily", period, now = Date.now() } = {}) {
+  const p = toStr(period) || utcDay(now);
+  const existing = await db
+    .prepare("SELECT id FROM leaderboard_snapshots WHERE scope_key = ? AND kind = ? AND period = ?")
+    .bind(scopeKey, kind, p)
+    .first();
+  if (existing) return { taken: false, snapshotId: Number(existing.id) };
+
+  // taken_at_ms doubles as a guard so the ranks only ever land in the row inserted here.
+  await db.batch([
+    db
+      .prepare(
+        `INSERT OR IGNORE INTO leaderboard_snapshots (scope_key, kind, period, viewer_count, taken_at_ms)
+         SELECT ?, ?, ?, COUNT(*), ?
+         FROM viewer_stat_aggregates
+         WHERE scope_key = ? AND is_bot = 0
+         HAVING COUNT(*) > 0`,
+      )
+      .bind(scopeKey, kind, p, now, scopeKey),
+    db
+      .prepare(
+        `INSERT OR IGNORE INTO leaderboard_snapshot_ranks (snapshot_id, viewer_user_id, rank, wins, competitions)
+         SELECT s.id, a.viewer_user_id, ROW_NUMBER() OVER (ORDER BY ${standingOrderSql("a")}), a.firsts, a.competitions
+         FROM viewer_stat_aggregates a
+         JOIN leaderboard_snapshots s ON s.scope_key = ? AND s.kind = ? AND s.period = ? AND s.taken_at_ms = ?
+         WHERE a.scope_key = ? AND a.is_bot = 0`,
+      )
+      .bind(scopeKey, kind, p, now, scopeKey),
+  ]);
+
+  const row = await db
+    .prepare("SELECT id, taken_at_ms FROM leaderboard_snapshots WHERE scope_key = ? AND kind = ? AND period = ?")
+    .bind(scopeKey, kind, p)
+    .first();
+  return { taken: Number(row?.taken_at_ms) === now, snapshotId: row ? Number(row.id) : null };
+}
+
+async function seasonEndMs(db, seasonId) {
+  if (!seasonId || seasonId === ANY_SCOPE) return null;
+  if (!(await schemaAtLeast(db, SCHEMA.usersAndSeasons))) return null;
+  // Scope season ids are lowercased (competitions.season_id); vf_seasons keeps the admin's casing.
+  const row = await db.prepare("SELECT end_at_ms FROM vf_seasons WHERE LOWER(season_id) = ?").bind(seasonId).first();
+  const ms = Number(row?.end_at_ms || 0) || 0;
+  return ms > 0 ? ms : null;
+}
+
+// Takes whatever snapshot a scope is due: today's daily one, or its season's season_end one.
+async function takeDueSnapshot(db, scopeKey, scope, now) {
+  const endMs = await seasonEndMs(db, scope.seasonId);
+  const kind = endMs !== null && endMs <= now ? "season_end" : "daily";
+  const period = kind === "season_end" ? scope.seasonId : utcDay(now);
+  return { kind, period, ...(await takeLeaderboardSnapshot(db, scopeKey, { kind, period, now })) };
+}
+
+/**
+ * Takes the due snapshot of every headline board with standings (see header).
+ */
+export async function snapshotHeadlineBoards(db, { now = Date.now() } = {}) {
+  if (!(await viewerAggregatesReady(db))) {
+    return { ok: false, error: "aggregates_not_ready", message: "Rebuild the viewer aggregates first (POST /api/v1/admin/viewer-aggregates)." };
+  }
+  if (!(await hasSnapshotTables(db))) {
+    return { ok: false, error: "db_not_initialized", message: "Run the schema migrations first (leaderboard snapshot tables missing)." };
+  }
+
+  const rs = await db.prepare("SELECT DISTINCT scope_key FROM viewer_stat_aggregates WHERE is_bot = 0").all();
+  const scopes = (Array.isArray(rs?.results) ? rs.results : [])
+    .map((r) => ({ scopeKey: toStr(r.scope_key), scope: parseScopeKey(r.scope_key) }))
+    .filter(({ scope }) => scope && scope.streamerId === ANY_SCOPE && scope.mapId === ANY_SCOPE);
+
+  const snapshots = [];
+  for (const { scopeKey, scope } of scopes) {
+    const r = await takeDueSnapshot(db, scopeKey, scope, now);
+    snapshots.push({ scopeKey, kind: r.kind, period: r.period, taken: !!r.taken });
+  }
+  return { ok: true, scopes: scopes.length, taken: snapshots.filter((s) => s.taken).length, snapshots };
+}
+
+/**
+ * Runs today's pass of snapshotHeadlineBoards unless some isolate already has (see header).
+ * Meant for context.waitUntil on leaderboard reads; a failed pass releases the day again.
+ */
+export async function ensureDailySnapshots(db, { now = Date.now() } = {}) {
+  const day = utcDay(now);
+  if (__passDay === day) return { ok: true, skipped: true };
+  if (!(await viewerAggregatesReady(db)) || !(await hasSnapshotTables(db))) return { ok: false, skipped: true };
+
+  const claim = await db
+    .prepare(
+      `INSERT INTO stats_meta (key, value, updated_at_ms) VALUES (?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at_ms = excluded.updated_at_ms
+       WHERE COALESCE(stats_meta.value, '') < excluded.value`,
+    )
+    .bind(DAILY_PASS_KEY, day, now)
+    .run();
+  __passDay = day;
+  if (!(Number(claim?.meta?.changes || 0) > 0)) return { ok: true, skipped: true };
+
+  try {
+    return await snapshotHeadlineBoards(db, { now });
+  } catch (e) {
+    __passDay = "";
+    await db.prepare("UPDATE stats_meta SET value = '' WHERE key = ? AND value = ?").bind(DAILY_PASS_KEY, day).run();
+    throw e;
+  }
+}
+
+/**
+ * Current standing vs the latest daily snapshot from before today (UTC) for the given viewers.
+ *
+ * Returns null when there is nothing to compare with (aggregates not built, no snapshots yet),
+ * else { since: { period, takenAtMs }, byViewer: Map(viewerUserId -> { rank, previousRank, rankDelta }) }.
+ * rankDelta > 0 means the viewer climbed; previousRank is null for viewers new to the board.
+ */
+export async function loadRankMovement(db, scopeKey, viewerUserIds, { now = Date.now() } = {}) {
+  if (!scopeKey || !(await viewerAggregatesReady(db)) || !(await hasSnapshotTables(db))) return null;
+
+  const snap = await db
+    .prepare(
+      `SELECT id, period, taken_at_ms
+       FROM leaderboard_snapshots
+       WHERE scope_key = ? AND kind = 'daily' AND period < ?
+       ORDER BY taken_at_ms DESC
+       LIMIT 1`,
+    )
+    .bind(scopeKey, utcDay(now))
+    .first();
+  if (!snap) return null;
+
+  const ids = [...new Set((viewerUserIds || []).map(toStr).filter(Boolean))];
+  const byViewer = new Map();
+  for (let i = 0; i < ids.length; i += VIEWER_CHUNK) {
+    const chunk = ids.slice(i, i + VIEWER_CHUNK);
+    const rs = await db
+      .prepare(
+        `WITH standings AS (
+           SELECT a.viewer_user_id, ROW_NUMBER() OVER (ORDER BY ${standingOrderSql("a")}) AS rank
+           FROM viewer_stat_aggregates a
+           WHERE a.scope_key = ? AND a.is_bot = 0
+         )
+         SELECT st.viewer_user_id, st.rank, p.rank AS previous_rank
+         FROM standings st
+         LEFT JOIN leaderboard_snapshot_ranks p ON p.snapshot_id = ? AND p.viewer_user_id = st.viewer_user_id
+         WHERE st.viewer_user_id IN (${chunk.map(() => "?").join(",")})`,
+      )
+      .bind(scopeKey, snap.id, ...chunk)
+      .all();
+    for (const r of Array.isArray(rs?.results) ? rs.results : []) {
+      const rank = Number(r.rank);
+      const previousRank = r.previous_rank === null || r.previous_rank === undefined ? null : Number(r.previous_rank);
+      byViewer.set(toStr(r.viewer_user_id), {
+        rank,
+        previousRank,
+        rankDelta: previousRank === null ? null : previousRank - rank,
+      });
+    }
+  }
+
+  return { since: { period: toStr(snap.period), takenAtMs: Number(snap.taken_at_ms) || null }, byViewer };
+}
+
+/**
+ * One viewer's standing in every snapshot of a scope, oldest first (rank null = not on the board
+ * yet at that point). limit keeps the most recent snapshots.
+ */
+export async function loadRankHistory(db, scopeKey, viewerUserId, { limit = 90 } = {}) {
+  const rs = await db
+    .prepare(
+      `SELECT s.kind, s.period, s.taken_at_ms, s.viewer_count, r.rank, r.wins, r.competitions
+       FROM leaderboard_snapshots s
+       LEFT JOIN leaderboard_snapshot_ranks r ON r.snapshot_id = s.id AND r.viewer_user_id = ?
+       WHERE s.scope_key = ?
+       ORDER BY s.taken_at_ms DESC
+       LIMIT ?`,
+    )
+    .bind(viewerUserId, scopeKey, limit)
+    .all();
+
+  return (Array.isArray(rs?.results) ? rs.results : []).reverse().map((r) => ({
+    kind: toStr(r.kind),
+    period: toStr(r.period),
+    takenAtMs: Number(r.taken_at_ms) || null,
+    viewerCount: Number(r.viewer_count || 0) || 0,
+    rank: r.rank === null || r.rank === undefined ? null : Number(r.rank),
+    wins: r.wins === null || r.wins === undefined ? null : Number(r.wins),
+    competitions: r.competitions === null || r.competitions === undefined ? null : Number(r.competitions),
+  }));
+}
+
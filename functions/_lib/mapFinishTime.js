@@ -0,0 +1,165 @@
+// functions/_lib/mapFinishTime.js
+//
+// Cached map "finish time" (vf_maps.finish_time_ms): the average winning time per competition
+// on the map's current definition. Recomputed after competition submits / approvals so Unity
+// clients can show "Avg Finish Time" from their local map cache.
+
+import { countedCompetitionSql } from "./competitionStatus.js";
+import { SCHEMA, schemaAtLeast } from "./schemaMigrations.js";
+
+function nowMs() {
+  return Date.now();
+}
+
+function toStr(v) {
+  return String(v ?? "").trim();
+}
+
+function toInt(v, { min = undefined, max = undefined, fallback = 0 } = {}) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return fallback;
+  let x = Math.trunc(n);
+  if (min !== undefined && x < min) x = min;
+  if (max !== undefined && x > max) x = max;
+  return x;
+}
+
+function isNoSuchColumnError(e, colName) {
+  const msg = String(e?.message || e || "").toLowerCase();
+  const c = String(colName || "").toLowerCase();
+  return msg.includes("no such column") && (!c || msg.includes(c));
+}
+
+// Which competitions count as "this version of the map": prefer a hash match when available,
+// otherwise fall back to map_version; neither = every version.
+export function mapVersionWhere({ mapHash = "", mapVersion = 0 } = {}, alias = "c") {
+  const hash = toStr(mapHash);
+  const version = toInt(mapVersion, { min: 0, max: 9999, fallback: 0 });
+  if (hash) return { sql: `AND ${alias}.map_hash_sha256 = ?`, params: [hash] };
+  if (version > 0) return { sql: `AND ${alias}.map_version = ?`, params: [version] };
+  return { sql: "", params: [] };
+}
+
+/**
+ * CTE "per_comp": one row per counted (not quarantined / voided) competition on the map.
+ *
+ *   competition_id, started_at_ms,
+ *   field_size     racers in the competition
+ *   finishers      FINISHED racers
+ *   best_time_ms   winning time (best FINISHED time > 0), null if nobody finished
+ *
+ * Returns { sql: "WITH per_comp AS (...)", params }; continue the statement with SELECT ... FROM per_comp.
+ */
+export async function mapPerCompetitionCte(db, mapId, { mapHash = "", mapVersion = 0, excludeBots = true } = {}) {
+  const version = mapVersionWhere({ mapHash, mapVersion });
+  const hasIsBot = await schemaAtLeast(db, SCHEMA.botFlags);
+
+  // Quarantined races must not skew the baseline they are checked against.
+  const counted = await countedCompetitionSql(db, "c");
+  const countedWhere = counted ? `AND ${counted}` : "";
+  const botWhere = excludeBots && hasIsBot ? "AND (r.is_bot IS NULL OR r.is_bot = 0)" : "";
+
+  const sql = `
+    WITH per_comp AS (
+      SELECT
+        c.id AS competition_id,
+        MIN(c.started_at_ms) AS started_at_ms,
+        COUNT(*) AS field_size,
+        SUM(CASE WHEN r.status = 'FINISHED' THEN 1 ELSE 0 END) AS finishers,
+        MIN(CASE WHEN r.status = 'FINISHED' AND r.finish_time_ms > 0 THEN r.finish_time_ms END) AS best_time_ms
+      FROM competitions c
+      JOIN competition_results r ON r.competition_id = c.id
+      WHERE c.map_id = ?
+        ${version.sql}
+        ${countedWhere}
+        ${botWhere}
+      GROUP BY c.id
+    )
+  `;
+
+  return { sql, params: [mapId, ...version.params] };
+}
+
+export async function recomputeAndUpdateMapFinishTimeMs(db, mapId) {
+  if (!db || !mapId) return { ok: false, reason: "missing_args" };
+
+  // If the column doesn't exist yet, skip quietly (older deployments).
+  if (!(await schemaAtLeast(db, SCHEMA.cloudMaps))) return { ok: false, reason: "no_finish_time_column" };
+
+  // Fetch the current map version/hash so we only compute against the active map definition.
+  let mapRow = null;
+  try {
+    mapRow = await db
+      .prepare("SELECT map_version, map_hash_sha256 FROM vf_maps WHERE id = ? LIMIT 1")
+      .bind(mapId)
+      .first();
+  } catch {
+    return { ok: false, reason: "map_lookup_failed" };
+  }
+
+  if (!mapRow) return { ok: false, reason: "map_not_found" };
+
+  const mapKey = { mapHash: toStr(mapRow?.map_hash_sha256), mapVersion: mapRow?.map_version };
+  const hasIsBot = await schemaAtLeast(db, SCHEMA.botFlags);
+
+  // We define a map's "finish time" as the average winning time per competition.
+  // (Average of each competition's best FINISHED time.)
+  //
+  // Prefer *non-bot* results when they exist; if a map has only bot races so far,
+  // fall back to including bots so new maps can still get a reasonable baseline.
+  async function queryAgg({ excludeBots } = { excludeBots: true }) {
+    const cte = await mapPerCompetitionCte(db, mapId, { ...mapKey, excludeBots });
+    const sql = `${cte.sql}
+      SELECT AVG(best_time_ms) AS avg_best_time_ms, COUNT(best_time_ms) AS sample_count
+      FROM per_comp;
+    `;
+
+    return await db.prepare(sql).bind(...cte.params).first();
+  }
+
+  let agg = null;
+  let usedBots = false;
+
+  try {
+    // 1) Prefer non-bot data (real viewers)
+    agg = await queryAgg({ excludeBots: true });
+    let sc = Number(agg?.sample_count || 0) || 0;
+
+    // 2) If there are no non-bot samples and the schema supports bots,
+    //    fall back to including bots so we can still compute a baseline.
+    if (sc === 0 && hasIsBot) {
+      const aggAll = await queryAgg({ excludeBots: false });
+      const scAll = Number(aggAll?.sample_count || 0) || 0;
+      if (scAll > 0) {
+        agg = aggAll;
+        usedBots = true;
+        sc = scAll;
+      }
+    }
+  } catch {
+    return { ok: false, reason: "aggregate_query_failed" };
+  }
+
+  const avg = Number(agg?.avg_best_time_ms);
+
+  const avgMs = Number.isFinite(avg) ? Math.round(avg) : null;
+  const sampleCount = Number(agg?.sample_count || 0) || 0;
+
+  if (sampleCount <= 0 || avgMs === null) {
+    // No usable samples (e.g., all DNF). On competition submit we avoid overwriting an existing
+    // cached finish time with NULL/0. Admin can still explicitly reset via Recalculate.
+    return { ok: false, reason: "no_samples" };
+  }
+
+  try {
+    await db
+      .prepare("UPDATE vf_maps SET finish_time_ms = ?, updated_at_ms = ? WHERE id = ?")
+      .bind(avgMs, nowMs(), mapId)
+      .run();
+  } catch (e) {
+    if (isNoSuchColumnError(e, "finish_time_ms")) return { ok: false, reason: "no_finish_time_column" };
+    return { ok: false, reason: "update_failed" };
+  }
+
+  return { ok: true, finishTimeMs: avgMs || 0, sampleCount, usedBots };
+}
@@ -0,0 +1,35 @@
+// 0002: cloud maps (tracks), including the soft-delete flag, cached finish time and preview images.
+
+import { addColumn } from "./steps.js";
+
+export default {
+  version: 2,
+  name: "cloud_maps",
+  steps: [
+    `CREATE TABLE IF NOT EXISTS vf_maps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      map_json TEXT NOT NULL,
+      map_version INTEGER,
+      map_hash_sha256 TEXT,
+      vehicle_type TEXT,
+      game_mode TEXT,
+      created_by_user_id TEXT NOT NULL,
+      created_by_login TEXT,
+      created_at_ms INTEGER NOT NULL,
+      updated_at_ms INTEGER NOT NULL
+    )`,
+    addColumn("vf_maps", "source", "TEXT NOT NULL DEFAULT 'community'"),
+    addColumn("vf_maps", "deleted", "INTEGER NOT NULL DEFAULT 0"),
+    // Cached "typical" finish time (see _lib/mapFinishTime.js); NULL until recomputed.
+    addColumn("vf_maps", "finish_time_ms", "INTEGER"),
+    addColumn("vf_maps", "thumb_png", "BLOB"),
+    addColumn("vf_maps", "image_png", "BLOB"),
+
+    // Unique names for ACTIVE maps only, so deleted maps keep their row for stats/history.
+    "CREATE UNIQUE INDEX IF NOT EXISTS idx_vf_maps_name_active_ci ON vf_maps(lower(name)) WHERE deleted = 0",
+    "CREATE INDEX IF NOT EXISTS idx_vf_maps_updated ON vf_maps(updated_at_ms, id)",
+    "CREATE INDEX IF NOT EXISTS idx_vf_maps_source ON vf_maps(source)",
+    "CREATE INDEX IF NOT EXISTS idx_vf_maps_deleted ON vf_maps(deleted, updated_at_ms, id)",
+  ],
+};
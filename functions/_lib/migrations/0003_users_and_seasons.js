@@ -0,0 +1,48 @@
+// 0003: known Twitch users, seasons and which streamers each viewer has raced for.
+
+import { addColumn } from "./steps.js";
+
+export default {
+  version: 3,
+  name: "users_and_seasons",
+  steps: [
+    `CREATE TABLE IF NOT EXISTS vf_users (
+      user_id TEXT PRIMARY KEY,
+      login TEXT,
+      display_name TEXT,
+      profile_image_url TEXT,
+      last_seen_at_ms INTEGER,
+      created_at_ms INTEGER NOT NULL,
+      updated_at_ms INTEGER NOT NULL
+    )`,
+    // Follower / sub status reported by the game (see api/v1/users/support-status.js).
+    addColumn("vf_users", "is_follower", "INTEGER NOT NULL DEFAULT 0"),
+    addColumn("vf_users", "sub_tier", "INTEGER NOT NULL DEFAULT 0"),
+    addColumn("vf_users", "support_updated_at_ms", "INTEGER"),
+    "CREATE INDEX IF NOT EXISTS idx_vf_users_login ON vf_users(login)",
+
+    `CREATE TABLE IF NOT EXISTS vf_seasons (
+      season_id TEXT PRIMARY KEY,
+      name TEXT,
+      description TEXT,
+      start_at_ms INTEGER,
+      end_at_ms INTEGER,
+      created_at_ms INTEGER NOT NULL,
+      updated_at_ms INTEGER NOT NULL,
+      updated_by_login TEXT,
+      updated_by_user_id TEXT
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS vf_user_streamers (
+      user_id TEXT NOT NULL,
+      streamer_user_id TEXT NOT NULL,
+      streamer_login TEXT,
+      first_seen_at_ms INTEGER,
+      last_seen_at_ms INTEGER,
+      created_at_ms INTEGER NOT NULL,
+      updated_at_ms INTEGER NOT NULL,
+      PRIMARY KEY (user_id, streamer_user_id)
+    )`,
+    "CREATE INDEX IF NOT EXISTS idx_vf_user_streamers_streamer ON vf_user_streamers(streamer_user_id, last_seen_at_ms)",
+  ],
+};
@@ -0,0 +1,44 @@
+// 0004: per-streamer custom roles and the cached Twitch roles (VIPs, mods, ...) synced from Helix.
+
+export default {
+  version: 4,
+  name: "streamer_roles",
+  steps: [
+    `CREATE TABLE IF NOT EXISTS vf_streamer_roles (
+      streamer_user_id TEXT NOT NULL,
+      role_id TEXT NOT NULL,
+      role_name TEXT NOT NULL,
+      created_at_ms INTEGER NOT NULL,
+      updated_at_ms INTEGER NOT NULL,
+      PRIMARY KEY (streamer_user_id, role_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS vf_streamer_role_users (
+      streamer_user_id TEXT NOT NULL,
+      role_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      created_at_ms INTEGER NOT NULL,
+      updated_at_ms INTEGER NOT NULL,
+      PRIMARY KEY (streamer_user_id, role_id, user_id)
+    )`,
+    "CREATE INDEX IF NOT EXISTS idx_vf_streamer_role_users_user ON vf_streamer_role_users(streamer_user_id, user_id)",
+
+    `CREATE TABLE IF NOT EXISTS vf_streamer_twitch_roles (
+      streamer_user_id TEXT NOT NULL,
+      role_id TEXT NOT NULL,
+      role_name TEXT NOT NULL,
+      last_synced_at_ms INTEGER,
+      created_at_ms INTEGER NOT NULL,
+      updated_at_ms INTEGER NOT NULL,
+      PRIMARY KEY (streamer_user_id, role_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS vf_streamer_twitch_role_users (
+      streamer_user_id TEXT NOT NULL,
+      role_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      created_at_ms INTEGER NOT NULL,
+      updated_at_ms INTEGER NOT NULL,
+      PRIMARY KEY (streamer_user_id, role_id, user_id)
+    )`,
+    "CREATE INDEX IF NOT EXISTS idx_vf_streamer_twitch_role_users_user ON vf_streamer_twitch_role_users(streamer_user_id, user_id)",
+  ],
+};
@@ -0,0 +1,22 @@
+// 0005: per-viewer default vehicles and the game-wide fallback per competition type.
+
+export default {
+  version: 5,
+  name: "default_vehicles",
+  steps: [
+    `CREATE TABLE IF NOT EXISTS vf_viewer_default_vehicles (
+      viewer_user_id TEXT NOT NULL,
+      competition_type TEXT NOT NULL,
+      vehicle_id TEXT NOT NULL,
+      updated_at_ms INTEGER NOT NULL,
+      client_updated_at_unix INTEGER,
+      PRIMARY KEY (viewer_user_id, competition_type)
+    )`,
+    `CREATE TABLE IF NOT EXISTS vf_game_default_vehicles (
+      competition_type TEXT PRIMARY KEY,
+      vehicle_id TEXT NOT NULL,
+      updated_at_ms INTEGER NOT NULL,
+      updated_by_login TEXT
+    )`,
+  ],
+};
@@ -0,0 +1,13 @@
+// 0006: legacy string track ids on competitions, and an explicit bot flag on results
+// (older rows are matched by the 'bot:' / 'bot_' / 'racer ' id prefixes instead).
+
+import { addColumn } from "./steps.js";
+
+export default {
+  version: 6,
+  name: "legacy_map_keys_and_bot_flags",
+  steps: [
+    addColumn("competitions", "map_key", "TEXT"),
+    addColumn("competition_results", "is_bot", "INTEGER NOT NULL DEFAULT 0"),
+  ],
+};
@@ -0,0 +1,15 @@
+// 0007: plausibility quarantine (see _lib/competitionChecks.js).
+
+import { addColumn } from "./steps.js";
+
+export default {
+  version: 7,
+  name: "competition_quarantine",
+  steps: [
+    addColumn("competitions", "quarantined", "INTEGER NOT NULL DEFAULT 0"),
+    addColumn("competitions", "quarantine_reasons", "TEXT"),
+    addColumn("competitions", "approved_at_ms", "INTEGER"),
+    addColumn("competitions", "approved_by_user_id", "TEXT"),
+    "CREATE INDEX IF NOT EXISTS idx_competitions_quarantined ON competitions(streamer_user_id, quarantined, started_at_ms)",
+  ],
+};
@@ -0,0 +1,20 @@
+// 0008: checkpoint / lap splits per result row.
+
+export default {
+  version: 8,
+  name: "result_splits",
+  steps: [
+    `CREATE TABLE IF NOT EXISTS competition_result_splits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      competition_result_id INTEGER NOT NULL,
+      split_kind TEXT NOT NULL DEFAULT 'checkpoint',
+      split_index INTEGER NOT NULL,
+      elapsed_ms INTEGER NOT NULL,
+      sector_ms INTEGER,
+      created_at_ms INTEGER NOT NULL,
+      FOREIGN KEY (competition_result_id) REFERENCES competition_results(id) ON DELETE CASCADE,
+      UNIQUE (competition_result_id, split_kind, split_index)
+    )`,
+    "CREATE INDEX IF NOT EXISTS idx_splits_kind_index ON competition_result_splits(split_kind, split_index, sector_ms)",
+  ],
+};
@@ -0,0 +1,25 @@
+// 0009: voided competitions, plus the achievement unlocks revoked by a void (restored on un-void).
+
+import { addColumn } from "./steps.js";
+
+export default {
+  version: 9,
+  name: "competition_void",
+  steps: [
+    addColumn("competitions", "voided", "INTEGER NOT NULL DEFAULT 0"),
+    addColumn("competitions", "voided_at_ms", "INTEGER"),
+    addColumn("competitions", "voided_by_user_id", "TEXT"),
+    addColumn("competitions", "void_reason", "TEXT"),
+    `CREATE TABLE IF NOT EXISTS viewer_achievement_revocations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      revoked_for TEXT NOT NULL,
+      viewer_user_id TEXT NOT NULL,
+      achievement_id INTEGER NOT NULL,
+      unlocked_at_ms INTEGER NOT NULL,
+      source TEXT,
+      source_ref TEXT,
+      revoked_at_ms INTEGER NOT NULL,
+      UNIQUE (revoked_for, viewer_user_id, achievement_id)
+    )`,
+  ],
+};
@@ -0,0 +1,34 @@
+// 0010: pairwise Elo skill ratings (see _lib/ratings.js).
+
+export default {
+  version: 10,
+  name: "viewer_ratings",
+  steps: [
+    `CREATE TABLE IF NOT EXISTS viewer_ratings (
+      viewer_user_id TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      rating REAL NOT NULL,
+      peak_rating REAL NOT NULL,
+      races INTEGER NOT NULL DEFAULT 0,
+      last_competition_id INTEGER,
+      updated_at_ms INTEGER NOT NULL,
+      PRIMARY KEY (viewer_user_id, scope)
+    )`,
+    "CREATE INDEX IF NOT EXISTS idx_viewer_ratings_scope ON viewer_ratings(scope, rating DESC)",
+    `CREATE TABLE IF NOT EXISTS viewer_rating_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      viewer_user_id TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      competition_id INTEGER NOT NULL,
+      rating_before REAL NOT NULL,
+      rating_after REAL NOT NULL,
+      delta REAL NOT NULL,
+      field_size INTEGER NOT NULL,
+      created_at_ms INTEGER NOT NULL,
+      FOREIGN KEY (competition_id) REFERENCES competitions(id) ON DELETE CASCADE,
+      UNIQUE (viewer_user_id, scope, competition_id)
+    )`,
+    "CREATE INDEX IF NOT EXISTS idx_rating_history_viewer ON viewer_rating_history(viewer_user_id, scope, created_at_ms)",
+    "CREATE INDEX IF NOT EXISTS idx_rating_history_competition ON viewer_rating_history(competition_id)",
+  ],
+};
@@ -0,0 +1,9 @@
+// 0011: track records / personal bests are looked up per map version.
+
+export default {
+  version: 11,
+  name: "track_record_index",
+  steps: [
+    "CREATE INDEX IF NOT EXISTS idx_competitions_map ON competitions(map_id, map_hash_sha256, started_at_ms)",
+  ],
+};
@@ -0,0 +1,52 @@
+// 0012: materialized per-viewer leaderboard aggregates (see _lib/viewerAggregates.js).
+
+export default {
+  version: 12,
+  name: "viewer_aggregates",
+  steps: [
+    `CREATE TABLE IF NOT EXISTS viewer_stat_aggregates (
+      scope_key TEXT NOT NULL,
+      viewer_user_id TEXT NOT NULL,
+      viewer_login TEXT,
+      viewer_display_name TEXT,
+      viewer_profile_image_url TEXT,
+      is_bot INTEGER NOT NULL DEFAULT 0,
+      competitions INTEGER NOT NULL DEFAULT 0,
+      finished_count INTEGER NOT NULL DEFAULT 0,
+      firsts INTEGER NOT NULL DEFAULT 0,
+      seconds INTEGER NOT NULL DEFAULT 0,
+      thirds INTEGER NOT NULL DEFAULT 0,
+      best_finish_pos INTEGER,
+      worst_finish_pos INTEGER,
+      avg_finish_pos REAL,
+      p10_finish_pos INTEGER,
+      p25_finish_pos INTEGER,
+      median_finish_pos INTEGER,
+      p75_finish_pos INTEGER,
+      p90_finish_pos INTEGER,
+      best_time_ms INTEGER,
+      worst_time_ms INTEGER,
+      avg_time_ms REAL,
+      p10_time_ms INTEGER,
+      p25_time_ms INTEGER,
+      median_time_ms INTEGER,
+      p75_time_ms INTEGER,
+      p90_time_ms INTEGER,
+      positions_json TEXT NOT NULL DEFAULT '{}',
+      times_json TEXT NOT NULL DEFAULT '[]',
+      updated_at_ms INTEGER NOT NULL,
+      PRIMARY KEY (scope_key, viewer_user_id)
+    )`,
+    "CREATE INDEX IF NOT EXISTS idx_viewer_stat_aggregates_viewer ON viewer_stat_aggregates(viewer_user_id)",
+    `CREATE TABLE IF NOT EXISTS viewer_aggregate_applied (
+      competition_id INTEGER PRIMARY KEY,
+      contributions_json TEXT NOT NULL,
+      applied_at_ms INTEGER NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS stats_meta (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at_ms INTEGER NOT NULL
+    )`,
+  ],
+};
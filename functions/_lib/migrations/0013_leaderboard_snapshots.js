@@ -0,0 +1,28 @@
+// 0013: daily / season-end leaderboard snapshots for rank movement (see _lib/leaderboardSnapshots.js).
+
+export default {
+  version: 13,
+  name: "leaderboard_snapshots",
+  steps: [
+    `CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope_key TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      period TEXT NOT NULL,
+      viewer_count INTEGER NOT NULL DEFAULT 0,
+      taken_at_ms INTEGER NOT NULL,
+      UNIQUE (scope_key, kind, period)
+    )`,
+    "CREATE INDEX IF NOT EXISTS idx_leaderboard_snapshots_scope ON leaderboard_snapshots(scope_key, kind, taken_at_ms)",
+    `CREATE TABLE IF NOT EXISTS leaderboard_snapshot_ranks (
+      snapshot_id INTEGER NOT NULL,
+      viewer_user_id TEXT NOT NULL,
+      rank INTEGER NOT NULL,
+      wins INTEGER NOT NULL DEFAULT 0,
+      competitions INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (snapshot_id, viewer_user_id),
+      FOREIGN KEY (snapshot_id) REFERENCES leaderboard_snapshots(id) ON DELETE CASCADE
+    )`,
+    "CREATE INDEX IF NOT EXISTS idx_snapshot_ranks_viewer ON leaderboard_snapshot_ranks(viewer_user_id, snapshot_id)",
+  ],
+};
@@ -0,0 +1,19 @@
+// 0014: per-season championship points tables (see _lib/seasonPoints.js).
+
+export default {
+  version: 14,
+  name: "season_points",
+  steps: [
+    `CREATE TABLE IF NOT EXISTS vf_season_points (
+      season_id TEXT PRIMARY KEY,
+      points_json TEXT NOT NULL,
+      dnf_points REAL NOT NULL DEFAULT 0,
+      scale_by_field_size INTEGER NOT NULL DEFAULT 0,
+      reference_field_size INTEGER NOT NULL DEFAULT 10,
+      created_at_ms INTEGER NOT NULL,
+      updated_at_ms INTEGER NOT NULL,
+      updated_by_login TEXT,
+      updated_by_user_id TEXT
+    )`,
+  ],
+};
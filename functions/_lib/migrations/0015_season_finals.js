@@ -0,0 +1,67 @@
+// 0015: frozen end-of-season standings (see _lib/seasonFinals.js) + the season award achievements.
+//
+// Archive rows are immutable: triggers reject every UPDATE / DELETE.
+
+const immutable = (table) =>
+  ["UPDATE", "DELETE"].map(
+    (op) => `CREATE TRIGGER IF NOT EXISTS trg_${table}_no_${op.toLowerCase()}
+      BEFORE ${op} ON ${table}
+      BEGIN
+        SELECT RAISE(ABORT, '${table} is an immutable archive');
+      END`,
+  );
+
+// Seeded once; admins can rename / disable them like any other achievement.
+const seedAchievement = (name, description, criteria) =>
+  `INSERT INTO achievements (name, description, disabled, criteria, created_at_ms, updated_at_ms)
+   SELECT '${name}', '${description}', 0, '${criteria}',
+          CAST(strftime('%s', 'now') AS INTEGER) * 1000, CAST(strftime('%s', 'now') AS INTEGER) * 1000
+   WHERE NOT EXISTS (SELECT 1 FROM achievements WHERE LOWER(criteria) = LOWER('${criteria}'))`;
+
+export default {
+  version: 15,
+  name: "season_finals",
+  steps: [
+    `CREATE TABLE IF NOT EXISTS season_finals (
+      season_id TEXT PRIMARY KEY,
+      name TEXT,
+      start_at_ms INTEGER,
+      end_at_ms INTEGER,
+      points_table_json TEXT NOT NULL,
+      viewer_count INTEGER NOT NULL DEFAULT 0,
+      races_count INTEGER NOT NULL DEFAULT 0,
+      champion_user_id TEXT,
+      finalized_at_ms INTEGER NOT NULL,
+      finalized_by_login TEXT,
+      finalized_by_user_id TEXT
+    )`,
+    `CREATE TABLE IF NOT EXISTS season_final_standings (
+      season_id TEXT NOT NULL,
+      viewer_user_id TEXT NOT NULL,
+      rank INTEGER NOT NULL,
+      award TEXT NOT NULL,
+      points REAL NOT NULL DEFAULT 0,
+      competitions INTEGER NOT NULL DEFAULT 0,
+      wins INTEGER NOT NULL DEFAULT 0,
+      seconds INTEGER NOT NULL DEFAULT 0,
+      thirds INTEGER NOT NULL DEFAULT 0,
+      finished_count INTEGER NOT NULL DEFAULT 0,
+      dnf_count INTEGER NOT NULL DEFAULT 0,
+      best_finish_pos INTEGER,
+      avg_finish_pos REAL,
+      best_time_ms INTEGER,
+      avg_time_ms REAL,
+      viewer_login TEXT,
+      viewer_display_name TEXT,
+      viewer_profile_image_url TEXT,
+      PRIMARY KEY (season_id, viewer_user_id)
+    )`,
+    "CREATE INDEX IF NOT EXISTS idx_season_final_standings_rank ON season_final_standings(season_id, rank)",
+    "CREATE INDEX IF NOT EXISTS idx_season_final_standings_viewer ON season_final_standings(viewer_user_id, rank)",
+    ...immutable("season_finals"),
+    ...immutable("season_final_standings"),
+    seedAchievement("Season Champion", "Won a season championship.", "championships>=1"),
+    seedAchievement("Season Top 10", "Finished a season in the championship top 10.", "seasonTop10>=1"),
+    seedAchievement("Season Participant", "Raced in a season that has been finalized.", "seasons>=1"),
+  ],
+};
@@ -0,0 +1,58 @@
+// 0016: tiered achievements (see _lib/achievements.js). Each tier a viewer reaches is its own
+// viewer_achievements row (tier 1..n; 0 = an achievement without tiers).
+//
+// SQLite can't change a UNIQUE constraint in place, so both unlock tables are rebuilt with the
+// tier in their key. The column is added first, which keeps the copy lossless if this is re-run.
+
+import { addColumn } from "./steps.js";
+
+const rebuild = (table, columns, constraints) => {
+  const names = ["id", ...columns.map((c) => c.split(" ")[0]), "tier"].join(", ");
+  return [
+    `CREATE TABLE ${table}_0016 (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ${columns.join(",\n      ")},
+      tier INTEGER NOT NULL DEFAULT 0,
+      ${constraints}
+    )`,
+    `INSERT INTO ${table}_0016 (${names}) SELECT ${names} FROM ${table}`,
+    `DROP TABLE ${table}`,
+    `ALTER TABLE ${table}_0016 RENAME TO ${table}`,
+  ];
+};
+
+export default {
+  version: 16,
+  name: "achievement_tiers",
+  steps: [
+    addColumn("viewer_achievements", "tier", "INTEGER NOT NULL DEFAULT 0"),
+    addColumn("viewer_achievement_revocations", "tier", "INTEGER NOT NULL DEFAULT 0"),
+    ...rebuild(
+      "viewer_achievements",
+      [
+        "viewer_user_id TEXT NOT NULL",
+        "achievement_id INTEGER NOT NULL",
+        "unlocked_at_ms INTEGER NOT NULL",
+        "source TEXT",
+        "source_ref TEXT",
+      ],
+      `FOREIGN KEY (achievement_id) REFERENCES achievements(id) ON DELETE CASCADE,
+      UNIQUE (viewer_user_id, achievement_id, tier)`,
+    ),
+    "CREATE INDEX IF NOT EXISTS idx_viewer_achievements_viewer ON viewer_achievements(viewer_user_id, unlocked_at_ms DESC)",
+    "CREATE INDEX IF NOT EXISTS idx_viewer_achievements_achievement ON viewer_achievements(achievement_id, unlocked_at_ms DESC)",
+    ...rebuild(
+      "viewer_achievement_revocations",
+      [
+        "revoked_for TEXT NOT NULL",
+        "viewer_user_id TEXT NOT NULL",
+        "achievement_id INTEGER NOT NULL",
+        "unlocked_at_ms INTEGER NOT NULL",
+        "source TEXT",
+        "source_ref TEXT",
+        "revoked_at_ms INTEGER NOT NULL",
+      ],
+      "UNIQUE (revoked_for, viewer_user_id, achievement_id, tier)",
+    ),
+  ],
+};
@@ -0,0 +1,9 @@
+// 0017: voiding a race re-checks the unlocks attributed to it (viewer_achievements.source_ref).
+
+export default {
+  version: 17,
+  name: "achievement_source_index",
+  steps: [
+    "CREATE INDEX IF NOT EXISTS idx_viewer_achievements_source ON viewer_achievements(source_ref)",
+  ],
+};
@@ -0,0 +1,10 @@
+// 0018: viewer pages look racers up by login, case-insensitively (see _lib/viewerIdentity.js).
+// An index on the lower-cased login serves LOWER(viewer_login) = ? without a second column.
+
+export default {
+  version: 18,
+  name: "result_login_index",
+  steps: [
+    "CREATE INDEX IF NOT EXISTS idx_results_viewer_login ON competition_results(LOWER(viewer_login))",
+  ],
+};
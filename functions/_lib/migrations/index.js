@@ -0,0 +1,32 @@
+// functions/_lib/migrations/index.js
+//
+// Ordered list of D1 schema migrations (applied by _lib/schemaMigrations.js).
+//
+// Adding a migration:
+// - new file NNNN_short_name.js exporting { version, name, steps }, version = previous + 1
+// - append it below; never edit or renumber a migration that has shipped
+// - mirror the change in d1/stats_schema.sql (the readable snapshot of the latest schema)
+//
+// Vehicle / component catalog tables (vf_vehicle_*, vf_component*, vf_roles, ...) are owned by
+// manage.viewerfrenzy.com → DB Manager and are not migrated from here.
+
+import m0001 from "./0001_stats_core.js";
+import m0002 from "./0002_cloud_maps.js";
+import m0003 from "./0003_users_and_seasons.js";
+import m0004 from "./0004_streamer_roles.js";
+import m0005 from "./0005_default_vehicles.js";
+import m0006 from "./0006_legacy_map_keys_and_bot_flags.js";
+import m0007 from "./0007_competition_quarantine.js";
+import m0008 from "./0008_result_splits.js";
+import m0009 from "./0009_competition_void.js";
+import m0010 from "./0010_viewer_ratings.js";
+import m0011 from "./0011_track_record_index.js";
+import m0012 from "./0012_viewer_aggregates.js";
+import m0013 from "./0013_leaderboard_snapshots.js";
+import m0014 from "./0014_season_points.js";
+import m0015 from "./0015_season_finals.js";
+import m0016 from "./0016_achievement_tiers.js";
+import m0017 from "./0017_achievement_source_index.js";
+import m0018 from "./0018_result_login_index.js";
+
+export const MIGRATIONS = [m0001, m0002, m0003, m0004, m0005, m0006, m0007, m0008, m0009, m0010, m0011, m0012, m0013, m0014, m0015, m0016, m0017, m0018];
@@ -0,0 +1,9 @@
+// functions/_lib/migrations/steps.js
+//
+// Step helpers for migrations. A step is either a SQL string or one of these objects.
+// SQLite has no "ADD COLUMN IF NOT EXISTS", so column adds are checked by the runner first;
+// that keeps every migration safe to re-run on DBs that were upgraded by hand.
+
+export function addColumn(table, column, definition) {
+  return { addColumn: { table, column, definition } };
+}
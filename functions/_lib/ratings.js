@@ -0,0 +1,279 @@
+// functions/_lib/ratings.js
+//
+// Skill rating for viewers (Elo-style, multiplayer).
+//
+// Each counted competition is treated as a set of pairwise matches: every viewer "plays" every
+// other real viewer in the race and wins / loses / draws according to finish order
+// (FINISHED by position, then DNFs by progress). The Elo update is averaged over the field so a
+// 2-viewer race and a 40-viewer race move ratings by a comparable amount.
+//
+// Ratings are kept per scope:
+// - "all"           every race
+// - <vehicle type>  e.g. "ground", "space" (races of that competition type only)
+//
+// Tables (D1): viewer_ratings (current) + viewer_rating_history (one row per viewer/race/scope).
+// Bots are never rated and don't count as opponents. Quarantined / voided races are not rated.
+
+import { toBool, toStr } from "./dbUtil.js";
+import { botFilterSql } from "./competitionStatus.js";
+import { SCHEMA, schemaAtLeast } from "./schemaMigrations.js";
+
+export const DEFAULT_RATING = 1500;
+
+// New viewers move faster until their rating settles.
+const K_PROVISIONAL = 48;
+const K_ESTABLISHED = 24;
+const PROVISIONAL_RACES = 10;
+
+// viewer ids per statement; D1 allows 100 bound parameters.
+const VIEWER_CHUNK = 90;
+
+function kFactor(races) {
+  return (Number(races) || 0) < PROVISIONAL_RACES ? K_PROVISIONAL : K_ESTABLISHED;
+}
+
+function round2(x) {
+  return Math.round(Number(x) * 100) / 100;
+}
+
+export function ratingScopesFor(vehicleType) {
+  const vt = toStr(vehicleType).toLowerCase();
+  return vt && vt !== "all" ? ["all", vt] : ["all"];
+}
+
+// Negative when `a` finished ahead of `b`, 0 for a draw.
+export function compareFinish(a, b) {
+  if (a.finished !== b.finished) return a.finished ? -1 : 1;
+  if (a.finished) return (a.position ?? 9999) - (b.position ?? 9999);
+  return (b.progress01 ?? 0) - (a.progress01 ?? 0);
+}
+
+/**
+ * Pure rating update for one race.
+ *
+ * @param {Array<{ viewerUserId: string, finished: boolean, position: number|null, progress01: number|null,
+ *                 rating: number, races: number }>} entrants
+ * @returns {Map<string, number>} viewerUserId -> rating delta
+ */
+export function computeRatingDeltas(entrants) {
+  const list = Array.isArray(entrants) ? entrants : [];
+  const out = new Map();
+  const n = list.length;
+  if (n < 2) return out;
+
+  for (const a of list) {
+    let expected = 0;
+    let actual = 0;
+    for (const b of list) {
+      if (a === b) continue;
+      expected += 1 / (1 + Math.pow(10, (b.rating - a.rating) / 400));
+      const c = compareFinish(a, b);
+      actual += c < 0 ? 1 : c === 0 ? 0.5 : 0;
+    }
+    out.set(a.viewerUserId, (kFactor(a.races) * (actual - expected)) / (n - 1));
+  }
+
+  return out;
+}
+
+async function hasRatingTables(db) {
+  return schemaAtLeast(db, SCHEMA.viewerRatings);
+}
+
+async function loadRatedEntrants(db, competitionId) {
+  const rs = await db
+    .prepare(
+      `SELECT viewer_user_id, status, finish_position, progress01
+       FROM competition_results
+       WHERE competition_id = ? ${await botFilterSql(db, "")}`,
+    )
+    .bind(competitionId)
+    .all();
+
+  return (Array.isArray(rs?.results) ? rs.results : [])
+    .map((r) => ({
+      viewerUserId: toStr(r?.viewer_user_id),
+      finished: toStr(r?.status).toUpperCase() === "FINISHED",
+      position: Number.isFinite(Number(r?.finish_position)) ? Number(r.finish_position) : null,
+      progress01: Number.isFinite(Number(r?.progress01)) ? Number(r.progress01) : null,
+    }))
+    .filter((e) => e.viewerUserId);
+}
+
+function outcomeKey(entrants) {
+  return JSON.stringify(
+    entrants
+      .map((e) => [e.viewerUserId, e.finished, e.position, e.progress01])
+      .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0)),
+  );
+}
+
+/**
+ * What a rating of this competition depends on (who raced + finish order), as a comparable string.
+ * Read it before a re-submit overwrites the results and pass it to rateCompetition().
+ */
+export async function ratedOutcome(env, competitionId) {
+  const db = env?.VF_D1_STATS;
+  const cid = Number(competitionId || 0) || 0;
+  if (!db || cid <= 0 || !(await hasRatingTables(db))) return null;
+  return outcomeKey(await loadRatedEntrants(db, cid));
+}
+
+/**
+ * Applies one competition to the viewers' ratings (best-effort; safe to call repeatedly).
+ * A competition is rated at most once: re-submits of an already-rated race are skipped, unless
+ * `previousOutcome` (ratedOutcome() from before the re-submit) shows the results changed. Then the
+ * old rating is reverted and the race rated again. A rated race that no longer counts (quarantined
+ * by the re-submit, voided) is reverted.
+ *
+ * Returns { ok, skipped?, reason?, changes: [{ viewerUserId, scope, ratingBefore, ratingAfter, delta }] }.
+ */
+export async function rateCompetition(env, competitionId, { previousOutcome = null } = {}) {
+  const db = env?.VF_D1_STATS;
+  const cid = Number(competitionId || 0) || 0;
+  if (!db || cid <= 0) return { ok: false, skipped: true, reason: "missing_input", changes: [] };
+
+  if (!(await hasRatingTables(db))) return { ok: false, skipped: true, reason: "no_rating_tables", changes: [] };
+
+  const comp = await db.prepare("SELECT * FROM competitions WHERE id = ? LIMIT 1").bind(cid).first();
+  if (!comp) return { ok: false, skipped: true, reason: "not_found", changes: [] };
+
+  const entrants = await loadRatedEntrants(db, cid);
+  let already = await db
+    .prepare("SELECT 1 AS ok FROM viewer_rating_history WHERE competition_id = ? LIMIT 1")
+    .bind(cid)
+    .first();
+  if (already && previousOutcome !== null && previousOutcome !== outcomeKey(entrants)) {
+    await revertCompetitionRatings(env, cid);
+    already = null;
+  }
+
+  if (toBool(comp.quarantined) || toBool(comp.voided)) {
+    if (already) await revertCompetitionRatings(env, cid);
+    return { ok: true, skipped: true, reason: "not_counted", changes: [] };
+  }
+  if (already) return { ok: true, skipped: true, reason: "already_rated", changes: [] };
+
+  if (entrants.length < 2) return { ok: true, skipped: true, reason: "not_enough_viewers", changes: [] };
+
+  const ids = entrants.map((e) => e.viewerUserId);
+  const scopes = ratingScopesFor(comp.vehicle_type);
+  const nowMs = Date.now();
+
+  const statements = [];
+  const changes = [];
+
+  for (const scope of scopes) {
+    const current = new Map();
+    for (let i = 0; i < ids.length; i += VIEWER_CHUNK) {
+      const chunk = ids.slice(i, i + VIEWER_CHUNK);
+      const rs = await db
+        .prepare(
+          `SELECT viewer_user_id, rating, races
+           FROM viewer_ratings
+           WHERE scope = ? AND viewer_user_id IN (${chunk.map(() => "?").join(",")})`,
+        )
+        .bind(scope, ...chunk)
+        .all();
+
+      for (const r of Array.isArray(rs?.results) ? rs.results : []) {
+        current.set(toStr(r?.viewer_user_id), { rating: Number(r?.rating), races: Number(r?.races || 0) || 0 });
+      }
+    }
+
+    const field = entrants.map((e) => {
+      const c = current.get(e.viewerUserId);
+      return {
+        ...e,
+        rating: c && Number.isFinite(c.rating) ? c.rating : DEFAULT_RATING,
+        races: c ? c.races : 0,
+      };
+    });
+
+    const deltas = computeRatingDeltas(field);
+
+    for (const e of field) {
+      const delta = round2(deltas.get(e.viewerUserId) || 0);
+      const after = round2(e.rating + delta);
+
+      statements.push(
+        db.prepare(
+          `INSERT INTO viewer_ratings (viewer_user_id, scope, rating, peak_rating, races, last_competition_id, updated_at_ms)
+           VALUES (?, ?, ?, ?, 1, ?, ?)
+           ON CONFLICT(viewer_user_id, scope) DO UPDATE SET
+             rating = excluded.rating,
+             peak_rating = MAX(viewer_ratings.peak_rating, excluded.rating),
+             races = viewer_ratings.races + 1,
+             last_competition_id = excluded.last_competition_id,
+             updated_at_ms = excluded.updated_at_ms`,
+        ).bind(e.viewerUserId, scope, after, Math.max(after, DEFAULT_RATING), cid, nowMs),
+        db.prepare(
+          `INSERT OR IGNORE INTO viewer_rating_history
+             (viewer_user_id, scope, competition_id, rating_before, rating_after, delta, field_size, created_at_ms)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        ).bind(e.viewerUserId, scope, cid, round2(e.rating), after, delta, field.length, nowMs),
+      );
+
+      changes.push({ viewerUserId: e.viewerUserId, scope, ratingBefore: round2(e.rating), ratingAfter: after, delta });
+    }
+  }
+
+  for (let i = 0; i < statements.length; i += 100) {
+    await db.batch(statements.slice(i, i + 100));
+  }
+
+  return { ok: true, changes };
+}
+
+/**
+ * Takes one competition back out of the ratings (used when a race is voided or re-rated).
+ * Each viewer's rating moves back by the delta that race gave them; later races are not
+ * replayed, so this is exact only for the most recent race and a close approximation otherwise.
+ * The peak becomes the best rating left in the history (or the reverted rating / the default).
+ */
+export async function revertCompetitionRatings(env, competitionId) {
+  const db = env?.VF_D1_STATS;
+  const cid = Number(competitionId || 0) || 0;
+  if (!db || cid <= 0) return { ok: false, skipped: true, reason: "missing_input", reverted: 0 };
+
+  if (!(await hasRatingTables(db))) return { ok: false, skipped: true, reason: "no_rating_tables", reverted: 0 };
+
+  const rs = await db
+    .prepare("SELECT viewer_user_id, scope, delta FROM viewer_rating_history WHERE competition_id = ?")
+    .bind(cid)
+    .all();
+  const rows = Array.isArray(rs?.results) ? rs.results : [];
+  if (!rows.length) return { ok: true, reverted: 0 };
+
+  const nowMs = Date.now();
+  // SET expressions all see the row before the update.
+  const statements = rows.map((r) => {
+    const delta = Number(r?.delta || 0) || 0;
+    return db.prepare(
+      `UPDATE viewer_ratings
+       SET rating = ROUND(rating - ?, 2),
+           peak_rating = MAX(
+             ?,
+             ROUND(rating - ?, 2),
+             COALESCE(
+               (SELECT MAX(h.rating_after)
+                FROM viewer_rating_history h
+                WHERE h.viewer_user_id = viewer_ratings.viewer_user_id
+                  AND h.scope = viewer_ratings.scope
+                  AND h.competition_id != ?),
+               0
+             )
+           ),
+           races = MAX(races - 1, 0),
+           updated_at_ms = ?
+       WHERE viewer_user_id = ? AND scope = ?`,
+    ).bind(delta, DEFAULT_RATING, delta, cid, nowMs, toStr(r?.viewer_user_id), toStr(r?.scope));
+  });
+  statements.push(db.prepare("DELETE FROM viewer_rating_history WHERE competition_id = ?").bind(cid));
+
+  for (let i = 0; i < statements.length; i += 100) {
+    await db.batch(statements.slice(i, i + 100));
+  }
+
+  return { ok: true, reverted: rows.length };
+}
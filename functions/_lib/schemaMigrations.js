@@ -0,0 +1,217 @@
+// functions/_lib/schemaMigrations.js
+//
+// Versioned schema migrations for the stats D1 database.
+//
+// Migrations live in _lib/migrations/ (numbered, see index.js). Applied versions are recorded in
+// schema_migrations; each migration runs as one db.batch(), so it either lands completely
+// (including its schema_migrations row) or not at all.
+//
+// Every step is idempotent (CREATE ... IF NOT EXISTS, column adds checked first), so DBs that
+// were initialized from older copies of d1/stats_schema.sql or upgraded by hand can simply run
+// all migrations to get baselined.
+//
+// Works on anything with the D1 prepare/bind/first/all/run/batch API, so it can be tested
+// against local SQLite (see d1/migrate-local.mjs).
+//
+// Code that depends on a table or column added by a migration checks the applied version
+// (schemaAtLeast(db, SCHEMA.x)) instead of probing the schema itself. A DB that has never run the
+// migrations (no schema_migrations table) reports the highest version whose tables and columns are
+// all in place, so DBs set up from d1/stats_schema.sql keep working until POST /api/v1/admin/schema.
+
+import { columnExists, nowMs, tableExists, toStr } from "./dbUtil.js";
+import { MIGRATIONS } from "./migrations/index.js";
+
+const MIGRATIONS_TABLE_SQL = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at_ms INTEGER NOT NULL,
+  applied_by TEXT
+)`;
+
+// First version with each feature the code checks for (see migrations/).
+export const SCHEMA = {
+  statsCore: 1, // competitions, competition_results, achievements, viewer_achievements
+  cloudMaps: 2, // vf_maps (incl. finish_time_ms)
+  usersAndSeasons: 3, // vf_users, vf_seasons, vf_user_streamers
+  defaultVehicles: 5, // vf_viewer_default_vehicles
+  botFlags: 6, // competitions.map_key, competition_results.is_bot
+  quarantine: 7, // competitions.quarantined
+  resultSplits: 8, // competition_result_splits
+  competitionVoid: 9, // competitions.voided, viewer_achievement_revocations
+  viewerRatings: 10, // viewer_ratings, viewer_rating_history
+  viewerAggregates: 12, // viewer_stat_aggregates, viewer_aggregate_applied, stats_meta
+  leaderboardSnapshots: 13, // leaderboard_snapshots, leaderboard_snapshot_ranks
+  seasonPoints: 14, // vf_season_points
+  seasonFinals: 15, // season_finals, season_final_standings
+  achievementTiers: 16, // viewer_achievements.tier, viewer_achievement_revocations.tier
+};
+
+// Cached (per isolate) so feature checks cost one query a minute; runMigrations() resets it.
+let __version = null;
+let __versionCheckedAtMs = 0;
+
+// Tables created / columns added by a migration (indexes and data steps aren't checked).
+async function migrationInPlace(db, migration) {
+  for (const step of migration.steps) {
+    const add = typeof step === "string" ? null : step?.addColumn;
+    if (add) {
+      if (!(await columnExists(db, add.table, add.column))) return false;
+      continue;
+    }
+    const table = /^\s*CREATE TABLE IF NOT EXISTS\s+([A-Za-z0-9_]+)/i.exec(String(step || ""))?.[1];
+    if (table && !(await tableExists(db, table))) return false;
+  }
+  return true;
+}
+
+// DB initialized before versioned migrations: the leading migrations whose schema is already there.
+async function inferLegacyVersion(db, migrations = MIGRATIONS) {
+  let version = 0;
+  for (const m of migrations) {
+    if (!(await migrationInPlace(db, m))) break;
+    version = m.version;
+  }
+  return version;
+}
+
+/**
+ * Highest applied schema version. Before the first migration run, the version the existing
+ * schema already matches (0 for an empty DB).
+ */
+export async function getSchemaVersion(db) {
+  if (!db) return 0;
+  const now = Date.now();
+  if (__version !== null && now - __versionCheckedAtMs < 60_000) return __version;
+
+  let version = 0;
+  try {
+    const row = await db.prepare("SELECT MAX(version) AS v FROM schema_migrations").first();
+    version = Number(row?.v || 0) || 0;
+  } catch {
+    version = 0; // no schema_migrations table yet
+  }
+  if (!version) version = await inferLegacyVersion(db);
+  __version = version;
+  __versionCheckedAtMs = now;
+  return version;
+}
+
+export async function schemaAtLeast(db, version) {
+  return (await getSchemaVersion(db)) >= version;
+}
+
+// Versions must start at 1 and increase by exactly 1 (catches copy/paste mistakes in index.js).
+function assertOrdered(migrations) {
+  migrations.forEach((m, i) => {
+    if (m?.version !== i + 1) {
+      throw new Error(`Migration #${i + 1} (${toStr(m?.name)}) has version ${m?.version}; expected ${i + 1}.`);
+    }
+  });
+}
+
+async function loadApplied(db) {
+  if (!(await tableExists(db, "schema_migrations"))) return [];
+  const rs = await db
+    .prepare("SELECT version, name, applied_at_ms, applied_by FROM schema_migrations ORDER BY version ASC")
+    .all();
+  return (Array.isArray(rs?.results) ? rs.results : []).map((r) => ({
+    version: Number(r?.version || 0) || 0,
+    name: toStr(r?.name),
+    appliedAtMs: Number(r?.applied_at_ms || 0) || 0,
+    appliedBy: toStr(r?.applied_by),
+  }));
+}
+
+/**
+ * Current schema version + pending migrations. Read-only (does not create schema_migrations).
+ *
+ * currentVersion is the highest applied version; `unknown` lists versions recorded in the DB that
+ * this build doesn't know about (DB migrated by a newer deploy).
+ */
+export async function getSchemaStatus(db, migrations = MIGRATIONS) {
+  assertOrdered(migrations);
+
+  const applied = await loadApplied(db);
+  const appliedVersions = new Set(applied.map((a) => a.version));
+  const known = new Set(migrations.map((m) => m.version));
+
+  const pending = migrations
+    .filter((m) => !appliedVersions.has(m.version))
+    .map((m) => ({ version: m.version, name: m.name, steps: m.steps.length }));
+
+  return {
+    currentVersion: applied.reduce((max, a) => Math.max(max, a.version), 0),
+    latestVersion: migrations.length ? migrations[migrations.length - 1].version : 0,
+    upToDate: pending.length === 0,
+    applied,
+    pending,
+    unknown: applied.filter((a) => !known.has(a.version)).map((a) => a.version),
+  };
+}
+
+// Resolves a migration's steps to SQL, dropping column adds that are already in place.
+async function resolveSteps(db, migration) {
+  const sql = [];
+  let skipped = 0;
+
+  for (const step of migration.steps) {
+    if (typeof step === "string") {
+      sql.push(step);
+      continue;
+    }
+
+    const add = step?.addColumn;
+    if (!add) throw new Error(`Migration ${migration.version}: unknown step ${JSON.stringify(step)}`);
+
+    if (await columnExists(db, add.table, add.column)) {
+      skipped++;
+      continue;
+    }
+    sql.push(`ALTER TABLE ${add.table} ADD COLUMN ${add.column} ${add.definition}`);
+  }
+
+  return { sql, skipped };
+}
+
+/**
+ * Applies pending migrations in order, up to `toVersion` (default: all).
+ * Stops at the first failure; earlier migrations in the same run stay applied.
+ *
+ * Returns { ok, applied: [{ version, name, statements, skippedSteps }], status }
+ * or { ok: false, error: "migration_failed", failedVersion, message, applied, status }.
+ */
+export async function runMigrations(db, { migrations = MIGRATIONS, toVersion = null, appliedBy = "" } = {}) {
+  assertOrdered(migrations);
+
+  await db.prepare(MIGRATIONS_TABLE_SQL).run();
+
+  const before = await getSchemaStatus(db, migrations);
+  const limit = toVersion === null || toVersion === undefined ? Infinity : Number(toVersion);
+  const todo = migrations.filter((m) => m.version <= limit && before.pending.some((p) => p.version === m.version));
+
+  const applied = [];
+  for (const m of todo) {
+    try {
+      const { sql, skipped } = await resolveSteps(db, m);
+      await db.batch([
+        ...sql.map((s) => db.prepare(s)),
+        db
+          .prepare("INSERT INTO schema_migrations (version, name, applied_at_ms, applied_by) VALUES (?, ?, ?, ?)")
+          .bind(m.version, m.name, nowMs(), toStr(appliedBy) || null),
+      ]);
+      applied.push({ version: m.version, name: m.name, statements: sql.length, skippedSteps: skipped });
+      __version = null;
+    } catch (e) {
+      return {
+        ok: false,
+        error: "migration_failed",
+        failedVersion: m.version,
+        message: `Migration ${m.version} (${m.name}) failed: ${String(e?.message || e)}`,
+        applied,
+        status: await getSchemaStatus(db, migrations),
+      };
+    }
+  }
+
+  return { ok: true, applied, status: await getSchemaStatus(db, migrations) };
+}
@@ -0,0 +1,286 @@
+// functions/_lib/seasonFinals.js
+//
+// Season finalization: freezes a season's championship standings (mode=championship, see
+// _lib/leaderboardQuery.js + _lib/seasonPoints.js) into an immutable archive and awards the
+// season-end achievements.
+//
+// Tables (migration 0015; UPDATE / DELETE are rejected by triggers):
+// - season_finals            one row per finalized season (points table used, counts, champion)
+// - season_final_standings   one row per ranked viewer: rank, award (champion / top10 / participant)
+//
+// Once a season is finalized its races are locked: they can no longer be voided, approved or
+// resubmitted (error season_finalized), and the archive is what /seasons/{id}/final serves.
+// Season ids are stored lowercased, like competitions.season_id.
+
+import { SEASON_METRICS, awardAchievementsForViewers } from "./achievements.js";
+import { countedCompetitionSql } from "./competitionStatus.js";
+import { isoFromMs, toStr } from "./dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "./schemaMigrations.js";
+import { leaderboardDataQuery, resolveLeaderboardFilters } from "./leaderboardQuery.js";
+import { pointsTableJson } from "./seasonPoints.js";
+
+const TOP_AWARD_RANK = 10;
+
+// awardAchievementsForViewers binds one placeholder per viewer; stay well under D1's limit.
+const AWARD_CHUNK = 40;
+
+function numOrNull(v) {
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeSeasonId(seasonId) {
+  return toStr(seasonId).toLowerCase();
+}
+
+export async function hasSeasonFinalTables(db) {
+  return schemaAtLeast(db, SCHEMA.seasonFinals);
+}
+
+export async function isSeasonFinalized(db, seasonId) {
+  const id = normalizeSeasonId(seasonId);
+  if (!id || !(await hasSeasonFinalTables(db))) return false;
+  const row = await db.prepare("SELECT 1 AS ok FROM season_finals WHERE season_id = ? LIMIT 1").bind(id).first();
+  return !!row;
+}
+
+/** Is `competitionId` part of a finalized season? (Its results are then frozen.) */
+export async function isCompetitionSeasonFinalized(db, competitionId) {
+  if (!(await hasSeasonFinalTables(db))) return false;
+  const row = await db
+    .prepare(
+      `SELECT 1 AS ok
+       FROM competitions c
+       JOIN season_finals sf ON sf.season_id = LOWER(c.season_id)
+       WHERE c.id = ?
+       LIMIT 1`,
+    )
+    .bind(competitionId)
+    .first();
+  return !!row;
+}
+
+/**
+ * Freezes the season's championship standings. Everything is written in one batch, so a
+ * season is either fully archived or not at all (a concurrent finalize loses on the primary key).
+ *
+ * Returns { ok: true, final } or { ok: false, status, body } (error response).
+ */
+export async function finalizeSeason(env, seasonId, { userId = "", login = "", now = Date.now() } = {}) {
+  const db = env.VF_D1_STATS;
+  const id = normalizeSeasonId(seasonId);
+
+  const season = await db
+    .prepare("SELECT season_id, name, start_at_ms, end_at_ms FROM vf_seasons WHERE LOWER(season_id) = ? LIMIT 1")
+    .bind(id)
+    .first();
+  if (!season) {
+    return { ok: false, status: 404, body: { error: "not_found", message: "Season not found." } };
+  }
+
+  const endAtMs = Number(season.end_at_ms || 0) || 0;
+  if (!endAtMs || endAtMs > now) {
+    return {
+      ok: false,
+      status: 409,
+      body: { error: "season_not_ended", message: "A season can only be finalized after it has ended.", endAtMs: endAtMs || null },
+    };
+  }
+
+  if (await isSeasonFinalized(db, id)) {
+    return { ok: false, status: 409, body: { error: "season_already_finalized", message: "This season is already finalized." } };
+  }
+
+  // The same standings the championship leaderboard shows (bots excluded), every row.
+  const url = new URL("https://local/api/v1/stats/leaderboard");
+  url.searchParams.set("mode", "championship");
+  url.searchParams.set("seasonId", id);
+  const filters = await resolveLeaderboardFilters(db, url);
+  if (!filters.ok) return filters;
+  const data = await leaderboardDataQuery(db, url, filters);
+  const standingsSql = data.sql.trim().replace(/;$/, "");
+
+  const counted = await countedCompetitionSql(db, "c");
+
+  const insertStandings = db
+    .prepare(
+      `INSERT INTO season_final_standings (
+         season_id, viewer_user_id, rank, award, points,
+         competitions, wins, seconds, thirds, finished_count, dnf_count,
+         best_finish_pos, avg_finish_pos, best_time_ms, avg_time_ms,
+         viewer_login, viewer_display_name, viewer_profile_image_url
+       )
+       SELECT
+         ?, viewerUserId, rn,
+         CASE WHEN rn = 1 THEN 'champion' WHEN rn <= ${TOP_AWARD_RANK} THEN 'top10' ELSE 'participant' END,
+         COALESCE(points, 0),
+         competitions, wins, seconds, thirds, finishedCount, dnfCount,
+         bestFinishPos, avgFinishPos, bestTimeMs, avgTimeMs,
+         viewerLogin, viewerDisplayName, viewerProfileImageUrl
+       FROM (
+         SELECT
+           lb.*,
+           ROW_NUMBER() OVER (
+             ORDER BY lb.points DESC, lb.wins DESC, lb.seconds DESC, lb.thirds DESC,
+                      LOWER(COALESCE(lb.viewerLogin, lb.viewerUserId)) ASC
+           ) AS rn
+         FROM (${standingsSql}) lb
+       )`,
+    )
+    .bind(id, ...filters.params, ...data.extraParams, -1, 0);
+
+  const insertFinal = db
+    .prepare(
+      `INSERT INTO season_finals (
+         season_id, name, start_at_ms, end_at_ms, points_table_json,
+         viewer_count, races_count, champion_user_id,
+         finalized_at_ms, finalized_by_login, finalized_by_user_id
+       )
+       SELECT
+         ?, ?, ?, ?, ?,
+         (SELECT COUNT(*) FROM season_final_standings WHERE season_id = ?),
+         (SELECT COUNT(*) FROM competitions c WHERE c.season_id = ? ${counted ? `AND ${counted}` : ""}),
+         (SELECT viewer_user_id FROM season_final_standings WHERE season_id = ? AND rank = 1),
+         ?, ?, ?`,
+    )
+    .bind(
+      id,
+      toStr(season.name) || id,
+      numOrNull(season.start_at_ms),
+      endAtMs,
+      JSON.stringify(pointsTableJson(filters.pointsTable)),
+      id,
+      id,
+      id,
+      now,
+      toStr(login),
+      toStr(userId),
+    );
+
+  try {
+    await db.batch([insertStandings, insertFinal]);
+  } catch (e) {
+    if (await isSeasonFinalized(db, id)) {
+      return { ok: false, status: 409, body: { error: "season_already_finalized", message: "This season is already finalized." } };
+    }
+    throw e;
+  }
+
+  return { ok: true, final: await loadSeasonFinalSummary(db, id) };
+}
+
+/**
+ * Evaluates the season achievements (criteria using SEASON_METRICS; the others can't change when a
+ * season closes) for the season's ranked viewers with rank > cursor, `limit` of them.
+ * Unlocks are attributed to source "season_final" / source_ref "season:{id}", so voiding a race
+ * never revokes them. Safe to re-run: already unlocked achievements are skipped.
+ *
+ * Returns { processed, unlocked, nextCursor, done }; pass nextCursor back until done.
+ */
+export async function awardSeasonAchievements(env, seasonId, { cursor = 0, limit = 200 } = {}) {
+  const db = env.VF_D1_STATS;
+  const id = normalizeSeasonId(seasonId);
+
+  const rs = await db
+    .prepare(
+      `SELECT viewer_user_id, rank
+       FROM season_final_standings
+       WHERE season_id = ? AND rank > ?
+       ORDER BY rank ASC
+       LIMIT ?`,
+    )
+    .bind(id, cursor, limit)
+    .all();
+  const rows = Array.isArray(rs?.results) ? rs.results : [];
+
+  const unlocked = [];
+  for (let i = 0; i < rows.length; i += AWARD_CHUNK) {
+    const ids = rows.slice(i, i + AWARD_CHUNK).map((r) => toStr(r?.viewer_user_id));
+    unlocked.push(
+      ...(await awardAchievementsForViewers(env, ids, {
+        source: "season_final",
+        sourceRef: `season:${id}`,
+        metrics: SEASON_METRICS,
+      })),
+    );
+  }
+
+  const lastRank = rows.length ? Number(rows[rows.length - 1].rank) : cursor;
+  const done = rows.length < limit;
+  return { processed: rows.length, unlocked, nextCursor: done ? null : lastRank, done };
+}
+
+function standingFromRow(r) {
+  return {
+    rank: Number(r?.rank || 0) || 0,
+    award: toStr(r?.award),
+    viewerUserId: toStr(r?.viewer_user_id),
+    viewerLogin: toStr(r?.viewer_login),
+    viewerDisplayName: toStr(r?.viewer_display_name),
+    viewerProfileImageUrl: toStr(r?.viewer_profile_image_url),
+    points: Number(r?.points || 0) || 0,
+    competitions: Number(r?.competitions || 0) || 0,
+    wins: Number(r?.wins || 0) || 0,
+    seconds: Number(r?.seconds || 0) || 0,
+    thirds: Number(r?.thirds || 0) || 0,
+    finishedCount: Number(r?.finished_count || 0) || 0,
+    dnfCount: Number(r?.dnf_count || 0) || 0,
+    bestFinishPos: numOrNull(r?.best_finish_pos),
+    avgFinishPos: numOrNull(r?.avg_finish_pos),
+    bestTimeMs: numOrNull(r?.best_time_ms),
+    avgTimeMs: numOrNull(r?.avg_time_ms),
+  };
+}
+
+function parsePointsTable(raw) {
+  try {
+    return JSON.parse(String(raw || "")) || null;
+  } catch {
+    return null;
+  }
+}
+
+/** The season_finals row in API shape (champion included), or null when not finalized. */
+export async function loadSeasonFinalSummary(db, seasonId) {
+  const id = normalizeSeasonId(seasonId);
+  const row = await db.prepare("SELECT * FROM season_finals WHERE season_id = ? LIMIT 1").bind(id).first();
+  if (!row) return null;
+
+  const champion = row.champion_user_id
+    ? await db
+        .prepare("SELECT * FROM season_final_standings WHERE season_id = ? AND viewer_user_id = ? LIMIT 1")
+        .bind(id, toStr(row.champion_user_id))
+        .first()
+    : null;
+
+  return {
+    seasonId: id,
+    name: toStr(row.name) || id,
+    startAt: isoFromMs(row.start_at_ms),
+    endAt: isoFromMs(row.end_at_ms),
+    finalizedAtMs: Number(row.finalized_at_ms || 0) || null,
+    finalizedBy: toStr(row.finalized_by_login),
+    pointsTable: parsePointsTable(row.points_table_json),
+    viewerCount: Number(row.viewer_count || 0) || 0,
+    racesCount: Number(row.races_count || 0) || 0,
+    champion: champion ? standingFromRow(champion) : null,
+  };
+}
+
+/** Archived standings, by rank. `viewerId` narrows to one viewer's row. */
+export async function loadSeasonFinalStandings(db, seasonId, { limit = 100, offset = 0, viewerId = "" } = {}) {
+  const id = normalizeSeasonId(seasonId);
+  const viewer = toStr(viewerId);
+  const rs = await db
+    .prepare(
+      `SELECT *
+       FROM season_final_standings
+       WHERE season_id = ? ${viewer ? "AND viewer_user_id = ?" : ""}
+       ORDER BY rank ASC
+       LIMIT ? OFFSET ?`,
+    )
+    .bind(id, ...(viewer ? [viewer] : []), limit, offset)
+    .all();
+  return (Array.isArray(rs?.results) ? rs.results : []).map(standingFromRow);
+}
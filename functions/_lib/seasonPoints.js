@@ -0,0 +1,162 @@
+// functions/_lib/seasonPoints.js
+//
+// Championship points per season (table: vf_season_points). Seasons without a row use
+// DEFAULT_POINTS_TABLE, so every season has a championship out of the box.
+//
+// A result scores:
+// - FINISHED in position p   points[p - 1] (0 past the end of the table), times the field-size
+//                            factor min(1, field size / referenceFieldSize) when scaleByFieldSize
+// - anything else (DNF, ...)  dnfPoints (0, or negative as a penalty; never scaled)
+//
+// Field size counts every entry of the race, bots included, since they take positions too.
+// Season ids are stored lowercased, like competitions.season_id.
+
+import { toStr } from "./dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "./schemaMigrations.js";
+import { v } from "./validation.js";
+
+export const DEFAULT_POINTS_TABLE = Object.freeze({
+  points: Object.freeze([25, 18, 15, 12, 10, 8, 6, 4, 2, 1]),
+  dnfPoints: 0,
+  scaleByFieldSize: false,
+  referenceFieldSize: 10,
+});
+
+export const POINTS_TABLE_SCHEMA = v.object({
+  points: v.array(v.number({ required: true, min: 0, max: 1000 }), { required: true, minItems: 1, maxItems: 100 }),
+  dnfPoints: v.number({ min: -1000, max: 1000, default: 0 }),
+  scaleByFieldSize: v.bool({ default: false }),
+  referenceFieldSize: v.int({ min: 2, max: 200, default: 10 }),
+});
+
+function parsePoints(raw) {
+  try {
+    const arr = JSON.parse(String(raw || ""));
+    if (!Array.isArray(arr)) return null;
+    const points = arr.map(Number);
+    return points.length && points.every((n) => Number.isFinite(n)) ? points : null;
+  } catch {
+    return null;
+  }
+}
+
+function pointsTableFromRow(row) {
+  const points = parsePoints(row?.points_json);
+  if (!points) return null;
+  return {
+    points,
+    dnfPoints: Number(row?.dnf_points || 0) || 0,
+    scaleByFieldSize: Number(row?.scale_by_field_size || 0) === 1,
+    referenceFieldSize: Math.max(2, Number(row?.reference_field_size || 0) || DEFAULT_POINTS_TABLE.referenceFieldSize),
+    isDefault: false,
+    updatedAtMs: Number(row?.updated_at_ms || 0) || null,
+    updatedBy: toStr(row?.updated_by_login),
+  };
+}
+
+function seasonKey(seasonId) {
+  return toStr(seasonId).toLowerCase();
+}
+
+function defaultPointsTable() {
+  return { ...DEFAULT_POINTS_TABLE, points: [...DEFAULT_POINTS_TABLE.points], isDefault: true, updatedAtMs: null, updatedBy: "" };
+}
+
+export async function hasSeasonPointsTable(db) {
+  return schemaAtLeast(db, SCHEMA.seasonPoints);
+}
+
+/** The season's points table, or the default one (isDefault: true). */
+export async function loadSeasonPointsTable(db, seasonId) {
+  const id = seasonKey(seasonId);
+  if (!id || !(await hasSeasonPointsTable(db))) return defaultPointsTable();
+
+  const row = await db
+    .prepare(
+      `SELECT points_json, dnf_points, scale_by_field_size, reference_field_size, updated_at_ms, updated_by_login
+       FROM vf_season_points WHERE season_id = ? LIMIT 1`,
+    )
+    .bind(id)
+    .first();
+  return pointsTableFromRow(row) || defaultPointsTable();
+}
+
+/** Upserts a season's points table. `table` is a POINTS_TABLE_SCHEMA-validated value. */
+export async function saveSeasonPointsTable(db, seasonId, table, { userId = "", login = "", now = Date.now() } = {}) {
+  await db
+    .prepare(
+      `INSERT INTO vf_season_points
+         (season_id, points_json, dnf_points, scale_by_field_size, reference_field_size,
+          created_at_ms, updated_at_ms, updated_by_login, updated_by_user_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(season_id) DO UPDATE SET
+         points_json = excluded.points_json,
+         dnf_points = excluded.dnf_points,
+         scale_by_field_size = excluded.scale_by_field_size,
+         reference_field_size = excluded.reference_field_size,
+         updated_at_ms = excluded.updated_at_ms,
+         updated_by_login = excluded.updated_by_login,
+         updated_by_user_id = excluded.updated_by_user_id`,
+    )
+    .bind(
+      seasonKey(seasonId),
+      JSON.stringify(table.points),
+      table.dnfPoints,
+      table.scaleByFieldSize ? 1 : 0,
+      table.referenceFieldSize,
+      now,
+      now,
+      toStr(login),
+      toStr(userId),
+    )
+    .run();
+  return loadSeasonPointsTable(db, seasonId);
+}
+
+export async function deleteSeasonPointsTable(db, seasonId) {
+  const res = await db.prepare("DELETE FROM vf_season_points WHERE season_id = ?").bind(seasonKey(seasonId)).run();
+  return (Number(res?.meta?.changes || 0) || 0) > 0;
+}
+
+// API shape of a points table.
+export function pointsTableJson(table) {
+  return {
+    points: table.points,
+    dnfPoints: table.dnfPoints,
+    scaleByFieldSize: table.scaleByFieldSize,
+    referenceFieldSize: table.referenceFieldSize,
+    isDefault: !!table.isDefault,
+    updatedAtMs: table.updatedAtMs ?? null,
+    updatedBy: table.updatedBy || "",
+  };
+}
+
+/**
+ * CTEs scoring every row of the leaderboard's `filtered` CTE (see _lib/leaderboardQuery.js):
+ * champ(viewer_user_id, points). Append after filteredCteSql(); params are bound in text order,
+ * i.e. after the filter params.
+ */
+export function championshipCteSql(table) {
+  const scale = table.scaleByFieldSize ? "MIN(1.0, COALESCE(cf.field_size, 0) * 1.0 / ?)" : "1.0";
+  const sql = `
+    , champ_field AS (
+      SELECT x.competition_id, COUNT(*) AS field_size
+      FROM competition_results x
+      WHERE x.competition_id IN (SELECT competition_id FROM filtered)
+      GROUP BY x.competition_id
+    ), champ_points AS (
+      SELECT CAST(key AS INTEGER) + 1 AS pos, CAST(value AS REAL) AS points
+      FROM json_each(?)
+    ), champ AS (
+      SELECT
+        f.viewer_user_id,
+        SUM(CASE WHEN f.status = 'FINISHED' THEN COALESCE(p.points, 0) * ${scale} ELSE ? END) AS points
+      FROM filtered f
+      LEFT JOIN champ_points p ON p.pos = f.position
+      LEFT JOIN champ_field cf ON cf.competition_id = f.competition_id
+      GROUP BY f.viewer_user_id
+    )
+  `;
+  const params = [JSON.stringify(table.points), ...(table.scaleByFieldSize ? [table.referenceFieldSize] : []), table.dnfPoints];
+  return { sql, params };
+}
@@ -0,0 +1,299 @@
+// functions/_lib/streamSessions.js
+//
+// Stream sessions: a streamer's counted competitions grouped into "streams". A race that starts more
+// than `gapMs` after the previous one ended opens a new session (default STREAM_GAP_MS, the same
+// rule as range=stream in _lib/timeRange.js). Sessions aren't stored; they are derived on read, so
+// voiding / approving a race or picking another gap simply regroups.
+//
+// A session's id is the competition_uuid of its first race. Because the grouping depends on the gap,
+// lookups resolve "the session containing this race" rather than requiring an exact first race.
+
+import { achievementTierNames } from "./achievements.js";
+import { countedCompetitionSql } from "./competitionStatus.js";
+import { toStr } from "./dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "./schemaMigrations.js";
+
+// Races further apart than this belong to different streams.
+export const STREAM_GAP_MS = 2 * 60 * 60 * 1000;
+
+export const DEFAULT_SESSION_GAP_MINUTES = Math.round(STREAM_GAP_MS / 60_000);
+
+// Upper bound on races scanned per request (listing, or walking out from a race to its session edges).
+const SESSION_SCAN_LIMIT = 2000;
+
+function num(v) {
+  return Number(v || 0) || 0;
+}
+
+function endOf(row) {
+  return num(row?.ended_at_ms) || num(row?.started_at_ms);
+}
+
+async function countedWhere(db, alias = "c") {
+  const counted = await countedCompetitionSql(db, alias);
+  return counted ? `AND ${counted}` : "";
+}
+
+/**
+ * Groups competition rows (started_at_ms ascending) into sessions.
+ * Returns [{ rows, startedAtMs, endedAtMs }], oldest first.
+ */
+export function groupSessions(rows, gapMs) {
+  const sessions = [];
+  let cur = null;
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const start = num(row?.started_at_ms);
+    if (!cur || start - cur.endedAtMs > gapMs) {
+      cur = { rows: [], startedAtMs: start, endedAtMs: endOf(row) };
+      sessions.push(cur);
+    }
+    cur.rows.push(row);
+    cur.endedAtMs = Math.max(cur.endedAtMs, endOf(row));
+  }
+  return sessions;
+}
+
+function sessionSummary(s) {
+  const first = s.rows[0];
+  const last = s.rows[s.rows.length - 1];
+  const mapNames = [];
+  for (const r of s.rows) {
+    const name = toStr(r?.map_name);
+    if (name && !mapNames.includes(name)) mapNames.push(name);
+  }
+  return {
+    sessionId: toStr(first?.competition_uuid),
+    startedAtMs: s.startedAtMs,
+    endedAtMs: s.endedAtMs,
+    durationMs: Math.max(0, s.endedAtMs - s.startedAtMs),
+    racesRun: s.rows.length,
+    firstCompetitionUuid: toStr(first?.competition_uuid),
+    lastCompetitionUuid: toStr(last?.competition_uuid),
+    maps: mapNames,
+  };
+}
+
+const SESSION_ROW_COLS = "c.id, c.competition_uuid, c.started_at_ms, c.ended_at_ms, c.map_name";
+
+/**
+ * Most recent sessions of a streamer, newest first.
+ *
+ * beforeMs pages backwards (pass the previous page's nextBefore). The oldest session of a page can
+ * be cut short by the scan limit, so it is dropped and picked up by the next page instead.
+ *
+ * Returns { sessions, nextBefore } (nextBefore null when there is nothing older).
+ */
+export async function listStreamSessions(db, streamerUserId, { gapMs = STREAM_GAP_MS, limit = 20, beforeMs = null } = {}) {
+  const counted = await countedWhere(db);
+  const beforeWhere = beforeMs ? "AND c.started_at_ms < ?" : "";
+  const params = [streamerUserId, ...(beforeMs ? [beforeMs] : []), SESSION_SCAN_LIMIT];
+
+  const rs = await db
+    .prepare(
+      `SELECT ${SESSION_ROW_COLS}
+       FROM competitions c
+       WHERE c.streamer_user_id = ?
+         ${counted}
+         ${beforeWhere}
+       ORDER BY c.started_at_ms DESC, c.id DESC
+       LIMIT ?`,
+    )
+    .bind(...params)
+    .all();
+  const rows = (Array.isArray(rs?.results) ? rs.results : []).reverse();
+  const truncated = rows.length >= SESSION_SCAN_LIMIT;
+
+  let sessions = groupSessions(rows, gapMs).reverse();
+  if (truncated && sessions.length > 1) sessions = sessions.slice(0, -1);
+
+  const more = sessions.length > limit || truncated;
+  sessions = sessions.slice(0, limit);
+
+  const summaries = sessions.map(sessionSummary);
+  await attachParticipantCounts(db, streamerUserId, summaries);
+
+  return {
+    sessions: summaries,
+    nextBefore: more && summaries.length ? summaries[summaries.length - 1].startedAtMs : null,
+  };
+}
+
+// uniqueParticipants per session in one statement (3 params per session; callers cap the page size).
+async function attachParticipantCounts(db, streamerUserId, summaries) {
+  if (!summaries.length) return;
+
+  const counted = await countedWhere(db);
+  const botWhere = (await schemaAtLeast(db, SCHEMA.botFlags)) ? "AND COALESCE(r.is_bot, 0) = 0" : "";
+  const values = summaries.map(() => "(?, ?, ?)").join(", ");
+  const params = summaries.flatMap((s, i) => [i, s.startedAtMs, s.endedAtMs]);
+
+  const rs = await db
+    .prepare(
+      `WITH s(idx, from_ms, to_ms) AS (VALUES ${values})
+       SELECT s.idx AS idx, COUNT(DISTINCT r.viewer_user_id) AS n
+       FROM s
+       JOIN competitions c
+         ON c.streamer_user_id = ? AND c.started_at_ms BETWEEN s.from_ms AND s.to_ms
+       JOIN competition_results r ON r.competition_id = c.id
+       WHERE 1 = 1
+         ${counted}
+         ${botWhere}
+       GROUP BY s.idx`,
+    )
+    .bind(...params, streamerUserId)
+    .all();
+
+  const byIdx = new Map((Array.isArray(rs?.results) ? rs.results : []).map((r) => [num(r.idx), num(r.n)]));
+  summaries.forEach((s, i) => {
+    s.uniqueParticipants = byIdx.get(i) || 0;
+  });
+}
+
+/**
+ * The session containing `competitionUuid` ("latest" = the streamer's most recent session).
+ * Returns the session summary, or null when the race doesn't exist, isn't this streamer's or
+ * doesn't count (quarantined / voided).
+ */
+export async function findStreamSession(db, streamerUserId, competitionUuid, { gapMs = STREAM_GAP_MS } = {}) {
+  const counted = await countedWhere(db);
+  const uuid = toStr(competitionUuid);
+
+  const anchor =
+    uuid.toLowerCase() === "latest"
+      ? await db
+          .prepare(
+            `SELECT ${SESSION_ROW_COLS} FROM competitions c
+             WHERE c.streamer_user_id = ? ${counted}
+             ORDER BY c.started_at_ms DESC, c.id DESC LIMIT 1`,
+          )
+          .bind(streamerUserId)
+          .first()
+      : await db
+          .prepare(
+            `SELECT ${SESSION_ROW_COLS} FROM competitions c
+             WHERE c.competition_uuid = ? AND c.streamer_user_id = ? ${counted}
+             LIMIT 1`,
+          )
+          .bind(uuid, streamerUserId)
+          .first();
+  if (!anchor) return null;
+
+  const anchorStart = num(anchor.started_at_ms);
+
+  // Races around the anchor: walk each direction until the gap is exceeded.
+  const [beforeRs, afterRs] = await Promise.all([
+    db
+      .prepare(
+        `SELECT ${SESSION_ROW_COLS} FROM competitions c
+         WHERE c.streamer_user_id = ? AND c.started_at_ms <= ? AND c.id <> ? ${counted}
+         ORDER BY c.started_at_ms DESC, c.id DESC LIMIT ?`,
+      )
+      .bind(streamerUserId, anchorStart, anchor.id, SESSION_SCAN_LIMIT)
+      .all(),
+    db
+      .prepare(
+        `SELECT ${SESSION_ROW_COLS} FROM competitions c
+         WHERE c.streamer_user_id = ? AND c.started_at_ms >= ? AND c.id <> ? ${counted}
+         ORDER BY c.started_at_ms ASC, c.id ASC LIMIT ?`,
+      )
+      .bind(streamerUserId, anchorStart, anchor.id, SESSION_SCAN_LIMIT)
+      .all(),
+  ]);
+
+  // Same-start races can show up on both sides; keep each once.
+  const seen = new Set([num(anchor.id)]);
+  const rows = [anchor];
+  for (const r of [...(beforeRs?.results || []), ...(afterRs?.results || [])]) {
+    if (seen.has(num(r.id))) continue;
+    seen.add(num(r.id));
+    rows.push(r);
+  }
+  rows.sort((a, b) => num(a.started_at_ms) - num(b.started_at_ms) || num(a.id) - num(b.id));
+
+  const session = groupSessions(rows, gapMs).find((s) => s.rows.some((r) => num(r.id) === num(anchor.id)));
+  return session ? sessionSummary(session) : null;
+}
+
+/**
+ * End-of-stream recap for a session summary (from findStreamSession):
+ * - participants       non-bot viewers who raced, best first (wins, podiums, races)
+ * - newViewerIds       participants whose first counted race on this channel was in the session
+ * - achievements       unlocks earned in the session's races (viewer_achievements.source_ref)
+ */
+export async function loadSessionRecap(db, streamerUserId, session) {
+  const counted = await countedWhere(db);
+  const countedPrev = await countedWhere(db, "c2");
+  const hasIsBot = await schemaAtLeast(db, SCHEMA.botFlags);
+  const botWhere = hasIsBot ? "AND COALESCE(r.is_bot, 0) = 0" : "";
+  const inSession = "c.streamer_user_id = ? AND c.started_at_ms BETWEEN ? AND ?";
+  const bounds = [streamerUserId, session.startedAtMs, session.endedAtMs];
+
+  const participantsRs = await db
+    .prepare(
+      `SELECT
+         r.viewer_user_id,
+         MAX(r.viewer_login) AS viewer_login,
+         MAX(r.viewer_display_name) AS viewer_display_name,
+         MAX(r.viewer_profile_image_url) AS viewer_profile_image_url,
+         COUNT(*) AS races,
+         SUM(CASE WHEN r.status = 'FINISHED' AND r.finish_position = 1 THEN 1 ELSE 0 END) AS wins,
+         SUM(CASE WHEN r.status = 'FINISHED' AND r.finish_position BETWEEN 1 AND 3 THEN 1 ELSE 0 END) AS podiums,
+         MIN(CASE WHEN r.status = 'FINISHED' AND r.finish_position > 0 THEN r.finish_position END) AS best_position,
+         NOT EXISTS (
+           SELECT 1
+           FROM competitions c2
+           JOIN competition_results r2 ON r2.competition_id = c2.id
+           WHERE r2.viewer_user_id = r.viewer_user_id
+             AND c2.streamer_user_id = ?
+             AND c2.started_at_ms < ?
+             ${countedPrev}
+         ) AS is_new
+       FROM competitions c
+       JOIN competition_results r ON r.competition_id = c.id
+       WHERE ${inSession}
+         ${counted}
+         ${botWhere}
+       GROUP BY r.viewer_user_id
+       ORDER BY wins DESC, podiums DESC, races DESC, LOWER(COALESCE(MAX(r.viewer_login), r.viewer_user_id)) ASC`,
+    )
+    .bind(streamerUserId, session.startedAtMs, ...bounds)
+    .all();
+
+  const participants = (Array.isArray(participantsRs?.results) ? participantsRs.results : []).map((r) => ({
+    viewerUserId: toStr(r?.viewer_user_id),
+    viewerLogin: toStr(r?.viewer_login),
+    viewerDisplayName: toStr(r?.viewer_display_name),
+    viewerProfileImageUrl: toStr(r?.viewer_profile_image_url),
+    races: num(r?.races),
+    wins: num(r?.wins),
+    podiums: num(r?.podiums),
+    bestPosition: r?.best_position === null || r?.best_position === undefined ? null : num(r.best_position),
+    isNew: !!num(r?.is_new),
+  }));
+
+  let achievements = [];
+  if (await schemaAtLeast(db, SCHEMA.statsCore)) {
+    const hasTiers = await schemaAtLeast(db, SCHEMA.achievementTiers);
+    const achRs = await db
+      .prepare(
+        `SELECT va.viewer_user_id, va.achievement_id, ${hasTiers ? "va.tier" : "0"} AS tier, va.unlocked_at_ms, a.name, a.criteria
+         FROM viewer_achievements va
+         JOIN achievements a ON a.id = va.achievement_id
+         WHERE va.source_ref IN (
+           SELECT CAST(c.id AS TEXT) FROM competitions c WHERE ${inSession} ${counted}
+         )
+         ORDER BY va.unlocked_at_ms ASC, va.id ASC`,
+      )
+      .bind(...bounds)
+      .all();
+    achievements = (Array.isArray(achRs?.results) ? achRs.results : []).map((r) => ({
+      viewerUserId: toStr(r?.viewer_user_id),
+      achievementId: num(r?.achievement_id),
+      achievementName: toStr(r?.name),
+      ...(num(r?.tier) ? { tier: num(r.tier), tierName: achievementTierNames(r?.criteria)?.[num(r.tier)] || "" } : {}),
+      unlockedAtMs: num(r?.unlocked_at_ms),
+    }));
+  }
+
+  return { participants, achievements };
+}
@@ -0,0 +1,96 @@
+// functions/_lib/timeRange.js
+//
+// from / to + rolling-window presets for stats endpoints.
+//
+//   range=today    since local midnight (tzOffset = the browser's Date#getTimezoneOffset(), default UTC)
+//   range=stream   the streamer's current (or most recent) stream; needs streamerId. The stream is
+//                  the latest session of _lib/streamSessions.js; gapMinutes (5-1440) as there.
+//   range=7d       last 7 days
+//   range=30d      last 30 days
+//
+// Explicit from / to (epoch ms or ISO-8601, inclusive) narrow a preset further, or stand alone.
+// All bounds apply to competitions.started_at_ms.
+
+import { msFromIso, toStr } from "./dbUtil.js";
+import { DEFAULT_SESSION_GAP_MINUTES, findStreamSession } from "./streamSessions.js";
+
+export const TIME_RANGE_PRESETS = ["today", "stream", "7d", "30d"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accepts epoch milliseconds or an ISO-8601 string.
+export function parseTimeParam(v) {
+  const s = toStr(v);
+  if (!s) return null;
+  if (/^\d+$/.test(s)) {
+    const n = Number(s);
+    return Number.isFinite(n) && n > 0 ? Math.trunc(n) : null;
+  }
+  return msFromIso(s);
+}
+
+function isAll(v) {
+  const s = toStr(v);
+  return !s || s.toUpperCase() === "ALL";
+}
+
+function rangeError(error, message) {
+  return { ok: false, error, message };
+}
+
+/**
+ * Resolves range / from / to / tzOffset / gapMinutes query params.
+ *
+ * Returns { ok: true, range, fromMs, toMs } (null bounds = open) or
+ * { ok: false, error: "invalid_date_range" | "streamer_required", message }.
+ */
+export async function resolveTimeRange(db, searchParams, { streamerId = "", now = Date.now() } = {}) {
+  const range = toStr(searchParams.get("range")).toLowerCase();
+  const fromRaw = searchParams.get("from");
+  const toRaw = searchParams.get("to");
+
+  let fromMs = parseTimeParam(fromRaw);
+  const toMs = parseTimeParam(toRaw);
+  if ((toStr(fromRaw) && fromMs === null) || (toStr(toRaw) && toMs === null)) {
+    return rangeError("invalid_date_range", "from/to must be epoch ms or ISO-8601.");
+  }
+
+  if (range && range !== "all" && !TIME_RANGE_PRESETS.includes(range)) {
+    return rangeError("invalid_date_range", `range must be one of: ${TIME_RANGE_PRESETS.join(", ")}.`);
+  }
+
+  let presetFromMs = null;
+  if (range === "today") {
+    const tzRaw = toStr(searchParams.get("tzOffset"));
+    const tzOffsetMin = tzRaw ? Number(tzRaw) : 0;
+    if (!Number.isInteger(tzOffsetMin) || Math.abs(tzOffsetMin) > 14 * 60) {
+      return rangeError("invalid_date_range", "tzOffset must be minutes between -840 and 840.");
+    }
+    const offsetMs = tzOffsetMin * 60_000;
+    presetFromMs = Math.floor((now - offsetMs) / DAY_MS) * DAY_MS + offsetMs;
+  } else if (range === "7d") {
+    presetFromMs = now - 7 * DAY_MS;
+  } else if (range === "30d") {
+    presetFromMs = now - 30 * DAY_MS;
+  } else if (range === "stream") {
+    if (isAll(streamerId)) {
+      return { ok: false, error: "streamer_required", message: "range=stream needs a streamerId." };
+    }
+    const gapRaw = toStr(searchParams.get("gapMinutes"));
+    const gapMinutes = gapRaw ? Number(gapRaw) : DEFAULT_SESSION_GAP_MINUTES;
+    if (!Number.isInteger(gapMinutes) || gapMinutes < 5 || gapMinutes > 1440) {
+      return rangeError("invalid_date_range", "gapMinutes must be whole minutes between 5 and 1440.");
+    }
+    const session = await findStreamSession(db, toStr(streamerId), "latest", { gapMs: gapMinutes * 60_000 });
+    // No counted races yet: nothing can match, so pin the window to "from now on".
+    presetFromMs = session ? session.startedAtMs : now;
+  }
+
+  if (presetFromMs !== null) fromMs = fromMs === null ? presetFromMs : Math.max(fromMs, presetFromMs);
+
+  if (fromMs !== null && toMs !== null && fromMs > toMs) {
+    return rangeError("invalid_date_range", "from must not be after to.");
+  }
+
+  return { ok: true, range: range && range !== "all" ? range : null, fromMs, toMs };
+}
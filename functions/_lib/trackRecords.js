@@ -0,0 +1,232 @@
+// functions/_lib/trackRecords.js
+//
+// Track records + personal bests per map version.
+//
+// A "map version" is (competitions.map_id, competitions.map_hash_sha256); older clients that
+// don't send a hash fall back to map_version. Times from different versions are never compared,
+// since editing a track changes what a good time is.
+//
+// Records are derived from competition_results on read (no separate table), so quarantined /
+// voided races and bots drop out automatically, the same way they do for the leaderboard.
+
+import { toBool, toStr } from "./dbUtil.js";
+import { botFilterSql, countedCompetitionSql } from "./competitionStatus.js";
+
+// viewer ids per statement; D1 allows 100 bound parameters.
+const VIEWER_CHUNK = 90;
+
+function numOrNull(v) {
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function versionWhere({ mapHash, mapVersion }) {
+  const hash = toStr(mapHash);
+  if (hash) return { sql: "c.map_hash_sha256 = ?", params: [hash] };
+
+  const version = numOrNull(mapVersion);
+  if (version !== null) {
+    return { sql: "COALESCE(c.map_hash_sha256,'') = '' AND c.map_version = ?", params: [version] };
+  }
+  return { sql: "COALESCE(c.map_hash_sha256,'') = '' AND c.map_version IS NULL", params: [] };
+}
+
+function normalizeBestRow(r) {
+  return {
+    viewerUserId: toStr(r?.viewer_user_id),
+    login: toStr(r?.viewer_login),
+    displayName: toStr(r?.viewer_display_name),
+    profileImageUrl: toStr(r?.viewer_profile_image_url),
+    timeMs: numOrNull(r?.finish_time_ms),
+    vehicleId: toStr(r?.vehicle_id),
+    competitionUuid: toStr(r?.competition_uuid),
+    achievedAtMs: Number(r?.started_at_ms || 0) || 0,
+  };
+}
+
+// WHERE for "counted, non-bot FINISHED results on this map version".
+async function bestsWhere(db, key, { excludeCompetitionId = 0 } = {}) {
+  const v = versionWhere(key || {});
+  const where = [
+    "c.map_id = ?",
+    v.sql,
+    "r.status = 'FINISHED'",
+    "r.finish_time_ms IS NOT NULL",
+    "r.finish_time_ms > 0",
+  ];
+  const params = [Number(key?.mapId || 0) || 0, ...v.params];
+
+  const counted = await countedCompetitionSql(db, "c");
+  if (counted) where.push(counted);
+
+  const excludeId = Number(excludeCompetitionId || 0) || 0;
+  if (excludeId > 0) {
+    where.push("c.id <> ?");
+    params.push(excludeId);
+  }
+
+  return { sql: `${where.join(" AND ")} ${await botFilterSql(db, "r")}`, params };
+}
+
+/**
+ * Personal bests on one map version, fastest first (so [0] is the track record).
+ * Ties go to whoever set the time first.
+ *
+ * @param {object} db
+ * @param {{ mapId: number, mapHash?: string, mapVersion?: number|null }} key
+ * @param {{ viewerIds?: string[], excludeCompetitionId?: number, limit?: number }} [opts]
+ */
+export async function loadPersonalBests(db, key, { viewerIds = null, excludeCompetitionId = 0, limit = 25 } = {}) {
+  const mapId = Number(key?.mapId || 0) || 0;
+  if (!db || mapId <= 0) return [];
+  if (Array.isArray(viewerIds) && !viewerIds.length) return [];
+
+  const w = await bestsWhere(db, key, { excludeCompetitionId });
+  const max = Math.max(1, Number(limit) || 25);
+  if (!Array.isArray(viewerIds)) return queryPersonalBests(db, w, null, max);
+
+  // A race can have hundreds of finishers: one lookup per chunk, then merge in the same order.
+  const rows = [];
+  for (let i = 0; i < viewerIds.length; i += VIEWER_CHUNK) {
+    rows.push(...(await queryPersonalBests(db, w, viewerIds.slice(i, i + VIEWER_CHUNK), max)));
+  }
+  rows.sort((a, b) => a.timeMs - b.timeMs || a.achievedAtMs - b.achievedAtMs);
+  return rows.slice(0, max);
+}
+
+async function queryPersonalBests(db, w, viewerIds, limit) {
+  const where = [w.sql];
+  const params = [...w.params];
+
+  if (viewerIds) {
+    where.push(`r.viewer_user_id IN (${viewerIds.map(() => "?").join(",")})`);
+    params.push(...viewerIds);
+  }
+
+  const sql = `
+    WITH ranked AS (
+      SELECT
+        r.viewer_user_id,
+        r.viewer_login,
+        r.viewer_display_name,
+        r.viewer_profile_image_url,
+        r.finish_time_ms,
+        r.vehicle_id,
+        c.competition_uuid,
+        c.started_at_ms,
+        ROW_NUMBER() OVER (
+          PARTITION BY r.viewer_user_id
+          ORDER BY r.finish_time_ms ASC, c.started_at_ms ASC
+        ) AS rn
+      FROM competition_results r
+      JOIN competitions c ON c.id = r.competition_id
+      WHERE ${where.join(" AND ")}
+    )
+    SELECT *
+    FROM ranked
+    WHERE rn = 1
+    ORDER BY finish_time_ms ASC, started_at_ms ASC
+    LIMIT ?;
+  `;
+
+  const rs = await db.prepare(sql).bind(...params, limit).all();
+  return (Array.isArray(rs?.results) ? rs.results : []).map(normalizeBestRow);
+}
+
+// 1-based rank of a personal best time: viewers with a strictly faster PB + 1.
+export async function personalBestRank(db, key, viewerUserId, timeMs) {
+  const t = numOrNull(timeMs);
+  if (!db || t === null) return null;
+
+  const w = await bestsWhere(db, key);
+  const row = await db
+    .prepare(
+      `SELECT COUNT(DISTINCT r.viewer_user_id) AS n
+       FROM competition_results r
+       JOIN competitions c ON c.id = r.competition_id
+       WHERE ${w.sql}
+         AND r.finish_time_ms < ?
+         AND r.viewer_user_id <> ?`,
+    )
+    .bind(...w.params, t, toStr(viewerUserId))
+    .first();
+  return (Number(row?.n || 0) || 0) + 1;
+}
+
+export async function loadTrackRecord(db, key, { excludeCompetitionId = 0 } = {}) {
+  const rows = await loadPersonalBests(db, key, { excludeCompetitionId, limit: 1 });
+  return rows[0] || null;
+}
+
+/**
+ * New track record / personal best flags for one submitted competition, comparing its
+ * finishers against every OTHER counted race on the same map version.
+ * Quarantined / voided races never set records.
+ *
+ * Returns { newTrackRecord, trackRecord, previousTrackRecordMs, newPersonalBests: [...] }.
+ */
+export async function detectCompetitionRecords(db, competitionId) {
+  const out = { newTrackRecord: false, trackRecord: null, previousTrackRecordMs: null, newPersonalBests: [] };
+
+  const cid = Number(competitionId || 0) || 0;
+  if (!db || cid <= 0) return out;
+
+  const comp = await db.prepare("SELECT * FROM competitions WHERE id = ? LIMIT 1").bind(cid).first();
+  const mapId = Number(comp?.map_id || 0) || 0;
+  if (!comp || mapId <= 0) return out;
+  if (toBool(comp.quarantined) || toBool(comp.voided)) return out;
+
+  const key = { mapId, mapHash: comp.map_hash_sha256, mapVersion: comp.map_version };
+
+  const rs = await db
+    .prepare(
+      `SELECT r.viewer_user_id, r.viewer_login, r.viewer_display_name, r.viewer_profile_image_url,
+              r.finish_time_ms, r.vehicle_id, ? AS competition_uuid, ? AS started_at_ms
+       FROM competition_results r
+       WHERE r.competition_id = ?
+         AND r.status = 'FINISHED'
+         AND r.finish_time_ms IS NOT NULL
+         AND r.finish_time_ms > 0
+         ${await botFilterSql(db, "r")}
+       ORDER BY r.finish_time_ms ASC`,
+    )
+    .bind(toStr(comp.competition_uuid), Number(comp.started_at_ms || 0) || 0, cid)
+    .all();
+  const finishers = (Array.isArray(rs?.results) ? rs.results : []).map(normalizeBestRow);
+  if (!finishers.length) return out;
+
+  const previousRecord = await loadTrackRecord(db, key, { excludeCompetitionId: cid });
+  const previousBests = await loadPersonalBests(db, key, {
+    viewerIds: finishers.map((f) => f.viewerUserId),
+    excludeCompetitionId: cid,
+    limit: finishers.length,
+  });
+  const prevByViewer = new Map(previousBests.map((b) => [b.viewerUserId, b.timeMs]));
+
+  for (const f of finishers) {
+    const prev = prevByViewer.has(f.viewerUserId) ? prevByViewer.get(f.viewerUserId) : null;
+    if (prev === null || f.timeMs < prev) {
+      out.newPersonalBests.push({
+        viewerUserId: f.viewerUserId,
+        login: f.login,
+        displayName: f.displayName,
+        timeMs: f.timeMs,
+        previousBestMs: prev,
+        improvementMs: prev === null ? null : prev - f.timeMs,
+        firstFinish: prev === null,
+      });
+    }
+  }
+
+  const fastest = finishers[0];
+  out.previousTrackRecordMs = previousRecord ? previousRecord.timeMs : null;
+  if (!previousRecord || fastest.timeMs < previousRecord.timeMs) {
+    out.newTrackRecord = true;
+    out.trackRecord = fastest;
+  } else {
+    out.trackRecord = previousRecord;
+  }
+
+  return out;
+}
@@ -2,6 +2,7 @@
 import { jsonResponse } from "./response.js";
 import { verifyJwtHs256 } from "./vfJwt.js";
 import { isoFromMs, msFromIso, nowMs, tableExists, toStr } from "./dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "./schemaMigrations.js";
 
 /**
  * Extracts a Twitch user access token.
@@ -33,7 +34,7 @@ async function upsertUserToD1BestEffort(env, record) {
   try {
     const db = env?.VF_D1_STATS;
     if (!db) return false;
-    const ok = await tableExists(db, "vf_users");
+    const ok = await schemaAtLeast(db, SCHEMA.usersAndSeasons);
     if (!ok) return false;
 
     const userId = toStr(record?.userId);
@@ -358,7 +359,8 @@ async function getRoleDef(env, roleId) {
 }
 
 async function isVipByRoleFlags(env, userId) {
-  // Prefer D1 (v0.6+)
+  // Prefer D1 (v0.6+). vf_user_roles / vf_roles are created by manage.viewerfrenzy.com, not by the
+  // stats migrations, so they are probed instead of version-checked.
   try {
     const db = env?.VF_D1_STATS;
     if (db && (await tableExists(db, "vf_user_roles")) && (await tableExists(db, "vf_roles"))) {
@@ -734,3 +736,27 @@ export async function requireWebsiteUser(context, { broadcasterLogin } = {}) {
     ),
   };
 }
+
+// Access reasons allowed on the admin endpoints (schema, aggregates, snapshots, season setup).
+const ADMIN_ACCESS_REASONS = new Set(["broadcaster", "vip_role_admin"]);
+
+/**
+ * Like requireWebsiteUser, but only lets the broadcaster or a VF admin (role flag) through.
+ * Everyone else gets a 403 saying "Only the broadcaster or a VF admin can <action>."
+ */
+export async function requireWebsiteAdmin(context, { action = "do this" } = {}) {
+  const auth = await requireWebsiteUser(context);
+  if (!auth.ok) return auth;
+
+  if (!auth?.access?.allowed || !ADMIN_ACCESS_REASONS.has(auth?.access?.reason)) {
+    return {
+      ok: false,
+      response: jsonResponse(
+        context.request,
+        { error: "forbidden", message: `Only the broadcaster or a VF admin can ${action}.` },
+        403,
+      ),
+    };
+  }
+  return auth;
+}
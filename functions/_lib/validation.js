@@ -0,0 +1,231 @@
+// functions/_lib/validation.js
+//
+// Declarative validation for JSON bodies and query strings.
+//
+//   const SCHEMA = v.object({
+//     name: v.string({ required: true, maxLength: 80 }),
+//     limit: v.int({ min: 1, max: 100, default: 25 }),
+//   });
+//
+//   const r = validateBody(SCHEMA, body);
+//   if (!r.ok) return validationErrorResponse(request, r.errors);
+//   r.value.name; // trimmed, defaults applied, undeclared keys dropped
+//
+// Every failing field is reported, not just the first, as { path, code, message } with paths like
+// "competition.startedAtMs" or "results[3].timeMs", so a client can fix a payload in one round trip.
+// null / undefined (and "" in query strings or coerced bodies) count as "not provided".
+//
+// Endpoints that used to answer with one specific error code pass a path -> code map as
+// `legacyErrors`, listed in the order the old checks ran; the first entry whose path failed is
+// echoed as `legacyError` for older clients.
+
+import { jsonResponse } from "./response.js";
+
+function describe(kind, opts) {
+  return { kind, ...opts };
+}
+
+export const v = {
+  // Finite numbers are accepted and stringified (Unity sometimes sends ids as numbers).
+  // Options: required, default, trim (default true), lower, minLength, maxLength, pattern, patternHint, oneOf
+  string: (opts = {}) => describe("string", opts),
+  // Options: required, default, min, max
+  int: (opts = {}) => describe("int", opts),
+  number: (opts = {}) => describe("number", opts),
+  // Accepts true/false and 0/1 (plus "true"/"yes"/"on"/... in query strings).
+  bool: (opts = {}) => describe("bool", opts),
+  // Options: required, default, minItems, maxItems
+  array: (items, opts = {}) => describe("array", { items, ...opts }),
+  // check(value, addError) runs after the fields, for cross-field rules. Fields that failed are
+  // missing from `value`, so checks must tolerate undefined. addError(field, code, message)
+  // reports against `${path}.${field}`.
+  object: (shape, opts = {}) => describe("object", { shape, ...opts }),
+  any: (opts = {}) => describe("any", opts),
+};
+
+const TYPE_MESSAGES = {
+  string: "Expected a string.",
+  int: "Expected an integer.",
+  number: "Expected a number.",
+  bool: "Expected a boolean.",
+  array: "Expected an array.",
+  object: "Expected an object.",
+};
+
+function joinPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function isMissing(x, coerce) {
+  return x === null || x === undefined || (coerce && x === "");
+}
+
+function toNumber(x, coerce) {
+  if (typeof x === "number") return Number.isFinite(x) ? x : NaN;
+  if (coerce && typeof x === "string" && x.trim() !== "") return Number(x);
+  return NaN;
+}
+
+function checkRange(schema, n, path, errors) {
+  if (schema.min !== undefined && n < schema.min) {
+    errors.push({ path, code: "too_small", message: `Must be at least ${schema.min}.` });
+    return false;
+  }
+  if (schema.max !== undefined && n > schema.max) {
+    errors.push({ path, code: "too_large", message: `Must be at most ${schema.max}.` });
+    return false;
+  }
+  return true;
+}
+
+const TRUE_STRINGS = ["true", "1", "yes", "y", "on"];
+const FALSE_STRINGS = ["false", "0", "no", "n", "off"];
+
+function run(schema, input, path, errors, coerce) {
+  if (isMissing(input, coerce)) {
+    if (schema.required) {
+      errors.push({ path, code: "required", message: path ? "Required." : "Body must be a JSON object." });
+    }
+    return schema.default;
+  }
+
+  switch (schema.kind) {
+    case "string": {
+      if (typeof input !== "string" && !(typeof input === "number" && Number.isFinite(input))) break;
+      let s = String(input);
+      if (schema.trim !== false) s = s.trim();
+      if (schema.lower) s = s.toLowerCase();
+
+      if (!s && schema.required) {
+        errors.push({ path, code: "required", message: "Required." });
+        return undefined;
+      }
+      if (!s) return schema.default !== undefined ? schema.default : s;
+
+      let error = null;
+      if (schema.minLength !== undefined && s.length < schema.minLength) {
+        error = { code: "too_short", message: `Must be at least ${schema.minLength} characters.` };
+      } else if (schema.maxLength !== undefined && s.length > schema.maxLength) {
+        error = { code: "too_long", message: `Must be at most ${schema.maxLength} characters.` };
+      } else if (schema.pattern && !schema.pattern.test(s)) {
+        error = { code: "invalid_format", message: schema.patternHint || "Invalid format." };
+      } else if (schema.oneOf && !schema.oneOf.includes(s)) {
+        error = { code: "invalid_value", message: `Must be one of: ${schema.oneOf.join(", ")}.` };
+      }
+      if (error) {
+        errors.push({ path, ...error });
+        return undefined;
+      }
+      return s;
+    }
+
+    case "int":
+    case "number": {
+      const n = toNumber(input, coerce);
+      if (!Number.isFinite(n)) break;
+      if (schema.kind === "int" && !Number.isInteger(n)) {
+        errors.push({ path, code: "invalid_type", message: TYPE_MESSAGES.int });
+        return undefined;
+      }
+      return checkRange(schema, n, path, errors) ? n : undefined;
+    }
+
+    case "bool": {
+      if (typeof input === "boolean") return input;
+      if (input === 0 || input === 1) return input === 1;
+      if (coerce && typeof input === "string") {
+        const s = input.trim().toLowerCase();
+        if (TRUE_STRINGS.includes(s)) return true;
+        if (FALSE_STRINGS.includes(s)) return false;
+      }
+      break;
+    }
+
+    case "array": {
+      if (!Array.isArray(input)) break;
+      if (schema.minItems !== undefined && input.length < schema.minItems) {
+        errors.push({ path, code: "too_few_items", message: `Must contain at least ${schema.minItems} item(s).` });
+        return undefined;
+      }
+      if (schema.maxItems !== undefined && input.length > schema.maxItems) {
+        errors.push({ path, code: "too_many_items", message: `Must contain at most ${schema.maxItems} item(s).` });
+        return undefined;
+      }
+      return schema.items ? input.map((item, i) => run(schema.items, item, joinPath(path, i), errors, coerce)) : input;
+    }
+
+    case "object": {
+      if (typeof input !== "object" || Array.isArray(input)) break;
+      const out = {};
+      for (const [key, fieldSchema] of Object.entries(schema.shape || {})) {
+        const value = run(fieldSchema, input[key], joinPath(path, key), errors, coerce);
+        if (value !== undefined) out[key] = value;
+      }
+      if (schema.check) {
+        schema.check(out, (field, code, message) => errors.push({ path: joinPath(path, field), code, message }));
+      }
+      return out;
+    }
+
+    case "any":
+      return input;
+
+    default:
+      throw new Error(`Unknown schema kind: ${schema.kind}`);
+  }
+
+  errors.push({ path, code: "invalid_type", message: TYPE_MESSAGES[schema.kind] || "Invalid value." });
+  return undefined;
+}
+
+/**
+ * Validates a value against a schema built with `v`.
+ * Returns { ok: true, value } or { ok: false, value, errors: [{ path, code, message }] }.
+ */
+export function validate(schema, input, { coerce = false, path = "" } = {}) {
+  const errors = [];
+  const value = run(schema, input, path, errors, coerce);
+  return errors.length ? { ok: false, value, errors } : { ok: true, value };
+}
+
+// coerce: true applies the query-string rules to a JSON body, for endpoints whose older clients
+// send numbers / booleans as strings.
+export function validateBody(schema, body, { coerce = false } = {}) {
+  return validate(schema, body, { coerce });
+}
+
+// Query values are strings, so numbers / booleans are coerced. Array fields take repeated
+// params and/or comma-separated values (?ids=a,b&ids=c).
+export function validateQuery(schema, searchParams) {
+  const input = {};
+  for (const [key, fieldSchema] of Object.entries(schema.shape || {})) {
+    if (!searchParams.has(key)) continue;
+    input[key] =
+      fieldSchema.kind === "array"
+        ? searchParams
+            .getAll(key)
+            .flatMap((s) => s.split(","))
+            .map((s) => s.trim())
+            .filter(Boolean)
+        : searchParams.get(key);
+  }
+  return validate(schema, input, { coerce: true });
+}
+
+export function validationErrorBody(errors, legacyErrors = null) {
+  const n = errors.length;
+  const failed = new Set(errors.map((e) => e.path));
+  const legacy = Object.entries(legacyErrors || {}).find(([path]) => failed.has(path))?.[1];
+  return {
+    ok: false,
+    error: "validation_failed",
+    ...(legacy ? { legacyError: legacy } : {}),
+    message: n === 1 ? `${errors[0].path || "body"}: ${errors[0].message}` : `${n} fields failed validation.`,
+    errors,
+  };
+}
+
+export function validationErrorResponse(request, errors, { status = 400, legacyErrors = null } = {}) {
+  return jsonResponse(request, validationErrorBody(errors, legacyErrors), status);
+}
@@ -0,0 +1,590 @@
+// functions/_lib/viewerAggregates.js
+//
+// Materialized per-viewer leaderboard aggregates.
+//
+// viewer_stat_aggregates holds one row per (scope, viewer) with every leaderboard column already
+// computed, so the leaderboard can page through it instead of recomputing percentiles over all of
+// competition_results. A scope is [seasonId, streamerUserId, mapId, vehicleType] where each part
+// can also be "*" (any); every counted race feeds the 16 scopes it belongs to, so any combination
+// of those four leaderboard filters maps to exactly one scope.
+//
+// Rows are maintained per race, never recomputed from a viewer's whole history on submit.
+// viewer_aggregate_applied remembers each competition's dims and results as of its last sync;
+// syncCompetitionAggregates() takes that snapshot back out of the rows it fed and adds the race's
+// current state (counts and sums as deltas, positions_json / times_json adjusted by one entry),
+// then re-derives min / max / percentiles from those distributions for the touched rows only.
+// The batch is guarded by the snapshot it started from, so concurrent syncs of one race can't
+// both apply. Submits, re-submits, approvals, voids and un-voids all just call it again;
+// quarantined / voided races contribute nothing, and an unchanged competition skips the write.
+//
+// positions_json (finish-position histogram) and times_json (sorted finish times) keep the
+// distributions the percentile columns are taken from.
+//
+// stats_meta.viewer_aggregates_ready is set once a full rebuild has run (POST
+// /api/v1/admin/viewer-aggregates); until then the leaderboard keeps using the raw query.
+
+import { nowMs, toStr } from "./dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "./schemaMigrations.js";
+import { countedCompetitionSql } from "./competitionStatus.js";
+
+export const ANY_SCOPE = "*";
+
+const READY_KEY = "viewer_aggregates_ready";
+
+function isAll(v) {
+  const s = toStr(v);
+  return !s || s.toUpperCase() === "ALL";
+}
+
+export function scopeKey(seasonId, streamerUserId, mapId, vehicleType) {
+  return JSON.stringify([toStr(seasonId), toStr(streamerUserId), toStr(mapId), toStr(vehicleType).toLowerCase()]);
+}
+
+/**
+ * A mapId filter the way competitions.map_id stores it ("007" -> "7"). The raw leaderboard binds
+ * this same value, so raw and aggregate boards select the same races.
+ */
+export function scopeMapId(mapId) {
+  const s = toStr(mapId);
+  return /^[+-]?[0-9]+$/.test(s) ? String(Number.parseInt(s, 10)) : s;
+}
+
+// Scope for a set of leaderboard filters (ALL / empty = any).
+export function leaderboardScopeKey({ seasonId, streamerId, mapId, vehicleType } = {}) {
+  const part = (v) => (isAll(v) ? ANY_SCOPE : toStr(v));
+  return scopeKey(
+    part(seasonId),
+    part(streamerId),
+    isAll(mapId) ? ANY_SCOPE : scopeMapId(mapId),
+    isAll(vehicleType) ? ANY_SCOPE : toStr(vehicleType),
+  );
+}
+
+function scopeKeysFor(dims) {
+  const keys = new Set();
+  for (const season of [dims.season, ANY_SCOPE]) {
+    for (const streamer of [dims.streamer, ANY_SCOPE]) {
+      for (const map of [dims.map, ANY_SCOPE]) {
+        for (const vt of [dims.vehicleType, ANY_SCOPE]) {
+          keys.add(scopeKey(season, streamer, map, vt));
+        }
+      }
+    }
+  }
+  return [...keys];
+}
+
+async function hasAggregateTables(db) {
+  return schemaAtLeast(db, SCHEMA.viewerAggregates);
+}
+
+function parseJson(s, fallback) {
+  try {
+    const v = JSON.parse(String(s || ""));
+    return v ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// ---------------------------------------------------------------------------------------------
+// SQL
+
+// A competition's scope parts, normalized the way scopeKey() normalizes them (alias c).
+const DIMS_SQL = {
+  season: "TRIM(COALESCE(c.season_id, ''))",
+  streamer: "TRIM(COALESCE(c.streamer_user_id, ''))",
+  map: "TRIM(COALESCE(CAST(c.map_id AS TEXT), ''))",
+  vehicleType: "LOWER(TRIM(COALESCE(c.vehicle_type, '')))",
+};
+
+// mask bit set = that part is "*"; masks 0..15 give the 16 scopes a race feeds.
+const MASKS_CTE = `masks(m) AS (VALUES ${Array.from({ length: 16 }, (_, i) => `(${i})`).join(", ")})`;
+
+const KEY_SQL = `json_array(
+  CASE WHEN m & 1 THEN '${ANY_SCOPE}' ELSE ${DIMS_SQL.season} END,
+  CASE WHEN m & 2 THEN '${ANY_SCOPE}' ELSE ${DIMS_SQL.streamer} END,
+  CASE WHEN m & 4 THEN '${ANY_SCOPE}' ELSE ${DIMS_SQL.map} END,
+  CASE WHEN m & 8 THEN '${ANY_SCOPE}' ELSE ${DIMS_SQL.vehicleType} END
+)`;
+
+// The viewer_aggregate_applied snapshot of competition c: { dims, results }.
+const SNAPSHOT_SQL = `json_object(
+  'dims', json_object(${Object.entries(DIMS_SQL).map(([k, sql]) => `'${k}', ${sql}`).join(", ")}),
+  'results', json((
+    SELECT json_group_array(json_object(
+      'viewerUserId', r.viewer_user_id,
+      'status', r.status,
+      'position', r.finish_position,
+      'timeMs', r.finish_time_ms,
+      'login', r.viewer_login,
+      'displayName', r.viewer_display_name,
+      'profileImageUrl', r.viewer_profile_image_url,
+      'isBot', COALESCE(r.is_bot, 0)
+    ))
+    FROM competition_results r
+    WHERE r.competition_id = c.id
+  ))
+)`;
+
+// Same nearest-rank rule as the raw leaderboard SQL: rn = CAST(p * n + 0.999999 AS INT).
+function percentileSql(value, p) {
+  return `MAX(CASE WHEN ${value} IS NOT NULL AND ${value}_rn = CAST((${p} * ${value}_n + 0.999999) AS INT) THEN ${value} END)`;
+}
+
+const AGGREGATE_COLUMNS = [
+  "scope_key",
+  "viewer_user_id",
+  "viewer_login",
+  "viewer_display_name",
+  "viewer_profile_image_url",
+  "is_bot",
+  "competitions",
+  "finished_count",
+  "firsts",
+  "seconds",
+  "thirds",
+  "best_finish_pos",
+  "worst_finish_pos",
+  "avg_finish_pos",
+  "p10_finish_pos",
+  "p25_finish_pos",
+  "median_finish_pos",
+  "p75_finish_pos",
+  "p90_finish_pos",
+  "best_time_ms",
+  "worst_time_ms",
+  "avg_time_ms",
+  "p10_time_ms",
+  "p25_time_ms",
+  "median_time_ms",
+  "p75_time_ms",
+  "p90_time_ms",
+  "positions_json",
+  "times_json",
+  "updated_at_ms",
+];
+
+/**
+ * Statements that replace the rows of the viewers selected by `viewersSql` (a CTE body; `binds`
+ * are its parameters) with rows recomputed from every counted race. Used by the rebuild.
+ */
+function recomputeStatements(db, counted, { viewersSql, binds = [] }, ms) {
+  const ctes = [MASKS_CTE, `touched(viewer_user_id) AS (${viewersSql})`];
+
+  const del = db
+    .prepare(
+      `WITH ${ctes.join(",\n")}
+       DELETE FROM viewer_stat_aggregates
+       WHERE viewer_user_id IN (SELECT viewer_user_id FROM touched)`,
+    )
+    .bind(...binds);
+
+  const insert = db
+    .prepare(
+      `WITH ${ctes.join(",\n")},
+       rs AS (
+         SELECT
+           ${KEY_SQL} AS scope_key,
+           r.viewer_user_id,
+           r.viewer_login,
+           r.viewer_display_name,
+           r.viewer_profile_image_url,
+           COALESCE(r.is_bot, 0) AS is_bot,
+           CASE WHEN r.status = 'FINISHED' THEN 1 ELSE 0 END AS fin,
+           CASE WHEN r.status = 'FINISHED' THEN r.finish_position END AS pos,
+           CASE WHEN r.status = 'FINISHED' THEN r.finish_time_ms END AS t
+         FROM competition_results r
+         JOIN competitions c ON c.id = r.competition_id
+         CROSS JOIN masks
+         WHERE r.viewer_user_id IN (SELECT viewer_user_id FROM touched) ${counted ? `AND ${counted}` : ""}
+       ),
+       ranked AS (
+         SELECT
+           rs.*,
+           ROW_NUMBER() OVER (PARTITION BY scope_key, viewer_user_id, pos IS NULL ORDER BY pos) AS pos_rn,
+           COUNT(pos) OVER (PARTITION BY scope_key, viewer_user_id) AS pos_n,
+           ROW_NUMBER() OVER (PARTITION BY scope_key, viewer_user_id, t IS NULL ORDER BY t) AS t_rn,
+           COUNT(t) OVER (PARTITION BY scope_key, viewer_user_id) AS t_n
+         FROM rs
+       ),
+       hist AS (
+         SELECT scope_key, viewer_user_id, json_group_object(CAST(pos AS TEXT), n) AS positions_json
+         FROM (SELECT scope_key, viewer_user_id, pos, COUNT(*) AS n FROM rs WHERE pos IS NOT NULL GROUP BY scope_key, viewer_user_id, pos)
+         GROUP BY scope_key, viewer_user_id
+       ),
+       times AS (
+         SELECT scope_key, viewer_user_id, json_group_array(t) AS times_json
+         FROM (SELECT scope_key, viewer_user_id, t FROM rs WHERE t IS NOT NULL ORDER BY scope_key, viewer_user_id, t)
+         GROUP BY scope_key, viewer_user_id
+       ),
+       agg AS (
+         SELECT
+           scope_key,
+           viewer_user_id,
+           MAX(viewer_login) AS viewer_login,
+           MAX(viewer_display_name) AS viewer_display_name,
+           MAX(viewer_profile_image_url) AS viewer_profile_image_url,
+           MAX(is_bot) AS is_bot,
+           COUNT(*) AS competitions,
+           SUM(fin) AS finished_count,
+           SUM(CASE WHEN pos = 1 THEN 1 ELSE 0 END) AS firsts,
+           SUM(CASE WHEN pos = 2 THEN 1 ELSE 0 END) AS seconds,
+           SUM(CASE WHEN pos = 3 THEN 1 ELSE 0 END) AS thirds,
+           MIN(pos) AS best_finish_pos,
+           MAX(pos) AS worst_finish_pos,
+           AVG(pos) AS avg_finish_pos,
+           ${percentileSql("pos", "0.10")} AS p10_finish_pos,
+           ${percentileSql("pos", "0.25")} AS p25_finish_pos,
+           ${percentileSql("pos", "0.50")} AS median_finish_pos,
+           ${percentileSql("pos", "0.75")} AS p75_finish_pos,
+           ${percentileSql("pos", "0.90")} AS p90_finish_pos,
+           MIN(t) AS best_time_ms,
+           MAX(t) AS worst_time_ms,
+           AVG(t) AS avg_time_ms,
+           ${percentileSql("t", "0.10")} AS p10_time_ms,
+           ${percentileSql("t", "0.25")} AS p25_time_ms,
+           ${percentileSql("t", "0.50")} AS median_time_ms,
+           ${percentileSql("t", "0.75")} AS p75_time_ms,
+           ${percentileSql("t", "0.90")} AS p90_time_ms
+         FROM ranked
+         GROUP BY scope_key, viewer_user_id
+       )
+       INSERT INTO viewer_stat_aggregates (${AGGREGATE_COLUMNS.join(", ")})
+       SELECT
+         ${AGGREGATE_COLUMNS.slice(0, -3).map((c) => `a.${c}`).join(", ")},
+         COALESCE(h.positions_json, '{}'),
+         COALESCE(tm.times_json, '[]'),
+         ?
+       FROM agg a
+       LEFT JOIN hist h ON h.scope_key = a.scope_key AND h.viewer_user_id = a.viewer_user_id
+       LEFT JOIN times tm ON tm.scope_key = a.scope_key AND tm.viewer_user_id = a.viewer_user_id`,
+    )
+    .bind(...binds, ms);
+
+  return [del, insert];
+}
+
+// ---------------------------------------------------------------------------------------------
+// Sync
+
+// Nearest-rank percentiles of the stored distributions of the row being refreshed:
+// positions_json is a { "pos": count } histogram, times_json a sorted array.
+function histogramPercentileSql(p) {
+  return `(SELECT pos FROM (
+      SELECT CAST(key AS INTEGER) AS pos, SUM(value) OVER (ORDER BY CAST(key AS INTEGER)) AS cum
+      FROM json_each(viewer_stat_aggregates.positions_json)
+    )
+    WHERE cum >= CAST((${p} * (SELECT SUM(value) FROM json_each(viewer_stat_aggregates.positions_json)) + 0.999999) AS INT)
+    ORDER BY pos LIMIT 1)`;
+}
+
+function timesPercentileSql(p) {
+  return `(CASE WHEN json_array_length(times_json) > 0 THEN json_extract(times_json,
+    '$[' || (CAST((${p} * json_array_length(times_json) + 0.999999) AS INT) - 1) || ']') END)`;
+}
+
+// The results of a snapshot (?1), with pos / t the way the aggregates count them.
+const SNAPSHOT_RESULTS_SQL = `
+  SELECT
+    json_extract(value, '$.viewerUserId') AS viewer_user_id,
+    json_extract(value, '$.login') AS viewer_login,
+    json_extract(value, '$.displayName') AS viewer_display_name,
+    json_extract(value, '$.profileImageUrl') AS viewer_profile_image_url,
+    COALESCE(json_extract(value, '$.isBot'), 0) AS is_bot,
+    CASE WHEN json_extract(value, '$.status') = 'FINISHED' THEN 1 ELSE 0 END AS fin,
+    CASE WHEN json_extract(value, '$.status') = 'FINISHED' THEN json_extract(value, '$.position') END AS pos,
+    CASE WHEN json_extract(value, '$.status') = 'FINISHED' THEN json_extract(value, '$.timeMs') END AS t
+  FROM json_each(?1, '$.results')
+  WHERE COALESCE(json_extract(value, '$.viewerUserId'), '') <> ''`;
+
+// A delta only applies while viewer_aggregate_applied still holds the snapshot it was computed
+// against (?3 = competition id, ?4 = that snapshot), so two syncs of one race can't both apply.
+const APPLIED_GUARD_SQL = "(SELECT contributions_json FROM viewer_aggregate_applied WHERE competition_id = ?3) IS ?4";
+
+/**
+ * Adds (sign 1) or takes back (sign -1) one race snapshot ({ dims, results }) on the rows of its
+ * viewers in its 16 scopes: counts, sums and the two distributions are adjusted in place. A
+ * viewer's first race in a scope inserts the row as that race alone.
+ *
+ * In the DO UPDATE, excluded.* is that one-race row: competitions carries the sign and
+ * best_finish_pos / best_time_ms the race's position / time.
+ */
+function deltaStatement(db, snapshot, sign, { competitionId, appliedJson, ms }) {
+  const posKey = "'$.\"' || excluded.best_finish_pos || '\"'";
+  const posCount = "(SELECT COALESCE(SUM(value), 0) FROM json_each(viewer_stat_aggregates.positions_json))";
+  const timeCount = "json_array_length(viewer_stat_aggregates.times_json)";
+  const maxText = (col) =>
+    `CASE WHEN excluded.competitions > 0 THEN NULLIF(MAX(COALESCE(${col}, ''), COALESCE(excluded.${col}, '')), '') ELSE ${col} END`;
+
+  return db
+    .prepare(
+      `WITH d AS (${SNAPSHOT_RESULTS_SQL}),
+       keys(scope_key) AS (SELECT value FROM json_each(?2))
+       INSERT INTO viewer_stat_aggregates (${AGGREGATE_COLUMNS.join(", ")})
+       SELECT
+         keys.scope_key, d.viewer_user_id, d.viewer_login, d.viewer_display_name, d.viewer_profile_image_url, d.is_bot,
+         ?5, ?5 * d.fin,
+         ?5 * COALESCE(d.pos = 1, 0), ?5 * COALESCE(d.pos = 2, 0), ?5 * COALESCE(d.pos = 3, 0),
+         d.pos, d.pos, d.pos, d.pos, d.pos, d.pos, d.pos, d.pos,
+         d.t, d.t, d.t, d.t, d.t, d.t, d.t, d.t,
+         CASE WHEN d.pos IS NULL THEN '{}' ELSE json_object(CAST(d.pos AS TEXT), 1) END,
+         CASE WHEN d.t IS NULL THEN '[]' ELSE json_array(d.t) END,
+         ?6
+       FROM d CROSS JOIN keys
+       WHERE ${APPLIED_GUARD_SQL}
+       ON CONFLICT(scope_key, viewer_user_id) DO UPDATE SET
+         viewer_login = ${maxText("viewer_login")},
+         viewer_display_name = ${maxText("viewer_display_name")},
+         viewer_profile_image_url = ${maxText("viewer_profile_image_url")},
+         is_bot = CASE WHEN excluded.competitions > 0 THEN MAX(is_bot, excluded.is_bot) ELSE is_bot END,
+         competitions = competitions + excluded.competitions,
+         finished_count = finished_count + excluded.finished_count,
+         firsts = firsts + excluded.firsts,
+         seconds = seconds + excluded.seconds,
+         thirds = thirds + excluded.thirds,
+         avg_finish_pos = CASE WHEN excluded.best_finish_pos IS NULL THEN avg_finish_pos
+           ELSE (COALESCE(avg_finish_pos, 0) * ${posCount} + excluded.competitions * excluded.best_finish_pos)
+             / NULLIF(${posCount} + excluded.competitions, 0) END,
+         avg_time_ms = CASE WHEN excluded.best_time_ms IS NULL THEN avg_time_ms
+           ELSE (COALESCE(avg_time_ms, 0) * ${timeCount} + excluded.competitions * excluded.best_time_ms)
+             / NULLIF(${timeCount} + excluded.competitions, 0) END,
+         positions_json = CASE
+           WHEN excluded.best_finish_pos IS NULL THEN positions_json
+           WHEN COALESCE(json_extract(positions_json, ${posKey}), 0) + excluded.competitions <= 0
+             THEN json_remove(positions_json, ${posKey})
+           ELSE json_set(positions_json, ${posKey}, COALESCE(json_extract(positions_json, ${posKey}), 0) + excluded.competitions)
+         END,
+         times_json = CASE
+           WHEN excluded.best_time_ms IS NULL THEN times_json
+           WHEN excluded.competitions > 0 THEN (
+             SELECT json_group_array(value)
+             FROM (SELECT value FROM json_each(times_json) UNION ALL SELECT excluded.best_time_ms ORDER BY 1)
+           )
+           ELSE COALESCE(
+             json_remove(times_json, '$[' || (SELECT MIN(key) FROM json_each(times_json) WHERE value = excluded.best_time_ms) || ']'),
+             times_json
+           )
+         END,
+         updated_at_ms = excluded.updated_at_ms`,
+    )
+    .bind(JSON.stringify(snapshot), JSON.stringify(scopeKeysFor(snapshot.dims)), competitionId, appliedJson, sign, ms);
+}
+
+/**
+ * Statements that drop emptied rows and re-derive min / max / percentiles from the stored
+ * distributions, for the given scope keys x viewers only.
+ */
+function refreshStatements(db, keys, viewerIds) {
+  const touched = `scope_key IN (SELECT value FROM json_each(?1)) AND viewer_user_id IN (SELECT value FROM json_each(?2))`;
+  const binds = [JSON.stringify(keys), JSON.stringify(viewerIds)];
+  const percentiles = [
+    ["p10", "0.10"],
+    ["p25", "0.25"],
+    ["median", "0.50"],
+    ["p75", "0.75"],
+    ["p90", "0.90"],
+  ];
+
+  return [
+    db.prepare(`DELETE FROM viewer_stat_aggregates WHERE ${touched} AND competitions <= 0`).bind(...binds),
+    db
+      .prepare(
+        `UPDATE viewer_stat_aggregates SET
+           best_finish_pos = (SELECT MIN(CAST(key AS INTEGER)) FROM json_each(positions_json)),
+           worst_finish_pos = (SELECT MAX(CAST(key AS INTEGER)) FROM json_each(positions_json)),
+           ${percentiles.map(([name, p]) => `${name}_finish_pos = ${histogramPercentileSql(p)}`).join(",\n           ")},
+           best_time_ms = json_extract(times_json, '$[0]'),
+           worst_time_ms = json_extract(times_json, '$[#-1]'),
+           ${percentiles.map(([name, p]) => `${name}_time_ms = ${timesPercentileSql(p)}`).join(",\n           ")}
+         WHERE ${touched}`,
+      )
+      .bind(...binds),
+  ];
+}
+
+function snapshotViewerIds(snapshot) {
+  return (Array.isArray(snapshot?.results) ? snapshot.results : []).map((r) => toStr(r?.viewerUserId)).filter(Boolean);
+}
+
+/**
+ * Brings the aggregates in line with one competition's current state (see header).
+ * Returns { ok, changed } ({ ok: false, skipped: true } before the migration has run).
+ */
+export async function syncCompetitionAggregates(db, competitionId) {
+  const id = Number(competitionId || 0) || 0;
+  if (!db || id <= 0) return { ok: false, skipped: true };
+  if (!(await hasAggregateTables(db))) return { ok: false, skipped: true };
+
+  const counted = await countedCompetitionSql(db, "c");
+  const countedAnd = counted ? `AND ${counted}` : "";
+
+  // A concurrent sync of the same race makes the guarded batch a no-op; read again and retry.
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const row = await db
+      .prepare(
+        `SELECT
+           (SELECT contributions_json FROM viewer_aggregate_applied WHERE competition_id = ?1) AS applied,
+           (SELECT ${SNAPSHOT_SQL} FROM competitions c WHERE c.id = ?1 ${countedAnd}) AS current`,
+      )
+      .bind(id)
+      .first();
+    const appliedJson = row?.applied ?? null;
+    const currentJson = row?.current ?? null;
+    if (appliedJson === currentJson) return { ok: true, changed: attempt > 0 };
+
+    // Take back what the last sync added, then add the race as it is now.
+    const applied = parseJson(appliedJson, null);
+    const current = parseJson(currentJson, null);
+    const ms = nowMs();
+    const opts = { competitionId: id, appliedJson, ms };
+
+    const statements = [];
+    if (applied?.dims) statements.push(deltaStatement(db, applied, -1, opts));
+    if (current?.dims) statements.push(deltaStatement(db, current, 1, opts));
+
+    const keys = [...new Set([...(applied?.dims ? scopeKeysFor(applied.dims) : []), ...(current?.dims ? scopeKeysFor(current.dims) : [])])];
+    const viewerIds = [...new Set([...snapshotViewerIds(applied), ...snapshotViewerIds(current)])];
+    statements.push(...refreshStatements(db, keys, viewerIds));
+
+    statements.push(
+      currentJson === null
+        ? db.prepare(`DELETE FROM viewer_aggregate_applied WHERE competition_id = ?3 AND ${APPLIED_GUARD_SQL}`).bind(null, null, id, appliedJson)
+        : db
+            .prepare(
+              `INSERT INTO viewer_aggregate_applied (competition_id, contributions_json, applied_at_ms)
+               SELECT ?3, ?1, ?2 WHERE ${APPLIED_GUARD_SQL}
+               ON CONFLICT(competition_id) DO UPDATE SET contributions_json = excluded.contributions_json, applied_at_ms = excluded.applied_at_ms`,
+            )
+            .bind(currentJson, ms, id, appliedJson),
+    );
+
+    await db.batch(statements);
+
+    const after = await db.prepare("SELECT contributions_json AS v FROM viewer_aggregate_applied WHERE competition_id = ?").bind(id).first();
+    if ((after?.v ?? null) === currentJson) return { ok: true, changed: true };
+  }
+
+  return { ok: false, error: "sync_conflict" };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Readiness + rebuild
+
+async function setMeta(db, key, value) {
+  await db
+    .prepare(
+      `INSERT INTO stats_meta (key, value, updated_at_ms) VALUES (?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at_ms = excluded.updated_at_ms`,
+    )
+    .bind(key, value, nowMs())
+    .run();
+}
+
+// Cached (per isolate) so the leaderboard doesn't hit stats_meta on every request.
+let __ready = null;
+let __readyCheckedAtMs = 0;
+
+export async function viewerAggregatesReady(db) {
+  if (!db) return false;
+  const now = Date.now();
+  if (__ready !== null && now - __readyCheckedAtMs < 60_000) return __ready;
+
+  let ready = false;
+  try {
+    if (await hasAggregateTables(db)) {
+      const row = await db.prepare("SELECT value FROM stats_meta WHERE key = ?").bind(READY_KEY).first();
+      ready = toStr(row?.value) === "1";
+    }
+  } catch {
+    ready = false;
+  }
+  __ready = ready;
+  __readyCheckedAtMs = now;
+  return ready;
+}
+
+export async function getViewerAggregatesStatus(db) {
+  if (!(await hasAggregateTables(db))) {
+    return { installed: false, ready: false };
+  }
+  const [meta, rows, applied, total] = await Promise.all([
+    db.prepare("SELECT value, updated_at_ms FROM stats_meta WHERE key = ?").bind(READY_KEY).first(),
+    db.prepare("SELECT COUNT(*) AS n FROM viewer_stat_aggregates").first(),
+    db.prepare("SELECT COUNT(*) AS n FROM viewer_aggregate_applied").first(),
+    db.prepare("SELECT COUNT(*) AS n FROM competitions").first(),
+  ]);
+  return {
+    installed: true,
+    ready: toStr(meta?.value) === "1",
+    readyChangedAtMs: Number(meta?.updated_at_ms || 0) || null,
+    rows: Number(rows?.n || 0) || 0,
+    appliedCompetitions: Number(applied?.n || 0) || 0,
+    totalCompetitions: Number(total?.n || 0) || 0,
+  };
+}
+
+/**
+ * Backfill / repair, one chunk of viewers (by id) per call; pass nextCursor back until done.
+ * Every pass recomputes each viewer's rows from competition_results, so it also repairs rows
+ * that drifted; the last call rewrites the per-competition snapshots. restart=true wipes the
+ * aggregates first (the leaderboard falls back to raw queries until the rebuild finishes).
+ *
+ * Returns { ok, processed, nextCursor, done, ready }.
+ */
+export async function rebuildViewerAggregates(db, { cursor = "", limit = 50, restart = false } = {}) {
+  if (!(await hasAggregateTables(db))) {
+    return { ok: false, error: "db_not_initialized", message: "Run the schema migrations first (viewer aggregates tables missing)." };
+  }
+
+  let after = toStr(cursor);
+  if (restart) {
+    await db.batch([
+      db.prepare("DELETE FROM viewer_stat_aggregates"),
+      db.prepare("DELETE FROM viewer_aggregate_applied"),
+    ]);
+    await setMeta(db, READY_KEY, "0");
+    __ready = false;
+    __readyCheckedAtMs = Date.now();
+    after = "";
+  }
+
+  const rs = await db
+    .prepare("SELECT DISTINCT viewer_user_id FROM competition_results WHERE viewer_user_id > ? ORDER BY viewer_user_id ASC LIMIT ?")
+    .bind(after, limit)
+    .all();
+  const viewerIds = (Array.isArray(rs?.results) ? rs.results : []).map((r) => toStr(r.viewer_user_id));
+
+  const counted = await countedCompetitionSql(db, "c");
+  const ms = nowMs();
+  if (viewerIds.length) {
+    await db.batch(
+      recomputeStatements(db, counted, { viewersSql: "SELECT value FROM json_each(?)", binds: [JSON.stringify(viewerIds)] }, ms),
+    );
+  }
+
+  const done = viewerIds.length < limit;
+  if (done) {
+    await db.batch([
+      db.prepare("DELETE FROM viewer_stat_aggregates WHERE viewer_user_id NOT IN (SELECT viewer_user_id FROM competition_results)"),
+      db.prepare("DELETE FROM viewer_aggregate_applied"),
+      db
+        .prepare(
+          `INSERT INTO viewer_aggregate_applied (competition_id, contributions_json, applied_at_ms)
+           SELECT c.id, ${SNAPSHOT_SQL}, ? FROM competitions c ${counted ? `WHERE ${counted}` : ""}`,
+        )
+        .bind(ms),
+    ]);
+    await setMeta(db, READY_KEY, "1");
+    __ready = true;
+    __readyCheckedAtMs = Date.now();
+  }
+
+  return {
+    ok: true,
+    processed: viewerIds.length,
+    nextCursor: done ? null : viewerIds[viewerIds.length - 1],
+    done,
+    ready: done ? true : await viewerAggregatesReady(db),
+  };
+}
@@ -0,0 +1,53 @@
+// functions/_lib/viewerIdentity.js
+//
+// Viewer lookup for the public viewer pages (/api/v1/viewers/{login}...).
+
+import { toStr } from "./dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "./schemaMigrations.js";
+
+// Login or user id -> identity. vf_users knows everyone who signed in on the website; viewers who
+// only ever raced are found through their latest result.
+export async function resolveViewer(db, raw) {
+  const key = toStr(raw);
+  if (!key) return null;
+
+  if (await schemaAtLeast(db, SCHEMA.usersAndSeasons)) {
+    const u = await db
+      .prepare(
+        `SELECT user_id, login, display_name, profile_image_url
+         FROM vf_users
+         WHERE user_id = ? OR login = ?
+         ORDER BY (user_id = ?) DESC
+         LIMIT 1`,
+      )
+      .bind(key, key.toLowerCase(), key)
+      .first();
+    if (u) {
+      return {
+        viewerUserId: toStr(u.user_id),
+        login: toStr(u.login),
+        displayName: toStr(u.display_name),
+        profileImageUrl: toStr(u.profile_image_url),
+      };
+    }
+  }
+
+  const row = await db
+    .prepare(
+      `SELECT viewer_user_id, viewer_login, viewer_display_name, viewer_profile_image_url
+       FROM competition_results
+       WHERE viewer_user_id = ? OR LOWER(viewer_login) = ?
+       ORDER BY (viewer_user_id = ?) DESC, id DESC
+       LIMIT 1`,
+    )
+    .bind(key, key.toLowerCase(), key)
+    .first();
+
+  if (!row) return null;
+  return {
+    viewerUserId: toStr(row.viewer_user_id),
+    login: toStr(row.viewer_login),
+    displayName: toStr(row.viewer_display_name),
+    profileImageUrl: toStr(row.viewer_profile_image_url),
+  };
+}
@@ -0,0 +1,125 @@
+// functions/_lib/viewerStreaks.js
+//
+// Time-ordered streaks per viewer, from their counted races (competition_results joined with
+// competitions.started_at_ms; quarantined / voided races never count):
+//
+// - winStreak         current run of consecutive wins (0 if the latest race wasn't a win)
+// - podiumStreak      current run of consecutive top-3 finishes
+// - finishStreak      current run of consecutive FINISHED races
+// - bestWinStreak     longest run of consecutive wins ever
+// - daysActiveStreak  consecutive UTC days with at least one race, ending today or yesterday
+//                     (0 once a whole day has been missed)
+//
+// Races are ordered by started_at_ms, then competition id. With `asOf` (a race) only the races up
+// to and including that one count, and "today" is that race's day: the streaks as they stood then.
+
+import { countedCompetitionSql } from "./competitionStatus.js";
+import { toStr } from "./dbUtil.js";
+
+export const STREAK_METRICS = ["winStreak", "podiumStreak", "finishStreak", "bestWinStreak", "daysActiveStreak"];
+// The streaks that can drop back to 0 after a later race (or a missed day).
+export const CURRENT_STREAK_METRICS = ["winStreak", "podiumStreak", "finishStreak", "daysActiveStreak"];
+
+const DAY_MS = 86_400_000;
+
+function placeholders(n) {
+  return Array.from({ length: Math.max(1, n) }, () => "?").join(",");
+}
+
+function emptyStreaks() {
+  return { winStreak: 0, podiumStreak: 0, finishStreak: 0, bestWinStreak: 0, daysActiveStreak: 0 };
+}
+
+/**
+ * Map viewerUserId -> { winStreak, podiumStreak, finishStreak, bestWinStreak, daysActiveStreak }
+ * (every id gets a row). One placeholder per viewer; callers chunk large lists.
+ * asOf: { startedAtMs, competitionId } of a race to compute the streaks as of that race.
+ */
+export async function loadViewerStreaks(db, viewerUserIds, { now = Date.now(), asOf = null } = {}) {
+  const ids = [...new Set((Array.isArray(viewerUserIds) ? viewerUserIds : []).map(toStr).filter(Boolean))];
+  const map = new Map(ids.map((uid) => [uid, emptyStreaks()]));
+  if (!ids.length) return map;
+
+  const counted = await countedCompetitionSql(db, "c");
+  const countedJoin = counted ? `AND ${counted}` : "";
+
+  const cutoff = asOf ? "AND (c.started_at_ms < ? OR (c.started_at_ms = ? AND c.id <= ?))" : "";
+  const cutoffBinds = asOf ? [asOf.startedAtMs, asOf.startedAtMs, asOf.competitionId] : [];
+
+  // rn = 1 is the latest race. A current streak ends just before the first race (by rn) that
+  // breaks it; runs of wins are islands of consecutive rn.
+  const results = await db
+    .prepare(
+      `WITH rs AS (
+         SELECT
+           r.viewer_user_id AS uid,
+           CASE WHEN r.status = 'FINISHED' AND r.finish_position = 1 THEN 1 ELSE 0 END AS win,
+           CASE WHEN r.status = 'FINISHED' AND r.finish_position BETWEEN 1 AND 3 THEN 1 ELSE 0 END AS podium,
+           CASE WHEN r.status = 'FINISHED' THEN 1 ELSE 0 END AS fin,
+           ROW_NUMBER() OVER (PARTITION BY r.viewer_user_id ORDER BY c.started_at_ms DESC, c.id DESC) AS rn
+         FROM competition_results r
+         JOIN competitions c ON c.id = r.competition_id ${countedJoin}
+         WHERE r.viewer_user_id IN (${placeholders(ids.length)}) ${cutoff}
+       ), win_runs AS (
+         SELECT uid, COUNT(*) AS len
+         FROM (
+           SELECT uid, rn - ROW_NUMBER() OVER (PARTITION BY uid ORDER BY rn) AS grp
+           FROM rs
+           WHERE win = 1
+         )
+         GROUP BY uid, grp
+       )
+       SELECT
+         uid,
+         COALESCE(MIN(CASE WHEN win = 0 THEN rn END), COUNT(*) + 1) - 1 AS win_streak,
+         COALESCE(MIN(CASE WHEN podium = 0 THEN rn END), COUNT(*) + 1) - 1 AS podium_streak,
+         COALESCE(MIN(CASE WHEN fin = 0 THEN rn END), COUNT(*) + 1) - 1 AS finish_streak,
+         (SELECT MAX(len) FROM win_runs w WHERE w.uid = rs.uid) AS best_win_streak
+       FROM rs
+       GROUP BY uid`,
+    )
+    .bind(...ids, ...cutoffBinds)
+    .all();
+
+  for (const r of Array.isArray(results?.results) ? results.results : []) {
+    const s = map.get(toStr(r?.uid));
+    if (!s) continue;
+    s.winStreak = Number(r?.win_streak || 0) || 0;
+    s.podiumStreak = Number(r?.podium_streak || 0) || 0;
+    s.finishStreak = Number(r?.finish_streak || 0) || 0;
+    s.bestWinStreak = Number(r?.best_win_streak || 0) || 0;
+  }
+
+  // Consecutive days: day + (rank by day, latest first) is constant along a run.
+  const days = await db
+    .prepare(
+      `WITH days AS (
+         SELECT DISTINCT r.viewer_user_id AS uid, CAST(c.started_at_ms / ${DAY_MS} AS INTEGER) AS day
+         FROM competition_results r
+         JOIN competitions c ON c.id = r.competition_id ${countedJoin}
+         WHERE r.viewer_user_id IN (${placeholders(ids.length)})
+           AND c.started_at_ms > 0 ${cutoff}
+       ), ranked AS (
+         SELECT
+           uid,
+           day + ROW_NUMBER() OVER (PARTITION BY uid ORDER BY day DESC) AS k,
+           MAX(day) OVER (PARTITION BY uid) AS last_day
+         FROM days
+       )
+       SELECT uid, MAX(last_day) AS last_day, SUM(CASE WHEN k = last_day + 1 THEN 1 ELSE 0 END) AS streak
+       FROM ranked
+       GROUP BY uid`,
+    )
+    .bind(...ids, ...cutoffBinds)
+    .all();
+
+  const today = Math.floor((asOf ? asOf.startedAtMs : now) / DAY_MS);
+  for (const r of Array.isArray(days?.results) ? days.results : []) {
+    const s = map.get(toStr(r?.uid));
+    if (!s) continue;
+    const lastDay = Number(r?.last_day);
+    s.daysActiveStreak = Number.isFinite(lastDay) && lastDay >= today - 1 ? Number(r?.streak || 0) || 0 : 0;
+  }
+
+  return map;
+}
@@ -0,0 +1,52 @@
+// functions/api/v1/admin/leaderboard-snapshots.js
+//
+// Admin endpoint: leaderboard rank snapshots (see _lib/leaderboardSnapshots.js).
+//
+// POST /api/v1/admin/leaderboard-snapshots     take today's snapshot of every headline board
+//   (each season + all seasons, per vehicle type + overall, boards with standings only), or the
+//   season_end one for ended seasons. Idempotent per day. The first leaderboard read of each day
+//   runs the same pass on its own; this re-runs it by hand (e.g. after a failed pass).
+//   Returns { scopes, taken, snapshots: [{ scopeKey, kind, period, taken }] }.
+//
+// Broadcaster or VF admin role only.
+
+import { handleOptions } from "../../../_lib/cors.js";
+import { jsonResponse } from "../../../_lib/response.js";
+import { requireWebsiteAdmin } from "../../../_lib/twitchAuth.js";
+import { snapshotHeadlineBoards } from "../../../_lib/leaderboardSnapshots.js";
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (request.method === "OPTIONS") return handleOptions(request);
+
+  if (request.method !== "POST") {
+    return jsonResponse(request, { error: "method_not_allowed" }, 405);
+  }
+
+  const auth = await requireWebsiteAdmin(context, { action: "take leaderboard snapshots" });
+  if (!auth.ok) return auth.response;
+
+  const db = env?.VF_D1_STATS;
+  if (!db) {
+    return jsonResponse(
+      request,
+      { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" },
+      500,
+    );
+  }
+
+  let r;
+  try {
+    r = await snapshotHeadlineBoards(db);
+  } catch (e) {
+    return jsonResponse(
+      request,
+      { error: "db_query_failed", message: "Failed to take leaderboard snapshots.", details: String(e?.message || e) },
+      500,
+    );
+  }
+
+  if (!r.ok) return jsonResponse(request, r, 503);
+  return jsonResponse(request, r);
+}
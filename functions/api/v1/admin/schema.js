@@ -0,0 +1,77 @@
+// functions/api/v1/admin/schema.js
+//
+// Admin endpoint: stats DB schema version + migrations (see _lib/schemaMigrations.js).
+//
+// GET  /api/v1/admin/schema                     current version, applied + pending migrations
+// POST /api/v1/admin/schema   Body (optional): { toVersion }   apply pending migrations
+//
+// Broadcaster or VF admin role only.
+
+import { handleOptions } from "../../../_lib/cors.js";
+import { jsonResponse } from "../../../_lib/response.js";
+import { requireWebsiteAdmin } from "../../../_lib/twitchAuth.js";
+import { toStr } from "../../../_lib/dbUtil.js";
+import { getSchemaStatus, runMigrations } from "../../../_lib/schemaMigrations.js";
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (request.method === "OPTIONS") return handleOptions(request);
+
+  if (request.method !== "GET" && request.method !== "POST") {
+    return jsonResponse(request, { error: "method_not_allowed" }, 405);
+  }
+
+  const auth = await requireWebsiteAdmin(context, { action: "manage the DB schema" });
+  if (!auth.ok) return auth.response;
+
+  const db = env?.VF_D1_STATS;
+  if (!db) {
+    return jsonResponse(
+      request,
+      { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" },
+      500,
+    );
+  }
+
+  if (request.method === "GET") {
+    try {
+      return jsonResponse(request, { ok: true, ...(await getSchemaStatus(db)) });
+    } catch (e) {
+      return jsonResponse(
+        request,
+        { error: "db_query_failed", message: "Failed to read schema status.", details: String(e?.message || e) },
+        500,
+      );
+    }
+  }
+
+  let body = null;
+  try {
+    body = await request.json();
+  } catch {
+    body = null;
+  }
+
+  let toVersion = null;
+  if (body?.toVersion !== undefined && body?.toVersion !== null) {
+    toVersion = Number.parseInt(toStr(body.toVersion), 10);
+    if (!Number.isFinite(toVersion) || toVersion < 1) {
+      return jsonResponse(request, { error: "invalid_to_version", message: "toVersion must be a positive integer." }, 400);
+    }
+  }
+
+  let r;
+  try {
+    r = await runMigrations(db, { toVersion, appliedBy: toStr(auth?.user?.login) || toStr(auth?.user?.userId) });
+  } catch (e) {
+    return jsonResponse(
+      request,
+      { error: "db_query_failed", message: "Failed to run migrations.", details: String(e?.message || e) },
+      500,
+    );
+  }
+
+  if (!r.ok) return jsonResponse(request, r, 500);
+  return jsonResponse(request, r);
+}
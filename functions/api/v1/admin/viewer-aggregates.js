@@ -0,0 +1,80 @@
+// functions/api/v1/admin/viewer-aggregates.js
+//
+// Admin endpoint: materialized viewer aggregates (see _lib/viewerAggregates.js).
+//
+// GET  /api/v1/admin/viewer-aggregates     status (ready flag, row counts)
+// POST /api/v1/admin/viewer-aggregates     rebuild / backfill one chunk of viewers
+//   Body (optional): { restart, cursor, limit }
+//   Returns { processed, nextCursor, done, ready }; call again with nextCursor until done.
+//
+// Broadcaster or VF admin role only.
+
+import { handleOptions } from "../../../_lib/cors.js";
+import { jsonResponse } from "../../../_lib/response.js";
+import { requireWebsiteAdmin } from "../../../_lib/twitchAuth.js";
+import { getViewerAggregatesStatus, rebuildViewerAggregates } from "../../../_lib/viewerAggregates.js";
+import { v, validateBody, validationErrorResponse } from "../../../_lib/validation.js";
+
+const REBUILD_SCHEMA = v.object({
+  restart: v.bool({ default: false }),
+  cursor: v.string({ maxLength: 128, default: "" }),
+  limit: v.int({ min: 1, max: 200, default: 50 }),
+});
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (request.method === "OPTIONS") return handleOptions(request);
+
+  if (request.method !== "GET" && request.method !== "POST") {
+    return jsonResponse(request, { error: "method_not_allowed" }, 405);
+  }
+
+  const auth = await requireWebsiteAdmin(context, { action: "rebuild viewer aggregates" });
+  if (!auth.ok) return auth.response;
+
+  const db = env?.VF_D1_STATS;
+  if (!db) {
+    return jsonResponse(
+      request,
+      { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" },
+      500,
+    );
+  }
+
+  if (request.method === "GET") {
+    try {
+      return jsonResponse(request, { ok: true, ...(await getViewerAggregatesStatus(db)) });
+    } catch (e) {
+      return jsonResponse(
+        request,
+        { error: "db_query_failed", message: "Failed to read viewer aggregates status.", details: String(e?.message || e) },
+        500,
+      );
+    }
+  }
+
+  let body = null;
+  try {
+    body = await request.json();
+  } catch {
+    body = null;
+  }
+
+  const parsed = validateBody(REBUILD_SCHEMA, body || {});
+  if (!parsed.ok) return validationErrorResponse(request, parsed.errors);
+
+  let r;
+  try {
+    r = await rebuildViewerAggregates(db, parsed.value);
+  } catch (e) {
+    return jsonResponse(
+      request,
+      { error: "db_query_failed", message: "Failed to rebuild viewer aggregates.", details: String(e?.message || e) },
+      500,
+    );
+  }
+
+  if (!r.ok) return jsonResponse(request, r, 503);
+  return jsonResponse(request, r);
+}
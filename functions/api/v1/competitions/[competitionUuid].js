@@ -0,0 +1,243 @@
+// functions/api/v1/competitions/[competitionUuid].js
+// Public endpoint: a single competition ("that race") + every per-viewer result row.
+//
+// GET /api/v1/competitions/{competitionUuid}
+//
+// Intended for the stats page and stream recaps so they can link to one specific race
+// instead of only showing aggregates.
+
+import { handleOptions, buildCorsHeaders } from "../../../_lib/cors.js";
+import { toBool, toStr } from "../../../_lib/dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "../../../_lib/schemaMigrations.js";
+import { parseQuarantineReasons } from "../../../_lib/competitionChecks.js";
+
+// Finished races never change (apart from an occasional idempotent re-submit),
+// so a short edge cache is safe.
+const CACHE_TTL_SECONDS = 60;
+
+function json(request, data, status = 200, cacheSeconds = 0) {
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": cacheSeconds > 0 ? `public, max-age=${cacheSeconds}` : "no-store",
+    ...buildCorsHeaders(request),
+  };
+  return new Response(JSON.stringify(data, null, 2), { status, headers });
+}
+
+function getCacheKey(request) {
+  // Include Origin in cache key to avoid wrong allow-origin values.
+  const u = new URL(request.url);
+  const origin = request.headers.get("Origin") || "";
+  u.searchParams.set("_o", origin);
+  return new Request(u.toString(), request);
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeCompetitionRow(row) {
+  const startedAtMs = Number(row?.started_at_ms || 0) || 0;
+  const endedAtMs = Number(row?.ended_at_ms || 0) || 0;
+
+  return {
+    competitionId: Number(row?.id || 0) || 0,
+    competitionUuid: toStr(row?.competition_uuid),
+
+    streamerUserId: toStr(row?.streamer_user_id),
+    streamerLogin: toStr(row?.streamer_login),
+
+    seasonId: toStr(row?.season_id),
+
+    // map_key only exists on newer DBs (legacy string track ids).
+    mapId: numOrNull(row?.map_id),
+    mapKey: toStr(row?.map_key),
+    mapName: toStr(row?.map_name),
+    mapVersion: Number(row?.map_version || 0) || 0,
+    mapHashSha256: toStr(row?.map_hash_sha256),
+
+    vehicleType: toStr(row?.vehicle_type),
+    gameMode: toStr(row?.game_mode),
+    raceSeed: Number(row?.race_seed || 0) || 0,
+    trackLengthM: numOrNull(row?.track_length_m),
+
+    startedAtMs,
+    endedAtMs,
+    durationMs: startedAtMs > 0 && endedAtMs >= startedAtMs ? endedAtMs - startedAtMs : null,
+
+    winnerUserId: toStr(row?.winner_user_id),
+
+    // Quarantine / void columns only exist on newer DBs.
+    quarantined: toBool(row?.quarantined),
+    quarantineReasons: parseQuarantineReasons(row?.quarantine_reasons),
+    approvedAtMs: numOrNull(row?.approved_at_ms),
+    voided: toBool(row?.voided),
+    voidedAtMs: numOrNull(row?.voided_at_ms),
+    voidReason: toStr(row?.void_reason),
+
+    clientVersion: toStr(row?.client_version),
+    unityVersion: toStr(row?.unity_version),
+
+    createdAtMs: Number(row?.created_at_ms || 0) || 0,
+    updatedAtMs: Number(row?.updated_at_ms || 0) || 0,
+  };
+}
+
+function normalizeResultRow(row) {
+  const status = toStr(row?.status).toUpperCase() === "FINISHED" ? "FINISHED" : "DNF";
+
+  return {
+    resultId: Number(row?.id || 0) || 0,
+    viewerUserId: toStr(row?.viewer_user_id),
+    viewerLogin: toStr(row?.viewer_login),
+    viewerDisplayName: toStr(row?.viewer_display_name),
+    viewerProfileImageUrl: toStr(row?.viewer_profile_image_url),
+
+    // is_bot only exists on newer DBs; older rows are treated as real viewers.
+    isBot: toBool(row?.is_bot),
+
+    position: numOrNull(row?.finish_position),
+    status,
+    finishTimeMs: status === "FINISHED" ? numOrNull(row?.finish_time_ms) : null,
+
+    vehicleId: toStr(row?.vehicle_id),
+    distanceM: numOrNull(row?.distance_m),
+    progress01: numOrNull(row?.progress01),
+  };
+}
+
+export async function onRequest(context) {
+  const { request, env, params } = context;
+
+  const opt = handleOptions(request);
+  if (opt) return opt;
+
+  if (request.method !== "GET") {
+    return json(request, { error: "method_not_allowed" }, 405);
+  }
+
+  if (!env?.VF_D1_STATS) {
+    return json(
+      request,
+      { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" },
+      500,
+    );
+  }
+
+  const competitionUuid = toStr(params?.competitionUuid);
+  if (!competitionUuid || competitionUuid.length > 128) {
+    return json(request, { error: "invalid_competition_uuid" }, 400);
+  }
+
+  const cache = caches.default;
+  const cacheKey = getCacheKey(request);
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  const db = env.VF_D1_STATS;
+
+  // SELECT * keeps this endpoint working across schema versions (map_key / is_bot are optional columns).
+  let compRow;
+  try {
+    compRow = await db
+      .prepare("SELECT * FROM competitions WHERE competition_uuid = ? LIMIT 1")
+      .bind(competitionUuid)
+      .first();
+  } catch (e) {
+    return json(
+      request,
+      {
+        error: "db_not_initialized",
+        message:
+          "Stats DB tables not found. Initialize/upgrade the stats database from manage.viewerfrenzy.com → DB Manager.",
+        details: String(e?.message || e),
+      },
+      503,
+    );
+  }
+
+  if (!compRow) {
+    return json(request, { error: "not_found", message: "Competition not found." }, 404);
+  }
+
+  let rows;
+  try {
+    rows = await db
+      .prepare(
+        `SELECT *
+         FROM competition_results
+         WHERE competition_id = ?
+         ORDER BY
+           CASE WHEN status = 'FINISHED' THEN 0 ELSE 1 END ASC,
+           finish_position ASC,
+           LOWER(COALESCE(viewer_login, viewer_user_id)) ASC`,
+      )
+      .bind(compRow.id)
+      .all();
+  } catch (e) {
+    return json(
+      request,
+      {
+        error: "db_query_failed",
+        message: "Failed to query competition results.",
+        details: String(e?.message || e),
+      },
+      500,
+    );
+  }
+
+  const competition = normalizeCompetitionRow(compRow);
+  const results = (Array.isArray(rows?.results) ? rows.results : []).map(normalizeResultRow);
+
+  // Checkpoint/lap splits (optional table; older clients send none).
+  if (results.length && (await schemaAtLeast(db, SCHEMA.resultSplits))) {
+    try {
+      const splitRows = await db
+        .prepare(
+          `SELECT sp.competition_result_id, sp.split_kind, sp.split_index, sp.elapsed_ms, sp.sector_ms
+           FROM competition_result_splits sp
+           JOIN competition_results r ON r.id = sp.competition_result_id
+           WHERE r.competition_id = ?
+           ORDER BY sp.competition_result_id ASC, sp.split_kind ASC, sp.split_index ASC`,
+        )
+        .bind(compRow.id)
+        .all();
+
+      const byResult = new Map();
+      for (const sr of Array.isArray(splitRows?.results) ? splitRows.results : []) {
+        const rid = Number(sr?.competition_result_id || 0) || 0;
+        if (!byResult.has(rid)) byResult.set(rid, []);
+        byResult.get(rid).push({
+          kind: toStr(sr?.split_kind) || "checkpoint",
+          index: Number(sr?.split_index || 0) || 0,
+          elapsedMs: numOrNull(sr?.elapsed_ms),
+          sectorMs: numOrNull(sr?.sector_ms),
+        });
+      }
+
+      for (const r of results) r.splits = byResult.get(r.resultId) || [];
+    } catch {
+      // Splits are supplementary; still return the race.
+    }
+  }
+
+  const winner = results.find((r) => r.viewerUserId && r.viewerUserId === competition.winnerUserId) || null;
+
+  const data = {
+    ok: true,
+    competition: {
+      ...competition,
+      winnerLogin: winner?.viewerLogin || "",
+      winnerDisplayName: winner?.viewerDisplayName || "",
+      participantCount: results.length,
+      finishedCount: results.filter((r) => r.status === "FINISHED").length,
+    },
+    results,
+  };
+
+  const response = json(request, data, 200, CACHE_TTL_SECONDS);
+  context.waitUntil(cache.put(cacheKey, response.clone()));
+  return response;
+}
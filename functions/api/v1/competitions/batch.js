@@ -0,0 +1,179 @@
+// functions/api/v1/competitions/batch.js
+// Streamer-only endpoint: replay many finished competitions in one request
+// (e.g. after the game lost connectivity mid-stream).
+//
+// POST /api/v1/competitions/batch
+// Body: { competitions: [ { competition: {...}, results: [...] }, ... ] }
+//   (each item is exactly the body of POST /api/v1/competitions/submit)
+//
+// Items are processed in order and independently. Each item reports:
+// - inserted   new competition_uuid
+// - updated    competition_uuid already stored (idempotent re-send)
+// - rejected   invalid item; `error` says why and `errors` lists failing fields (same as /submit,
+//              including `legacyError`)
+//
+// Achievements are awarded once, after all items, for the union of affected viewers. Each unlock
+// is attributed (source_ref) to that viewer's latest counted race in the batch, the race as of
+// which the criteria were checked, so voiding it re-checks the unlock.
+//
+// Every item runs the full submit pipeline (ratings, aggregates, records, map finish time), so
+// batches are kept small.
+
+import { handleOptions } from "../../../_lib/cors.js";
+import { jsonResponse } from "../../../_lib/response.js";
+import { requireWebsiteUser } from "../../../_lib/twitchAuth.js";
+import { awardAchievementsForViewers } from "../../../_lib/achievements.js";
+import { ingestCompetition } from "../../../_lib/competitionSubmit.js";
+
+const MAX_BATCH_ITEMS = 20;
+
+// awardAchievementsForViewers binds one placeholder per viewer; stay well under D1's limit.
+const AWARD_CHUNK = 40;
+
+function toStr(v) {
+  return String(v ?? "").trim();
+}
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (request.method === "OPTIONS") return handleOptions(request);
+
+  if (request.method !== "POST") {
+    return jsonResponse(request, { error: "method_not_allowed" }, 405);
+  }
+
+  const auth = await requireWebsiteUser(context);
+  if (!auth.ok) return auth.response;
+
+  // Streamer-only: the broadcaster account is allowed (same rule as /submit).
+  if (!auth?.access?.allowed || auth?.access?.reason !== "broadcaster") {
+    return jsonResponse(
+      request,
+      { error: "forbidden", message: "Only the broadcaster can submit competition results." },
+      403,
+    );
+  }
+
+  if (!env?.VF_D1_STATS) {
+    return jsonResponse(
+      request,
+      { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" },
+      500,
+    );
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    body = null;
+  }
+
+  const items = Array.isArray(body) ? body : body?.competitions;
+  if (!Array.isArray(items) || items.length === 0) {
+    return jsonResponse(request, { error: "competitions_required" }, 400);
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    return jsonResponse(
+      request,
+      {
+        error: "too_many_competitions",
+        message: `A batch can contain at most ${MAX_BATCH_ITEMS} competitions.`,
+        maxItems: MAX_BATCH_ITEMS,
+      },
+      400,
+    );
+  }
+
+  const streamer = { userId: auth?.user?.userId, login: auth?.user?.login };
+
+  const out = [];
+  const unlockingRace = new Map(); // viewerUserId -> { startedAtMs, competitionId }
+  let inserted = 0;
+  let updated = 0;
+  let rejected = 0;
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const competitionUuid = toStr(item?.competition?.competitionUuid);
+
+    let r;
+    try {
+      r = await ingestCompetition(env, item, { streamer, awardAchievements: false });
+    } catch (e) {
+      r = {
+        ok: false,
+        status: 500,
+        body: { error: "db_error", message: String(e?.message || e) },
+      };
+    }
+
+    if (!r.ok) {
+      rejected += 1;
+      out.push({
+        index: i,
+        competitionUuid,
+        status: "rejected",
+        error: toStr(r.body?.error) || "rejected",
+        ...(r.body?.legacyError ? { legacyError: r.body.legacyError } : {}),
+        ...(r.body?.message ? { message: r.body.message } : {}),
+        ...(Array.isArray(r.body?.errors) ? { errors: r.body.errors } : {}),
+      });
+      continue;
+    }
+
+    if (r.created) inserted += 1;
+    else updated += 1;
+
+    for (const uid of r.countedViewerIds) {
+      const prev = unlockingRace.get(uid);
+      const race = { startedAtMs: r.startedAtMs, competitionId: r.data.competitionId };
+      if (!prev || race.startedAtMs > prev.startedAtMs || (race.startedAtMs === prev.startedAtMs && race.competitionId > prev.competitionId)) {
+        unlockingRace.set(uid, race);
+      }
+    }
+
+    out.push({
+      index: i,
+      competitionUuid: r.data.competitionUuid,
+      status: r.created ? "inserted" : "updated",
+      competitionId: r.data.competitionId,
+      seasonId: r.data.seasonId,
+      resultsWritten: r.data.resultsWritten,
+      splitsWritten: r.data.splitsWritten,
+      quarantined: r.data.quarantined,
+      quarantineReasons: r.data.quarantineReasons,
+      mapId: r.data.mapId,
+      finishTimeMs: r.data.finishTimeMs,
+      mapUpdatedAtMs: r.data.mapUpdatedAtMs,
+    });
+  }
+
+  // Award achievements (best-effort) once for everyone affected by this batch.
+  const achievementsUnlocked = [];
+  const viewerIds = Array.from(unlockingRace.keys());
+  const sourceRefs = new Map(viewerIds.map((uid) => [uid, String(unlockingRace.get(uid).competitionId)]));
+  for (let i = 0; i < viewerIds.length; i += AWARD_CHUNK) {
+    try {
+      achievementsUnlocked.push(
+        ...(await awardAchievementsForViewers(env, viewerIds.slice(i, i + AWARD_CHUNK), {
+          source: "competition_batch",
+          sourceRefs,
+        })),
+      );
+    } catch {
+      // Ignore failures to avoid breaking competition submissions.
+    }
+  }
+
+  return jsonResponse(request, {
+    ok: true,
+    received: items.length,
+    inserted,
+    updated,
+    rejected,
+    items: out,
+    achievementsUnlocked,
+  });
+}
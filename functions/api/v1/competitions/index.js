@@ -0,0 +1,324 @@
+// functions/api/v1/competitions/index.js
+// Public endpoint: browse the race log (past competitions), newest first.
+//
+// GET /api/v1/competitions?streamerId=&seasonId=&mapId=&limit=25&cursor=
+//
+// Filters (all optional):
+// - streamerId            competitions.streamer_user_id
+// - seasonId              competitions.season_id
+// - mapId                 competitions.map_id (vf_maps id)
+// - mapKey                competitions.map_key (legacy string track ids; newer DBs only)
+// - vehicleType           ground | resort | space ...
+// - gameMode              e.g. Race
+// - from / to             started_at_ms range (epoch ms or ISO string, inclusive)
+// - viewerId / viewerLogin  only races this viewer took part in (adds `viewerResult` per item)
+// - showQuarantined=1     also list quarantined races (hidden by default; flagged via `quarantined`)
+// - showVoided=1          also list voided races (hidden by default; flagged via `voided`)
+//
+// Pagination:
+// - Cursor based on (started_at_ms DESC, id DESC). Pass `nextCursor` back as `cursor`.
+// - The ordering matches idx_competitions_streamer / idx_competitions_season so the common
+//   "streamer's races" and "season's races" views stay index scans.
+
+import { handleOptions, buildCorsHeaders } from "../../../_lib/cors.js";
+import { toBool, toStr } from "../../../_lib/dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "../../../_lib/schemaMigrations.js";
+import { countedCompetitionSql, getCompetitionStatusColumns } from "../../../_lib/competitionStatus.js";
+import { parseTimeParam } from "../../../_lib/timeRange.js";
+
+const CACHE_TTL_SECONDS = 30;
+
+function json(request, data, status = 200, cacheSeconds = 0) {
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": cacheSeconds > 0 ? `public, max-age=${cacheSeconds}` : "no-store",
+    ...buildCorsHeaders(request),
+  };
+  return new Response(JSON.stringify(data, null, 2), { status, headers });
+}
+
+function getCacheKey(request) {
+  // Include Origin in cache key to avoid wrong allow-origin values.
+  const u = new URL(request.url);
+  const origin = request.headers.get("Origin") || "";
+  u.searchParams.set("_o", origin);
+  return new Request(u.toString(), request);
+}
+
+function clampInt(v, def, min, max) {
+  const n = Number.parseInt(String(v ?? ""), 10);
+  if (!Number.isFinite(n)) return def;
+  return Math.min(max, Math.max(min, n));
+}
+
+function isAll(v) {
+  return !v || v.toUpperCase() === "ALL";
+}
+
+function encodeCursor(startedAtMs, id) {
+  const raw = `${Math.trunc(Number(startedAtMs) || 0)}:${Math.trunc(Number(id) || 0)}`;
+  return btoa(raw).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+}
+
+function decodeCursor(cursor) {
+  const s = toStr(cursor);
+  if (!s) return null;
+  try {
+    const b64 = s.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(s.length / 4) * 4, "=");
+    const m = atob(b64).match(/^(\d+):(\d+)$/);
+    if (!m) return null;
+    return { startedAtMs: Number(m[1]), id: Number(m[2]) };
+  } catch {
+    return null;
+  }
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  const opt = handleOptions(request);
+  if (opt) return opt;
+
+  if (request.method !== "GET") {
+    return json(request, { error: "method_not_allowed" }, 405);
+  }
+
+  if (!env?.VF_D1_STATS) {
+    return json(
+      request,
+      { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" },
+      500,
+    );
+  }
+
+  const url = new URL(request.url);
+  const limit = clampInt(url.searchParams.get("limit"), 25, 1, 100);
+
+  const cursorRaw = toStr(url.searchParams.get("cursor"));
+  const cursor = decodeCursor(cursorRaw);
+  if (cursorRaw && !cursor) {
+    return json(request, { error: "invalid_cursor" }, 400);
+  }
+
+  const fromRaw = url.searchParams.get("from");
+  const toRaw = url.searchParams.get("to");
+  const fromMs = parseTimeParam(fromRaw);
+  const toMs = parseTimeParam(toRaw);
+  if ((toStr(fromRaw) && fromMs === null) || (toStr(toRaw) && toMs === null)) {
+    return json(request, { error: "invalid_date_range", message: "from/to must be epoch ms or ISO-8601." }, 400);
+  }
+
+  // Edge cache per full query string.
+  const cache = caches.default;
+  const cacheKey = getCacheKey(request);
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  const db = env.VF_D1_STATS;
+
+  const where = [];
+  const params = [];
+
+  const streamerId = toStr(url.searchParams.get("streamerId"));
+  if (!isAll(streamerId)) {
+    where.push("c.streamer_user_id = ?");
+    params.push(streamerId);
+  }
+
+  const seasonId = toStr(url.searchParams.get("seasonId"));
+  if (!isAll(seasonId)) {
+    where.push("c.season_id = ?");
+    params.push(seasonId);
+  }
+
+  const mapId = toStr(url.searchParams.get("mapId"));
+  if (!isAll(mapId)) {
+    where.push("c.map_id = ?");
+    params.push(mapId);
+  }
+
+  const mapKey = toStr(url.searchParams.get("mapKey"));
+  if (!isAll(mapKey)) {
+    // Older DBs have no map_key column, so nothing can match a legacy key.
+    if (!(await schemaAtLeast(db, SCHEMA.botFlags))) {
+      return json(request, { ok: true, limit, items: [], nextCursor: null }, 200, CACHE_TTL_SECONDS);
+    }
+    where.push("c.map_key = ?");
+    params.push(mapKey);
+  }
+
+  const vehicleType = toStr(url.searchParams.get("vehicleType"));
+  if (!isAll(vehicleType)) {
+    where.push("LOWER(TRIM(COALESCE(c.vehicle_type,''))) = ?");
+    params.push(vehicleType.toLowerCase());
+  }
+
+  const gameMode = toStr(url.searchParams.get("gameMode"));
+  if (!isAll(gameMode)) {
+    where.push("LOWER(TRIM(COALESCE(c.game_mode,''))) = ?");
+    params.push(gameMode.toLowerCase());
+  }
+
+  if (fromMs !== null) {
+    where.push("c.started_at_ms >= ?");
+    params.push(fromMs);
+  }
+
+  if (toMs !== null) {
+    where.push("c.started_at_ms <= ?");
+    params.push(toMs);
+  }
+
+  // Quarantined / voided races are not part of the public race log unless asked for.
+  const statusCols = await getCompetitionStatusColumns(db);
+  const counted = await countedCompetitionSql(db, "c", {
+    includeQuarantined: toBool(url.searchParams.get("showQuarantined")),
+    includeVoided: toBool(url.searchParams.get("showVoided")),
+  });
+  if (counted) where.push(counted);
+
+  if (cursor) {
+    where.push("(c.started_at_ms < ? OR (c.started_at_ms = ? AND c.id < ?))");
+    params.push(cursor.startedAtMs, cursor.startedAtMs, cursor.id);
+  }
+
+  // "Viewer participated" joins that viewer's result row (idx_results_competition).
+  const viewerId = toStr(url.searchParams.get("viewerId"));
+  const viewerLogin = toStr(url.searchParams.get("viewerLogin")).toLowerCase();
+  let viewerJoin = "";
+  const viewerParams = [];
+  if (viewerId) {
+    viewerJoin = "JOIN competition_results vr ON vr.competition_id = c.id AND vr.viewer_user_id = ?";
+    viewerParams.push(viewerId);
+  } else if (viewerLogin) {
+    viewerJoin = "JOIN competition_results vr ON vr.competition_id = c.id AND LOWER(vr.viewer_login) = ?";
+    viewerParams.push(viewerLogin);
+  }
+
+  const viewerCols = viewerJoin
+    ? `,
+      vr.viewer_user_id AS vr_viewer_user_id,
+      vr.finish_position AS vr_finish_position,
+      vr.status AS vr_status,
+      vr.finish_time_ms AS vr_finish_time_ms,
+      vr.vehicle_id AS vr_vehicle_id`
+    : "";
+
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  // Participant counts follow the leaderboard default (bots excluded) unless showBots=1.
+  const includeBots = toBool(url.searchParams.get("showBots"));
+  const hasBotFlag = await schemaAtLeast(db, SCHEMA.botFlags);
+  const botWhere = !includeBots && hasBotFlag ? "AND COALESCE(r.is_bot, 0) = 0" : "";
+
+  const sql = `
+    SELECT
+      c.id,
+      c.competition_uuid,
+      c.streamer_user_id,
+      c.streamer_login,
+      c.season_id,
+      c.map_id,
+      c.map_name,
+      c.map_version,
+      c.vehicle_type,
+      c.game_mode,
+      c.started_at_ms,
+      c.ended_at_ms,
+      c.winner_user_id,
+      ${statusCols.quarantined ? "c.quarantined" : "0"} AS quarantined,
+      ${statusCols.voided ? "c.voided" : "0"} AS voided,
+      w.viewer_login AS winner_login,
+      w.viewer_display_name AS winner_display_name,
+      w.finish_time_ms AS winner_time_ms,
+      (SELECT COUNT(*) FROM competition_results r WHERE r.competition_id = c.id ${botWhere}) AS participant_count,
+      (SELECT COUNT(*) FROM competition_results r WHERE r.competition_id = c.id AND r.status = 'FINISHED' ${botWhere}) AS finished_count
+      ${viewerCols}
+    FROM competitions c
+    ${viewerJoin}
+    LEFT JOIN competition_results w ON w.competition_id = c.id AND w.viewer_user_id = c.winner_user_id
+    ${whereSql}
+    ORDER BY c.started_at_ms DESC, c.id DESC
+    LIMIT ?;
+  `;
+
+  let rows;
+  try {
+    rows = await db
+      .prepare(sql)
+      .bind(...viewerParams, ...params, limit + 1)
+      .all();
+  } catch (e) {
+    return json(
+      request,
+      {
+        error: "db_query_failed",
+        message: "Failed to query competitions.",
+        details: String(e?.message || e),
+      },
+      500,
+    );
+  }
+
+  const list = Array.isArray(rows?.results) ? rows.results : [];
+  const hasMore = list.length > limit;
+  const page = hasMore ? list.slice(0, limit) : list;
+
+  const items = page.map((r) => {
+    const item = {
+      competitionId: Number(r?.id || 0) || 0,
+      competitionUuid: toStr(r?.competition_uuid),
+      streamerUserId: toStr(r?.streamer_user_id),
+      streamerLogin: toStr(r?.streamer_login),
+      seasonId: toStr(r?.season_id),
+      mapId: numOrNull(r?.map_id),
+      mapName: toStr(r?.map_name),
+      mapVersion: Number(r?.map_version || 0) || 0,
+      vehicleType: toStr(r?.vehicle_type),
+      gameMode: toStr(r?.game_mode),
+      startedAtMs: Number(r?.started_at_ms || 0) || 0,
+      endedAtMs: Number(r?.ended_at_ms || 0) || 0,
+      winnerUserId: toStr(r?.winner_user_id),
+      winnerLogin: toStr(r?.winner_login),
+      winnerDisplayName: toStr(r?.winner_display_name),
+      winnerTimeMs: numOrNull(r?.winner_time_ms),
+      participantCount: Number(r?.participant_count || 0) || 0,
+      finishedCount: Number(r?.finished_count || 0) || 0,
+      quarantined: toBool(r?.quarantined),
+      voided: toBool(r?.voided),
+    };
+
+    if (viewerJoin) {
+      const status = toStr(r?.vr_status).toUpperCase() === "FINISHED" ? "FINISHED" : "DNF";
+      item.viewerResult = {
+        viewerUserId: toStr(r?.vr_viewer_user_id),
+        position: numOrNull(r?.vr_finish_position),
+        status,
+        finishTimeMs: status === "FINISHED" ? numOrNull(r?.vr_finish_time_ms) : null,
+        vehicleId: toStr(r?.vr_vehicle_id),
+      };
+    }
+
+    return item;
+  });
+
+  const last = page.length ? page[page.length - 1] : null;
+  const nextCursor = hasMore && last ? encodeCursor(last.started_at_ms, last.id) : null;
+
+  const data = {
+    ok: true,
+    limit,
+    items,
+    nextCursor,
+  };
+
+  const response = json(request, data, 200, CACHE_TTL_SECONDS);
+  context.waitUntil(cache.put(cacheKey, response.clone()));
+  return response;
+}
@@ -0,0 +1,200 @@
+// functions/api/v1/maps/[mapId]/records.js
+// Public endpoint: track record + personal bests for one map.
+//
+// GET /api/v1/maps/{mapId}/records?mapHash=&viewerId=&limit=25
+//
+// Query params:
+// - mapHash    map version (vf_maps.map_hash_sha256). Defaults to the map's current version.
+// - viewerId   also return that viewer's personal best + rank on this version
+// - limit      personal bests to list (1-100, default 25)
+//
+// "versions" lists the record of every version raced on this map, newest first, so old records
+// aren't lost when a track is edited. See _lib/trackRecords.js.
+
+import { handleOptions, buildCorsHeaders } from "../../../../_lib/cors.js";
+import { toStr } from "../../../../_lib/dbUtil.js";
+import { countedCompetitionSql } from "../../../../_lib/competitionStatus.js";
+import { loadPersonalBests, personalBestRank } from "../../../../_lib/trackRecords.js";
+
+const CACHE_TTL_SECONDS = 30;
+
+function json(request, data, status = 200, cacheSeconds = 0) {
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": cacheSeconds > 0 ? `public, max-age=${cacheSeconds}` : "no-store",
+    ...buildCorsHeaders(request),
+  };
+  return new Response(JSON.stringify(data, null, 2), { status, headers });
+}
+
+function getCacheKey(request) {
+  // Include Origin in cache key to avoid wrong allow-origin values.
+  const u = new URL(request.url);
+  const origin = request.headers.get("Origin") || "";
+  u.searchParams.set("_o", origin);
+  return new Request(u.toString(), request);
+}
+
+function clampInt(v, def, min, max) {
+  const n = Number.parseInt(String(v ?? ""), 10);
+  if (!Number.isFinite(n)) return def;
+  return Math.min(max, Math.max(min, n));
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Every version of the map that has counted races, newest first.
+async function loadVersions(db, mapId) {
+  const where = ["c.map_id = ?"];
+  const counted = await countedCompetitionSql(db, "c");
+  if (counted) where.push(counted);
+
+  const rs = await db
+    .prepare(
+      `SELECT
+         COALESCE(c.map_hash_sha256, '') AS map_hash,
+         MAX(c.map_version) AS map_version,
+         COUNT(*) AS races,
+         MIN(c.started_at_ms) AS first_raced_at_ms,
+         MAX(c.started_at_ms) AS last_raced_at_ms
+       FROM competitions c
+       WHERE ${where.join(" AND ")}
+       GROUP BY COALESCE(c.map_hash_sha256, '')
+       ORDER BY last_raced_at_ms DESC`,
+    )
+    .bind(mapId)
+    .all();
+
+  return (Array.isArray(rs?.results) ? rs.results : []).map((r) => ({
+    mapHash: toStr(r?.map_hash),
+    mapVersion: numOrNull(r?.map_version),
+    races: Number(r?.races || 0) || 0,
+    firstRacedAtMs: Number(r?.first_raced_at_ms || 0) || 0,
+    lastRacedAtMs: Number(r?.last_raced_at_ms || 0) || 0,
+  }));
+}
+
+export async function onRequest(context) {
+  const { request, env, params } = context;
+
+  const opt = handleOptions(request);
+  if (opt) return opt;
+
+  if (request.method !== "GET") {
+    return json(request, { error: "method_not_allowed" }, 405);
+  }
+
+  if (!env?.VF_D1_STATS) {
+    return json(
+      request,
+      { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" },
+      500,
+    );
+  }
+
+  const mapId = Number.parseInt(toStr(params?.mapId), 10);
+  if (!Number.isFinite(mapId) || mapId <= 0) {
+    return json(request, { error: "invalid_map_id" }, 400);
+  }
+
+  const cache = caches.default;
+  const cacheKey = getCacheKey(request);
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  const db = env.VF_D1_STATS;
+  const url = new URL(request.url);
+  const limit = clampInt(url.searchParams.get("limit"), 25, 1, 100);
+  const viewerId = toStr(url.searchParams.get("viewerId"));
+
+  let mapRow = null;
+  try {
+    mapRow = await db
+      .prepare("SELECT id, name, map_version, map_hash_sha256 FROM vf_maps WHERE id = ? LIMIT 1")
+      .bind(mapId)
+      .first();
+  } catch (e) {
+    return json(
+      request,
+      {
+        error: "db_not_initialized",
+        message:
+          "Stats DB tables not found. Initialize/upgrade the stats database from manage.viewerfrenzy.com → DB Manager.",
+        details: String(e?.message || e),
+      },
+      503,
+    );
+  }
+
+  if (!mapRow) {
+    return json(request, { error: "not_found", message: "Map not found." }, 404);
+  }
+
+  let versions;
+  let personalBests;
+  let viewer = null;
+  let mapHash = toStr(url.searchParams.get("mapHash")) || toStr(mapRow.map_hash_sha256);
+  let mapVersion = numOrNull(mapRow.map_version);
+
+  try {
+    versions = await loadVersions(db, mapId);
+
+    const selected = versions.find((v) => v.mapHash === mapHash);
+    if (selected && selected.mapHash !== toStr(mapRow.map_hash_sha256)) mapVersion = selected.mapVersion;
+
+    const key = { mapId, mapHash, mapVersion };
+    personalBests = await loadPersonalBests(db, key, { limit });
+
+    for (const v of versions) {
+      const best = await loadPersonalBests(db, { mapId, mapHash: v.mapHash, mapVersion: v.mapVersion }, { limit: 1 });
+      v.record = best[0] || null;
+    }
+
+    if (viewerId) {
+      const mine = await loadPersonalBests(db, key, { viewerIds: [viewerId], limit: 1 });
+      const pb = mine[0] || null;
+      if (pb) {
+        viewer = { ...pb, rank: await personalBestRank(db, key, viewerId, pb.timeMs) };
+      } else {
+        viewer = { viewerUserId: viewerId, timeMs: null, rank: null };
+      }
+    }
+  } catch (e) {
+    return json(
+      request,
+      {
+        error: "db_query_failed",
+        message: "Failed to query map records.",
+        details: String(e?.message || e),
+      },
+      500,
+    );
+  }
+
+  const record = personalBests[0] || null;
+
+  const data = {
+    ok: true,
+    mapId,
+    mapName: toStr(mapRow.name),
+    mapHash,
+    mapVersion,
+    currentMapHash: toStr(mapRow.map_hash_sha256),
+    record,
+    personalBests: personalBests.map((pb, i) => ({
+      rank: i + 1,
+      ...pb,
+      gapMs: record && pb.timeMs !== null ? pb.timeMs - record.timeMs : null,
+    })),
+    viewer,
+    versions,
+  };
+
+  const response = json(request, data, 200, CACHE_TTL_SECONDS);
+  context.waitUntil(cache.put(cacheKey, response.clone()));
+  return response;
+}
@@ -0,0 +1,271 @@
+// functions/api/v1/maps/[mapId]/stats.js
+// Public endpoint: how a map actually plays (feedback for track creators).
+//
+// GET /api/v1/maps/{mapId}/stats?mapHash=&allVersions=1&showBots=1&buckets=10
+//
+// Query params:
+// - mapHash      map version (vf_maps.map_hash_sha256). Defaults to the map's current version.
+// - allVersions  1 = every version of the map together (mapHash ignored)
+// - showBots     1 = include bot racers (excluded by default, like the leaderboard)
+// - buckets      winning-time histogram buckets (1-50, default 10)
+//
+// Returns racesRun, uniqueViewers, avgFieldSize, dnfRate (0..1, non-FINISHED share of all entries),
+// winningTimes (per-race winning time distribution + histogram; its avgMs is what
+// vf_maps.finish_time_ms caches) and topVehicles (vehicles that won the most races).
+// Per-race numbers come from the same per-competition aggregation as _lib/mapFinishTime.js.
+// Quarantined / voided races never count.
+
+import { handleOptions, buildCorsHeaders } from "../../../../_lib/cors.js";
+import { toStr } from "../../../../_lib/dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "../../../../_lib/schemaMigrations.js";
+import { countedCompetitionSql } from "../../../../_lib/competitionStatus.js";
+import { mapPerCompetitionCte, mapVersionWhere } from "../../../../_lib/mapFinishTime.js";
+import { v, validateQuery, validationErrorBody } from "../../../../_lib/validation.js";
+
+const CACHE_TTL_SECONDS = 60;
+const TOP_VEHICLES = 5;
+
+const QUERY_SCHEMA = v.object({
+  mapHash: v.string({ maxLength: 128 }),
+  allVersions: v.bool({ default: false }),
+  showBots: v.bool({ default: false }),
+  buckets: v.int({ min: 1, max: 50, default: 10 }),
+});
+
+function json(request, data, status = 200, cacheSeconds = 0) {
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": cacheSeconds > 0 ? `public, max-age=${cacheSeconds}` : "no-store",
+    ...buildCorsHeaders(request),
+  };
+  return new Response(JSON.stringify(data, null, 2), { status, headers });
+}
+
+function getCacheKey(request) {
+  // Include Origin in cache key to avoid wrong allow-origin values.
+  const u = new URL(request.url);
+  const origin = request.headers.get("Origin") || "";
+  u.searchParams.set("_o", origin);
+  return new Request(u.toString(), request);
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Nearest-rank percentile, same rule as the leaderboard.
+function nearestRank(sorted, p) {
+  const n = sorted.length;
+  if (!n) return null;
+  const rn = Math.trunc(p * n + 0.999999);
+  return sorted[Math.min(n, Math.max(1, rn)) - 1];
+}
+
+function histogram(sorted, buckets) {
+  if (!sorted.length) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = Math.max(1, Math.ceil((max - min + 1) / buckets));
+  const out = [];
+  for (let from = min; from <= max; from += width) out.push({ fromMs: from, toMs: from + width - 1, count: 0 });
+  for (const t of sorted) out[Math.min(out.length - 1, Math.floor((t - min) / width))].count++;
+  return out;
+}
+
+function winningTimeStats(sorted, buckets) {
+  const n = sorted.length;
+  return {
+    count: n,
+    minMs: n ? sorted[0] : null,
+    p10Ms: nearestRank(sorted, 0.1),
+    p25Ms: nearestRank(sorted, 0.25),
+    medianMs: nearestRank(sorted, 0.5),
+    p75Ms: nearestRank(sorted, 0.75),
+    p90Ms: nearestRank(sorted, 0.9),
+    maxMs: n ? sorted[n - 1] : null,
+    avgMs: n ? Math.round(sorted.reduce((sum, t) => sum + t, 0) / n) : null,
+    histogram: histogram(sorted, buckets),
+  };
+}
+
+async function loadMapStats(db, mapId, mapKey, { showBots, buckets }) {
+  const cte = await mapPerCompetitionCte(db, mapId, { ...mapKey, excludeBots: !showBots });
+
+  const summary = await db
+    .prepare(
+      `${cte.sql}
+       SELECT
+         COUNT(*) AS races,
+         AVG(field_size) AS avg_field_size,
+         SUM(field_size) AS entries,
+         SUM(finishers) AS finishers,
+         MIN(started_at_ms) AS first_raced_at_ms,
+         MAX(started_at_ms) AS last_raced_at_ms
+       FROM per_comp`,
+    )
+    .bind(...cte.params)
+    .first();
+
+  const times = await db
+    .prepare(`${cte.sql} SELECT best_time_ms FROM per_comp WHERE best_time_ms IS NOT NULL ORDER BY best_time_ms ASC`)
+    .bind(...cte.params)
+    .all();
+  const sorted = (Array.isArray(times?.results) ? times.results : []).map((r) => Number(r.best_time_ms));
+
+  // Result-level filters matching per_comp, for the per-viewer / per-vehicle questions.
+  const version = mapVersionWhere(mapKey);
+  const where = ["c.map_id = ?"];
+  const counted = await countedCompetitionSql(db, "c");
+  if (counted) where.push(counted);
+  if (!showBots && (await schemaAtLeast(db, SCHEMA.botFlags))) where.push("COALESCE(r.is_bot, 0) = 0");
+  const whereSql = `WHERE ${where.join(" AND ")} ${version.sql}`;
+  const params = [mapId, ...version.params];
+
+  const viewers = await db
+    .prepare(
+      `SELECT COUNT(DISTINCT r.viewer_user_id) AS n
+       FROM competitions c
+       JOIN competition_results r ON r.competition_id = c.id
+       ${whereSql}`,
+    )
+    .bind(...params)
+    .first();
+
+  const vehicles = await db
+    .prepare(
+      `SELECT
+         r.vehicle_id,
+         LOWER(TRIM(COALESCE(c.vehicle_type, ''))) AS vehicle_type,
+         COUNT(*) AS wins
+       FROM competitions c
+       JOIN competition_results r ON r.competition_id = c.id
+       ${whereSql}
+         AND r.status = 'FINISHED' AND r.finish_position = 1
+         AND COALESCE(r.vehicle_id, '') <> ''
+       GROUP BY r.vehicle_id, LOWER(TRIM(COALESCE(c.vehicle_type, '')))
+       ORDER BY wins DESC, r.vehicle_id ASC
+       LIMIT ?`,
+    )
+    .bind(...params, TOP_VEHICLES)
+    .all();
+
+  const races = Number(summary?.races || 0) || 0;
+  const entries = Number(summary?.entries || 0) || 0;
+  const finishers = Number(summary?.finishers || 0) || 0;
+
+  return {
+    racesRun: races,
+    uniqueViewers: Number(viewers?.n || 0) || 0,
+    avgFieldSize: numOrNull(summary?.avg_field_size),
+    dnfRate: entries ? (entries - finishers) / entries : null,
+    firstRacedAtMs: numOrNull(summary?.first_raced_at_ms),
+    lastRacedAtMs: numOrNull(summary?.last_raced_at_ms),
+    winningTimes: winningTimeStats(sorted, buckets),
+    topVehicles: (Array.isArray(vehicles?.results) ? vehicles.results : []).map((r) => {
+      const wins = Number(r?.wins || 0) || 0;
+      return {
+        vehicleId: toStr(r?.vehicle_id),
+        vehicleType: toStr(r?.vehicle_type),
+        wins,
+        winShare: races ? wins / races : null,
+      };
+    }),
+  };
+}
+
+export async function onRequest(context) {
+  const { request, env, params } = context;
+
+  const opt = handleOptions(request);
+  if (opt) return opt;
+
+  if (request.method !== "GET") {
+    return json(request, { error: "method_not_allowed" }, 405);
+  }
+
+  if (!env?.VF_D1_STATS) {
+    return json(
+      request,
+      { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" },
+      500,
+    );
+  }
+
+  const mapId = Number.parseInt(toStr(params?.mapId), 10);
+  if (!Number.isFinite(mapId) || mapId <= 0) {
+    return json(request, { error: "invalid_map_id" }, 400);
+  }
+
+  const url = new URL(request.url);
+  const q = validateQuery(QUERY_SCHEMA, url.searchParams);
+  if (!q.ok) return json(request, validationErrorBody(q.errors), 400);
+
+  const cache = caches.default;
+  const cacheKey = getCacheKey(request);
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  const db = env.VF_D1_STATS;
+
+  let mapRow = null;
+  try {
+    mapRow = await db
+      .prepare("SELECT id, name, map_version, map_hash_sha256 FROM vf_maps WHERE id = ? LIMIT 1")
+      .bind(mapId)
+      .first();
+  } catch (e) {
+    return json(
+      request,
+      {
+        error: "db_not_initialized",
+        message:
+          "Stats DB tables not found. Initialize/upgrade the stats database from manage.viewerfrenzy.com → DB Manager.",
+        details: String(e?.message || e),
+      },
+      503,
+    );
+  }
+
+  if (!mapRow) {
+    return json(request, { error: "not_found", message: "Map not found." }, 404);
+  }
+
+  const currentMapHash = toStr(mapRow.map_hash_sha256);
+  const mapHash = q.value.allVersions ? "" : toStr(q.value.mapHash) || currentMapHash;
+  // Without a hash (older maps) the current version number picks the races instead.
+  const mapKey = q.value.allVersions
+    ? {}
+    : { mapHash, mapVersion: mapHash ? 0 : Number(mapRow.map_version || 0) || 0 };
+
+  let stats;
+  try {
+    stats = await loadMapStats(db, mapId, mapKey, q.value);
+  } catch (e) {
+    return json(
+      request,
+      {
+        error: "db_query_failed",
+        message: "Failed to query map stats.",
+        details: String(e?.message || e),
+      },
+      500,
+    );
+  }
+
+  const data = {
+    ok: true,
+    mapId,
+    mapName: toStr(mapRow.name),
+    mapHash: mapHash || null,
+    allVersions: q.value.allVersions,
+    currentMapHash,
+    currentMapVersion: numOrNull(mapRow.map_version),
+    ...stats,
+  };
+
+  const response = json(request, data, 200, CACHE_TTL_SECONDS);
+  context.waitUntil(cache.put(cacheKey, response.clone()));
+  return response;
+}
@@ -19,20 +19,45 @@
 // - Create: id is auto-increment INTEGER starting at 1.
 // - Update: only the creator (created_by_user_id) can update.
 // - Name is globally unique (case-insensitive).
+// - Invalid bodies get 400 validation_failed listing every bad field (see _lib/validation.js).
 
 import { handleOptions } from "../../../_lib/cors.js";
 import { jsonResponse } from "../../../_lib/response.js";
 import { requireWebsiteUser } from "../../../_lib/twitchAuth.js";
 import { nowMs, tableExists, toStr, toBool } from "../../../_lib/dbUtil.js";
+import { v, validateBody, validationErrorResponse } from "../../../_lib/validation.js";
 
-function toInt(v, def = 0) {
-  const n = Number(v);
-  return Number.isFinite(n) ? Math.trunc(n) : def;
-}
-
-function isNonEmptyString(s) {
-  return typeof s === "string" && s.trim().length > 0;
-}
+const SAVE_SCHEMA = v.object(
+  {
+    map: v.object(
+      {
+        id: v.int({ min: 0, default: 0 }),
+        name: v.string({ required: true, maxLength: 80 }),
+        // Not trimmed: stored exactly as sent. Basic guard against accidental huge uploads.
+        json: v.string({ required: true, trim: false, maxLength: 2_000_000 }),
+        version: v.int(),
+        hashSha256: v.string(),
+        vehicleType: v.string(),
+        gameMode: v.string(),
+        // Optional map preview images (PNG base64). Older clients won't send these.
+        thumbPngBase64: v.string(),
+        imagePngBase64: v.string(),
+      },
+      { required: true },
+    ),
+  },
+  { required: true },
+);
+
+// Error codes this endpoint answered with before field-level validation.
+const SAVE_LEGACY_ERRORS = {
+  "": "bad_request",
+  map: "bad_request",
+  "map.name": "bad_request",
+  "map.json": "bad_request",
+  "map.thumbPngBase64": "bad_thumb",
+  "map.imagePngBase64": "bad_image",
+};
 
 function isNoSuchColumnError(e, colName) {
   const msg = String(e?.message || e || "").toLowerCase();
@@ -89,40 +114,26 @@ export async function onRequest(context) {
     body = null;
   }
 
-  const map = body?.map;
-  const id = toInt(map?.id || 0, 0);
-  const name = toStr(map?.name);
-  const json = typeof map?.json === "string" ? map.json : "";
-
-  if (!name)
-    return jsonResponse(request, { ok: false, error: "bad_request", message: "map.name is required." }, 400);
-
-  if (name.length > 80)
-    return jsonResponse(request, { ok: false, error: "bad_request", message: "map.name is too long (max 80)." }, 400);
-
-  if (!isNonEmptyString(json))
-    return jsonResponse(request, { ok: false, error: "bad_request", message: "map.json is required." }, 400);
-
-  // Basic guard against accidental huge uploads. (Still allow big tracks.)
-  if (json.length > 2_000_000)
-    return jsonResponse(request, { ok: false, error: "bad_request", message: "map.json is too large." }, 400);
-
-  const mapVersion = toInt(map?.version, null);
-  const mapHash = toStr(map?.hashSha256);
-  const vehicleType = toStr(map?.vehicleType);
-  const gameMode = toStr(map?.gameMode);
-
-  // Optional map preview images (PNG base64). Older clients won't send these.
-  const thumbPngBase64 = toStr(map?.thumbPngBase64);
-  const imagePngBase64 = toStr(map?.imagePngBase64);
-
-  const thumbPngBytes = decodePngBase64(thumbPngBase64, 600_000);
-  if (thumbPngBytes?.error)
-    return jsonResponse(request, { ok: false, error: "bad_thumb", message: thumbPngBytes.error }, 400);
-
-  const imagePngBytes = decodePngBase64(imagePngBase64, 3_000_000);
-  if (imagePngBytes?.error)
-    return jsonResponse(request, { ok: false, error: "bad_image", message: imagePngBytes.error }, 400);
+  // Unity sends some numbers (id, version) as strings.
+  const parsed = validateBody(SAVE_SCHEMA, body, { coerce: true });
+  const map = parsed.value?.map || {};
+
+  // Images are checked even when other fields failed, so every problem comes back at once.
+  const errors = parsed.ok ? [] : [...parsed.errors];
+  const thumbPngBytes = decodePngBase64(map.thumbPngBase64, 600_000);
+  if (thumbPngBytes?.error) errors.push({ path: "map.thumbPngBase64", code: "invalid_image", message: thumbPngBytes.error });
+  const imagePngBytes = decodePngBase64(map.imagePngBase64, 3_000_000);
+  if (imagePngBytes?.error) errors.push({ path: "map.imagePngBase64", code: "invalid_image", message: imagePngBytes.error });
+
+  if (errors.length) return validationErrorResponse(request, errors, { legacyErrors: SAVE_LEGACY_ERRORS });
+
+  const id = map.id;
+  const name = map.name;
+  const json = map.json;
+  const mapVersion = map.version ?? null;
+  const mapHash = map.hashSha256 || "";
+  const vehicleType = map.vehicleType || "";
+  const gameMode = map.gameMode || "";
 
   const now = nowMs();
 
@@ -1,9 +1,12 @@
 // functions/api/v1/me/achievements.js
 // Authenticated endpoint: list achievements unlocked by the current website user.
+// Each tier reached of a tiered achievement is its own row (tier, tierName).
 
 import { handleOptions } from "../../../_lib/cors.js";
 import { jsonResponse } from "../../../_lib/response.js";
 import { requireWebsiteUser } from "../../../_lib/twitchAuth.js";
+import { achievementTierNames } from "../../../_lib/achievements.js";
+import { SCHEMA, schemaAtLeast } from "../../../_lib/schemaMigrations.js";
 
 function toStr(v) {
   return String(v ?? "").trim();
@@ -31,12 +34,15 @@ export async function onRequest(context) {
 
   let rows;
   try {
+    const hasTiers = await schemaAtLeast(env.VF_D1_STATS, SCHEMA.achievementTiers);
     rows = await env.VF_D1_STATS.prepare(
       `SELECT
          ua.achievement_id AS achievementId,
+         ${hasTiers ? "ua.tier" : "0"} AS tier,
          ua.unlocked_at_ms AS unlockedAtMs,
          a.name AS name,
-         a.description AS description
+         a.description AS description,
+         a.criteria AS criteria
        FROM viewer_achievements ua
        JOIN achievements a ON a.id = ua.achievement_id
        WHERE ua.viewer_user_id = ?
@@ -56,5 +62,9 @@ export async function onRequest(context) {
     );
   }
 
-  return jsonResponse(request, { ok: true, viewerUserId, achievements: rows?.results || [] });
+  const achievements = (rows?.results || []).map(({ criteria, tier, ...row }) =>
+    tier ? { ...row, tier, tierName: achievementTierNames(criteria)?.[tier] || "" } : row,
+  );
+
+  return jsonResponse(request, { ok: true, viewerUserId, achievements });
 }
@@ -0,0 +1,168 @@
+// functions/api/v1/seasons/[seasonId]/final.js
+// A season's frozen end-of-season standings (see _lib/seasonFinals.js).
+//
+// GET  /api/v1/seasons/{seasonId}/final?limit=100&offset=0&viewerId=
+//   public; 404 not_finalized until the season has been finalized.
+//   Returns the season, the points table it was scored with, viewerCount, racesCount, champion
+//   and the archived standings by rank (award: champion / top10 / participant).
+// POST /api/v1/seasons/{seasonId}/final   finalize (broadcaster / VF admin only)
+//   Body (optional): { cursor, limit }
+//   Without a cursor: archives the standings (409 season_not_ended / season_already_finalized),
+//   then awards the season-end achievements to the first `limit` ranked viewers.
+//   With a cursor: continues awarding after that rank. Returns awards { processed, unlocked,
+//   nextCursor, done }; call again with nextCursor until done.
+
+import { handleOptions } from "../../../../_lib/cors.js";
+import { jsonResponse } from "../../../../_lib/response.js";
+import { requireWebsiteAdmin } from "../../../../_lib/twitchAuth.js";
+import { toStr } from "../../../../_lib/dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "../../../../_lib/schemaMigrations.js";
+import {
+  awardSeasonAchievements,
+  finalizeSeason,
+  hasSeasonFinalTables,
+  loadSeasonFinalStandings,
+  loadSeasonFinalSummary,
+} from "../../../../_lib/seasonFinals.js";
+import {
+  v,
+  validateBody,
+  validateQuery,
+  validationErrorResponse,
+} from "../../../../_lib/validation.js";
+
+const QUERY_SCHEMA = v.object({
+  limit: v.int({ min: 1, max: 500, default: 100 }),
+  offset: v.int({ min: 0, default: 0 }),
+  viewerId: v.string({ maxLength: 128 }),
+});
+
+const FINALIZE_SCHEMA = v.object({
+  cursor: v.int({ min: 0 }),
+  limit: v.int({ min: 1, max: 500, default: 200 }),
+});
+
+function dbNotInitialized(request, details) {
+  return jsonResponse(
+    request,
+    {
+      error: "db_not_initialized",
+      message:
+        "Stats DB tables not found. Initialize/upgrade the stats database from manage.viewerfrenzy.com → DB Manager.",
+      details,
+    },
+    503,
+  );
+}
+
+export async function onRequest(context) {
+  const { request, env, params } = context;
+
+  const opt = handleOptions(request);
+  if (opt) return opt;
+
+  if (!["GET", "POST"].includes(request.method)) {
+    return jsonResponse(request, { error: "method_not_allowed" }, 405);
+  }
+
+  const seasonId = toStr(params?.seasonId).toLowerCase();
+  if (!seasonId || seasonId.length > 64) {
+    return jsonResponse(request, { error: "invalid_season_id" }, 400);
+  }
+
+  const db = env?.VF_D1_STATS;
+  if (!db) {
+    return jsonResponse(request, { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" }, 500);
+  }
+
+  if (request.method === "GET") {
+    const q = validateQuery(QUERY_SCHEMA, new URL(request.url).searchParams);
+    if (!q.ok) return validationErrorResponse(request, q.errors);
+
+    let final;
+    let standings;
+    try {
+      if (!(await hasSeasonFinalTables(db))) return dbNotInitialized(request, "season_finals tables missing");
+      final = await loadSeasonFinalSummary(db, seasonId);
+      standings = final ? await loadSeasonFinalStandings(db, seasonId, q.value) : [];
+    } catch (e) {
+      return jsonResponse(
+        request,
+        { error: "db_query_failed", message: "Failed to load the season archive.", details: String(e?.message || e) },
+        500,
+      );
+    }
+
+    if (!final) {
+      return jsonResponse(request, { error: "not_finalized", message: "This season has not been finalized." }, 404);
+    }
+
+    return jsonResponse(request, {
+      ok: true,
+      ...final,
+      limit: q.value.limit,
+      offset: q.value.offset,
+      standings,
+    });
+  }
+
+  const auth = await requireWebsiteAdmin(context, { action: "finalize seasons" });
+  if (!auth.ok) return auth.response;
+
+  try {
+    if (!(await hasSeasonFinalTables(db))) return dbNotInitialized(request, "season_finals tables missing");
+    if (!(await schemaAtLeast(db, SCHEMA.usersAndSeasons))) return dbNotInitialized(request, "vf_seasons table missing");
+  } catch (e) {
+    return dbNotInitialized(request, String(e?.message || e));
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    body = null;
+  }
+
+  const parsed = validateBody(FINALIZE_SCHEMA, body || {});
+  if (!parsed.ok) return validationErrorResponse(request, parsed.errors);
+  const { cursor, limit } = parsed.value;
+
+  let final;
+  try {
+    if (cursor === undefined) {
+      const r = await finalizeSeason(env, seasonId, { userId: auth.user?.userId, login: auth.user?.login });
+      if (!r.ok) return jsonResponse(request, r.body, r.status);
+      final = r.final;
+    } else {
+      final = await loadSeasonFinalSummary(db, seasonId);
+      if (!final) {
+        return jsonResponse(request, { error: "not_finalized", message: "This season has not been finalized." }, 409);
+      }
+    }
+  } catch (e) {
+    return jsonResponse(
+      request,
+      { error: "db_query_failed", message: "Failed to finalize the season.", details: String(e?.message || e) },
+      500,
+    );
+  }
+
+  let awards;
+  try {
+    awards = await awardSeasonAchievements(env, seasonId, { cursor: cursor || 0, limit });
+  } catch (e) {
+    // The archive is written; awarding can be resumed with cursor 0.
+    return jsonResponse(
+      request,
+      {
+        error: "db_query_failed",
+        message: "Season finalized, but awarding achievements failed. Retry with cursor 0.",
+        details: String(e?.message || e),
+        final,
+      },
+      500,
+    );
+  }
+
+  return jsonResponse(request, { ok: true, final, awards });
+}
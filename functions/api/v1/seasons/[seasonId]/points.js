@@ -0,0 +1,141 @@
+// functions/api/v1/seasons/[seasonId]/points.js
+// A season's championship points table (see _lib/seasonPoints.js).
+//
+// GET    /api/v1/seasons/{seasonId}/points    public; the default table when none is set (isDefault: true)
+// PUT    /api/v1/seasons/{seasonId}/points    set it (broadcaster / VF admin only)
+//   { "points": [25, 18, 15, 12, 10, 8, 6, 4, 2, 1], "dnfPoints": 0, "scaleByFieldSize": false, "referenceFieldSize": 10 }
+// DELETE /api/v1/seasons/{seasonId}/points    back to the default table (broadcaster / VF admin only)
+// PUT / DELETE fail with 409 season_finalized once the season is finalized (see ./final.js).
+//
+// Standings: GET /api/v1/stats/leaderboard?mode=championship&seasonId={seasonId}
+
+import { handleOptions } from "../../../../_lib/cors.js";
+import { jsonResponse } from "../../../../_lib/response.js";
+import { requireWebsiteAdmin } from "../../../../_lib/twitchAuth.js";
+import { toStr } from "../../../../_lib/dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "../../../../_lib/schemaMigrations.js";
+import {
+  POINTS_TABLE_SCHEMA,
+  deleteSeasonPointsTable,
+  hasSeasonPointsTable,
+  loadSeasonPointsTable,
+  pointsTableJson,
+  saveSeasonPointsTable,
+} from "../../../../_lib/seasonPoints.js";
+import { isSeasonFinalized } from "../../../../_lib/seasonFinals.js";
+import { validateBody, validationErrorResponse } from "../../../../_lib/validation.js";
+
+function dbNotInitialized(request, details) {
+  return jsonResponse(
+    request,
+    {
+      error: "db_not_initialized",
+      message:
+        "Stats DB tables not found. Initialize/upgrade the stats database from manage.viewerfrenzy.com → DB Manager.",
+      details,
+    },
+    503,
+  );
+}
+
+export async function onRequest(context) {
+  const { request, env, params } = context;
+
+  const opt = handleOptions(request);
+  if (opt) return opt;
+
+  if (!["GET", "PUT", "DELETE"].includes(request.method)) {
+    return jsonResponse(request, { error: "method_not_allowed" }, 405);
+  }
+
+  // Stored lowercased, like competitions.season_id (see _lib/seasonFinals.js).
+  const seasonId = toStr(params?.seasonId).toLowerCase();
+  if (!seasonId || seasonId.length > 64) {
+    return jsonResponse(request, { error: "invalid_season_id" }, 400);
+  }
+
+  const db = env?.VF_D1_STATS;
+  if (!db) {
+    return jsonResponse(request, { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" }, 500);
+  }
+
+  if (request.method === "GET") {
+    try {
+      const table = await loadSeasonPointsTable(db, seasonId);
+      return jsonResponse(request, { ok: true, seasonId, pointsTable: pointsTableJson(table) });
+    } catch (e) {
+      return jsonResponse(
+        request,
+        { error: "db_query_failed", message: "Failed to load the points table.", details: String(e?.message || e) },
+        500,
+      );
+    }
+  }
+
+  const auth = await requireWebsiteAdmin(context, { action: "change season points tables" });
+  if (!auth.ok) return auth.response;
+
+  let season;
+  try {
+    if (!(await hasSeasonPointsTable(db))) return dbNotInitialized(request, "vf_season_points table missing");
+    if (!(await schemaAtLeast(db, SCHEMA.usersAndSeasons))) return dbNotInitialized(request, "vf_seasons table missing");
+    season = await db.prepare("SELECT season_id FROM vf_seasons WHERE LOWER(season_id) = ? LIMIT 1").bind(seasonId).first();
+  } catch (e) {
+    return dbNotInitialized(request, String(e?.message || e));
+  }
+
+  if (!season) {
+    return jsonResponse(request, { error: "not_found", message: "Season not found." }, 404);
+  }
+
+  // The archive keeps the table it was scored with; changing it now would only confuse.
+  try {
+    if (await isSeasonFinalized(db, seasonId)) {
+      return jsonResponse(
+        request,
+        { error: "season_finalized", message: "This season is finalized; its points table can no longer change." },
+        409,
+      );
+    }
+  } catch (e) {
+    return dbNotInitialized(request, String(e?.message || e));
+  }
+
+  if (request.method === "DELETE") {
+    try {
+      const removed = await deleteSeasonPointsTable(db, seasonId);
+      const table = await loadSeasonPointsTable(db, seasonId);
+      return jsonResponse(request, { ok: true, seasonId, removed, pointsTable: pointsTableJson(table) });
+    } catch (e) {
+      return jsonResponse(
+        request,
+        { error: "db_query_failed", message: "Failed to reset the points table.", details: String(e?.message || e) },
+        500,
+      );
+    }
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse(request, { error: "invalid_json" }, 400);
+  }
+
+  const r = validateBody(POINTS_TABLE_SCHEMA, body);
+  if (!r.ok) return validationErrorResponse(request, r.errors);
+
+  try {
+    const table = await saveSeasonPointsTable(db, seasonId, r.value, {
+      userId: auth.user?.userId,
+      login: auth.user?.login,
+    });
+    return jsonResponse(request, { ok: true, seasonId, pointsTable: pointsTableJson(table) });
+  } catch (e) {
+    return jsonResponse(
+      request,
+      { error: "db_query_failed", message: "Failed to save the points table.", details: String(e?.message || e) },
+      500,
+    );
+  }
+}
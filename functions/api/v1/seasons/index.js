@@ -10,6 +10,7 @@
 import { handleOptions, buildCorsHeaders } from "../../../_lib/cors.js";
 import { listAllJsonRecords } from "../../../_lib/kv.js";
 import { isoFromMs, tableExists } from "../../../_lib/dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "../../../_lib/schemaMigrations.js";
 
 let _cache = { fetchedAtMs: 0, seasons: [], nowIso: "", source: "" };
 const CACHE_TTL_MS = 30_000;
@@ -47,6 +48,8 @@ function safeSeasonFromDb(r) {
     updatedAt: isoFromMs(r?.updated_at_ms),
     updatedBy: String(r?.updated_by_login || "").trim(),
     updatedById: String(r?.updated_by_user_id || "").trim(),
+    finalized: !!r?.finalized_at_ms,
+    finalizedAt: isoFromMs(r?.finalized_at_ms),
   };
 }
 
@@ -86,9 +89,16 @@ export async function onRequest(context) {
   try {
     const db = env?.VF_D1_STATS;
     if (db && (await tableExists(db, "vf_seasons"))) {
+      // finalized_at_ms: set once the season's standings are archived (see seasons/[seasonId]/final.js).
+      const hasFinals = await schemaAtLeast(db, SCHEMA.seasonFinals);
       const rs = await db
         .prepare(
-          "SELECT season_id, name, description, start_at_ms, end_at_ms, created_at_ms, updated_at_ms, updated_by_login, updated_by_user_id FROM vf_seasons",
+          hasFinals
+            ? `SELECT s.season_id, s.name, s.description, s.start_at_ms, s.end_at_ms, s.created_at_ms, s.updated_at_ms,
+                      s.updated_by_login, s.updated_by_user_id, f.finalized_at_ms
+               FROM vf_seasons s
+               LEFT JOIN season_finals f ON f.season_id = LOWER(s.season_id)`
+            : "SELECT season_id, name, description, start_at_ms, end_at_ms, created_at_ms, updated_at_ms, updated_by_login, updated_by_user_id FROM vf_seasons",
         )
         .all();
 
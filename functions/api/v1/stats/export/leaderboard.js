@@ -0,0 +1,122 @@
+// functions/api/v1/stats/export/leaderboard.js
+// Public endpoint: the full filtered leaderboard as a CSV / NDJSON download (no pageSize cap).
+//
+// GET /api/v1/stats/export/leaderboard?format=csv|ndjson&columns=viewer,wins,bestTimeMs&<leaderboard filters>
+//
+// - Same filters + sortBy/sortDir as /api/v1/stats/leaderboard (see _lib/leaderboardQuery.js)
+// - columns: leaderboard item keys (default: all). "viewer" = viewerUserId, viewerLogin, viewerDisplayName.
+//   mode=championship adds `points` (empty in the default mode).
+//   `rank` (position in the chosen sort) is always the first column.
+// - Computed by one query (one row per viewer), then streamed in batches (see _lib/export.js);
+//   not edge-cached.
+
+import { handleOptions } from "../../../../_lib/cors.js";
+import { jsonResponse } from "../../../../_lib/response.js";
+import { EXPORT_FORMATS, exportResponse } from "../../../../_lib/export.js";
+import { leaderboardDataQuery, resolveLeaderboardFilters } from "../../../../_lib/leaderboardQuery.js";
+import { v, validateQuery, validationErrorResponse } from "../../../../_lib/validation.js";
+
+const BATCH_SIZE = 500;
+
+const VIEWER_COLUMNS = ["viewerUserId", "viewerLogin", "viewerDisplayName"];
+
+const STAT_COLUMNS = [
+  "competitions",
+  "wins",
+  "seconds",
+  "thirds",
+  "finishedCount",
+  "dnfCount",
+  "bestFinishPos",
+  "avgFinishPos",
+  "medianFinishPos",
+  "p10FinishPos",
+  "p25FinishPos",
+  "p75FinishPos",
+  "p90FinishPos",
+  "worstFinishPos",
+  "bestTimeMs",
+  "avgTimeMs",
+  "medianTimeMs",
+  "p10TimeMs",
+  "p25TimeMs",
+  "p75TimeMs",
+  "p90TimeMs",
+  "worstTimeMs",
+  "rating",
+  "ratedRaces",
+];
+
+const QUERY_SCHEMA = v.object({
+  format: v.string({ lower: true, oneOf: EXPORT_FORMATS, default: "csv" }),
+  columns: v.array(v.string({ oneOf: ["viewer", ...VIEWER_COLUMNS, "points", ...STAT_COLUMNS] }), { maxItems: 40 }),
+});
+
+function outputColumns(requested, { championship = false } = {}) {
+  if (!requested?.length) return ["rank", ...VIEWER_COLUMNS, ...(championship ? ["points"] : []), ...STAT_COLUMNS];
+  const cols = requested.flatMap((c) => (c === "viewer" ? VIEWER_COLUMNS : [c]));
+  return ["rank", ...new Set(cols)];
+}
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  const opt = handleOptions(request);
+  if (opt) return opt;
+
+  if (request.method !== "GET") {
+    return jsonResponse(request, { error: "method_not_allowed" }, 405);
+  }
+
+  const db = env?.VF_D1_STATS;
+  if (!db) {
+    return jsonResponse(request, { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" }, 500);
+  }
+
+  const url = new URL(request.url);
+  const q = validateQuery(QUERY_SCHEMA, url.searchParams);
+  if (!q.ok) return validationErrorResponse(request, q.errors);
+
+  const filters = await resolveLeaderboardFilters(db, url, { allowAggregates: true });
+  if (!filters.ok) return jsonResponse(request, filters.body, filters.status);
+  const { params } = filters;
+
+  const { sql, extraParams } = await leaderboardDataQuery(db, url, filters);
+
+  // Every page of the leaderboard re-aggregates all filtered results, so paging with OFFSET would
+  // redo that work per batch. Run it once (LIMIT -1 = no limit); cursor = offset of the next batch.
+  let board = null;
+  async function fetchBatch(cursor) {
+    if (!board) {
+      const rs = await db
+        .prepare(sql)
+        .bind(...params, ...extraParams, -1, 0)
+        .all();
+      board = Array.isArray(rs?.results) ? rs.results : [];
+    }
+    const offset = cursor || 0;
+    const rows = board.slice(offset, offset + BATCH_SIZE).map((r, i) => ({ rank: offset + i + 1, ...r }));
+    const next = offset + rows.length;
+    return { rows, cursor: next < board.length ? next : null };
+  }
+
+  try {
+    return await exportResponse(request, {
+      format: q.value.format,
+      name: "leaderboard",
+      columns: outputColumns(q.value.columns, { championship: filters.mode === "championship" }),
+      fetchBatch,
+    });
+  } catch (e) {
+    return jsonResponse(
+      request,
+      {
+        error: "db_not_initialized",
+        message:
+          "Stats DB tables not found. Initialize/upgrade the stats database from manage.viewerfrenzy.com → DB Manager.",
+        details: String(e?.message || e),
+      },
+      503,
+    );
+  }
+}
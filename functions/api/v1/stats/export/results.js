@@ -0,0 +1,135 @@
+// functions/api/v1/stats/export/results.js
+// Public endpoint: raw per-viewer race results (one row per competition_results row) as a
+// CSV / NDJSON download.
+//
+// GET /api/v1/stats/export/results?format=csv|ndjson&columns=...&<leaderboard filters>
+//
+// - Same filters as /api/v1/stats/leaderboard (season / streamer / map / mode / searches /
+//   range / from / to / showBots); quarantined + voided races are excluded like everywhere else.
+// - Ordered by result id (roughly submission order), keyset-paginated so long exports stay cheap.
+// - columns: subset of RESULT_COLUMNS (default: all).
+
+import { handleOptions } from "../../../../_lib/cors.js";
+import { jsonResponse } from "../../../../_lib/response.js";
+import { SCHEMA, schemaAtLeast } from "../../../../_lib/schemaMigrations.js";
+import { EXPORT_FORMATS, exportResponse } from "../../../../_lib/export.js";
+import { resolveLeaderboardFilters } from "../../../../_lib/leaderboardQuery.js";
+import { v, validateQuery, validationErrorResponse } from "../../../../_lib/validation.js";
+
+const BATCH_SIZE = 1000;
+
+const RESULT_COLUMNS = [
+  "competitionUuid",
+  "startedAtMs",
+  "endedAtMs",
+  "seasonId",
+  "streamerUserId",
+  "streamerLogin",
+  "mapId",
+  "mapName",
+  "mapVersion",
+  "vehicleType",
+  "gameMode",
+  "viewerUserId",
+  "viewerLogin",
+  "viewerDisplayName",
+  "finishPosition",
+  "status",
+  "finishTimeMs",
+  "vehicleId",
+  "distanceM",
+  "progress01",
+  "isBot",
+];
+
+const QUERY_SCHEMA = v.object({
+  format: v.string({ lower: true, oneOf: EXPORT_FORMATS, default: "csv" }),
+  columns: v.array(v.string({ oneOf: RESULT_COLUMNS }), { maxItems: RESULT_COLUMNS.length }),
+});
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  const opt = handleOptions(request);
+  if (opt) return opt;
+
+  if (request.method !== "GET") {
+    return jsonResponse(request, { error: "method_not_allowed" }, 405);
+  }
+
+  const db = env?.VF_D1_STATS;
+  if (!db) {
+    return jsonResponse(request, { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" }, 500);
+  }
+
+  const url = new URL(request.url);
+  const q = validateQuery(QUERY_SCHEMA, url.searchParams);
+  if (!q.ok) return validationErrorResponse(request, q.errors);
+
+  const filters = await resolveLeaderboardFilters(db, url);
+  if (!filters.ok) return jsonResponse(request, filters.body, filters.status);
+  const { whereSql, params } = filters;
+
+  const isBotSql = (await schemaAtLeast(db, SCHEMA.botFlags)) ? "COALESCE(r.is_bot, 0)" : "0";
+
+  const sql = `
+    SELECT
+      r.id AS resultId,
+      c.competition_uuid AS competitionUuid,
+      c.started_at_ms AS startedAtMs,
+      c.ended_at_ms AS endedAtMs,
+      c.season_id AS seasonId,
+      c.streamer_user_id AS streamerUserId,
+      c.streamer_login AS streamerLogin,
+      c.map_id AS mapId,
+      c.map_name AS mapName,
+      c.map_version AS mapVersion,
+      c.vehicle_type AS vehicleType,
+      c.game_mode AS gameMode,
+      r.viewer_user_id AS viewerUserId,
+      r.viewer_login AS viewerLogin,
+      r.viewer_display_name AS viewerDisplayName,
+      r.finish_position AS finishPosition,
+      r.status AS status,
+      r.finish_time_ms AS finishTimeMs,
+      r.vehicle_id AS vehicleId,
+      r.distance_m AS distanceM,
+      r.progress01 AS progress01,
+      ${isBotSql} AS isBot
+    FROM competitions c
+    JOIN competition_results r ON r.competition_id = c.id
+    ${whereSql ? `${whereSql} AND` : "WHERE"} r.id > ?
+    ORDER BY r.id ASC
+    LIMIT ?
+  `;
+
+  // Cursor = last result id written.
+  async function fetchBatch(cursor) {
+    const rs = await db
+      .prepare(sql)
+      .bind(...params, cursor || 0, BATCH_SIZE)
+      .all();
+    const rows = Array.isArray(rs?.results) ? rs.results : [];
+    return { rows, cursor: rows.length < BATCH_SIZE ? null : rows[rows.length - 1].resultId };
+  }
+
+  try {
+    return await exportResponse(request, {
+      format: q.value.format,
+      name: "results",
+      columns: q.value.columns?.length ? [...new Set(q.value.columns)] : RESULT_COLUMNS,
+      fetchBatch,
+    });
+  } catch (e) {
+    return jsonResponse(
+      request,
+      {
+        error: "db_not_initialized",
+        message:
+          "Stats DB tables not found. Initialize/upgrade the stats database from manage.viewerfrenzy.com → DB Manager.",
+        details: String(e?.message || e),
+      },
+      503,
+    );
+  }
+}
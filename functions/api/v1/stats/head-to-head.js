@@ -0,0 +1,303 @@
+// functions/api/v1/stats/head-to-head.js
+// Public endpoint: rivalry stats between two viewers.
+//
+// GET /api/v1/stats/head-to-head?a=<viewer>&b=<viewer>
+//
+// Query params:
+// - a, b (required)      viewer user id or Twitch login
+// - seasonId / streamerId / vehicleType   optional filters (ALL = no filter)
+//
+// Only competitions both viewers raced in count. "Ahead" follows finish order: FINISHED beats DNF,
+// finishers by position, DNFs by progress (compareFinish, the skill rating's ordering).
+// Totals and the per-map breakdown are aggregated in SQL; only the recent races are listed.
+// Quarantined / voided competitions are excluded.
+
+import { handleOptions, buildCorsHeaders } from "../../../_lib/cors.js";
+import { toStr } from "../../../_lib/dbUtil.js";
+import { countedCompetitionSql } from "../../../_lib/competitionStatus.js";
+import { compareFinish } from "../../../_lib/ratings.js";
+import { resolveViewer } from "../../../_lib/viewerIdentity.js";
+
+const CACHE_TTL_SECONDS = 60;
+const RECENT_RACES = 10;
+
+// compareFinish() in SQL, over the `shared` rows below: -1 when a finished ahead, 1 when b did.
+const CMP_SQL = `
+  CASE
+    WHEN a_finished <> b_finished THEN CASE WHEN a_finished THEN -1 ELSE 1 END
+    WHEN a_finished THEN
+      CASE WHEN COALESCE(a_position, 9999) < COALESCE(b_position, 9999) THEN -1
+           WHEN COALESCE(a_position, 9999) > COALESCE(b_position, 9999) THEN 1 ELSE 0 END
+    ELSE
+      CASE WHEN COALESCE(a_progress01, 0) > COALESCE(b_progress01, 0) THEN -1
+           WHEN COALESCE(a_progress01, 0) < COALESCE(b_progress01, 0) THEN 1 ELSE 0 END
+  END`;
+
+function json(request, data, status = 200, cacheSeconds = 0) {
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": cacheSeconds > 0 ? `public, max-age=${cacheSeconds}` : "no-store",
+    ...buildCorsHeaders(request),
+  };
+  return new Response(JSON.stringify(data, null, 2), { status, headers });
+}
+
+function getCacheKey(request) {
+  // Include Origin in cache key to avoid wrong allow-origin values.
+  const u = new URL(request.url);
+  const origin = request.headers.get("Origin") || "";
+  u.searchParams.set("_o", origin);
+  return new Request(u.toString(), request);
+}
+
+function isAll(v) {
+  return !v || v.toUpperCase() === "ALL";
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function entrantFromRow(row, prefix) {
+  const status = toStr(row?.[`${prefix}_status`]).toUpperCase();
+  return {
+    status,
+    finished: status === "FINISHED",
+    position: numOrNull(row?.[`${prefix}_position`]),
+    timeMs: numOrNull(row?.[`${prefix}_time_ms`]),
+    progress01: numOrNull(row?.[`${prefix}_progress01`]),
+  };
+}
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  const opt = handleOptions(request);
+  if (opt) return opt;
+
+  if (request.method !== "GET") {
+    return json(request, { error: "method_not_allowed" }, 405);
+  }
+
+  if (!env?.VF_D1_STATS) {
+    return json(
+      request,
+      { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" },
+      500,
+    );
+  }
+
+  const url = new URL(request.url);
+  const aRaw = toStr(url.searchParams.get("a"));
+  const bRaw = toStr(url.searchParams.get("b"));
+  if (!aRaw || !bRaw) {
+    return json(request, { error: "missing_viewers", message: "Both a and b are required." }, 400);
+  }
+
+  const cache = caches.default;
+  const cacheKey = getCacheKey(request);
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  const db = env.VF_D1_STATS;
+
+  let a;
+  let b;
+  try {
+    [a, b] = await Promise.all([resolveViewer(db, aRaw), resolveViewer(db, bRaw)]);
+  } catch (e) {
+    return json(
+      request,
+      {
+        error: "db_not_initialized",
+        message:
+          "Stats DB tables not found. Initialize/upgrade the stats database from manage.viewerfrenzy.com → DB Manager.",
+        details: String(e?.message || e),
+      },
+      503,
+    );
+  }
+
+  if (!a || !b) {
+    return json(
+      request,
+      { error: "not_found", message: `Viewer not found: ${!a ? aRaw : bRaw}` },
+      404,
+    );
+  }
+  if (a.viewerUserId === b.viewerUserId) {
+    return json(request, { error: "same_viewer", message: "Pick two different viewers." }, 400);
+  }
+
+  const where = [];
+  const params = [b.viewerUserId, a.viewerUserId];
+
+  const counted = await countedCompetitionSql(db, "c");
+  if (counted) where.push(counted);
+
+  const seasonId = toStr(url.searchParams.get("seasonId"));
+  if (!isAll(seasonId)) {
+    where.push("c.season_id = ?");
+    params.push(seasonId);
+  }
+
+  const streamerId = toStr(url.searchParams.get("streamerId"));
+  if (!isAll(streamerId)) {
+    where.push("c.streamer_user_id = ?");
+    params.push(streamerId);
+  }
+
+  const vehicleType = toStr(url.searchParams.get("vehicleType"));
+  if (!isAll(vehicleType)) {
+    where.push("LOWER(TRIM(COALESCE(c.vehicle_type,''))) = ?");
+    params.push(vehicleType.toLowerCase());
+  }
+
+  const sharedSql = `
+    WITH shared AS (
+      SELECT
+        c.id AS competition_id,
+        c.competition_uuid,
+        c.started_at_ms,
+        c.map_id,
+        c.map_name,
+        c.vehicle_type,
+        ra.status AS a_status,
+        UPPER(COALESCE(ra.status, '')) = 'FINISHED' AS a_finished,
+        ra.finish_position AS a_position,
+        ra.finish_time_ms AS a_time_ms,
+        ra.progress01 AS a_progress01,
+        rb.status AS b_status,
+        UPPER(COALESCE(rb.status, '')) = 'FINISHED' AS b_finished,
+        rb.finish_position AS b_position,
+        rb.finish_time_ms AS b_time_ms,
+        rb.progress01 AS b_progress01
+      FROM competition_results ra
+      JOIN competition_results rb ON rb.competition_id = ra.competition_id AND rb.viewer_user_id = ?
+      JOIN competitions c ON c.id = ra.competition_id
+      WHERE ra.viewer_user_id = ?
+        ${where.length ? `AND ${where.join(" AND ")}` : ""}
+    ),
+    keyed AS (
+      SELECT
+        shared.*,
+        CASE WHEN map_id IS NOT NULL THEN 'id:' || map_id ELSE 'name:' || COALESCE(map_name, '') END AS map_key
+      FROM shared
+    ),
+    scored AS (
+      SELECT
+        keyed.*,
+        ${CMP_SQL} AS cmp,
+        -- Position gap only means something when both crossed the line (positive = a ahead).
+        CASE
+          WHEN a_finished AND b_finished AND a_position IS NOT NULL AND b_position IS NOT NULL
+          THEN b_position - a_position
+        END AS gap
+      FROM keyed
+    )`;
+
+  const totalsSql = `${sharedSql}
+    SELECT
+      COUNT(*) AS races,
+      COALESCE(SUM(cmp < 0), 0) AS a_ahead,
+      COALESCE(SUM(cmp > 0), 0) AS b_ahead,
+      COALESCE(SUM(cmp = 0), 0) AS ties,
+      AVG(gap) AS avg_gap,
+      COUNT(gap) AS gap_samples
+    FROM scored;`;
+
+  // A renamed map is listed under the name of its most recent race.
+  const mapsSql = `${sharedSql}
+    SELECT
+      MAX(map_id) AS map_id,
+      (SELECT s.map_name FROM scored s WHERE s.map_key = scored.map_key
+       ORDER BY s.started_at_ms DESC, s.competition_id DESC LIMIT 1) AS map_name,
+      COUNT(*) AS races,
+      SUM(cmp < 0) AS a_ahead,
+      SUM(cmp > 0) AS b_ahead,
+      MIN(CASE WHEN a_finished AND a_time_ms > 0 THEN a_time_ms END) AS a_best_time_ms,
+      MIN(CASE WHEN b_finished AND b_time_ms > 0 THEN b_time_ms END) AS b_best_time_ms
+    FROM scored
+    GROUP BY map_key;`;
+
+  const recentSql = `${sharedSql}
+    SELECT *
+    FROM scored
+    ORDER BY started_at_ms DESC, competition_id DESC
+    LIMIT ?;`;
+
+  let totals;
+  let mapRows;
+  let recentRows;
+  try {
+    [totals, mapRows, recentRows] = await Promise.all([
+      db.prepare(totalsSql).bind(...params).first(),
+      db.prepare(mapsSql).bind(...params).all(),
+      db.prepare(recentSql).bind(...params, RECENT_RACES).all(),
+    ]);
+  } catch (e) {
+    return json(
+      request,
+      {
+        error: "db_query_failed",
+        message: "Failed to query head-to-head stats.",
+        details: String(e?.message || e),
+      },
+      500,
+    );
+  }
+
+  const recent = (Array.isArray(recentRows?.results) ? recentRows.results : []).map((row) => {
+    const ea = entrantFromRow(row, "a");
+    const eb = entrantFromRow(row, "b");
+    const c = compareFinish(ea, eb);
+    return {
+      competitionUuid: toStr(row?.competition_uuid),
+      startedAtMs: Number(row?.started_at_ms || 0) || 0,
+      mapId: numOrNull(row?.map_id),
+      mapName: toStr(row?.map_name),
+      vehicleType: toStr(row?.vehicle_type),
+      a: ea,
+      b: eb,
+      winner: c < 0 ? "a" : c > 0 ? "b" : null,
+    };
+  });
+
+  const sharedMaps = (Array.isArray(mapRows?.results) ? mapRows.results : [])
+    .map((r) => {
+      const aBestTimeMs = numOrNull(r?.a_best_time_ms);
+      const bBestTimeMs = numOrNull(r?.b_best_time_ms);
+      return {
+        mapId: numOrNull(r?.map_id),
+        mapName: toStr(r?.map_name),
+        races: Number(r?.races || 0) || 0,
+        aAhead: Number(r?.a_ahead || 0) || 0,
+        bAhead: Number(r?.b_ahead || 0) || 0,
+        aBestTimeMs,
+        bBestTimeMs,
+        bestTimeGapMs: aBestTimeMs !== null && bBestTimeMs !== null ? aBestTimeMs - bBestTimeMs : null,
+      };
+    })
+    .sort((x, y) => y.races - x.races || x.mapName.localeCompare(y.mapName));
+
+  const avgGap = numOrNull(totals?.avg_gap);
+  const data = {
+    ok: true,
+    a,
+    b,
+    racesTogether: Number(totals?.races || 0) || 0,
+    aAhead: Number(totals?.a_ahead || 0) || 0,
+    bAhead: Number(totals?.b_ahead || 0) || 0,
+    ties: Number(totals?.ties || 0) || 0,
+    avgPositionGap: avgGap !== null ? Math.round(avgGap * 100) / 100 : null,
+    positionGapSamples: Number(totals?.gap_samples || 0) || 0,
+    maps: sharedMaps,
+    recent,
+  };
+
+  const response = json(request, data, 200, CACHE_TTL_SECONDS);
+  context.waitUntil(cache.put(cacheKey, response.clone()));
+  return response;
+}
@@ -4,6 +4,7 @@
 // Intended to power UI filters on viewerfrenzy.com.
 
 import { handleOptions, buildCorsHeaders } from "../../../_lib/cors.js";
+import { countedCompetitionSql } from "../../../_lib/competitionStatus.js";
 
 const CACHE_TTL_SECONDS = 300; // 5 minutes
 
@@ -53,6 +54,9 @@ export async function onRequest(context) {
   const vehicleTypeRaw = String(url.searchParams.get("vehicleType") || "").trim().toLowerCase();
   const vehicleType = vehicleTypeRaw && vehicleTypeRaw !== "all" ? vehicleTypeRaw : "";
 
+  // Voided / quarantined races don't count, so they shouldn't add filter options either.
+  const counted = await countedCompetitionSql(env.VF_D1_STATS, "competitions");
+
   let streamers;
   let maps;
   try {
@@ -66,6 +70,7 @@ export async function onRequest(context) {
           NULL AS profileImageUrl,
           COUNT(*) AS competitions
         FROM competitions
+        ${counted ? `WHERE ${counted}` : ""}
         GROUP BY streamer_user_id
         ORDER BY LOWER(COALESCE(streamer_login, streamer_user_id)) ASC;
       `,
@@ -81,6 +86,7 @@ export async function onRequest(context) {
       FROM competitions
       WHERE map_id IS NOT NULL AND TRIM(CAST(map_id AS TEXT)) <> ''
         ${vehicleType ? "AND LOWER(TRIM(vehicle_type)) = ?" : ""}
+        ${counted ? `AND ${counted}` : ""}
       GROUP BY map_id
       ORDER BY LOWER(trackName) ASC;
     `;
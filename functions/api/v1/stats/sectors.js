@@ -0,0 +1,270 @@
+// functions/api/v1/stats/sectors.js
+// Public endpoint: sector (checkpoint / lap) bests for one map.
+//
+// GET /api/v1/stats/sectors?mapId=12&kind=checkpoint&viewerId=
+//
+// Query params:
+// - mapId (required)     competitions.map_id (vf_maps id)
+// - mapHash              only races on this map definition. Defaults to the map's current hash,
+//                        since sector boundaries move when a track is edited. Use mapHash=ALL to disable.
+// - kind                 checkpoint (default) | lap
+// - seasonId / streamerId / vehicleType   optional filters
+// - viewerId             also return that viewer's own sector bests + the gap to each best
+// - showBots=1           include bot racers (excluded by default, like the leaderboard)
+//
+// "theoreticalBestMs" is the sum of the best sector of every index (a perfect run).
+
+import { handleOptions, buildCorsHeaders } from "../../../_lib/cors.js";
+import { toBool, toStr } from "../../../_lib/dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "../../../_lib/schemaMigrations.js";
+import { countedCompetitionSql } from "../../../_lib/competitionStatus.js";
+
+const CACHE_TTL_SECONDS = 60;
+
+const SPLIT_KINDS = new Set(["checkpoint", "lap"]);
+
+function json(request, data, status = 200, cacheSeconds = 0) {
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": cacheSeconds > 0 ? `public, max-age=${cacheSeconds}` : "no-store",
+    ...buildCorsHeaders(request),
+  };
+  return new Response(JSON.stringify(data, null, 2), { status, headers });
+}
+
+function getCacheKey(request) {
+  // Include Origin in cache key to avoid wrong allow-origin values.
+  const u = new URL(request.url);
+  const origin = request.headers.get("Origin") || "";
+  u.searchParams.set("_o", origin);
+  return new Request(u.toString(), request);
+}
+
+function isAll(v) {
+  return !v || v.toUpperCase() === "ALL";
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Sum of the per-index bests; null unless every index from 0..max has a value
+// (a missing sector would make the "perfect run" meaningless).
+function theoreticalBest(sectors) {
+  if (!sectors.length) return null;
+  let sum = 0;
+  for (let i = 0; i < sectors.length; i++) {
+    if (sectors[i].index !== i || !Number.isFinite(sectors[i].bestSectorMs)) return null;
+    sum += sectors[i].bestSectorMs;
+  }
+  return sum;
+}
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  const opt = handleOptions(request);
+  if (opt) return opt;
+
+  if (request.method !== "GET") {
+    return json(request, { error: "method_not_allowed" }, 405);
+  }
+
+  if (!env?.VF_D1_STATS) {
+    return json(
+      request,
+      { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" },
+      500,
+    );
+  }
+
+  const url = new URL(request.url);
+
+  const mapId = Number.parseInt(toStr(url.searchParams.get("mapId")), 10);
+  if (!Number.isFinite(mapId) || mapId <= 0) {
+    return json(request, { error: "invalid_map_id", message: "mapId is required." }, 400);
+  }
+
+  const kind = toStr(url.searchParams.get("kind")).toLowerCase() || "checkpoint";
+  if (!SPLIT_KINDS.has(kind)) {
+    return json(request, { error: "invalid_kind", message: "kind must be checkpoint or lap." }, 400);
+  }
+
+  const cache = caches.default;
+  const cacheKey = getCacheKey(request);
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  const db = env.VF_D1_STATS;
+  const viewerId = toStr(url.searchParams.get("viewerId"));
+
+  // Older DBs have no splits table yet: nothing recorded, not an error.
+  if (!(await schemaAtLeast(db, SCHEMA.resultSplits))) {
+    return json(
+      request,
+      { ok: true, mapId, mapHash: "", kind, sectors: [], theoreticalBestMs: null, viewer: null },
+      200,
+      CACHE_TTL_SECONDS,
+    );
+  }
+
+  // Resolve which map definition to compare against.
+  let mapHash = toStr(url.searchParams.get("mapHash"));
+  if (!mapHash) {
+    try {
+      const mapRow = await db.prepare("SELECT map_hash_sha256 FROM vf_maps WHERE id = ? LIMIT 1").bind(mapId).first();
+      mapHash = toStr(mapRow?.map_hash_sha256);
+    } catch {
+      mapHash = "";
+    }
+  }
+  if (isAll(mapHash)) mapHash = "";
+
+  const where = ["sp.split_kind = ?", "sp.sector_ms IS NOT NULL", "sp.sector_ms > 0", "c.map_id = ?"];
+  const params = [kind, mapId];
+
+  const counted = await countedCompetitionSql(db, "c");
+  if (counted) where.push(counted);
+
+  if (mapHash) {
+    where.push("c.map_hash_sha256 = ?");
+    params.push(mapHash);
+  }
+
+  const seasonId = toStr(url.searchParams.get("seasonId"));
+  if (!isAll(seasonId)) {
+    where.push("c.season_id = ?");
+    params.push(seasonId);
+  }
+
+  const streamerId = toStr(url.searchParams.get("streamerId"));
+  if (!isAll(streamerId)) {
+    where.push("c.streamer_user_id = ?");
+    params.push(streamerId);
+  }
+
+  const vehicleType = toStr(url.searchParams.get("vehicleType"));
+  if (!isAll(vehicleType)) {
+    where.push("LOWER(TRIM(COALESCE(c.vehicle_type,''))) = ?");
+    params.push(vehicleType.toLowerCase());
+  }
+
+  const includeBots = toBool(url.searchParams.get("showBots"));
+  if (!includeBots && (await schemaAtLeast(db, SCHEMA.botFlags))) {
+    where.push("COALESCE(r.is_bot, 0) = 0");
+  }
+
+  const baseCte = `
+    WITH s AS (
+      SELECT
+        sp.split_index,
+        sp.sector_ms,
+        r.viewer_user_id,
+        r.viewer_login,
+        r.viewer_display_name,
+        c.competition_uuid,
+        c.started_at_ms
+      FROM competition_result_splits sp
+      JOIN competition_results r ON r.id = sp.competition_result_id
+      JOIN competitions c ON c.id = r.competition_id
+      WHERE ${where.join(" AND ")}
+    )
+  `;
+
+  // Earliest run wins a tie, like a track record.
+  const bestSql = `
+    ${baseCte},
+    ranked AS (
+      SELECT
+        s.*,
+        ROW_NUMBER() OVER (PARTITION BY split_index ORDER BY sector_ms ASC, started_at_ms ASC) AS rn,
+        COUNT(*) OVER (PARTITION BY split_index) AS samples,
+        AVG(sector_ms) OVER (PARTITION BY split_index) AS avg_sector_ms
+      FROM s
+    )
+    SELECT *
+    FROM ranked
+    WHERE rn = 1
+    ORDER BY split_index ASC;
+  `;
+
+  const viewerSql = `
+    ${baseCte}
+    SELECT split_index, MIN(sector_ms) AS best_sector_ms, COUNT(*) AS samples
+    FROM s
+    WHERE viewer_user_id = ?
+    GROUP BY split_index
+    ORDER BY split_index ASC;
+  `;
+
+  let bestRows;
+  let viewerRows = null;
+  try {
+    bestRows = await db.prepare(bestSql).bind(...params).all();
+    if (viewerId) {
+      viewerRows = await db.prepare(viewerSql).bind(...params, viewerId).all();
+    }
+  } catch (e) {
+    return json(
+      request,
+      {
+        error: "db_query_failed",
+        message: "Failed to query sector stats.",
+        details: String(e?.message || e),
+      },
+      500,
+    );
+  }
+
+  const sectors = (Array.isArray(bestRows?.results) ? bestRows.results : []).map((r) => ({
+    index: Number(r?.split_index || 0) || 0,
+    bestSectorMs: numOrNull(r?.sector_ms),
+    avgSectorMs: Number.isFinite(Number(r?.avg_sector_ms)) ? Math.round(Number(r.avg_sector_ms)) : null,
+    samples: Number(r?.samples || 0) || 0,
+    holder: {
+      viewerUserId: toStr(r?.viewer_user_id),
+      login: toStr(r?.viewer_login),
+      displayName: toStr(r?.viewer_display_name),
+    },
+    competitionUuid: toStr(r?.competition_uuid),
+    achievedAtMs: Number(r?.started_at_ms || 0) || 0,
+  }));
+
+  let viewer = null;
+  if (viewerId) {
+    const bestByIndex = new Map(sectors.map((s) => [s.index, s.bestSectorMs]));
+    const viewerSectors = (Array.isArray(viewerRows?.results) ? viewerRows.results : []).map((r) => {
+      const index = Number(r?.split_index || 0) || 0;
+      const bestSectorMs = numOrNull(r?.best_sector_ms);
+      const overall = bestByIndex.get(index);
+      return {
+        index,
+        bestSectorMs,
+        samples: Number(r?.samples || 0) || 0,
+        gapMs: bestSectorMs !== null && Number.isFinite(overall) ? bestSectorMs - overall : null,
+      };
+    });
+
+    viewer = {
+      viewerUserId: viewerId,
+      sectors: viewerSectors,
+      theoreticalBestMs: theoreticalBest(viewerSectors),
+    };
+  }
+
+  const data = {
+    ok: true,
+    mapId,
+    mapHash,
+    kind,
+    sectors,
+    theoreticalBestMs: theoreticalBest(sectors),
+    viewer,
+  };
+
+  const response = json(request, data, 200, CACHE_TTL_SECONDS);
+  context.waitUntil(cache.put(cacheKey, response.clone()));
+  return response;
+}
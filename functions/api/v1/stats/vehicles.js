@@ -0,0 +1,213 @@
+// functions/api/v1/stats/vehicles.js
+// Public endpoint: per-vehicle performance (which vehicles actually win).
+//
+// GET /api/v1/stats/vehicles?vehicleType=ground&mapId=12&seasonId=
+//
+// Query params:
+// - seasonId / streamerId / mapId / vehicleType   optional filters (ALL = no filter)
+// - minRaces             hide vehicles with fewer races (default 1)
+// - showBots=1           include bot racers (excluded by default, like the leaderboard)
+//
+// One item per (vehicleId, vehicleType). Rates are 0..1. avgFinishPos only counts finishers;
+// medianTimeMs is the median finish time of FINISHED results.
+
+import { handleOptions, buildCorsHeaders } from "../../../_lib/cors.js";
+import { toBool, toStr } from "../../../_lib/dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "../../../_lib/schemaMigrations.js";
+import { countedCompetitionSql } from "../../../_lib/competitionStatus.js";
+
+const CACHE_TTL_SECONDS = 60;
+
+function json(request, data, status = 200, cacheSeconds = 0) {
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": cacheSeconds > 0 ? `public, max-age=${cacheSeconds}` : "no-store",
+    ...buildCorsHeaders(request),
+  };
+  return new Response(JSON.stringify(data, null, 2), { status, headers });
+}
+
+function getCacheKey(request) {
+  // Include Origin in cache key to avoid wrong allow-origin values.
+  const u = new URL(request.url);
+  const origin = request.headers.get("Origin") || "";
+  u.searchParams.set("_o", origin);
+  return new Request(u.toString(), request);
+}
+
+function clampInt(v, def, min, max) {
+  const n = Number.parseInt(String(v ?? ""), 10);
+  if (!Number.isFinite(n)) return def;
+  return Math.min(max, Math.max(min, n));
+}
+
+function isAll(v) {
+  return !v || v.toUpperCase() === "ALL";
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function ratio(n, d) {
+  return d > 0 ? Math.round((n / d) * 10000) / 10000 : null;
+}
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  const opt = handleOptions(request);
+  if (opt) return opt;
+
+  if (request.method !== "GET") {
+    return json(request, { error: "method_not_allowed" }, 405);
+  }
+
+  if (!env?.VF_D1_STATS) {
+    return json(
+      request,
+      { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" },
+      500,
+    );
+  }
+
+  const cache = caches.default;
+  const cacheKey = getCacheKey(request);
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  const db = env.VF_D1_STATS;
+  const url = new URL(request.url);
+  const minRaces = clampInt(url.searchParams.get("minRaces"), 1, 1, 100_000);
+
+  const where = ["r.vehicle_id IS NOT NULL", "TRIM(r.vehicle_id) <> ''"];
+  const params = [];
+
+  const counted = await countedCompetitionSql(db, "c");
+  if (counted) where.push(counted);
+
+  const seasonId = toStr(url.searchParams.get("seasonId"));
+  if (!isAll(seasonId)) {
+    where.push("c.season_id = ?");
+    params.push(seasonId);
+  }
+
+  const streamerId = toStr(url.searchParams.get("streamerId"));
+  if (!isAll(streamerId)) {
+    where.push("c.streamer_user_id = ?");
+    params.push(streamerId);
+  }
+
+  const mapId = toStr(url.searchParams.get("mapId"));
+  if (!isAll(mapId)) {
+    where.push("c.map_id = ?");
+    params.push(mapId);
+  }
+
+  const vehicleType = toStr(url.searchParams.get("vehicleType"));
+  if (!isAll(vehicleType)) {
+    where.push("LOWER(TRIM(COALESCE(c.vehicle_type,''))) = ?");
+    params.push(vehicleType.toLowerCase());
+  }
+
+  const hasBotFlag = await schemaAtLeast(db, SCHEMA.botFlags);
+  if (!toBool(url.searchParams.get("showBots")) && hasBotFlag) {
+    where.push("COALESCE(r.is_bot, 0) = 0");
+  }
+
+  const sql = `
+    WITH filtered AS (
+      SELECT
+        r.vehicle_id,
+        LOWER(TRIM(COALESCE(c.vehicle_type,''))) AS vehicle_type,
+        r.viewer_user_id,
+        r.status,
+        r.finish_position AS position,
+        r.finish_time_ms
+      FROM competition_results r
+      JOIN competitions c ON c.id = r.competition_id
+      WHERE ${where.join(" AND ")}
+    ), agg AS (
+      SELECT
+        vehicle_id,
+        vehicle_type,
+        COUNT(*) AS races,
+        COUNT(DISTINCT viewer_user_id) AS viewers,
+        SUM(CASE WHEN status = 'FINISHED' THEN 1 ELSE 0 END) AS finished_count,
+        SUM(CASE WHEN status = 'FINISHED' AND position = 1 THEN 1 ELSE 0 END) AS wins,
+        AVG(CASE WHEN status = 'FINISHED' AND position IS NOT NULL THEN position END) AS avg_finish_pos
+      FROM filtered
+      GROUP BY vehicle_id, vehicle_type
+    ), time_ranked AS (
+      SELECT
+        vehicle_id,
+        vehicle_type,
+        finish_time_ms,
+        COUNT(*) OVER (PARTITION BY vehicle_id, vehicle_type) AS n,
+        ROW_NUMBER() OVER (PARTITION BY vehicle_id, vehicle_type ORDER BY finish_time_ms ASC) AS rn
+      FROM filtered
+      WHERE status = 'FINISHED' AND finish_time_ms IS NOT NULL AND finish_time_ms > 0
+    ), time_quant AS (
+      SELECT
+        vehicle_id,
+        vehicle_type,
+        MIN(finish_time_ms) AS best_time_ms,
+        MAX(CASE WHEN rn = CAST((0.50 * n + 0.999999) AS INT) THEN finish_time_ms END) AS median_time_ms
+      FROM time_ranked
+      GROUP BY vehicle_id, vehicle_type
+    )
+    SELECT a.*, tq.best_time_ms, tq.median_time_ms
+    FROM agg a
+    LEFT JOIN time_quant tq ON tq.vehicle_id = a.vehicle_id AND tq.vehicle_type = a.vehicle_type
+    WHERE a.races >= ?
+    ORDER BY a.races DESC, a.vehicle_id ASC;
+  `;
+
+  let rows;
+  try {
+    rows = await db.prepare(sql).bind(...params, minRaces).all();
+  } catch (e) {
+    return json(
+      request,
+      {
+        error: "db_query_failed",
+        message: "Failed to query vehicle stats.",
+        details: String(e?.message || e),
+      },
+      500,
+    );
+  }
+
+  const items = (Array.isArray(rows?.results) ? rows.results : []).map((r) => {
+    const races = Number(r?.races || 0) || 0;
+    const finished = Number(r?.finished_count || 0) || 0;
+    const wins = Number(r?.wins || 0) || 0;
+    const avgPos = numOrNull(r?.avg_finish_pos);
+    return {
+      vehicleId: toStr(r?.vehicle_id),
+      vehicleType: toStr(r?.vehicle_type),
+      races,
+      viewers: Number(r?.viewers || 0) || 0,
+      wins,
+      winRate: ratio(wins, races),
+      finishedCount: finished,
+      dnfCount: races - finished,
+      dnfRate: ratio(races - finished, races),
+      avgFinishPos: avgPos === null ? null : Math.round(avgPos * 100) / 100,
+      bestTimeMs: numOrNull(r?.best_time_ms),
+      medianTimeMs: numOrNull(r?.median_time_ms),
+    };
+  });
+
+  const data = {
+    ok: true,
+    minRaces,
+    items,
+  };
+
+  const response = json(request, data, 200, CACHE_TTL_SECONDS);
+  context.waitUntil(cache.put(cacheKey, response.clone()));
+  return response;
+}
@@ -0,0 +1,155 @@
+// functions/api/v1/streamer/competitions/[competitionUuid]/approve.js
+//
+// Authenticated streamer endpoint: approve one of the streamer's QUARANTINED competitions.
+//
+// POST /api/v1/streamer/competitions/{competitionUuid}/approve
+//
+// Approving makes the race count again: achievements are awarded for its viewers (they were
+// skipped on submit), the race is rated and the map's cached finish time is recomputed. The
+// approval sticks if Unity re-submits the same competition later.
+// Races of a finalized season can't be approved (409 season_finalized).
+
+import { handleOptions } from "../../../../../_lib/cors.js";
+import { jsonResponse } from "../../../../../_lib/response.js";
+import { requireWebsiteUser } from "../../../../../_lib/twitchAuth.js";
+import { nowMs, toBool, toStr } from "../../../../../_lib/dbUtil.js";
+import { awardAchievementsForViewers } from "../../../../../_lib/achievements.js";
+import { getCompetitionStatusColumns, realViewerIds } from "../../../../../_lib/competitionStatus.js";
+import { recomputeAndUpdateMapFinishTimeMs } from "../../../../../_lib/mapFinishTime.js";
+import { isCompetitionSeasonFinalized } from "../../../../../_lib/seasonFinals.js";
+import { rateCompetition } from "../../../../../_lib/ratings.js";
+import { syncCompetitionAggregates } from "../../../../../_lib/viewerAggregates.js";
+
+export async function onRequest(context) {
+  const { request, env, params } = context;
+
+  if (request.method === "OPTIONS") return handleOptions(request);
+  if (request.method !== "POST") {
+    return jsonResponse(request, { error: "method_not_allowed" }, 405);
+  }
+
+  const auth = await requireWebsiteUser(context);
+  if (!auth.ok) return auth.response;
+
+  const streamerUserId = toStr(auth.user?.userId);
+  if (!streamerUserId) {
+    return jsonResponse(request, { error: "missing_streamer_user" }, 401);
+  }
+
+  const db = env?.VF_D1_STATS;
+  if (!db) {
+    return jsonResponse(request, { error: "db_not_bound", message: "Missing D1 binding: VF_D1_STATS" }, 500);
+  }
+
+  if (!(await getCompetitionStatusColumns(db)).quarantined) {
+    return jsonResponse(
+      request,
+      {
+        error: "db_migration_required",
+        message: "Missing competitions.quarantined. Run the stats DB migration (quarantine columns).",
+      },
+      500,
+    );
+  }
+
+  const competitionUuid = toStr(params?.competitionUuid);
+  if (!competitionUuid || competitionUuid.length > 128) {
+    return jsonResponse(request, { error: "invalid_competition_uuid" }, 400);
+  }
+
+  const comp = await db
+    .prepare("SELECT id, streamer_user_id, map_id, quarantined, approved_at_ms FROM competitions WHERE competition_uuid = ? LIMIT 1")
+    .bind(competitionUuid)
+    .first();
+
+  if (!comp) {
+    return jsonResponse(request, { error: "not_found", message: "Competition not found." }, 404);
+  }
+
+  // Streamers can only review their own races.
+  if (toStr(comp.streamer_user_id) !== streamerUserId) {
+    return jsonResponse(
+      request,
+      { error: "forbidden", message: "Only the streamer who ran this competition can approve it." },
+      403,
+    );
+  }
+
+  // A finalized season's results are archived; its races can no longer change.
+  if (await isCompetitionSeasonFinalized(db, comp.id)) {
+    return jsonResponse(
+      request,
+      { error: "season_finalized", message: "This race belongs to a finalized season and can no longer be changed." },
+      409,
+    );
+  }
+
+  if (!toBool(comp.quarantined)) {
+    return jsonResponse(request, {
+      ok: true,
+      competitionUuid,
+      quarantined: false,
+      alreadyApproved: true,
+      approvedAtMs: Number(comp.approved_at_ms || 0) || null,
+      achievementsUnlocked: [],
+    });
+  }
+
+  const approvedAtMs = nowMs();
+  await db
+    .prepare(
+      `UPDATE competitions
+       SET quarantined = 0, approved_at_ms = ?, approved_by_user_id = ?, updated_at_ms = ?
+       WHERE id = ?`,
+    )
+    .bind(approvedAtMs, streamerUserId, approvedAtMs, comp.id)
+    .run();
+
+  // Best-effort: the race counts now, so catch up on everything submit skipped.
+  let achievementsUnlocked = [];
+  try {
+    const viewerIds = await realViewerIds(db, comp.id);
+    achievementsUnlocked = await awardAchievementsForViewers(env, viewerIds, {
+      source: "competition_approved",
+      sourceRef: String(comp.id),
+    });
+  } catch {
+    achievementsUnlocked = [];
+  }
+
+  let ratingChanges = [];
+  try {
+    const r = await rateCompetition(env, comp.id);
+    ratingChanges = r?.changes || [];
+  } catch {
+    ratingChanges = [];
+  }
+
+  try {
+    await syncCompetitionAggregates(db, comp.id);
+  } catch {
+    // Best-effort; a viewer aggregates rebuild repairs any drift.
+  }
+
+  let finishTimeRecomputed = false;
+  try {
+    const mapId = Number(comp.map_id || 0) || 0;
+    if (mapId > 0) {
+      const r = await recomputeAndUpdateMapFinishTimeMs(db, mapId);
+      finishTimeRecomputed = !!r?.ok;
+    }
+  } catch {
+    finishTimeRecomputed = false;
+  }
+
+  return jsonResponse(request, {
+    ok: true,
+    competitionUuid,
+    quarantined: false,
+    alreadyApproved: false,
+    approvedAtMs,
+    finishTimeRecomputed,
+    ratingChanges,
+    achievementsUnlocked,
+  });
+}
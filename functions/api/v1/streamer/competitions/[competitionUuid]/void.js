@@ -0,0 +1,247 @@
+// functions/api/v1/streamer/competitions/[competitionUuid]/void.js
+//
+// Authenticated streamer endpoint: void / un-void one of the streamer's competitions
+// (e.g. test races that would otherwise pollute stats).
+//
+// POST   /api/v1/streamer/competitions/{competitionUuid}/void   Body (optional): { reason }
+// DELETE /api/v1/streamer/competitions/{competitionUuid}/void   un-void
+//
+// A voided race stays in D1 but is excluded from leaderboards, stats meta, achievements and the
+// map's cached finish time (see _lib/competitionStatus.js). Voiding re-checks the achievements
+// unlocked by this race and revokes the ones no longer earned, and takes the race back out of
+// the skill ratings; un-voiding restores both.
+//
+// Races of a finalized season can't be voided or un-voided (409 season_finalized).
+
+import { handleOptions } from "../../../../../_lib/cors.js";
+import { jsonResponse } from "../../../../../_lib/response.js";
+import { requireWebsiteUser } from "../../../../../_lib/twitchAuth.js";
+import { nowMs, toBool, toStr } from "../../../../../_lib/dbUtil.js";
+import {
+  awardAchievementsForViewers,
+  restoreRevokedAchievements,
+  revokeUnearnedAchievements,
+} from "../../../../../_lib/achievements.js";
+import { getCompetitionStatusColumns, realViewerIds } from "../../../../../_lib/competitionStatus.js";
+import { recomputeAndUpdateMapFinishTimeMs } from "../../../../../_lib/mapFinishTime.js";
+import { isCompetitionSeasonFinalized } from "../../../../../_lib/seasonFinals.js";
+import { rateCompetition, revertCompetitionRatings } from "../../../../../_lib/ratings.js";
+import { syncCompetitionAggregates } from "../../../../../_lib/viewerAggregates.js";
+
+async function recomputeFinishTime(db, mapId) {
+  try {
+    const id = Number(mapId || 0) || 0;
+    if (id <= 0) return false;
+    const r = await recomputeAndUpdateMapFinishTimeMs(db, id);
+    return !!r?.ok;
+  } catch {
+    return false;
+  }
+}
+
+export async function onRequest(context) {
+  const { request, env, params } = context;
+
+  if (request.method === "OPTIONS") return handleOptions(request);
+  if (!["POST", "DELETE"].includes(request.method)) {
+    return jsonResponse(request, { error: "method_not_allowed" }, 405);
+  }
+
+  const auth = await requireWebsiteUser(context);
+  if (!auth.ok) return auth.response;
+
+  const streamerUserId = toStr(auth.user?.userId);
+  if (!streamerUserId) {
+    return jsonResponse(request, { error: "missing_streamer_user" }, 401);
+  }
+
+  const db = env?.VF_D1_STATS;
+  if (!db) {
+    return jsonResponse(request, { error: "db_not_bound", message: "Missing D1 binding: VF_D1_STATS" }, 500);
+  }
+
+  const statusCols = await getCompetitionStatusColumns(db);
+  if (!statusCols.voided) {
+    return jsonResponse(
+      request,
+      {
+        error: "db_migration_required",
+        message: "Missing competitions.voided. Run the stats DB migration (void columns).",
+      },
+      500,
+    );
+  }
+
+  const competitionUuid = toStr(params?.competitionUuid);
+  if (!competitionUuid || competitionUuid.length > 128) {
+    return jsonResponse(request, { error: "invalid_competition_uuid" }, 400);
+  }
+
+  const comp = await db
+    .prepare("SELECT * FROM competitions WHERE competition_uuid = ? LIMIT 1")
+    .bind(competitionUuid)
+    .first();
+
+  if (!comp) {
+    return jsonResponse(request, { error: "not_found", message: "Competition not found." }, 404);
+  }
+
+  // Streamers can only void their own races.
+  if (toStr(comp.streamer_user_id) !== streamerUserId) {
+    return jsonResponse(
+      request,
+      { error: "forbidden", message: "Only the streamer who ran this competition can void it." },
+      403,
+    );
+  }
+
+  // A finalized season's results are archived; its races can no longer change.
+  if (await isCompetitionSeasonFinalized(db, comp.id)) {
+    return jsonResponse(
+      request,
+      { error: "season_finalized", message: "This race belongs to a finalized season and can no longer be changed." },
+      409,
+    );
+  }
+
+  const wasVoided = toBool(comp.voided);
+  const revokedFor = `void:${comp.id}`;
+  const ms = nowMs();
+
+  // --- Void ------------------------------------------------------------------
+  if (request.method === "POST") {
+    if (wasVoided) {
+      return jsonResponse(request, {
+        ok: true,
+        competitionUuid,
+        voided: true,
+        alreadyVoided: true,
+        voidedAtMs: Number(comp.voided_at_ms || 0) || null,
+        achievementsRevoked: [],
+      });
+    }
+
+    let body = null;
+    try {
+      body = await request.json();
+    } catch {
+      body = null;
+    }
+    const reason = toStr(body?.reason).slice(0, 500);
+
+    await db
+      .prepare(
+        `UPDATE competitions
+         SET voided = 1, voided_at_ms = ?, voided_by_user_id = ?, void_reason = ?, updated_at_ms = ?
+         WHERE id = ?`,
+      )
+      .bind(ms, streamerUserId, reason || null, ms, comp.id)
+      .run();
+
+    // The race no longer counts: re-check what it unlocked.
+    let achievementsRevoked = [];
+    try {
+      const r = await revokeUnearnedAchievements(env, String(comp.id), { revokedFor });
+      achievementsRevoked = r?.revoked || [];
+    } catch {
+      achievementsRevoked = [];
+    }
+
+    let ratingsReverted = 0;
+    try {
+      const r = await revertCompetitionRatings(env, comp.id);
+      ratingsReverted = Number(r?.reverted || 0) || 0;
+    } catch {
+      ratingsReverted = 0;
+    }
+
+    try {
+      await syncCompetitionAggregates(db, comp.id);
+    } catch {
+      // Best-effort; a viewer aggregates rebuild repairs any drift.
+    }
+
+    const finishTimeRecomputed = await recomputeFinishTime(db, comp.map_id);
+
+    return jsonResponse(request, {
+      ok: true,
+      competitionUuid,
+      voided: true,
+      alreadyVoided: false,
+      voidedAtMs: ms,
+      voidReason: reason,
+      finishTimeRecomputed,
+      ratingsReverted,
+      achievementsRevoked,
+    });
+  }
+
+  // --- Un-void -----------------------------------------------------------------
+  if (!wasVoided) {
+    return jsonResponse(request, {
+      ok: true,
+      competitionUuid,
+      voided: false,
+      alreadyActive: true,
+      achievementsRestored: [],
+      achievementsUnlocked: [],
+    });
+  }
+
+  await db
+    .prepare(
+      `UPDATE competitions
+       SET voided = 0, voided_at_ms = NULL, voided_by_user_id = NULL, void_reason = NULL, updated_at_ms = ?
+       WHERE id = ?`,
+    )
+    .bind(ms, comp.id)
+    .run();
+
+  let achievementsRestored = [];
+  try {
+    const r = await restoreRevokedAchievements(env, revokedFor);
+    achievementsRestored = r?.restored || [];
+  } catch {
+    achievementsRestored = [];
+  }
+
+  // Anything newly earned while the race was voided (still-quarantined races wait for approval).
+  let achievementsUnlocked = [];
+  if (!toBool(comp.quarantined)) {
+    try {
+      achievementsUnlocked = await awardAchievementsForViewers(env, await realViewerIds(db, comp.id), {
+        source: "competition",
+        sourceRef: String(comp.id),
+      });
+    } catch {
+      achievementsUnlocked = [];
+    }
+  }
+
+  let ratingChanges = [];
+  try {
+    const r = await rateCompetition(env, comp.id);
+    ratingChanges = r?.changes || [];
+  } catch {
+    ratingChanges = [];
+  }
+
+  try {
+    await syncCompetitionAggregates(db, comp.id);
+  } catch {
+    // Best-effort; a viewer aggregates rebuild repairs any drift.
+  }
+
+  const finishTimeRecomputed = await recomputeFinishTime(db, comp.map_id);
+
+  return jsonResponse(request, {
+    ok: true,
+    competitionUuid,
+    voided: false,
+    alreadyActive: false,
+    finishTimeRecomputed,
+    ratingChanges,
+    achievementsRestored,
+    achievementsUnlocked,
+  });
+}
@@ -0,0 +1,123 @@
+// functions/api/v1/streamer/competitions/index.js
+//
+// Authenticated streamer endpoint: the streamer's own competitions, by default only the
+// QUARANTINED ones waiting for review (see _lib/competitionChecks.js).
+//
+// GET /api/v1/streamer/competitions?status=quarantined|voided|all&limit=50
+//
+// Approve a race via POST   /api/v1/streamer/competitions/{competitionUuid}/approve.
+// Void a race via    POST   /api/v1/streamer/competitions/{competitionUuid}/void (DELETE un-voids).
+
+import { handleOptions } from "../../../../_lib/cors.js";
+import { jsonResponse } from "../../../../_lib/response.js";
+import { requireWebsiteUser } from "../../../../_lib/twitchAuth.js";
+import { toBool, toStr } from "../../../../_lib/dbUtil.js";
+import { getCompetitionStatusColumns } from "../../../../_lib/competitionStatus.js";
+import { parseQuarantineReasons } from "../../../../_lib/competitionChecks.js";
+
+function clampInt(v, def, min, max) {
+  const n = Number.parseInt(String(v ?? ""), 10);
+  if (!Number.isFinite(n)) return def;
+  return Math.min(max, Math.max(min, n));
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeRow(row) {
+  return {
+    competitionId: Number(row?.id || 0) || 0,
+    competitionUuid: toStr(row?.competition_uuid),
+    seasonId: toStr(row?.season_id),
+    mapId: numOrNull(row?.map_id),
+    mapName: toStr(row?.map_name),
+    vehicleType: toStr(row?.vehicle_type),
+    gameMode: toStr(row?.game_mode),
+    startedAtMs: Number(row?.started_at_ms || 0) || 0,
+    endedAtMs: Number(row?.ended_at_ms || 0) || 0,
+    participantCount: Number(row?.participant_count || 0) || 0,
+    quarantined: toBool(row?.quarantined),
+    quarantineReasons: parseQuarantineReasons(row?.quarantine_reasons),
+    approvedAtMs: numOrNull(row?.approved_at_ms),
+    approvedByUserId: toStr(row?.approved_by_user_id),
+    voided: toBool(row?.voided),
+    voidedAtMs: numOrNull(row?.voided_at_ms),
+    voidReason: toStr(row?.void_reason),
+  };
+}
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (request.method === "OPTIONS") return handleOptions(request);
+  if (request.method !== "GET") {
+    return jsonResponse(request, { error: "method_not_allowed" }, 405);
+  }
+
+  const auth = await requireWebsiteUser(context);
+  if (!auth.ok) return auth.response;
+
+  const streamerUserId = toStr(auth.user?.userId);
+  if (!streamerUserId) {
+    return jsonResponse(request, { error: "missing_streamer_user" }, 401);
+  }
+
+  const db = env?.VF_D1_STATS;
+  if (!db) {
+    return jsonResponse(request, { error: "db_not_bound", message: "Missing D1 binding: VF_D1_STATS" }, 500);
+  }
+
+  const statusCols = await getCompetitionStatusColumns(db);
+  if (!statusCols.quarantined) {
+    return jsonResponse(
+      request,
+      {
+        error: "db_migration_required",
+        message: "Missing competitions.quarantined. Run the stats DB migration (quarantine columns).",
+      },
+      500,
+    );
+  }
+
+  const url = new URL(request.url);
+  const statusRaw = toStr(url.searchParams.get("status")).toLowerCase();
+  const status = ["all", "voided"].includes(statusRaw) ? statusRaw : "quarantined";
+  const limit = clampInt(url.searchParams.get("limit"), 50, 1, 200);
+
+  let statusWhere = "";
+  // Voiding a quarantined race is how a streamer rejects it, so it leaves the review queue.
+  if (status === "quarantined") {
+    statusWhere = statusCols.voided ? "AND c.quarantined = 1 AND COALESCE(c.voided, 0) = 0" : "AND c.quarantined = 1";
+  }
+  if (status === "voided") statusWhere = statusCols.voided ? "AND c.voided = 1" : "AND 0";
+
+  let rows;
+  try {
+    rows = await db
+      .prepare(
+        `SELECT
+           c.*,
+           (SELECT COUNT(*) FROM competition_results r WHERE r.competition_id = c.id) AS participant_count
+         FROM competitions c
+         WHERE c.streamer_user_id = ?
+           ${statusWhere}
+         ORDER BY c.started_at_ms DESC, c.id DESC
+         LIMIT ?`,
+      )
+      .bind(streamerUserId, limit)
+      .all();
+  } catch (e) {
+    return jsonResponse(
+      request,
+      { error: "db_query_failed", message: "Failed to query competitions.", details: String(e?.message || e) },
+      500,
+    );
+  }
+
+  const competitions = (Array.isArray(rows?.results) ? rows.results : []).map(normalizeRow);
+
+  return jsonResponse(request, { ok: true, status, limit, competitions });
+}
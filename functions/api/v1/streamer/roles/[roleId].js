@@ -6,6 +6,20 @@ import { handleOptions } from "../../../../_lib/cors.js";
 import { jsonResponse } from "../../../../_lib/response.js";
 import { requireWebsiteUser } from "../../../../_lib/twitchAuth.js";
 import { isoFromMs, nowMs, tableExists, toStr } from "../../../../_lib/dbUtil.js";
+import { v, validateBody, validationErrorResponse } from "../../../../_lib/validation.js";
+
+const RENAME_ROLE_SCHEMA = v.object(
+  {
+    roleName: v.string(),
+    name: v.string(),
+  },
+  {
+    required: true,
+    check: (b, addError) => {
+      if (!b.roleName && !b.name) addError("roleName", "required", "Role name is required.");
+    },
+  },
+);
 
 function isValidRoleId(id) {
   return /^[a-z0-9_-]{1,32}$/.test(String(id || "").trim());
@@ -155,11 +169,15 @@ export async function onRequest(context) {
       body = null;
     }
 
-    const roleName = toStr(body?.roleName || body?.name);
-    if (!roleName) {
-      return jsonResponse(request, { error: "role_name_required", message: "Role name is required." }, 400);
+    const parsed = validateBody(RENAME_ROLE_SCHEMA, body);
+    if (!parsed.ok) {
+      return validationErrorResponse(request, parsed.errors, {
+        legacyErrors: { "": "role_name_required", roleName: "role_name_required" },
+      });
     }
 
+    const roleName = parsed.value.roleName || parsed.value.name;
+
     const ms = nowMs();
     const res = await db
       .prepare(
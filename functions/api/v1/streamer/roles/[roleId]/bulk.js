@@ -15,6 +15,30 @@ import { handleOptions } from "../../../../../_lib/cors.js";
 import { jsonResponse } from "../../../../../_lib/response.js";
 import { requireWebsiteUser } from "../../../../../_lib/twitchAuth.js";
 import { nowMs, tableExists, toStr } from "../../../../../_lib/dbUtil.js";
+import { v, validateBody, validationErrorResponse } from "../../../../../_lib/validation.js";
+
+// Users come as usersRaw / usersText (comma or newline delimited) or a users array.
+// An EMPTY list is allowed for mode=set (the easiest way to clear the role).
+const BULK_SCHEMA = v.object(
+  {
+    mode: v.string({ required: true, lower: true, oneOf: ["add", "remove", "set", "delete"] }),
+    dryRun: v.bool({ default: true }),
+    usersRaw: v.string({ trim: false }),
+    usersText: v.string({ trim: false }),
+    users: v.array(v.string()),
+  },
+  {
+    required: true,
+    check: (b, addError) => {
+      if (b.mode !== "set" && !parseUserList(b).length) {
+        addError("users", "required", "Provide at least one user (comma or newline delimited).");
+      }
+    },
+  },
+);
+
+// Error codes this endpoint answered with before field-level validation.
+const BULK_LEGACY_ERRORS = { "": "invalid_mode", mode: "invalid_mode", users: "no_users" };
 
 function isValidRoleId(id) {
   return /^[a-z0-9_-]{1,32}$/.test(String(id || "").trim());
@@ -360,27 +384,12 @@ export async function onRequest(context) {
     body = null;
   }
 
-  const modeRaw = toStr(body?.mode).toLowerCase();
-  const mode = modeRaw === "delete" ? "remove" : modeRaw;
-  if (!mode || !["add", "remove", "set"].includes(mode)) {
-    return jsonResponse(
-      request,
-      { error: "invalid_mode", message: "mode must be one of: add, remove, set" },
-      400,
-    );
-  }
-
-  const dryRun = body?.dryRun === undefined ? true : !!body?.dryRun;
+  const parsed = validateBody(BULK_SCHEMA, body);
+  if (!parsed.ok) return validationErrorResponse(request, parsed.errors, { legacyErrors: BULK_LEGACY_ERRORS });
 
-  const tokens = parseUserList(body);
-  // Allow an EMPTY list for mode=set (this is the easiest way to clear the role).
-  if (!tokens.length && mode !== "set") {
-    return jsonResponse(
-      request,
-      { error: "no_users", message: "Provide at least one user (comma or newline delimited)." },
-      400,
-    );
-  }
+  const mode = parsed.value.mode === "delete" ? "remove" : parsed.value.mode;
+  const dryRun = parsed.value.dryRun;
+  const tokens = parseUserList(parsed.value);
 
   const clientId = String(auth?.validated?.client_id || "").trim() || String(env?.VF_TWITCH_CLIENT_ID || "").trim();
   // Only use Twitch Helix resolution when the request is authenticated with a Twitch token.
@@ -15,6 +15,29 @@ import { handleOptions } from "../../../../_lib/cors.js";
 import { jsonResponse } from "../../../../_lib/response.js";
 import { requireWebsiteUser } from "../../../../_lib/twitchAuth.js";
 import { isoFromMs, nowMs, tableExists, toStr } from "../../../../_lib/dbUtil.js";
+import { v, validateBody, validationErrorResponse } from "../../../../_lib/validation.js";
+
+// roleName (or its older alias `name`) is required; roleId defaults to a slug of the name.
+const CREATE_ROLE_SCHEMA = v.object(
+  {
+    roleName: v.string(),
+    name: v.string(),
+    roleId: v.string({
+      lower: true,
+      pattern: /^[a-z0-9_-]{1,32}$/,
+      patternHint: "Use only a-z, 0-9, underscore, or hyphen (max 32 chars).",
+    }),
+  },
+  {
+    required: true,
+    check: (b, addError) => {
+      if (!b.roleName && !b.name) addError("roleName", "required", "Role name is required.");
+    },
+  },
+);
+
+// Error codes this endpoint answered with before field-level validation.
+const CREATE_ROLE_LEGACY_ERRORS = { "": "role_name_required", roleName: "role_name_required", roleId: "invalid_role_id" };
 
 function slugify(s) {
   return String(s || "")
@@ -202,29 +225,19 @@ export async function onRequest(context) {
     body = null;
   }
 
-  const roleName = toStr(body?.roleName || body?.name);
-  let requestedId = toStr(body?.roleId).toLowerCase();
-
-  if (!roleName) {
-    return jsonResponse(request, { error: "role_name_required", message: "Role name is required." }, 400);
+  const parsed = validateBody(CREATE_ROLE_SCHEMA, body);
+  if (!parsed.ok) {
+    return validationErrorResponse(request, parsed.errors, { legacyErrors: CREATE_ROLE_LEGACY_ERRORS });
   }
 
-  if (!requestedId) {
-    requestedId = slugify(roleName);
-  }
-
-  if (!requestedId) {
-    return jsonResponse(request, { error: "role_id_required", message: "Role id is required." }, 400);
-  }
+  const roleName = parsed.value.roleName || parsed.value.name;
+  const requestedId = parsed.value.roleId || slugify(roleName);
 
   if (!isValidRoleId(requestedId)) {
-    return jsonResponse(
+    return validationErrorResponse(
       request,
-      {
-        error: "invalid_role_id",
-        message: "Role id is invalid. Use only a-z, 0-9, underscore, or hyphen (max 32 chars).",
-      },
-      400,
+      [{ path: "roleId", code: "invalid_format", message: "Role name has no usable characters; provide a roleId." }],
+      { legacyErrors: { roleId: "role_id_required" } },
     );
   }
 
@@ -0,0 +1,134 @@
+// functions/api/v1/streamer/sessions/[sessionId].js
+//
+// Authenticated streamer endpoint: end-of-stream recap for one of the streamer's sessions.
+//
+// GET /api/v1/streamer/sessions/{sessionId}?gapMinutes=120&top=5
+//
+// sessionId is a session's id from GET /api/v1/streamer/sessions (the uuid of its first race).
+// Any race uuid works: the recap covers the session containing it. "latest" = the most recent session.
+//
+// Returns:
+// - session             { sessionId, startedAtMs, endedAtMs, durationMs, racesRun, maps, ... }
+// - uniqueParticipants  non-bot viewers who raced
+// - newViewers          participants racing on this channel for the first time
+// - topFinishers        best `top` participants by wins, then podiums, then races
+// - achievements        unlocks earned in the session's races
+// - summaryText         a short plain-text recap, ready to paste into a social post
+
+import { handleOptions } from "../../../../_lib/cors.js";
+import { jsonResponse } from "../../../../_lib/response.js";
+import { requireWebsiteUser } from "../../../../_lib/twitchAuth.js";
+import { toStr } from "../../../../_lib/dbUtil.js";
+import { DEFAULT_SESSION_GAP_MINUTES, findStreamSession, loadSessionRecap } from "../../../../_lib/streamSessions.js";
+import { v, validateQuery, validationErrorResponse } from "../../../../_lib/validation.js";
+
+const QUERY_SCHEMA = v.object({
+  gapMinutes: v.int({ min: 5, max: 1440, default: DEFAULT_SESSION_GAP_MINUTES }),
+  top: v.int({ min: 1, max: 50, default: 5 }),
+});
+
+function viewerName(p) {
+  return p?.viewerDisplayName || p?.viewerLogin || p?.viewerUserId || "";
+}
+
+function plural(n, one, many = `${one}s`) {
+  return `${n} ${n === 1 ? one : many}`;
+}
+
+function formatDuration(ms) {
+  const totalMin = Math.round(Math.max(0, ms) / 60_000);
+  const h = Math.floor(totalMin / 60);
+  const m = totalMin % 60;
+  return h ? `${h}h ${String(m).padStart(2, "0")}m` : `${m}m`;
+}
+
+function buildSummaryText({ session, uniqueParticipants, newViewers, topFinishers, achievements }) {
+  const lines = [
+    `Stream recap: ${plural(session.racesRun, "race")} in ${formatDuration(session.durationMs)}, ` +
+      `${plural(uniqueParticipants, "racer")} (${newViewers.length} new).`,
+  ];
+
+  const winners = topFinishers.filter((p) => p.wins > 0);
+  if (winners.length) {
+    lines.push(`Top finishers: ${winners.map((p) => `${viewerName(p)} (${plural(p.wins, "win")})`).join(", ")}.`);
+  }
+  if (achievements.length) {
+    lines.push(`${plural(achievements.length, "achievement")} unlocked.`);
+  }
+  if (session.maps.length) {
+    lines.push(`Tracks: ${session.maps.join(", ")}.`);
+  }
+  return lines.join("\n");
+}
+
+export async function onRequest(context) {
+  const { request, env, params } = context;
+
+  if (request.method === "OPTIONS") return handleOptions(request);
+  if (request.method !== "GET") {
+    return jsonResponse(request, { error: "method_not_allowed" }, 405);
+  }
+
+  const auth = await requireWebsiteUser(context);
+  if (!auth.ok) return auth.response;
+
+  const streamerUserId = toStr(auth.user?.userId);
+  if (!streamerUserId) {
+    return jsonResponse(request, { error: "missing_streamer_user" }, 401);
+  }
+
+  const sessionId = toStr(params?.sessionId);
+  if (!sessionId || sessionId.length > 128) {
+    return jsonResponse(request, { error: "invalid_session_id" }, 400);
+  }
+
+  const db = env?.VF_D1_STATS;
+  if (!db) {
+    return jsonResponse(request, { error: "db_not_bound", message: "Missing D1 binding: VF_D1_STATS" }, 500);
+  }
+
+  const q = validateQuery(QUERY_SCHEMA, new URL(request.url).searchParams);
+  if (!q.ok) return validationErrorResponse(request, q.errors);
+  const { gapMinutes, top } = q.value;
+
+  let session;
+  let recap;
+  try {
+    session = await findStreamSession(db, streamerUserId, sessionId, { gapMs: gapMinutes * 60_000 });
+    if (session) recap = await loadSessionRecap(db, streamerUserId, session);
+  } catch (e) {
+    return jsonResponse(
+      request,
+      { error: "db_query_failed", message: "Failed to build the session recap.", details: String(e?.message || e) },
+      500,
+    );
+  }
+
+  if (!session) {
+    return jsonResponse(request, { error: "not_found", message: "Session not found." }, 404);
+  }
+
+  const { participants, achievements } = recap;
+  const names = new Map(participants.map((p) => [p.viewerUserId, p]));
+
+  const data = {
+    session,
+    uniqueParticipants: participants.length,
+    newViewers: participants
+      .filter((p) => p.isNew)
+      .map((p) => ({
+        viewerUserId: p.viewerUserId,
+        viewerLogin: p.viewerLogin,
+        viewerDisplayName: p.viewerDisplayName,
+        viewerProfileImageUrl: p.viewerProfileImageUrl,
+      })),
+    topFinishers: participants.slice(0, top).map(({ isNew, ...p }) => p),
+    achievements: achievements.map((a) => ({
+      ...a,
+      viewerLogin: names.get(a.viewerUserId)?.viewerLogin || "",
+      viewerDisplayName: names.get(a.viewerUserId)?.viewerDisplayName || "",
+    })),
+  };
+
+  return jsonResponse(request, { ok: true, gapMinutes, ...data, summaryText: buildSummaryText(data) });
+}
@@ -0,0 +1,76 @@
+// functions/api/v1/streamer/sessions/index.js
+//
+// Authenticated streamer endpoint: the streamer's own races grouped into stream sessions
+// (see _lib/streamSessions.js). Only counted races are grouped (quarantined / voided ones are left out).
+//
+// GET /api/v1/streamer/sessions?gapMinutes=120&limit=20&before=
+//
+// Query params:
+// - gapMinutes  a pause longer than this between two races starts a new session (5-1440, default 120)
+// - limit       sessions per page (1-30, default 20)
+// - before      paging cursor: the previous response's nextBefore
+//
+// Each session: { sessionId, startedAtMs, endedAtMs, durationMs, racesRun, uniqueParticipants, maps, ... }.
+// The recap for one session is GET /api/v1/streamer/sessions/{sessionId} (or /latest).
+
+import { handleOptions } from "../../../../_lib/cors.js";
+import { jsonResponse } from "../../../../_lib/response.js";
+import { requireWebsiteUser } from "../../../../_lib/twitchAuth.js";
+import { toStr } from "../../../../_lib/dbUtil.js";
+import { DEFAULT_SESSION_GAP_MINUTES, listStreamSessions } from "../../../../_lib/streamSessions.js";
+import { v, validateQuery, validationErrorResponse } from "../../../../_lib/validation.js";
+
+const QUERY_SCHEMA = v.object({
+  gapMinutes: v.int({ min: 5, max: 1440, default: DEFAULT_SESSION_GAP_MINUTES }),
+  limit: v.int({ min: 1, max: 30, default: 20 }),
+  before: v.int({ min: 1 }),
+});
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (request.method === "OPTIONS") return handleOptions(request);
+  if (request.method !== "GET") {
+    return jsonResponse(request, { error: "method_not_allowed" }, 405);
+  }
+
+  const auth = await requireWebsiteUser(context);
+  if (!auth.ok) return auth.response;
+
+  const streamerUserId = toStr(auth.user?.userId);
+  if (!streamerUserId) {
+    return jsonResponse(request, { error: "missing_streamer_user" }, 401);
+  }
+
+  const db = env?.VF_D1_STATS;
+  if (!db) {
+    return jsonResponse(request, { error: "db_not_bound", message: "Missing D1 binding: VF_D1_STATS" }, 500);
+  }
+
+  const q = validateQuery(QUERY_SCHEMA, new URL(request.url).searchParams);
+  if (!q.ok) return validationErrorResponse(request, q.errors);
+  const { gapMinutes, limit, before } = q.value;
+
+  let page;
+  try {
+    page = await listStreamSessions(db, streamerUserId, {
+      gapMs: gapMinutes * 60_000,
+      limit,
+      beforeMs: before || null,
+    });
+  } catch (e) {
+    return jsonResponse(
+      request,
+      { error: "db_query_failed", message: "Failed to query stream sessions.", details: String(e?.message || e) },
+      500,
+    );
+  }
+
+  return jsonResponse(request, {
+    ok: true,
+    gapMinutes,
+    limit,
+    sessions: page.sessions,
+    nextBefore: page.nextBefore,
+  });
+}
@@ -12,6 +12,17 @@ import { handleOptions } from "../../../../_lib/cors.js";
 import { jsonResponse } from "../../../../_lib/response.js";
 import { requireWebsiteUser } from "../../../../_lib/twitchAuth.js";
 import { nowMs, tableExists, toStr } from "../../../../_lib/dbUtil.js";
+import { v, validateBody, validationErrorResponse } from "../../../../_lib/validation.js";
+
+// roleIds (or its older alias `roles`). Ids that aren't roles of this streamer are ignored
+// and show up as requestedCount > validCount in the summary.
+const SET_USER_ROLES_SCHEMA = v.object(
+  {
+    roleIds: v.array(v.string({ lower: true })),
+    roles: v.array(v.string({ lower: true })),
+  },
+  { required: true },
+);
 
 function isValidRoleId(id) {
   return /^[a-z0-9_-]{1,32}$/.test(String(id || "").trim());
@@ -170,7 +181,10 @@ export async function onRequest(context) {
     body = null;
   }
 
-  const requested = uniqueRoleIds(body?.roleIds || body?.roles || []);
+  const parsed = validateBody(SET_USER_ROLES_SCHEMA, body);
+  if (!parsed.ok) return validationErrorResponse(request, parsed.errors);
+
+  const requested = uniqueRoleIds(parsed.value.roleIds || parsed.value.roles || []);
   const validRoles = await getStreamerRoleIdSet(db, streamerUserId);
   const desired = requested.filter((id) => validRoles.has(id));
 
@@ -4,9 +4,11 @@
 // per competition type.
 //
 // New storage (v0.6+): D1
-// - vf_viewer_default_vehicles
+// - vf_viewer_default_vehicles (migration 5)
 // - vehicle eligibility uses:
 //    vf_vehicle_assignments + vf_vehicle_assignment_roles + vf_vehicle_role_competitions
+//   These are created by manage.viewerfrenzy.com, not by the stats migrations, so they are
+//   probed (tableExists) instead of version-checked.
 //
 // Legacy fallback (pre-v0.6): KV per competition type
 // - VF_KV_GROUND | VF_KV_RESORT | VF_KV_SPACE | VF_KV_TRACKFIELD | VF_KV_WATER | VF_KV_WINTER
@@ -18,9 +20,20 @@ import { jsonResponse } from "../../../_lib/response.js";
 import { requireWebsiteUser } from "../../../_lib/twitchAuth.js";
 import { recordViewerAction, awardAchievementsForViewers } from "../../../_lib/achievements.js";
 import { isoFromMs, msFromIso, nowMs, tableExists, toStr, toBoolInt } from "../../../_lib/dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "../../../_lib/schemaMigrations.js";
+import { v, validateBody, validationErrorResponse } from "../../../_lib/validation.js";
 
 const COMPETITIONS = ["ground", "resort", "space", "trackfield", "water", "winter"];
 
+// vehicleId is the current field; selectedVehicleId / id are older client spellings.
+// An empty / missing vehicle id clears the default.
+const SET_DEFAULT_SCHEMA = v.object({
+  vehicleId: v.string({ maxLength: 128 }),
+  selectedVehicleId: v.string({ maxLength: 128 }),
+  id: v.string({ maxLength: 128 }),
+  clientUpdatedAtUnix: v.number(),
+});
+
 function toBool(v) {
   if (typeof v === "boolean") return v;
   if (typeof v === "number") return v !== 0;
@@ -329,7 +342,7 @@ function getKvForType(env, type) {
 async function readViewerDefaultFromD1(env, userId, type) {
   const db = env?.VF_D1_STATS;
   if (!db) return { ok: false };
-  const ok = await tableExists(db, "vf_viewer_default_vehicles");
+  const ok = await schemaAtLeast(db, SCHEMA.defaultVehicles);
   if (!ok) return { ok: false };
 
   const row = await db
@@ -354,7 +367,7 @@ async function readViewerDefaultFromD1(env, userId, type) {
 async function upsertViewerDefaultToD1(env, userId, type, record) {
   const db = env?.VF_D1_STATS;
   if (!db) return false;
-  const ok = await tableExists(db, "vf_viewer_default_vehicles");
+  const ok = await schemaAtLeast(db, SCHEMA.defaultVehicles);
   if (!ok) return false;
 
   const updatedAtMs = msFromIso(record?.updatedAt) ?? nowMs();
@@ -375,7 +388,7 @@ async function deleteViewerDefaultFromD1(env, userId, type) {
   try {
     const db = env?.VF_D1_STATS;
     if (!db) return false;
-    const ok = await tableExists(db, "vf_viewer_default_vehicles");
+    const ok = await schemaAtLeast(db, SCHEMA.defaultVehicles);
     if (!ok) return false;
     await db
       .prepare("DELETE FROM vf_viewer_default_vehicles WHERE viewer_user_id = ? AND competition_type = ?")
@@ -507,8 +520,11 @@ export async function onRequest(context) {
       body = null;
     }
 
-    const vehicleIdRaw = body?.vehicleId ?? body?.selectedVehicleId ?? body?.id ?? "";
-    const vehicleId = (vehicleIdRaw ?? "").toString();
+    const parsed = validateBody(SET_DEFAULT_SCHEMA, body, { coerce: true });
+    if (!parsed.ok) return validationErrorResponse(request, parsed.errors);
+
+    const input = parsed.value || {};
+    const vehicleId = input.vehicleId ?? input.selectedVehicleId ?? input.id ?? "";
 
     // Enforce disabled / eligibility rules
     const eligibility = await validateVehicleEligibility(vehicleId, type, env, userId);
@@ -521,7 +537,7 @@ export async function onRequest(context) {
     const record = {
       vehicleId,
       updatedAt: nowIso,
-      clientUpdatedAtUnix: body?.clientUpdatedAtUnix ?? null,
+      clientUpdatedAtUnix: input.clientUpdatedAtUnix ?? null,
     };
 
     let stored = false;
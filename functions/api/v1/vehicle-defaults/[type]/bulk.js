@@ -3,10 +3,16 @@
 import { handleOptions } from "../../../../_lib/cors.js";
 import { jsonResponse } from "../../../../_lib/response.js";
 import { requireWebsiteUser } from "../../../../_lib/twitchAuth.js";
-import { isoFromMs, tableExists, toStr } from "../../../../_lib/dbUtil.js";
+import { isoFromMs, toStr } from "../../../../_lib/dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "../../../../_lib/schemaMigrations.js";
+import { v, validateBody, validationErrorResponse } from "../../../../_lib/validation.js";
 
 const COMPETITIONS = ["ground", "resort", "space", "trackfield", "water", "winter"];
 
+const BULK_SCHEMA = v.object({
+  userIds: v.array(v.string()),
+});
+
 function getKvForType(env, type) {
   const t = toStr(type).toLowerCase();
   const map = {
@@ -67,7 +73,10 @@ export async function onRequest(context) {
     body = null;
   }
 
-  const userIds = normalizeUserIds(body?.userIds);
+  const parsed = validateBody(BULK_SCHEMA, body, { coerce: true });
+  if (!parsed.ok) return validationErrorResponse(request, parsed.errors);
+
+  const userIds = normalizeUserIds(parsed.value?.userIds);
 
   // IMPORTANT: Unity expects "records" to exist even when empty.
   if (userIds.length === 0) {
@@ -84,7 +93,7 @@ export async function onRequest(context) {
   // Prefer D1
   try {
     const db = env?.VF_D1_STATS;
-    if (db && (await tableExists(db, "vf_viewer_default_vehicles"))) {
+    if (db && (await schemaAtLeast(db, SCHEMA.defaultVehicles))) {
       const placeholders = userIds.map(() => "?").join(",");
       const rs = await db
         .prepare(
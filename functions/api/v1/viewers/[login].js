@@ -0,0 +1,355 @@
+// functions/api/v1/viewers/[login].js
+// Public endpoint: viewer profile.
+//
+// GET /api/v1/viewers/{login}?seasonId=&vehicleType=
+//
+// {login} is a Twitch login (case-insensitive) or a viewer user id.
+//
+// Returns:
+// - viewer          identity (vf_users, falling back to the latest race result)
+// - career          the viewer's leaderboard row (same aggregates + filters as /api/v1/stats/leaderboard;
+//                   seasonId / vehicleType narrow it), null if they haven't raced
+// - recentRaces     last RECENT_RACES counted races
+// - personalBests   best time per map version (most recently raced maps first) with rank + track record
+// - favouriteVehicles  most raced vehicles
+// - streaks         current win / podium / finish streaks, best win streak, days active in a row
+//                   (all counted races, see _lib/viewerStreaks.js)
+// - achievements    unlocked achievements, newest first (tiered ones once, at the highest tier reached)
+// - garage          current default vehicle per vehicle type (vf_viewer_default_vehicles)
+//
+// Quarantined / voided races never count, matching the leaderboard.
+
+import { handleOptions, buildCorsHeaders } from "../../../_lib/cors.js";
+import { toStr } from "../../../_lib/dbUtil.js";
+import { SCHEMA, schemaAtLeast } from "../../../_lib/schemaMigrations.js";
+import { achievementTierNames } from "../../../_lib/achievements.js";
+import { countedCompetitionSql } from "../../../_lib/competitionStatus.js";
+import { leaderboardDataQuery, resolveLeaderboardFilters } from "../../../_lib/leaderboardQuery.js";
+import { loadTrackRecord, personalBestRank } from "../../../_lib/trackRecords.js";
+import { resolveViewer } from "../../../_lib/viewerIdentity.js";
+import { loadViewerStreaks } from "../../../_lib/viewerStreaks.js";
+
+const CACHE_TTL_SECONDS = 60;
+
+const RECENT_RACES = 10;
+const PERSONAL_BEST_MAPS = 12;
+const FAVOURITE_VEHICLES = 5;
+
+function json(request, data, status = 200, cacheSeconds = 0) {
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": cacheSeconds > 0 ? `public, max-age=${cacheSeconds}` : "no-store",
+    ...buildCorsHeaders(request),
+  };
+  return new Response(JSON.stringify(data, null, 2), { status, headers });
+}
+
+function getCacheKey(request) {
+  // Include Origin in cache key to avoid wrong allow-origin values.
+  const u = new URL(request.url);
+  const origin = request.headers.get("Origin") || "";
+  u.searchParams.set("_o", origin);
+  return new Request(u.toString(), request);
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// The viewer's row from the leaderboard query, with the request's season / mode filters.
+async function loadCareer(db, viewerUserId, url) {
+  const lbUrl = new URL("https://local/leaderboard");
+  for (const k of ["seasonId", "vehicleType"]) {
+    const v = toStr(url.searchParams.get(k));
+    if (v) lbUrl.searchParams.set(k, v);
+  }
+  lbUrl.searchParams.set("viewerId", viewerUserId);
+
+  const filters = await resolveLeaderboardFilters(db, lbUrl, { allowAggregates: true });
+  if (!filters.ok) return null;
+
+  const { sql, extraParams } = await leaderboardDataQuery(db, lbUrl, filters);
+  const row = await db
+    .prepare(sql)
+    .bind(...filters.params, ...extraParams, 1, 0)
+    .first();
+  return row || null;
+}
+
+async function loadRecentRaces(db, viewerUserId, counted) {
+  const rs = await db
+    .prepare(
+      `SELECT
+         c.competition_uuid,
+         c.streamer_user_id,
+         c.streamer_login,
+         c.map_id,
+         c.map_name,
+         c.vehicle_type,
+         c.started_at_ms,
+         r.finish_position,
+         r.status,
+         r.finish_time_ms,
+         r.vehicle_id,
+         (SELECT COUNT(*) FROM competition_results x WHERE x.competition_id = c.id) AS participant_count
+       FROM competition_results r
+       JOIN competitions c ON c.id = r.competition_id
+       WHERE r.viewer_user_id = ? ${counted ? `AND ${counted}` : ""}
+       ORDER BY c.started_at_ms DESC, c.id DESC
+       LIMIT ?`,
+    )
+    .bind(viewerUserId, RECENT_RACES)
+    .all();
+
+  return (Array.isArray(rs?.results) ? rs.results : []).map((r) => ({
+    competitionUuid: toStr(r?.competition_uuid),
+    streamerUserId: toStr(r?.streamer_user_id),
+    streamerLogin: toStr(r?.streamer_login),
+    mapId: numOrNull(r?.map_id),
+    mapName: toStr(r?.map_name),
+    vehicleType: toStr(r?.vehicle_type),
+    startedAtMs: Number(r?.started_at_ms || 0) || 0,
+    position: numOrNull(r?.finish_position),
+    status: toStr(r?.status),
+    timeMs: numOrNull(r?.finish_time_ms),
+    vehicleId: toStr(r?.vehicle_id),
+    participantCount: Number(r?.participant_count || 0) || 0,
+  }));
+}
+
+// Best time per map version (see _lib/trackRecords.js for what a "version" is).
+async function loadPersonalBestsByMap(db, viewerUserId, counted) {
+  const rs = await db
+    .prepare(
+      `WITH finishes AS (
+         SELECT
+           c.map_id,
+           c.map_name,
+           COALESCE(c.map_hash_sha256, '') AS map_hash,
+           CASE WHEN COALESCE(c.map_hash_sha256, '') = '' THEN c.map_version END AS map_version,
+           c.competition_uuid,
+           c.started_at_ms,
+           r.finish_time_ms,
+           r.vehicle_id
+         FROM competition_results r
+         JOIN competitions c ON c.id = r.competition_id
+         WHERE r.viewer_user_id = ?
+           AND r.status = 'FINISHED'
+           AND r.finish_time_ms > 0
+           AND c.map_id IS NOT NULL
+           ${counted ? `AND ${counted}` : ""}
+       ), ranked AS (
+         SELECT
+           f.*,
+           ROW_NUMBER() OVER (PARTITION BY map_id, map_hash, map_version ORDER BY finish_time_ms ASC, started_at_ms ASC) AS rn,
+           MAX(started_at_ms) OVER (PARTITION BY map_id, map_hash, map_version) AS last_raced_at_ms
+         FROM finishes f
+       )
+       SELECT *
+       FROM ranked
+       WHERE rn = 1
+       ORDER BY last_raced_at_ms DESC
+       LIMIT ?`,
+    )
+    .bind(viewerUserId, PERSONAL_BEST_MAPS)
+    .all();
+
+  const rows = Array.isArray(rs?.results) ? rs.results : [];
+  const out = [];
+  for (const r of rows) {
+    const key = { mapId: Number(r.map_id), mapHash: toStr(r.map_hash), mapVersion: numOrNull(r.map_version) };
+    const [rank, record] = await Promise.all([
+      personalBestRank(db, key, viewerUserId, r.finish_time_ms),
+      loadTrackRecord(db, key),
+    ]);
+    out.push({
+      mapId: key.mapId,
+      mapName: toStr(r.map_name),
+      mapHash: key.mapHash,
+      mapVersion: key.mapVersion,
+      timeMs: numOrNull(r.finish_time_ms),
+      vehicleId: toStr(r.vehicle_id),
+      competitionUuid: toStr(r.competition_uuid),
+      achievedAtMs: Number(r.started_at_ms || 0) || 0,
+      rank,
+      isTrackRecord: record?.viewerUserId === viewerUserId,
+      trackRecord: record ? { viewerUserId: record.viewerUserId, login: record.login, timeMs: record.timeMs } : null,
+    });
+  }
+  return out;
+}
+
+async function loadFavouriteVehicles(db, viewerUserId, counted) {
+  const rs = await db
+    .prepare(
+      `SELECT
+         r.vehicle_id,
+         LOWER(COALESCE(c.vehicle_type, '')) AS vehicle_type,
+         COUNT(*) AS races,
+         SUM(CASE WHEN r.status = 'FINISHED' AND r.finish_position = 1 THEN 1 ELSE 0 END) AS wins,
+         MIN(CASE WHEN r.status = 'FINISHED' THEN r.finish_time_ms END) AS best_time_ms
+       FROM competition_results r
+       JOIN competitions c ON c.id = r.competition_id
+       WHERE r.viewer_user_id = ?
+         AND COALESCE(r.vehicle_id, '') <> ''
+         ${counted ? `AND ${counted}` : ""}
+       GROUP BY r.vehicle_id, LOWER(COALESCE(c.vehicle_type, ''))
+       ORDER BY races DESC, wins DESC
+       LIMIT ?`,
+    )
+    .bind(viewerUserId, FAVOURITE_VEHICLES)
+    .all();
+
+  return (Array.isArray(rs?.results) ? rs.results : []).map((r) => ({
+    vehicleId: toStr(r?.vehicle_id),
+    vehicleType: toStr(r?.vehicle_type),
+    races: Number(r?.races || 0) || 0,
+    wins: Number(r?.wins || 0) || 0,
+    bestTimeMs: numOrNull(r?.best_time_ms),
+  }));
+}
+
+async function loadAchievements(db, viewerUserId) {
+  if (!(await schemaAtLeast(db, SCHEMA.statsCore))) return [];
+  const hasTiers = await schemaAtLeast(db, SCHEMA.achievementTiers);
+  const rs = await db
+    .prepare(
+      `SELECT
+         ua.achievement_id AS achievementId,
+         ${hasTiers ? "ua.tier" : "0"} AS tier,
+         ua.unlocked_at_ms AS unlockedAtMs,
+         a.name AS name,
+         a.description AS description,
+         a.criteria AS criteria
+       FROM viewer_achievements ua
+       JOIN achievements a ON a.id = ua.achievement_id
+       WHERE ua.viewer_user_id = ?
+       ORDER BY ua.unlocked_at_ms DESC${hasTiers ? ", ua.tier DESC" : ""}`,
+    )
+    .bind(viewerUserId)
+    .all();
+
+  // Newest first, so the first row of a tiered achievement is its highest tier.
+  const out = [];
+  const seen = new Set();
+  for (const r of Array.isArray(rs?.results) ? rs.results : []) {
+    if (seen.has(r.achievementId)) continue;
+    seen.add(r.achievementId);
+
+    const { criteria, tier, ...row } = r;
+    const tierNames = tier ? achievementTierNames(criteria) : null;
+    out.push(tierNames ? { ...row, tier, tierName: tierNames[tier] || "", tierCount: tierNames.length - 1 } : row);
+  }
+  return out;
+}
+
+// Legacy KV-only defaults (pre-v0.6) aren't shown; they move to D1 the next time the viewer opens the Garage.
+async function loadGarage(db, viewerUserId) {
+  if (!(await schemaAtLeast(db, SCHEMA.defaultVehicles))) return [];
+  const rs = await db
+    .prepare(
+      `SELECT competition_type, vehicle_id, updated_at_ms
+       FROM vf_viewer_default_vehicles
+       WHERE viewer_user_id = ?
+       ORDER BY competition_type ASC`,
+    )
+    .bind(viewerUserId)
+    .all();
+  return (Array.isArray(rs?.results) ? rs.results : []).map((r) => ({
+    vehicleType: toStr(r?.competition_type),
+    vehicleId: toStr(r?.vehicle_id),
+    updatedAtMs: Number(r?.updated_at_ms || 0) || 0,
+  }));
+}
+
+export async function onRequest(context) {
+  const { request, env, params } = context;
+
+  const opt = handleOptions(request);
+  if (opt) return opt;
+
+  if (request.method !== "GET") {
+    return json(request, { error: "method_not_allowed" }, 405);
+  }
+
+  if (!env?.VF_D1_STATS) {
+    return json(
+      request,
+      { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" },
+      500,
+    );
+  }
+
+  const key = toStr(params?.login);
+  if (!key || key.length > 64) {
+    return json(request, { error: "invalid_login", message: "A viewer login or user id is required." }, 400);
+  }
+
+  // Edge cache per full query string.
+  const cache = caches.default;
+  const cacheKey = getCacheKey(request);
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  const db = env.VF_D1_STATS;
+  const url = new URL(request.url);
+
+  let viewer;
+  try {
+    viewer = await resolveViewer(db, key);
+  } catch (e) {
+    return json(
+      request,
+      {
+        error: "db_not_initialized",
+        message:
+          "Stats DB tables not found. Initialize/upgrade the stats database from manage.viewerfrenzy.com → DB Manager.",
+        details: String(e?.message || e),
+      },
+      503,
+    );
+  }
+
+  if (!viewer) {
+    return json(request, { error: "not_found", message: `No viewer named "${key}".` }, 404);
+  }
+
+  let data;
+  try {
+    const counted = await countedCompetitionSql(db, "c");
+    const id = viewer.viewerUserId;
+    const [career, recentRaces, personalBests, favouriteVehicles, streaks, achievements, garage] = await Promise.all([
+      loadCareer(db, id, url),
+      loadRecentRaces(db, id, counted),
+      loadPersonalBestsByMap(db, id, counted),
+      loadFavouriteVehicles(db, id, counted),
+      loadViewerStreaks(db, [id]).then((m) => m.get(id)),
+      loadAchievements(db, id),
+      loadGarage(db, id),
+    ]);
+
+    data = {
+      ok: true,
+      viewer,
+      career,
+      recentRaces,
+      personalBests,
+      favouriteVehicles,
+      streaks,
+      achievements,
+      garage,
+    };
+  } catch (e) {
+    return json(
+      request,
+      { error: "db_query_failed", message: "Failed to load viewer profile.", details: String(e?.message || e) },
+      500,
+    );
+  }
+
+  const response = json(request, data, 200, CACHE_TTL_SECONDS);
+  context.waitUntil(cache.put(cacheKey, response.clone()));
+  return response;
+}
@@ -0,0 +1,128 @@
+// functions/api/v1/viewers/[login]/rank-history.js
+// Public endpoint: a viewer's leaderboard rank over time.
+//
+// GET /api/v1/viewers/{login}/rank-history?seasonId=&streamerId=&mapId=&vehicleType=&limit=90
+//
+// Filters pick the leaderboard (same meaning as /api/v1/stats/leaderboard, ALL / empty = any).
+// Returns:
+// - series    one point per stored snapshot (daily + season_end, see _lib/leaderboardSnapshots.js),
+//             oldest first; rank is null on days the viewer wasn't on that board yet
+// - current   today's standing { rank, previousRank, rankDelta }, null if unranked / unavailable
+
+import { handleOptions, buildCorsHeaders } from "../../../../_lib/cors.js";
+import { toStr } from "../../../../_lib/dbUtil.js";
+import { hasSnapshotTables, loadRankHistory, loadRankMovement } from "../../../../_lib/leaderboardSnapshots.js";
+import { leaderboardScopeKey } from "../../../../_lib/viewerAggregates.js";
+import { resolveViewer } from "../../../../_lib/viewerIdentity.js";
+import { v, validateQuery, validationErrorBody } from "../../../../_lib/validation.js";
+
+const CACHE_TTL_SECONDS = 60;
+
+const QUERY_SCHEMA = v.object({
+  seasonId: v.string({ maxLength: 64 }),
+  streamerId: v.string({ maxLength: 64 }),
+  mapId: v.string({ maxLength: 64 }),
+  vehicleType: v.string({ maxLength: 32 }),
+  limit: v.int({ min: 1, max: 365, default: 90 }),
+});
+
+function json(request, data, status = 200, cacheSeconds = 0) {
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": cacheSeconds > 0 ? `public, max-age=${cacheSeconds}` : "no-store",
+    ...buildCorsHeaders(request),
+  };
+  return new Response(JSON.stringify(data, null, 2), { status, headers });
+}
+
+function getCacheKey(request) {
+  // Include Origin in cache key to avoid wrong allow-origin values.
+  const u = new URL(request.url);
+  const origin = request.headers.get("Origin") || "";
+  u.searchParams.set("_o", origin);
+  return new Request(u.toString(), request);
+}
+
+export async function onRequest(context) {
+  const { request, env, params } = context;
+
+  const opt = handleOptions(request);
+  if (opt) return opt;
+
+  if (request.method !== "GET") {
+    return json(request, { error: "method_not_allowed" }, 405);
+  }
+
+  if (!env?.VF_D1_STATS) {
+    return json(
+      request,
+      { error: "d1_not_bound", message: "Missing D1 binding: VF_D1_STATS" },
+      500,
+    );
+  }
+
+  const key = toStr(params?.login);
+  if (!key || key.length > 64) {
+    return json(request, { error: "invalid_login", message: "A viewer login or user id is required." }, 400);
+  }
+
+  const url = new URL(request.url);
+  const q = validateQuery(QUERY_SCHEMA, url.searchParams);
+  if (!q.ok) return json(request, validationErrorBody(q.errors), 400);
+
+  // Edge cache per full query string.
+  const cache = caches.default;
+  const cacheKey = getCacheKey(request);
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  const db = env.VF_D1_STATS;
+
+  let viewer;
+  try {
+    if (!(await hasSnapshotTables(db))) throw new Error("leaderboard_snapshots table missing");
+    viewer = await resolveViewer(db, key);
+  } catch (e) {
+    return json(
+      request,
+      {
+        error: "db_not_initialized",
+        message:
+          "Stats DB tables not found. Initialize/upgrade the stats database from manage.viewerfrenzy.com → DB Manager.",
+        details: String(e?.message || e),
+      },
+      503,
+    );
+  }
+
+  if (!viewer) {
+    return json(request, { error: "not_found", message: `No viewer named "${key}".` }, 404);
+  }
+
+  const scopeKey = leaderboardScopeKey(q.value);
+
+  let data;
+  try {
+    const [series, movement] = await Promise.all([
+      loadRankHistory(db, scopeKey, viewer.viewerUserId, { limit: q.value.limit }),
+      loadRankMovement(db, scopeKey, [viewer.viewerUserId]),
+    ]);
+
+    data = {
+      ok: true,
+      viewer,
+      series,
+      current: movement?.byViewer.get(viewer.viewerUserId) || null,
+    };
+  } catch (e) {
+    return json(
+      request,
+      { error: "db_query_failed", message: "Failed to load rank history.", details: String(e?.message || e) },
+      500,
+    );
+  }
+
+  const response = json(request, data, 200, CACHE_TTL_SECONDS);
+  context.waitUntil(cache.put(cacheKey, response.clone()));
+  return response;
+}
@@ -60,6 +60,10 @@ function matchesSearch(a, search) {
   const desc = String(a?.description || "").toLowerCase();
   if (name.includes(q) || desc.includes(q)) return true;
 
+  // Tier names (Bronze, Silver, ...)
+  const tiers = Array.isArray(a?.tiers) ? a.tiers : [];
+  if (tiers.some((t) => String(t?.name || "").toLowerCase().includes(q))) return true;
+
   // Also search requirement labels
   const reqs = Array.isArray(a?.requirements) ? a.requirements : [];
   for (const r of reqs) {
@@ -142,7 +146,10 @@ function sortAchievements(list) {
 }
 
 function renderRequirement(r) {
+  // any(...) groups show their best branch.
+  const branches = Array.isArray(r?.branches) ? r.branches.length : 0;
   const label = escapeHtml(r?.metricLabel || r?.metric || "");
+  const hint = branches > 1 ? ` <span class="vf-muted">(best of ${branches} ways)</span>` : "";
   const op = String(r?.op || "").trim();
   const current = Number(r?.current || 0) || 0;
   const target = Number(r?.target || 0) || 0;
@@ -166,7 +173,7 @@ function renderRequirement(r) {
   return `
     <div class="vf-achReq">
       <div class="vf-achReqMain">
-        <div class="vf-achReqLabel">${icon} ${label}</div>
+        <div class="vf-achReqLabel">${icon} ${label}${hint}</div>
         <div class="vf-achReqValue">${escapeHtml(valueText)}</div>
       </div>
       <div class="vf-achReqBar" role="progressbar" aria-label="${label} progress" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${p}">
@@ -176,6 +183,29 @@ function renderRequirement(r) {
   `;
 }
 
+// Tiered achievements: one badge per tier, reached ones highlighted and the next one outlined.
+function renderTiers(a) {
+  const tiers = Array.isArray(a?.tiers) ? a.tiers : [];
+  if (!tiers.length) return "";
+
+  const next = Number(a?.nextTier?.tier || 0) || 0;
+
+  return `
+    <div class="vf-achTiers">
+      ${tiers
+        .map((t) => {
+          const at = Number(t?.unlockedAtMs || 0) || 0;
+          const classes = ["vf-achTier"];
+          if (at > 0) classes.push("is-unlocked");
+          else if (Number(t?.tier) === next) classes.push("is-next");
+          const title = at > 0 ? `Unlocked ${formatDate(at)}` : Number(t?.tier) === next ? "Next tier" : "Locked";
+          return `<span class="${classes.join(" ")}" title="${escapeHtml(title)}">${at > 0 ? "★" : "☆"} ${escapeHtml(t?.name || "")}</span>`;
+        })
+        .join("")}
+    </div>
+  `;
+}
+
 function renderAchievementCard(a) {
   const name = escapeHtml(a?.name || "(Unnamed)");
   const desc = escapeHtml(a?.description || "");
@@ -188,9 +218,13 @@ function renderAchievementCard(a) {
   const sat = Number(a?.requirementsSatisfied || 0) || 0;
   const total = Number(a?.requirementsTotal || 0) || 0;
 
+  const tiered = Array.isArray(a?.tiers) && a.tiers.length > 0;
+  const currentTierName = String(a?.currentTierName || "");
+  const nextTierName = String(a?.nextTier?.name || "");
+
   let badge = "";
   if (unlocked) {
-    badge = `<span class="vf-achBadge vf-achBadgeDone">Unlocked</span>`;
+    badge = `<span class="vf-achBadge vf-achBadgeDone">${tiered ? escapeHtml(currentTierName) : "Unlocked"}</span>`;
   } else if (eligible) {
     badge = `<span class="vf-achBadge vf-achBadgeEligible">Eligible</span>`;
   } else {
@@ -198,10 +232,12 @@ function renderAchievementCard(a) {
   }
 
   const meta = unlocked
-    ? `<div class="vf-achMeta">Unlocked: ${escapeHtml(formatDate(unlockedAtMs))}</div>`
+    ? `<div class="vf-achMeta">${tiered ? "All tiers unlocked" : "Unlocked"}: ${escapeHtml(formatDate(unlockedAtMs))}</div>`
     : eligible
-      ? `<div class="vf-achMeta">You meet the criteria. It will unlock next time the game submits results.</div>`
-      : `<div class="vf-achMeta">${sat} / ${total} requirements complete</div>`;
+      ? `<div class="vf-achMeta">You meet the criteria${tiered ? ` for ${escapeHtml(nextTierName)}` : ""}. It will unlock next time the game submits results.</div>`
+      : `<div class="vf-achMeta">${sat} / ${total} requirements complete${tiered && currentTierName ? ` • ${escapeHtml(currentTierName)} reached` : ""}</div>`;
+
+  const overallLabel = tiered && !unlocked ? `Progress to ${escapeHtml(nextTierName)}` : "Overall progress";
 
   const reqs = Array.isArray(a?.requirements) ? a.requirements : [];
 
@@ -216,10 +252,11 @@ function renderAchievementCard(a) {
         ${badge}
       </div>
       ${desc ? `<div class="vf-achDesc">${desc}</div>` : ""}
+      ${renderTiers(a)}
 
       <div class="vf-achOverall">
         <div class="vf-achOverallTop">
-          <div class="vf-achOverallLabel">Overall progress</div>
+          <div class="vf-achOverallLabel">${overallLabel}</div>
           <div class="vf-achOverallPct">${unlocked ? "100%" : eligible ? "100%" : `${overall}%`}</div>
         </div>
         <div class="vf-progressBar" role="progressbar" aria-label="Overall achievement progress" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${unlocked ? 100 : eligible ? 100 : overall}">
@@ -106,7 +106,8 @@ export async function getStatsMeta(query = {}) {
 
 // Public: Leaderboard / stats
 // query example:
-//   { seasonId, streamerId, mapId, streamerSearch, viewerSearch, mapSearch, sortBy, sortDir, page, pageSize }
+//   { seasonId, streamerId, mapId, streamerSearch, viewerSearch, mapSearch, sortBy, sortDir, page, pageSize,
+//     range: "today" | "stream" | "7d" | "30d", tzOffset, from, to, mode: "wins" | "championship" }
 export async function getLeaderboard(query = {}) {
   const u = new URL("/api/v1/stats/leaderboard", window.location.origin);
   for (const [k, v] of Object.entries(query || {})) {
@@ -118,6 +119,157 @@ export async function getLeaderboard(query = {}) {
   return apiFetch(u.pathname + (u.search ? u.search : ""), { method: "GET" });
 }
 
+// Public: download URLs for the full filtered leaderboard / raw results (CSV or NDJSON).
+// Same query as getLeaderboard, plus { format: "csv" | "ndjson", columns: "viewer,wins,..." }.
+// page / pageSize are ignored by the server (exports are not paged).
+function exportUrl(path, query) {
+  const u = new URL(path, window.location.origin);
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v === undefined || v === null) continue;
+    const s = String(v).trim();
+    if (!s) continue;
+    u.searchParams.set(k, s);
+  }
+  return u.pathname + (u.search ? u.search : "");
+}
+
+export function getLeaderboardExportUrl(query = {}) {
+  return exportUrl("/api/v1/stats/export/leaderboard", query);
+}
+
+export function getResultsExportUrl(query = {}) {
+  return exportUrl("/api/v1/stats/export/results", query);
+}
+
+// Public: viewer profile (career stats, recent races, personal bests, vehicles, achievements, garage)
+// loginOrId: Twitch login or viewer user id. query example: { seasonId, vehicleType }
+export async function getViewerProfile(loginOrId, query = {}) {
+  const u = new URL(`/api/v1/viewers/${encodeURIComponent(String(loginOrId || "").trim())}`, window.location.origin);
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v === undefined || v === null) continue;
+    const s = String(v).trim();
+    if (!s) continue;
+    u.searchParams.set(k, s);
+  }
+  return apiFetch(u.pathname + (u.search ? u.search : ""), { method: "GET" });
+}
+
+// Public: a viewer's leaderboard rank over time (daily + season-end snapshots)
+// query example: { seasonId, streamerId, mapId, vehicleType, limit }
+export async function getViewerRankHistory(loginOrId, query = {}) {
+  const u = new URL(
+    `/api/v1/viewers/${encodeURIComponent(String(loginOrId || "").trim())}/rank-history`,
+    window.location.origin,
+  );
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v === undefined || v === null) continue;
+    const s = String(v).trim();
+    if (!s) continue;
+    u.searchParams.set(k, s);
+  }
+  return apiFetch(u.pathname + (u.search ? u.search : ""), { method: "GET" });
+}
+
+// Public: best sectors for one map (+ optional viewer sector bests)
+// query example:
+//   { mapId, kind: "checkpoint" | "lap", seasonId, vehicleType, viewerId }
+export async function getSectorStats(query = {}) {
+  const u = new URL("/api/v1/stats/sectors", window.location.origin);
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v === undefined || v === null) continue;
+    const s = String(v).trim();
+    if (!s) continue;
+    u.searchParams.set(k, s);
+  }
+  return apiFetch(u.pathname + (u.search ? u.search : ""), { method: "GET" });
+}
+
+// Public: head-to-head rivalry stats between two viewers (user id or login)
+// query example:
+//   { a, b, seasonId, streamerId, vehicleType }
+export async function getHeadToHead(query = {}) {
+  const u = new URL("/api/v1/stats/head-to-head", window.location.origin);
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v === undefined || v === null) continue;
+    const s = String(v).trim();
+    if (!s) continue;
+    u.searchParams.set(k, s);
+  }
+  return apiFetch(u.pathname + (u.search ? u.search : ""), { method: "GET" });
+}
+
+// Public: per-vehicle performance
+// query example:
+//   { seasonId, streamerId, mapId, vehicleType, minRaces, showBots }
+export async function getVehicleStats(query = {}) {
+  const u = new URL("/api/v1/stats/vehicles", window.location.origin);
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v === undefined || v === null) continue;
+    const s = String(v).trim();
+    if (!s) continue;
+    u.searchParams.set(k, s);
+  }
+  return apiFetch(u.pathname + (u.search ? u.search : ""), { method: "GET" });
+}
+
+// Public: race log (cursor paginated)
+// query example:
+//   { streamerId, seasonId, mapId, mapKey, vehicleType, gameMode, from, to, viewerId, limit, cursor }
+export async function getCompetitions(query = {}) {
+  const u = new URL("/api/v1/competitions", window.location.origin);
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v === undefined || v === null) continue;
+    const s = String(v).trim();
+    if (!s) continue;
+    u.searchParams.set(k, s);
+  }
+  return apiFetch(u.pathname + (u.search ? u.search : ""), { method: "GET" });
+}
+
+// Public: a single competition + all per-viewer results
+export async function getCompetition(competitionUuid) {
+  const id = String(competitionUuid || "").trim();
+  if (!id) throw new Error("competitionUuid required");
+  return apiFetch(`/api/v1/competitions/${encodeURIComponent(id)}`, { method: "GET" });
+}
+
+// Public: track record + personal bests for one map (current map version unless mapHash is given)
+export async function getMapRecords(mapId, { mapHash = "", viewerId = "", limit = 25 } = {}) {
+  const id = String(mapId || "").trim();
+  if (!id) throw new Error("mapId required");
+  const qs = new URLSearchParams({ limit: String(limit || 25) });
+  if (mapHash) qs.set("mapHash", String(mapHash));
+  if (viewerId) qs.set("viewerId", String(viewerId));
+  return apiFetch(`/api/v1/maps/${encodeURIComponent(id)}/records?${qs.toString()}`, { method: "GET" });
+}
+
+// Public: a season's championship points table (the default one when none is set)
+export async function getSeasonPointsTable(seasonId) {
+  const id = String(seasonId || "").trim();
+  if (!id) throw new Error("seasonId required");
+  return apiFetch(`/api/v1/seasons/${encodeURIComponent(id)}/points`, { method: "GET" });
+}
+
+// Public: a finalized season's archived standings (404 not_finalized until the season is finalized)
+export async function getSeasonFinal(seasonId, { limit = 100, offset = 0, viewerId = "" } = {}) {
+  const id = String(seasonId || "").trim();
+  if (!id) throw new Error("seasonId required");
+  const qs = new URLSearchParams({ limit: String(limit || 100), offset: String(offset || 0) });
+  if (viewerId) qs.set("viewerId", String(viewerId));
+  return apiFetch(`/api/v1/seasons/${encodeURIComponent(id)}/final?${qs.toString()}`, { method: "GET" });
+}
+
+// Public: how a map plays (races, unique viewers, DNF rate, winning-time distribution, top vehicles)
+export async function getMapStats(mapId, { mapHash = "", allVersions = false, showBots = false, buckets = 10 } = {}) {
+  const id = String(mapId || "").trim();
+  if (!id) throw new Error("mapId required");
+  const qs = new URLSearchParams({ buckets: String(buckets || 10) });
+  if (mapHash) qs.set("mapHash", String(mapHash));
+  if (allVersions) qs.set("allVersions", "1");
+  if (showBots) qs.set("showBots", "1");
+  return apiFetch(`/api/v1/maps/${encodeURIComponent(id)}/stats?${qs.toString()}`, { method: "GET" });
+}
+
 // Authenticated: Achievements + progress for current user
 export async function getMyAchievementProgress(auth) {
   return apiFetch("/api/v1/me/achievement-progress", { method: "GET", auth });
@@ -169,6 +321,57 @@ export async function removeStreamerUser(viewerUserId, auth) {
   return apiFetch(`/api/v1/streamer/users/${encodeURIComponent(id)}`, { method: "DELETE", auth });
 }
 
+// ---------------------------------------------------------------------------
+// Streamer tools: competition review (quarantine approval / void)
+// ---------------------------------------------------------------------------
+
+export async function listStreamerCompetitions({ status = "quarantined", limit = 50 } = {}, auth) {
+  const qs = new URLSearchParams({ status: String(status || "quarantined"), limit: String(limit || 50) });
+  return apiFetch(`/api/v1/streamer/competitions?${qs.toString()}`, { method: "GET", auth });
+}
+
+export async function approveStreamerCompetition(competitionUuid, auth) {
+  const id = String(competitionUuid || "").trim();
+  if (!id) throw new Error("competitionUuid required");
+  return apiFetch(`/api/v1/streamer/competitions/${encodeURIComponent(id)}/approve`, { method: "POST", auth });
+}
+
+export async function voidStreamerCompetition(competitionUuid, { reason = "" } = {}, auth) {
+  const id = String(competitionUuid || "").trim();
+  if (!id) throw new Error("competitionUuid required");
+  return apiFetch(`/api/v1/streamer/competitions/${encodeURIComponent(id)}/void`, {
+    method: "POST",
+    auth,
+    body: { reason },
+  });
+}
+
+export async function unvoidStreamerCompetition(competitionUuid, auth) {
+  const id = String(competitionUuid || "").trim();
+  if (!id) throw new Error("competitionUuid required");
+  return apiFetch(`/api/v1/streamer/competitions/${encodeURIComponent(id)}/void`, { method: "DELETE", auth });
+}
+
+// ---------------------------------------------------------------------------
+// Streamer tools: stream sessions + end-of-stream recap
+// ---------------------------------------------------------------------------
+
+export async function listStreamerSessions({ gapMinutes = 0, limit = 20, before = 0 } = {}, auth) {
+  const qs = new URLSearchParams({ limit: String(limit || 20) });
+  if (gapMinutes) qs.set("gapMinutes", String(gapMinutes));
+  if (before) qs.set("before", String(before));
+  return apiFetch(`/api/v1/streamer/sessions?${qs.toString()}`, { method: "GET", auth });
+}
+
+// sessionId: a session id from listStreamerSessions, or "latest"
+export async function getStreamerSessionRecap(sessionId = "latest", { gapMinutes = 0, top = 5 } = {}, auth) {
+  const id = String(sessionId || "").trim();
+  if (!id) throw new Error("sessionId required");
+  const qs = new URLSearchParams({ top: String(top || 5) });
+  if (gapMinutes) qs.set("gapMinutes", String(gapMinutes));
+  return apiFetch(`/api/v1/streamer/sessions/${encodeURIComponent(id)}?${qs.toString()}`, { method: "GET", auth });
+}
+
 // ---------------------------------------------------------------------------
 // Streamer tools: ViewerFrenzy custom roles (streamer-scoped)
 // ---------------------------------------------------------------------------
@@ -1,6 +1,7 @@
 import { requireSession } from "./session.js";
 import * as api from "./api.js";
 import { toast } from "./ui.js";
+import { loadVehicleCatalog } from "./catalog.js";
 
 // Per-user column preferences live in localStorage.
 // Versioned so we can migrate/ignore old formats safely later.
@@ -109,8 +110,29 @@ async function fetchActiveSeasonId() {
   }
 }
 
+// <input type="date"> value (YYYY-MM-DD) -> epoch ms at local midnight (or the end of that day).
+function localDateToMs(value, endOfDay = false) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || "").trim());
+  if (!m) return "";
+  const d = endOfDay
+    ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 23, 59, 59, 999)
+    : new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  const ms = d.getTime();
+  return Number.isFinite(ms) ? String(ms) : "";
+}
+
+function buildTimeQuery(state) {
+  if (state.range === "custom") {
+    return { from: localDateToMs(state.fromDate), to: localDateToMs(state.toDate, true) };
+  }
+  if (!state.range || state.range === "ALL") return {};
+  // "today" means the viewer's local day.
+  return { range: state.range, tzOffset: state.range === "today" ? String(new Date().getTimezoneOffset()) : "" };
+}
+
 function buildQuery(state) {
   const q = {
+    ...buildTimeQuery(state),
     seasonId: state.seasonId || "ALL",
     streamerId: state.streamerId || "ALL",
     mapId: state.mapId || "ALL",
@@ -120,6 +142,7 @@ function buildQuery(state) {
     mapSearch: state.mapSearch || "",
     // Hide bots by default. Only send the param when enabled, so older servers ignore it.
     showBots: state.showBots ? "1" : "",
+    mode: state.mode === "championship" ? "championship" : "",
     sortBy: state.sortBy || "wins",
     sortDir: state.sortDir || "desc",
     page: state.page,
@@ -134,6 +157,9 @@ function buildQuery(state) {
 const COLUMN_DEFS = [
   { key: "viewer", group: "Viewer", headerTop: "Viewer", title: "Viewer" , always: true },
 
+  // Only in the championship ranking (always shown there).
+  { key: "points", group: "Championship", headerTop: "Pts", headerBottom: "Champ", title: "Championship points (season points table)", championship: true },
+
   { key: "competitions", group: "Counts", headerTop: "#", headerBottom: "Races", title: "Number of competitions" },
   { key: "wins", group: "Counts", headerTop: "#1", headerBottom: "Wins", title: "Wins / 1st place" },
   { key: "seconds", group: "Counts", headerTop: "#2", headerBottom: "2nd", title: "2nd place finishes" },
@@ -158,6 +184,8 @@ const COLUMN_DEFS = [
   { key: "p75TimeMs", group: "Finish time", headerTop: "P75", headerBottom: "Time", title: "75th percentile finish time" },
   { key: "p90TimeMs", group: "Finish time", headerTop: "P90", headerBottom: "Time", title: "90th percentile finish time" },
   { key: "worstTimeMs", group: "Finish time", headerTop: "Worst", headerBottom: "Time", title: "Worst finish time" },
+
+  { key: "rating", group: "Skill", headerTop: "Elo", headerBottom: "Rating", title: "Skill rating (per vehicle type when filtered)" },
 ];
 
 const ALL_COLUMN_KEYS = COLUMN_DEFS.map((c) => c.key);
@@ -192,13 +220,13 @@ function getVisibleColumns(state) {
   const visible = new Set(state.visibleKeys || []);
   // Always keep viewer.
   visible.add("viewer");
-  return COLUMN_DEFS.filter((c) => c.always || visible.has(c.key));
+  return COLUMN_DEFS.filter((c) => (c.championship ? state.mode === "championship" : c.always || visible.has(c.key)));
 }
 
 function ensureSortKeyVisible(state) {
   const visible = new Set(getVisibleColumns(state).map((c) => c.key));
   if (!visible.has(state.sortBy)) {
-    state.sortBy = "wins";
+    state.sortBy = state.mode === "championship" ? "points" : "wins";
     state.sortDir = "desc";
   }
 }
@@ -259,10 +287,31 @@ function renderHeader(state, cols) {
   return `${groupRow}${colRow}`;
 }
 
-function renderRow(item, cols) {
+// Movement since the latest daily leaderboard snapshot (rank / previousRank / rankDelta from the API).
+function renderRankMove(item, since) {
+  const rank = Number(item?.rank);
+  if (!Number.isFinite(rank) || rank <= 0) return "";
+  const sinceLabel = since?.period ? `since ${since.period}` : "since the last snapshot";
+
+  const delta = item?.rankDelta;
+  if (delta === null || delta === undefined) {
+    return `<span class="vf-rankMove vf-rankNew" title="${escapeHtml(`New on this leaderboard ${sinceLabel} (now #${rank})`)}">new</span>`;
+  }
+
+  const d = Number(delta);
+  if (!d) return "";
+  const prev = Number(item?.previousRank);
+  const title = `${d > 0 ? "Up" : "Down"} ${Math.abs(d)} ${sinceLabel} (#${prev} → #${rank})`;
+  return d > 0
+    ? `<span class="vf-rankMove vf-rankUp" title="${escapeHtml(title)}">▲${d}</span>`
+    : `<span class="vf-rankMove vf-rankDown" title="${escapeHtml(title)}">▼${Math.abs(d)}</span>`;
+}
+
+function renderRow(item, cols, movementSince = null) {
   const login = item?.viewerLogin || "";
   const display = item?.viewerDisplayName || login || item?.viewerUserId || "Viewer";
-  const twitchUrl = login ? `https://twitch.tv/${encodeURIComponent(login)}` : "";
+  const profileKey = login || item?.viewerUserId || "";
+  const profileUrl = profileKey ? `/viewer/${encodeURIComponent(profileKey)}` : "";
 
   const avatarUrl = item?.viewerProfileImageUrl || "";
   const avatarImg = avatarUrl
@@ -274,14 +323,14 @@ function renderRow(item, cols) {
     <div class="vf-viewerCell">
       ${avatarImg}
       <div class="vf-viewerText">
-        <div class="vf-viewerName">${escapeHtml(display)}</div>
+        <div class="vf-viewerName">${escapeHtml(display)}${renderRankMove(item, movementSince)}</div>
         ${showLogin ? `<div class="vf-viewerSub">@${escapeHtml(login)}</div>` : ""}
       </div>
     </div>
   `;
 
-  const viewerCell = twitchUrl
-    ? `<a class="vf-link" href="${twitchUrl}" target="_blank" rel="noopener">${viewerInner}</a>`
+  const viewerCell = profileUrl
+    ? `<a class="vf-link" href="${profileUrl}" title="Open profile">${viewerInner}</a>`
     : viewerInner;
 
   const num = (k, digits = 2) => formatNumber(item?.[k], digits);
@@ -311,6 +360,8 @@ function renderRow(item, cols) {
     p25TimeMs: time("p25TimeMs"),
     p75TimeMs: time("p75TimeMs"),
     p90TimeMs: time("p90TimeMs"),
+    rating: num("rating", 0),
+    points: num("points", 0),
   };
 
   return `
@@ -327,6 +378,114 @@ function renderRow(item, cols) {
   `;
 }
 
+function viewerLabel(v) {
+  const display = v?.displayName || v?.login || v?.viewerUserId || "?";
+  return escapeHtml(display);
+}
+
+function renderHeadToHead(resp) {
+  const a = resp?.a || {};
+  const b = resp?.b || {};
+  const total = Number(resp?.racesTogether || 0);
+
+  if (!total) {
+    return `<div class="vf-muted vf-small">${viewerLabel(a)} and ${viewerLabel(b)} haven't raced each other yet (with these filters).</div>`;
+  }
+
+  const gap = Number(resp?.avgPositionGap);
+  let gapText = "—";
+  if (Number.isFinite(gap)) {
+    gapText = gap === 0 ? "even" : `${formatNumber(Math.abs(gap), 2)} places in favour of ${viewerLabel(gap > 0 ? a : b)}`;
+  }
+
+  const mapRows = (Array.isArray(resp?.maps) ? resp.maps : [])
+    .map((m) => `
+      <tr>
+        <td>${escapeHtml(m?.mapName || (m?.mapId ? `#${m.mapId}` : "—"))}</td>
+        <td class="vf-tdNum">${formatNumber(m?.races, 0)}</td>
+        <td class="vf-tdNum">${formatNumber(m?.aAhead, 0)} – ${formatNumber(m?.bAhead, 0)}</td>
+        <td class="vf-tdNum">${formatTimeMs(m?.aBestTimeMs)}</td>
+        <td class="vf-tdNum">${formatTimeMs(m?.bBestTimeMs)}</td>
+      </tr>
+    `)
+    .join("");
+
+  return `
+    <div class="vf-row" style="flex-wrap: wrap; gap: 16px;">
+      <div><div class="vf-muted vf-small">Races together</div><div class="vf-h2">${formatNumber(total, 0)}</div></div>
+      <div><div class="vf-muted vf-small">${viewerLabel(a)} ahead</div><div class="vf-h2">${formatNumber(resp?.aAhead, 0)}</div></div>
+      <div><div class="vf-muted vf-small">${viewerLabel(b)} ahead</div><div class="vf-h2">${formatNumber(resp?.bAhead, 0)}</div></div>
+      <div><div class="vf-muted vf-small">Ties</div><div class="vf-h2">${formatNumber(resp?.ties, 0)}</div></div>
+      <div><div class="vf-muted vf-small">Avg position gap</div><div>${gapText}</div></div>
+    </div>
+
+    <div class="vf-tableWrap" style="margin-top: 12px">
+      <table class="vf-table vf-tableStriped vf-tableAuto">
+        <thead>
+          <tr>
+            <th>Map</th>
+            <th class="vf-thNum">Races</th>
+            <th class="vf-thNum">Ahead (${viewerLabel(a)} – ${viewerLabel(b)})</th>
+            <th class="vf-thNum">${viewerLabel(a)} best</th>
+            <th class="vf-thNum">${viewerLabel(b)} best</th>
+          </tr>
+        </thead>
+        <tbody>${mapRows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function formatPercent(ratio01) {
+  if (ratio01 === null || ratio01 === undefined) return "—";
+  const n = Number(ratio01);
+  if (!Number.isFinite(n)) return "—";
+  return `${(n * 100).toFixed(1)}%`;
+}
+
+// vehicleId -> display name, across every vehicle type in the catalog.
+async function loadVehicleNames() {
+  const names = new Map();
+  try {
+    const catalog = await loadVehicleCatalog();
+    for (const t of Object.values(catalog?.types || {})) {
+      for (const o of Array.isArray(t?.options) ? t.options : []) {
+        if (o?.id) names.set(String(o.id), String(o.displayName || o.id));
+      }
+    }
+  } catch {
+    // Names are cosmetic; fall back to raw ids.
+  }
+  return names;
+}
+
+function renderVehicleRows(items, names) {
+  if (!items.length) {
+    return `<tr><td colspan="9" class="vf-muted" style="padding: 14px">No vehicle results found.</td></tr>`;
+  }
+
+  return items
+    .map((it) => {
+      const id = String(it?.vehicleId || "");
+      const name = names.get(id) || id;
+      const sub = name !== id ? `<div class="vf-viewerSub">${escapeHtml(id)}</div>` : "";
+      return `
+        <tr>
+          <td class="vf-tdViewer"><div class="vf-viewerName">${escapeHtml(name)}</div>${sub}</td>
+          <td>${escapeHtml(it?.vehicleType || "—")}</td>
+          <td class="vf-tdNum">${formatNumber(it?.races, 0)}</td>
+          <td class="vf-tdNum">${formatNumber(it?.viewers, 0)}</td>
+          <td class="vf-tdNum">${formatNumber(it?.wins, 0)}</td>
+          <td class="vf-tdNum">${formatPercent(it?.winRate)}</td>
+          <td class="vf-tdNum">${formatNumber(it?.avgFinishPos, 2)}</td>
+          <td class="vf-tdNum">${formatPercent(it?.dnfRate)}</td>
+          <td class="vf-tdNum">${formatTimeMs(it?.medianTimeMs)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+}
+
 function renderPager(state, data, containerEl, onNavigate) {
   if (!containerEl) return;
   const totalPages = data?.totalPages || 1;
@@ -413,16 +572,22 @@ async function init() {
     streamerId: "ALL",
     mapId: "ALL",
     vehicleType: "ALL",
+    range: "ALL",
+    fromDate: "",
+    toDate: "",
     streamerSearch: "",
     viewerSearch: "",
     mapSearch: "",
     showBots: false,
+    mode: "wins",
     sortBy: "wins",
     sortDir: "desc",
     page: 1,
     pageSize: 25,
     userId,
     visibleKeys: initialVisible,
+    tab: "leaderboard",
+    vehicleNames: null,
     meta: {
       seasons: [],
       streamers: [],
@@ -457,6 +622,7 @@ async function init() {
         </div>
         <div class="vf-spacer"></div>
         <button id="vf-colsBtn" class="vf-btn vf-btnSecondary" type="button">Columns</button>
+        <button id="vf-exportBtn" class="vf-btn vf-btnSecondary" type="button" title="Download the full leaderboard (visible columns) as CSV">Export</button>
         <button id="vf-refreshBtn" class="vf-btn vf-btnSecondary" type="button">Refresh</button>
       </div>
 
@@ -466,6 +632,36 @@ async function init() {
           <select id="vf-season" class="vf-input vf-inputSmall"></select>
         </label>
 
+        <label class="vf-field">
+          <span class="vf-fieldLabel">Ranking</span>
+          <select id="vf-lbMode" class="vf-input vf-inputSmall" title="Championship points use the season's points table">
+            <option value="wins" selected>Wins</option>
+            <option value="championship">Championship</option>
+          </select>
+        </label>
+
+        <label class="vf-field">
+          <span class="vf-fieldLabel">Time</span>
+          <select id="vf-range" class="vf-input vf-inputSmall">
+            <option value="ALL" selected>All time</option>
+            <option value="today">Today</option>
+            <option value="stream">This stream</option>
+            <option value="7d">Last 7 days</option>
+            <option value="30d">Last 30 days</option>
+            <option value="custom">Custom…</option>
+          </select>
+        </label>
+
+        <label class="vf-field" data-range-custom hidden>
+          <span class="vf-fieldLabel">From</span>
+          <input id="vf-fromDate" class="vf-input vf-inputSmall" type="date" />
+        </label>
+
+        <label class="vf-field" data-range-custom hidden>
+          <span class="vf-fieldLabel">To</span>
+          <input id="vf-toDate" class="vf-input vf-inputSmall" type="date" />
+        </label>
+
         <label class="vf-field">
           <span class="vf-fieldLabel">Streamer</span>
           <select id="vf-streamer" class="vf-input" style="max-width: 280px"></select>
@@ -521,6 +717,40 @@ async function init() {
       </div>
     </div>
 
+    <div class="vf-row" style="margin-top: 12px; gap: 8px;" role="tablist">
+      <button class="vf-btn vf-btnPrimary" type="button" role="tab" data-tab="leaderboard" aria-selected="true">Leaderboard</button>
+      <button class="vf-btn vf-btnSecondary" type="button" role="tab" data-tab="vehicles" aria-selected="false">Vehicles</button>
+    </div>
+
+    <div id="vf-tabVehicles" class="vf-card" style="margin-top: 12px" hidden>
+      <div class="vf-row">
+        <div>
+          <div class="vf-h2">Vehicle performance</div>
+          <div id="vf-vehiclesSummary" class="vf-muted vf-small">Per vehicle and mode. Uses the season / streamer / mode / map filters above.</div>
+        </div>
+      </div>
+
+      <div class="vf-tableWrap vf-tableWrapTall" style="margin-top: 12px">
+        <table class="vf-table vf-tableStriped vf-tableAuto">
+          <thead>
+            <tr>
+              <th class="vf-thViewer">Vehicle</th>
+              <th>Mode</th>
+              <th class="vf-thNum" title="Number of races">Races</th>
+              <th class="vf-thNum" title="Distinct viewers who raced it">Viewers</th>
+              <th class="vf-thNum" title="Wins / 1st place">Wins</th>
+              <th class="vf-thNum" title="Wins / races">Win rate</th>
+              <th class="vf-thNum" title="Average finish position (finishers only)">Avg pos</th>
+              <th class="vf-thNum" title="DNFs / races">DNF rate</th>
+              <th class="vf-thNum" title="Median finish time">Med time</th>
+            </tr>
+          </thead>
+          <tbody id="vf-vehiclesBody"></tbody>
+        </table>
+      </div>
+    </div>
+
+    <div id="vf-tabLeaderboard">
     <div class="vf-card" style="margin-top: 12px">
       <div class="vf-row">
         <div id="vf-summary" class="vf-muted vf-small">Loading…</div>
@@ -541,6 +771,35 @@ async function init() {
       </div>
     </div>
 
+    <div class="vf-card" style="margin-top: 12px">
+      <div class="vf-row">
+        <div>
+          <div class="vf-h2">Head-to-head</div>
+          <div class="vf-muted vf-small">Compare two viewers in the races they ran together. Uses the season / streamer / mode filters above.</div>
+        </div>
+      </div>
+
+      <div class="vf-controlsGrid" style="margin-top: 12px">
+        <label class="vf-field">
+          <span class="vf-fieldLabel">Viewer A</span>
+          <input id="vf-h2hA" class="vf-input" placeholder="viewer login / id" />
+        </label>
+
+        <label class="vf-field">
+          <span class="vf-fieldLabel">Viewer B</span>
+          <input id="vf-h2hB" class="vf-input" placeholder="viewer login / id" />
+        </label>
+
+        <div class="vf-field">
+          <span class="vf-fieldLabel">&nbsp;</span>
+          <button id="vf-h2hBtn" class="vf-btn vf-btnPrimary" type="button">Compare</button>
+        </div>
+      </div>
+
+      <div id="vf-h2hResult" style="margin-top: 12px"></div>
+    </div>
+    </div>
+
     <div id="vf-colsBackdrop" class="vf-modalBackdrop" hidden></div>
     <div id="vf-colsModal" class="vf-modal" hidden role="dialog" aria-modal="true" aria-labelledby="vf-colsTitle">
       <div class="vf-row">
@@ -564,9 +823,13 @@ async function init() {
   `;
 
   const seasonSel = document.getElementById("vf-season");
+  const modeSel = document.getElementById("vf-lbMode");
   const streamerSel = document.getElementById("vf-streamer");
   const mapSel = document.getElementById("vf-map");
   const vehicleTypeSel = document.getElementById("vf-vehicleType");
+  const rangeSel = document.getElementById("vf-range");
+  const fromDateEl = document.getElementById("vf-fromDate");
+  const toDateEl = document.getElementById("vf-toDate");
   const viewerSearchEl = document.getElementById("vf-viewerSearch");
   const streamerSearchEl = document.getElementById("vf-streamerSearch");
   const mapSearchEl = document.getElementById("vf-mapSearch");
@@ -582,6 +845,17 @@ async function init() {
 
   if (showBotsEl) showBotsEl.checked = !!state.showBots;
 
+  // Tabs
+  const tabLeaderboardEl = document.getElementById("vf-tabLeaderboard");
+  const tabVehiclesEl = document.getElementById("vf-tabVehicles");
+  const vehiclesBodyEl = document.getElementById("vf-vehiclesBody");
+  const vehiclesSummaryEl = document.getElementById("vf-vehiclesSummary");
+
+  // Head-to-head elements
+  const h2hAEl = document.getElementById("vf-h2hA");
+  const h2hBEl = document.getElementById("vf-h2hB");
+  const h2hResultEl = document.getElementById("vf-h2hResult");
+
   // Columns modal elements
   const colsBtn = document.getElementById("vf-colsBtn");
   const colsBackdrop = document.getElementById("vf-colsBackdrop");
@@ -723,7 +997,7 @@ async function init() {
     const visible = new Set(state.visibleKeys || []);
     visible.add("viewer");
 
-    const grouped = groupColumnsForModal(COLUMN_DEFS);
+    const grouped = groupColumnsForModal(COLUMN_DEFS.filter((c) => !c.championship));
     colsBody.innerHTML = grouped
       .map(({ group, columns }) => {
         const rows = columns
@@ -826,7 +1100,7 @@ async function init() {
     if (theadEl) theadEl.innerHTML = renderHeader(state, cols);
     if (tbodyEl) {
       tbodyEl.innerHTML = items.length
-        ? items.map((it) => renderRow(it, cols)).join("")
+        ? items.map((it) => renderRow(it, cols, resp?.movementSince)).join("")
         : `<tr><td colspan="${cols.length}" class="vf-muted" style="padding: 14px">No results found.</td></tr>`;
     }
 
@@ -855,6 +1129,20 @@ async function init() {
     state.loading = true;
     if (summaryEl) summaryEl.textContent = "Loading…";
 
+    if (state.range === "stream" && (!state.streamerId || state.streamerId === "ALL")) {
+      state.loading = false;
+      if (summaryEl) summaryEl.textContent = "Pick a streamer to see the leaderboard for their current stream.";
+      if (tbodyEl) tbodyEl.innerHTML = "";
+      return;
+    }
+
+    if (state.mode === "championship" && (!state.seasonId || state.seasonId === "ALL")) {
+      state.loading = false;
+      if (summaryEl) summaryEl.textContent = "Pick a season to see its championship standings.";
+      if (tbodyEl) tbodyEl.innerHTML = "";
+      return;
+    }
+
     try {
       ensureSortKeyVisible(state);
       const q = buildQuery(state);
@@ -875,16 +1163,86 @@ async function init() {
     }
   }
 
+  async function loadHeadToHead() {
+    if (!h2hResultEl) return;
+    const a = String(h2hAEl?.value || "").trim();
+    const b = String(h2hBEl?.value || "").trim();
+    if (!a || !b) {
+      h2hResultEl.innerHTML = `<div class="vf-muted vf-small">Enter two viewers to compare.</div>`;
+      return;
+    }
+
+    h2hResultEl.innerHTML = `<div class="vf-muted vf-small">Loading…</div>`;
+    try {
+      const resp = await api.getHeadToHead({
+        a,
+        b,
+        seasonId: state.seasonId,
+        streamerId: state.streamerId,
+        vehicleType: state.vehicleType,
+      });
+      h2hResultEl.innerHTML = renderHeadToHead(resp);
+    } catch (e) {
+      console.error(e);
+      h2hResultEl.innerHTML = `<div class="vf-alert vf-alertError">${escapeHtml(e?.message || "Error")}</div>`;
+    }
+  }
+
+  async function loadVehicles() {
+    if (!vehiclesBodyEl) return;
+    if (vehiclesSummaryEl) vehiclesSummaryEl.textContent = "Loading…";
+
+    try {
+      if (!state.vehicleNames) state.vehicleNames = await loadVehicleNames();
+      const resp = await api.getVehicleStats({
+        seasonId: state.seasonId,
+        streamerId: state.streamerId,
+        mapId: state.mapId,
+        vehicleType: state.vehicleType,
+        showBots: state.showBots ? "1" : "",
+      });
+      const items = Array.isArray(resp?.items) ? resp.items : [];
+      vehiclesBodyEl.innerHTML = renderVehicleRows(items, state.vehicleNames);
+      if (vehiclesSummaryEl) vehiclesSummaryEl.textContent = `${items.length} vehicles • sorted by # of races`;
+    } catch (e) {
+      console.error(e);
+      if (vehiclesSummaryEl) vehiclesSummaryEl.textContent = "Failed to load vehicle stats.";
+      vehiclesBodyEl.innerHTML = `<tr><td colspan="9" class="vf-alert vf-alertError">${escapeHtml(e?.message || "Error")}</td></tr>`;
+      toast("Failed to load vehicle stats");
+    }
+  }
+
+  function loadActiveTab() {
+    return state.tab === "vehicles" ? loadVehicles() : loadLeaderboard();
+  }
+
+  function setTab(tab) {
+    state.tab = tab === "vehicles" ? "vehicles" : "leaderboard";
+    root.querySelectorAll("[data-tab]")?.forEach((btn) => {
+      const active = btn.getAttribute("data-tab") === state.tab;
+      btn.classList.toggle("vf-btnPrimary", active);
+      btn.classList.toggle("vf-btnSecondary", !active);
+      btn.setAttribute("aria-selected", active ? "true" : "false");
+    });
+    if (tabLeaderboardEl) tabLeaderboardEl.hidden = state.tab !== "leaderboard";
+    if (tabVehiclesEl) tabVehiclesEl.hidden = state.tab !== "vehicles";
+    loadActiveTab();
+  }
+
+  root.querySelectorAll("[data-tab]")?.forEach((btn) => {
+    btn.addEventListener("click", () => setTab(btn.getAttribute("data-tab")));
+  });
+
   function scheduleReload(resetPage = false) {
     if (resetPage) state.page = 1;
-    debounceLoad(loadLeaderboard, 350);
+    debounceLoad(loadActiveTab, 350);
   }
 
   // Wire controls
   document.getElementById("vf-refreshBtn")?.addEventListener("click", async () => {
     await refreshMeta();
     state.page = 1;
-    loadLeaderboard();
+    loadActiveTab();
   });
 
   seasonSel?.addEventListener("change", () => {
@@ -892,6 +1250,35 @@ async function init() {
     scheduleReload(true);
   });
 
+  // Championship standings sort by points (ties: most wins, then 2nds, then 3rds).
+  modeSel?.addEventListener("change", () => {
+    state.mode = modeSel.value === "championship" ? "championship" : "wins";
+    state.sortBy = state.mode === "championship" ? "points" : "wins";
+    state.sortDir = "desc";
+    scheduleReload(true);
+  });
+
+  // Time windows cut across seasons, so picking one switches the season filter to "All".
+  rangeSel?.addEventListener("change", () => {
+    state.range = rangeSel.value || "ALL";
+    root.querySelectorAll("[data-range-custom]")?.forEach((el) => {
+      el.hidden = state.range !== "custom";
+    });
+    if (state.range !== "ALL" && seasonSel) {
+      state.seasonId = "ALL";
+      seasonSel.value = "ALL";
+    }
+    scheduleReload(true);
+  });
+
+  [fromDateEl, toDateEl].forEach((el) =>
+    el?.addEventListener("change", () => {
+      state.fromDate = fromDateEl?.value || "";
+      state.toDate = toDateEl?.value || "";
+      scheduleReload(true);
+    }),
+  );
+
   streamerSel?.addEventListener("change", () => {
     state.streamerId = streamerSel.value || "ALL";
     scheduleReload(true);
@@ -929,6 +1316,38 @@ async function init() {
     scheduleReload(true);
   });
 
+  // Export: whole filtered leaderboard (not just this page), visible columns only, current sort.
+  document.getElementById("vf-exportBtn")?.addEventListener("click", () => {
+    if (state.range === "stream" && (!state.streamerId || state.streamerId === "ALL")) {
+      toast("Pick a streamer first");
+      return;
+    }
+    if (state.mode === "championship" && (!state.seasonId || state.seasonId === "ALL")) {
+      toast("Pick a season first");
+      return;
+    }
+    const { page, pageSize, ...q } = buildQuery(state);
+    const a = document.createElement("a");
+    a.href = api.getLeaderboardExportUrl({
+      ...q,
+      format: "csv",
+      columns: getVisibleColumns(state)
+        .map((c) => c.key)
+        .join(","),
+    });
+    a.download = "";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  });
+
+  document.getElementById("vf-h2hBtn")?.addEventListener("click", loadHeadToHead);
+  [h2hAEl, h2hBEl].forEach((el) =>
+    el?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") loadHeadToHead();
+    }),
+  );
+
   pageSizeEl?.addEventListener("change", () => {
     state.pageSize = clamp(Number(pageSizeEl.value || 25), 5, 200);
     state.page = 1;
@@ -0,0 +1,401 @@
+import { requireSession } from "./session.js";
+import * as api from "./api.js";
+import { toast } from "./ui.js";
+import { loadVehicleCatalog } from "./catalog.js";
+
+function escapeHtml(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function formatNumber(n, digits = 2) {
+  if (n === null || n === undefined) return "—";
+  const num = Number(n);
+  if (!Number.isFinite(num)) return "—";
+  const isInt = Math.abs(num - Math.round(num)) < 1e-9;
+  if (isInt) return String(Math.round(num));
+  return num.toFixed(digits);
+}
+
+function formatTimeMs(ms) {
+  if (ms === null || ms === undefined) return "—";
+  const n = Number(ms);
+  if (!Number.isFinite(n)) return "—";
+  if (n < 0) return "—";
+
+  const totalMs = Math.round(n);
+  const totalSeconds = Math.floor(totalMs / 1000);
+  const milli = totalMs % 1000;
+  const seconds = totalSeconds % 60;
+  const totalMinutes = Math.floor(totalSeconds / 60);
+  const minutes = totalMinutes % 60;
+  const hours = Math.floor(totalMinutes / 60);
+
+  const pad2 = (x) => String(x).padStart(2, "0");
+  const pad3 = (x) => String(x).padStart(3, "0");
+
+  if (hours > 0) {
+    return `${hours}:${pad2(minutes)}:${pad2(seconds)}.${pad3(milli)}`;
+  }
+  return `${minutes}:${pad2(seconds)}.${pad3(milli)}`;
+}
+
+function formatDate(ms) {
+  const n = Number(ms) || 0;
+  if (!n) return "";
+  const d = new Date(n);
+  if (!Number.isFinite(d.getTime())) return "";
+  return d.toLocaleDateString(undefined, { year: "numeric", month: "short", day: "2-digit" });
+}
+
+function formatPercent(ratio01) {
+  if (ratio01 === null || ratio01 === undefined) return "—";
+  const n = Number(ratio01);
+  if (!Number.isFinite(n)) return "—";
+  return `${(n * 100).toFixed(1)}%`;
+}
+
+// vehicleId -> display name, across every vehicle type in the catalog.
+async function loadVehicleNames() {
+  const names = new Map();
+  try {
+    const catalog = await loadVehicleCatalog();
+    for (const t of Object.values(catalog?.types || {})) {
+      for (const o of Array.isArray(t?.options) ? t.options : []) {
+        if (o?.id) names.set(String(o.id), String(o.displayName || o.id));
+      }
+    }
+  } catch {
+    // Names are cosmetic; fall back to raw ids.
+  }
+  return names;
+}
+
+// /viewer/{login} (rewritten to viewer.html by _redirects); /viewer.html?login= also works.
+function loginFromLocation() {
+  const m = /^\/viewer\/([^/]+)\/?$/.exec(window.location.pathname || "");
+  if (m) {
+    try {
+      return decodeURIComponent(m[1]).trim();
+    } catch {
+      return "";
+    }
+  }
+  const params = new URLSearchParams(window.location.search || "");
+  return String(params.get("login") || params.get("viewerId") || "").trim();
+}
+
+function stat(label, value) {
+  return `<div><div class="vf-muted vf-small">${escapeHtml(label)}</div><div class="vf-h2">${value}</div></div>`;
+}
+
+function positionLabel(race) {
+  if (String(race?.status || "").toUpperCase() !== "FINISHED") return escapeHtml(race?.status || "—");
+  const pos = formatNumber(race?.position, 0);
+  return race?.participantCount ? `${pos} / ${formatNumber(race.participantCount, 0)}` : pos;
+}
+
+function renderHeader(viewer) {
+  const login = viewer?.login || "";
+  const display = viewer?.displayName || login || viewer?.viewerUserId || "Viewer";
+  const avatar = viewer?.profileImageUrl
+    ? `<img class="vf-avatar" src="${escapeHtml(viewer.profileImageUrl)}" alt="" />`
+    : `<div class="vf-avatar vf-avatarPlaceholder" aria-hidden="true">👤</div>`;
+  const twitch = login
+    ? `<a class="vf-link vf-small" href="https://twitch.tv/${encodeURIComponent(login)}" target="_blank" rel="noopener">twitch.tv/${escapeHtml(login)}</a>`
+    : "";
+
+  return `
+    <div class="vf-viewerCell">
+      ${avatar}
+      <div class="vf-viewerText">
+        <div class="vf-viewerName">${escapeHtml(display)}</div>
+        <div class="vf-viewerSub">${twitch}</div>
+      </div>
+    </div>
+  `;
+}
+
+function renderCareer(career) {
+  if (!career) return `<div class="vf-muted vf-small">No races yet (with these filters).</div>`;
+  const races = Number(career.competitions || 0);
+  return `
+    <div class="vf-row" style="flex-wrap: wrap; gap: 16px;">
+      ${stat("Races", formatNumber(races, 0))}
+      ${stat("Wins", formatNumber(career.wins, 0))}
+      ${stat("Win rate", formatPercent(races ? Number(career.wins || 0) / races : null))}
+      ${stat("Podiums", formatNumber(Number(career.wins || 0) + Number(career.seconds || 0) + Number(career.thirds || 0), 0))}
+      ${stat("Avg pos", formatNumber(career.avgFinishPos, 2))}
+      ${stat("DNF", formatNumber(career.dnfCount, 0))}
+      ${stat("Best time", formatTimeMs(career.bestTimeMs))}
+      ${stat("Rating", formatNumber(career.rating, 0))}
+    </div>
+  `;
+}
+
+// All counted races, regardless of the Mode filter.
+function renderStreaks(streaks) {
+  if (!streaks) return `<div class="vf-muted vf-small">No races yet.</div>`;
+  return `
+    <div class="vf-row" style="flex-wrap: wrap; gap: 16px;">
+      ${stat("Win streak", formatNumber(streaks.winStreak, 0))}
+      ${stat("Best win streak", formatNumber(streaks.bestWinStreak, 0))}
+      ${stat("Podium streak", formatNumber(streaks.podiumStreak, 0))}
+      ${stat("Finish streak", formatNumber(streaks.finishStreak, 0))}
+      ${stat("Days active in a row", formatNumber(streaks.daysActiveStreak, 0))}
+    </div>
+  `;
+}
+
+function renderRecentRaces(races, names) {
+  if (!races.length) return `<div class="vf-muted vf-small">No races yet.</div>`;
+  const rows = races
+    .map(
+      (r) => `
+      <tr>
+        <td>${escapeHtml(formatDate(r?.startedAtMs))}</td>
+        <td>${escapeHtml(r?.mapName || (r?.mapId ? `#${r.mapId}` : "—"))}</td>
+        <td>${escapeHtml(r?.streamerLogin || r?.streamerUserId || "—")}</td>
+        <td>${escapeHtml(names.get(r?.vehicleId) || r?.vehicleId || "—")}</td>
+        <td class="vf-tdNum">${positionLabel(r)}</td>
+        <td class="vf-tdNum">${formatTimeMs(r?.timeMs)}</td>
+      </tr>`,
+    )
+    .join("");
+
+  return `
+    <div class="vf-tableWrap">
+      <table class="vf-table vf-tableStriped vf-tableAuto">
+        <thead>
+          <tr><th>Date</th><th>Map</th><th>Streamer</th><th>Vehicle</th><th class="vf-thNum">Pos</th><th class="vf-thNum">Time</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderPersonalBests(bests, names) {
+  if (!bests.length) return `<div class="vf-muted vf-small">No finished races on a map yet.</div>`;
+  const rows = bests
+    .map((b) => {
+      const record = b?.isTrackRecord
+        ? `<span class="vf-pill">Track record</span>`
+        : b?.trackRecord
+          ? `${formatTimeMs(b.trackRecord.timeMs)} <span class="vf-muted vf-small">${escapeHtml(b.trackRecord.login || "")}</span>`
+          : "—";
+      return `
+      <tr>
+        <td>${escapeHtml(b?.mapName || `#${b?.mapId}`)}</td>
+        <td class="vf-tdNum">${formatTimeMs(b?.timeMs)}</td>
+        <td class="vf-tdNum">${b?.rank ? `#${formatNumber(b.rank, 0)}` : "—"}</td>
+        <td>${record}</td>
+        <td>${escapeHtml(names.get(b?.vehicleId) || b?.vehicleId || "—")}</td>
+        <td>${escapeHtml(formatDate(b?.achievedAtMs))}</td>
+      </tr>`;
+    })
+    .join("");
+
+  return `
+    <div class="vf-tableWrap">
+      <table class="vf-table vf-tableStriped vf-tableAuto">
+        <thead>
+          <tr><th>Map</th><th class="vf-thNum">Best</th><th class="vf-thNum">Rank</th><th>Track record</th><th>Vehicle</th><th>Set</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderVehicles(vehicles, names) {
+  if (!vehicles.length) return `<div class="vf-muted vf-small">No vehicle data yet.</div>`;
+  const rows = vehicles
+    .map(
+      (v) => `
+      <tr>
+        <td>${escapeHtml(names.get(v?.vehicleId) || v?.vehicleId || "—")}</td>
+        <td>${escapeHtml(v?.vehicleType || "—")}</td>
+        <td class="vf-tdNum">${formatNumber(v?.races, 0)}</td>
+        <td class="vf-tdNum">${formatNumber(v?.wins, 0)}</td>
+        <td class="vf-tdNum">${formatTimeMs(v?.bestTimeMs)}</td>
+      </tr>`,
+    )
+    .join("");
+
+  return `
+    <div class="vf-tableWrap">
+      <table class="vf-table vf-tableStriped vf-tableAuto">
+        <thead>
+          <tr><th>Vehicle</th><th>Mode</th><th class="vf-thNum">Races</th><th class="vf-thNum">Wins</th><th class="vf-thNum">Best time</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderGarage(garage, names) {
+  if (!garage.length) return `<div class="vf-muted vf-small">No garage defaults picked yet.</div>`;
+  return `
+    <div class="vf-chipRow">
+      ${garage
+        .map(
+          (g) =>
+            `<span class="vf-pill">${escapeHtml(g?.vehicleType || "?")}: ${escapeHtml(names.get(g?.vehicleId) || g?.vehicleId || "—")}</span>`,
+        )
+        .join("")}
+    </div>
+  `;
+}
+
+function renderAchievements(list) {
+  if (!list.length) return `<div class="vf-muted vf-small">No achievements unlocked yet.</div>`;
+  return `
+    <div class="vf-achList">
+      ${list
+        .map(
+          (a) => `
+        <div class="vf-achCard">
+          <div class="vf-achHeader">
+            <div class="vf-achTitle">${escapeHtml(a?.name || "Achievement")}</div>
+            ${a?.tierName ? `<span class="vf-achTier is-unlocked" title="Tier ${Number(a?.tier) || 0} of ${Number(a?.tierCount) || 0}">★ ${escapeHtml(a.tierName)}</span>` : ""}
+            <span class="vf-achBadge vf-achBadgeDone">${escapeHtml(formatDate(a?.unlockedAtMs))}</span>
+          </div>
+          ${a?.description ? `<div class="vf-achDesc">${escapeHtml(a.description)}</div>` : ""}
+        </div>`,
+        )
+        .join("")}
+    </div>
+  `;
+}
+
+// Rank over time on the all-streamers board for the selected mode (daily leaderboard snapshots),
+// drawn as a small line chart with #1 at the top.
+function renderRankHistory(history) {
+  const series = Array.isArray(history?.series) ? history.series : [];
+  const points = series.filter((p) => Number(p?.rank) > 0);
+  const current = history?.current || null;
+  if (!points.length && !current?.rank) {
+    return `<div class="vf-muted vf-small">No rank history yet. Standings are saved once a day.</div>`;
+  }
+
+  const all = current?.rank ? [...points, { rank: current.rank, period: "now" }] : points;
+  const ranks = all.map((p) => Number(p.rank));
+  const worst = Math.max(...ranks);
+  const best = Math.min(...ranks);
+
+  const w = 600;
+  const h = 120;
+  const pad = 8;
+  const x = (i) => (all.length > 1 ? pad + (i * (w - 2 * pad)) / (all.length - 1) : w / 2);
+  const y = (rank) => (worst > 1 ? pad + ((rank - 1) * (h - 2 * pad)) / (worst - 1) : h / 2);
+  const line = all.map((p, i) => `${x(i).toFixed(1)},${y(Number(p.rank)).toFixed(1)}`).join(" ");
+
+  const delta = Number(current?.rankDelta);
+  const move = !Number.isFinite(delta) || !delta ? "" : delta > 0 ? ` (▲${delta})` : ` (▼${Math.abs(delta)})`;
+
+  return `
+    <div class="vf-row" style="flex-wrap: wrap; gap: 16px;">
+      ${stat("Current", current?.rank ? `#${formatNumber(current.rank, 0)}${escapeHtml(move)}` : "—")}
+      ${stat("Best", `#${formatNumber(best, 0)}`)}
+      ${stat("Since", escapeHtml(all[0]?.period || "—"))}
+    </div>
+    <svg viewBox="0 0 ${w} ${h}" width="100%" height="${h}" preserveAspectRatio="none" style="margin-top: 10px" role="img" aria-label="Rank over time">
+      <polyline points="${line}" fill="none" stroke="rgba(123, 97, 255, 0.9)" stroke-width="2" vector-effect="non-scaling-stroke" />
+    </svg>
+  `;
+}
+
+function section(title, body) {
+  return `
+    <div class="vf-card" style="margin-top: 12px">
+      <div class="vf-h2">${escapeHtml(title)}</div>
+      <div style="margin-top: 10px">${body}</div>
+    </div>
+  `;
+}
+
+async function init() {
+  const root = document.getElementById("vf-viewerRoot");
+  if (!root) return;
+
+  root.innerHTML = `<div class="vf-card"><div class="vf-muted">Loading profile…</div></div>`;
+
+  const session = await requireSession();
+  if (!session) return;
+
+  const login = loginFromLocation();
+  if (!login) {
+    root.innerHTML = `<div class="vf-alert vf-alertError">No viewer given. Open a profile from the <a class="vf-link" href="/stats.html">leaderboard</a>.</div>`;
+    return;
+  }
+
+  const state = { vehicleType: "ALL" };
+  const names = await loadVehicleNames();
+
+  async function load() {
+    let resp;
+    let rankHistory = null;
+    try {
+      resp = await api.getViewerProfile(login, { vehicleType: state.vehicleType });
+      // Best-effort: the profile renders without it.
+      rankHistory = await api.getViewerRankHistory(login, { vehicleType: state.vehicleType }).catch(() => null);
+    } catch (e) {
+      console.error(e);
+      const msg = e?.status === 404 ? `No viewer named "${login}".` : e?.message || "Error";
+      root.innerHTML = `<div class="vf-alert vf-alertError">${escapeHtml(msg)}</div>`;
+      if (e?.status !== 404) toast("Failed to load profile");
+      return;
+    }
+
+    const viewer = resp?.viewer || {};
+    const title = document.getElementById("vf-viewerTitle");
+    const display = viewer.displayName || viewer.login || login;
+    if (title) title.textContent = display;
+    document.title = `ViewerFrenzy – ${display}`;
+
+    root.innerHTML = `
+      <div class="vf-card">
+        <div class="vf-row">
+          ${renderHeader(viewer)}
+          <div class="vf-spacer"></div>
+          <label class="vf-field">
+            <span class="vf-fieldLabel">Mode</span>
+            <select id="vf-profileMode" class="vf-input vf-inputSmall">
+              <option value="ALL">All</option>
+              <option value="ground">Ground</option>
+              <option value="resort">Resort</option>
+              <option value="space">Space</option>
+            </select>
+          </label>
+        </div>
+        <div style="margin-top: 12px">${renderCareer(resp?.career)}</div>
+      </div>
+      ${section("Rank over time", renderRankHistory(rankHistory))}
+      ${section("Streaks", renderStreaks(resp?.streaks))}
+      ${section("Recent races", renderRecentRaces(resp?.recentRaces || [], names))}
+      ${section("Personal bests", renderPersonalBests(resp?.personalBests || [], names))}
+      ${section("Favourite vehicles", renderVehicles(resp?.favouriteVehicles || [], names))}
+      ${section("Garage", renderGarage(resp?.garage || [], names))}
+      ${section("Achievements", renderAchievements(resp?.achievements || []))}
+    `;
+
+    const modeSel = document.getElementById("vf-profileMode");
+    if (modeSel) {
+      modeSel.value = state.vehicleType;
+      modeSel.addEventListener("change", () => {
+        state.vehicleType = modeSel.value || "ALL";
+        load();
+      });
+    }
+  }
+
+  await load();
+}
+
+init();